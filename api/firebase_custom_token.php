@@ -0,0 +1,56 @@
+<?php
+// Выдаёт Firebase custom token для проверенного Telegram-пользователя, чтобы облачное сохранение
+// было привязано к Telegram id, а не к анонимному аккаунту браузера.
+//
+// Настройка (переменные окружения):
+//   TELEGRAM_BOT_TOKEN        — токен бота, которым подписан initData
+//   FIREBASE_SERVICE_ACCOUNT  — путь к JSON-ключу сервисного аккаунта Firebase
+// Локальный запуск: php -S 127.0.0.1:8001 из корня проекта (игра на Live Server обращается к этому порту).
+require_once __DIR__ . '/telegram_init_data.php';
+require_once __DIR__ . '/firebase_service_account.php';
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+header('Content-Type: application/json');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') { http_response_code(200); exit(); }
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') { echo json_encode(['success'=>false,'error'=>'POST only']); exit(); }
+
+// Срок жизни custom token по правилам Firebase — не больше часа
+const FIREBASE_TOKEN_TTL = 3600;
+const FIREBASE_TOKEN_AUDIENCE = 'https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit';
+
+// Custom token — JWT, подписанный ключом сервисного аккаунта
+function createCustomToken(array $account, string $uid, array $claims): string {
+    $now = time();
+    return signServiceAccountJwt($account, [
+        'iss' => $account['client_email'],
+        'sub' => $account['client_email'],
+        'aud' => FIREBASE_TOKEN_AUDIENCE,
+        'iat' => $now,
+        'exp' => $now + FIREBASE_TOKEN_TTL,
+        'uid' => $uid,
+        'claims' => $claims
+    ]);
+}
+
+$initData = isset($_POST['initData']) ? trim($_POST['initData']) : '';
+if ($initData === '') { echo json_encode(['success'=>false,'error'=>'initData required']); exit(); }
+
+try{
+    $fields = validateTelegramInitData($initData, getTelegramBotToken());
+    if (!$fields) {
+        http_response_code(401);
+        echo json_encode(['success'=>false,'error'=>'invalid initData']);
+        exit();
+    }
+    $telegramId = intval($fields['user']['id']);
+    // uid детерминирован: один Telegram-аккаунт — одно облачное сохранение на всех устройствах
+    $uid = 'tg_' . $telegramId;
+    $token = createCustomToken(loadServiceAccount(), $uid, ['telegramId' => $telegramId]);
+    echo json_encode(['success'=>true, 'token'=>$token, 'uid'=>$uid]);
+}catch(Throwable $e){
+    http_response_code(500);
+    echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
+}
@@ -0,0 +1,130 @@
+<?php
+// Доступ сервера к Firebase от имени сервисного аккаунта: подпись JWT, чтение документов Firestore
+// и начисления в них.
+//
+// Настройка (переменные окружения):
+//   FIREBASE_SERVICE_ACCOUNT  — путь к JSON-ключу сервисного аккаунта Firebase
+
+const FIREBASE_OAUTH_URL = 'https://oauth2.googleapis.com/token';
+const FIREBASE_DATASTORE_SCOPE = 'https://www.googleapis.com/auth/datastore';
+const FIRESTORE_API = 'https://firestore.googleapis.com/v1';
+
+function base64UrlEncode(string $data): string {
+    return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+}
+
+function loadServiceAccount(): array {
+    $path = getenv('FIREBASE_SERVICE_ACCOUNT');
+    if (!$path || !is_readable($path)) {
+        throw new Exception('FIREBASE_SERVICE_ACCOUNT is not configured');
+    }
+    $account = json_decode(file_get_contents($path), true);
+    if (!is_array($account) || empty($account['client_email']) || empty($account['private_key'])) {
+        throw new Exception('Invalid service account file');
+    }
+    return $account;
+}
+
+// JWT, подписанный ключом сервисного аккаунта (RS256)
+function signServiceAccountJwt(array $account, array $payload): string {
+    $header = ['alg' => 'RS256', 'typ' => 'JWT'];
+    $unsigned = base64UrlEncode(json_encode($header)) . '.' . base64UrlEncode(json_encode($payload));
+    $signature = '';
+    if (!openssl_sign($unsigned, $signature, $account['private_key'], OPENSSL_ALGO_SHA256)) {
+        throw new Exception('Cannot sign service account JWT');
+    }
+    return $unsigned . '.' . base64UrlEncode($signature);
+}
+
+// Возвращает [код ответа, раскодированный JSON]
+function firebaseRequest(string $method, string $url, array $headers, string $body = ''): array {
+    $context = stream_context_create(['http' => [
+        'method' => $method,
+        'header' => implode("\r\n", $headers),
+        'content' => $body,
+        'timeout' => 5,
+        'ignore_errors' => true
+    ]]);
+    $response = file_get_contents($url, false, $context);
+    if ($response === false) {
+        throw new Exception("Request to $url failed");
+    }
+    $status = isset($http_response_header[0]) && preg_match('/\s(\d{3})\s/', $http_response_header[0], $m) ? intval($m[1]) : 0;
+    return [$status, json_decode($response, true)];
+}
+
+// OAuth-токен для Firestore REST API: обмен подписанного JWT по схеме jwt-bearer
+function getFirestoreAccessToken(array $account): string {
+    $now = time();
+    $assertion = signServiceAccountJwt($account, [
+        'iss' => $account['client_email'],
+        'scope' => FIREBASE_DATASTORE_SCOPE,
+        'aud' => FIREBASE_OAUTH_URL,
+        'iat' => $now,
+        'exp' => $now + 3600
+    ]);
+    [$status, $data] = firebaseRequest('POST', FIREBASE_OAUTH_URL, ['Content-Type: application/x-www-form-urlencoded'],
+        http_build_query(['grant_type' => 'urn:ietf:params:oauth:grant-type:jwt-bearer', 'assertion' => $assertion]));
+    if ($status !== 200 || empty($data['access_token'])) {
+        throw new Exception('Cannot get Firestore access token');
+    }
+    return $data['access_token'];
+}
+
+// Значение поля документа из формата REST API ({ integerValue: "5" } и т.п.)
+function decodeFirestoreValue(array $value) {
+    if (isset($value['integerValue'])) return intval($value['integerValue']);
+    if (isset($value['doubleValue'])) return floatval($value['doubleValue']);
+    if (isset($value['booleanValue'])) return (bool)$value['booleanValue'];
+    if (isset($value['stringValue'])) return $value['stringValue'];
+    if (isset($value['timestampValue'])) return $value['timestampValue'];
+    if (isset($value['mapValue'])) {
+        return array_map('decodeFirestoreValue', isset($value['mapValue']['fields']) ? $value['mapValue']['fields'] : []);
+    }
+    if (isset($value['arrayValue'])) {
+        return array_map('decodeFirestoreValue', isset($value['arrayValue']['values']) ? $value['arrayValue']['values'] : []);
+    }
+    return null;
+}
+
+// Корень документов Firestore проекта сервисного аккаунта: projects/<id>/databases/(default)/documents
+function firestoreDocumentsRoot(array $account): string {
+    if (empty($account['project_id'])) {
+        throw new Exception('Invalid service account file');
+    }
+    return 'projects/' . $account['project_id'] . '/databases/(default)/documents';
+}
+
+// Поля документа Firestore ('publicProfiles/tg_1') или null, если документа нет
+function getFirestoreDocument(string $path): ?array {
+    $account = loadServiceAccount();
+    $url = FIRESTORE_API . '/' . firestoreDocumentsRoot($account) . '/' . $path;
+    [$status, $data] = firebaseRequest('GET', $url, ['Authorization: Bearer ' . getFirestoreAccessToken($account)]);
+    if ($status === 404) {
+        return null;
+    }
+    if ($status !== 200) {
+        throw new Exception("Cannot read Firestore document $path");
+    }
+    return array_map('decodeFirestoreValue', isset($data['fields']) ? $data['fields'] : []);
+}
+
+// Атомарно прибавляет $amount к числовому полю документа ('economy.grants.credits');
+// документа может и не быть — тогда он создаётся
+function incrementFirestoreField(string $path, string $field, int $amount): void {
+    $account = loadServiceAccount();
+    $root = firestoreDocumentsRoot($account);
+    $body = json_encode(['writes' => [[
+        'transform' => [
+            'document' => $root . '/' . $path,
+            'fieldTransforms' => [['fieldPath' => $field, 'increment' => ['integerValue' => (string)$amount]]]
+        ]
+    ]]]);
+    [$status] = firebaseRequest('POST', FIRESTORE_API . '/' . $root . ':commit', [
+        'Authorization: Bearer ' . getFirestoreAccessToken($account),
+        'Content-Type: application/json'
+    ], $body);
+    if ($status !== 200) {
+        throw new Exception("Cannot update Firestore document $path");
+    }
+}
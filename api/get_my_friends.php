@@ -1,10 +1,10 @@
 <?php
-require_once __DIR__ . '/referral_db.php';
+require_once __DIR__ . '/referral_rewards.php';
+require_once __DIR__ . '/telegram_init_data.php';
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
 
-$uid = isset($_GET['telegramId']) ? intval($_GET['telegramId']) : 0;
-if(!$uid){echo json_encode(['success'=>false,'error'=>'telegramId required']);exit();}
+$uid = requireTelegramUser()['id'];
 try{
     $pdo=getPDO();
 
@@ -14,9 +14,16 @@ try{
                    COALESCE(d.surname, "") AS surname,
                    COALESCE(d.username, "") AS username,
                    COALESCE(d.profile_photo, "") AS profile_photo,
-                   0 AS is_inviter
+                   0 AS is_inviter,
+                   COALESCE(r.status, "") AS reward_status,
+                   COALESCE(r.amount, 0)  AS reward_amount,
+                   COALESCE(r.reason, "") AS reward_reason,
+                   COALESCE(p.player_level, 1)    AS player_level,
+                   COALESCE(p.buildings_owned, 1) AS buildings_owned
             FROM users u
             LEFT JOIN users_data d ON u.userId = d.user_id
+            LEFT JOIN referral_rewards r ON r.invitee_id = u.userId AND r.inviter_id = u.referredBy
+            LEFT JOIN user_progress p ON p.user_id = u.userId
             WHERE u.referredBy = ?
             ORDER BY u.joinDate';
     $st=$pdo->prepare($sql);
@@ -29,10 +36,18 @@ try{
                       COALESCE(d2.surname, "") AS surname,
                       COALESCE(d2.username, "") AS username,
                       COALESCE(d2.profile_photo, "") AS profile_photo,
-                      1 AS is_inviter
+                      1 AS is_inviter,
+                      COALESCE(r.status, "") AS reward_status,
+                      COALESCE(r.amount, 0)  AS reward_amount,
+                      COALESCE(r.reason, "") AS reward_reason,
+                      COALESCE(p.player_level, 1)    AS player_level,
+                      COALESCE(p.buildings_owned, 1) AS buildings_owned
                FROM users u
                JOIN users u2 ON u.referredBy = u2.userId
                LEFT JOIN users_data d2 ON u2.userId = d2.user_id
+               -- у пригласившего статус и прогресс — это награда и прогресс самого игрока
+               LEFT JOIN referral_rewards r ON r.invitee_id = u.userId
+               LEFT JOIN user_progress p ON p.user_id = u.userId
                WHERE u.userId = ?
                LIMIT 1';
     $stInv=$pdo->prepare($sqlInv);
@@ -42,7 +57,12 @@ try{
         array_unshift($friends, $inviter);
     }
 
-    echo json_encode(['success'=>true,'friends'=>$friends]);
+    // Рубеж, после которого открывается награда — клиент показывает прогресс друга до него
+    echo json_encode([
+        'success'=>true,
+        'friends'=>$friends,
+        'milestone'=>['level'=>REFERRAL_MILESTONE_LEVEL, 'buildings'=>REFERRAL_MILESTONE_BUILDINGS]
+    ]);
 }catch(Throwable $e){
     echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
 } 
\ No newline at end of file
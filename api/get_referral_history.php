@@ -0,0 +1,14 @@
+<?php
+require_once __DIR__ . '/referral_ledger.php';
+require_once __DIR__ . '/telegram_init_data.php';
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+
+$uid = requireTelegramUser()['id'];
+try{
+    $pdo=getPDO();
+    syncReferralLedger($pdo, $uid);
+    echo json_encode(['success'=>true,'history'=>getReferralHistory($pdo, $uid)]);
+}catch(Throwable $e){
+    echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
+}
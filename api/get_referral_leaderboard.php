@@ -0,0 +1,52 @@
+<?php
+// Топ пригласивших за неделю. Считаются только открытые награды за приглашение
+// (друг дошёл до рубежа, api/referral_rewards.php), неделя начинается в понедельник 00:00 UTC.
+require_once __DIR__ . '/referral_rewards.php';
+require_once __DIR__ . '/telegram_init_data.php';
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+
+const REFERRAL_LEADERBOARD_SIZE = 10;
+
+$uid = requireTelegramUser()['id'];
+try{
+    $pdo=getPDO();
+    $weekStart = strtotime('monday this week 00:00 UTC');
+
+    $st=$pdo->prepare('SELECT r.inviter_id AS userId, COUNT(*) AS invites,
+                              COALESCE(d.name, "") AS name,
+                              COALESCE(d.username, "") AS username,
+                              COALESCE(d.profile_photo, "") AS profile_photo
+                       FROM referral_rewards r
+                       LEFT JOIN users_data d ON d.user_id = r.inviter_id
+                       WHERE r.status = \'unlocked\' AND r.unlocked_at >= ?
+                       GROUP BY r.inviter_id, d.name, d.username, d.profile_photo
+                       ORDER BY invites DESC, MIN(r.unlocked_at)
+                       LIMIT ' . REFERRAL_LEADERBOARD_SIZE);
+    $st->execute([$weekStart]);
+    $top = $st->fetchAll(PDO::FETCH_ASSOC);
+
+    // Место игрока, даже если он не попал в топ
+    $st2=$pdo->prepare('SELECT COUNT(*) FROM referral_rewards WHERE inviter_id=? AND status=\'unlocked\' AND unlocked_at >= ?');
+    $st2->execute([$uid, $weekStart]);
+    $myInvites = intval($st2->fetchColumn());
+    $myRank = null;
+    if ($myInvites > 0) {
+        $st3=$pdo->prepare('SELECT COUNT(*) FROM (
+                                SELECT inviter_id FROM referral_rewards
+                                WHERE status = \'unlocked\' AND unlocked_at >= ?
+                                GROUP BY inviter_id HAVING COUNT(*) > ?
+                            ) ahead');
+        $st3->execute([$weekStart, $myInvites]);
+        $myRank = intval($st3->fetchColumn()) + 1;
+    }
+
+    echo json_encode([
+        'success'=>true,
+        'top'=>$top,
+        'me'=>['invites'=>$myInvites, 'rank'=>$myRank],
+        'resets_at'=>$weekStart + 7 * REFERRAL_DAY
+    ]);
+}catch(Throwable $e){
+    echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
+}
@@ -1,17 +1,19 @@
 <?php
-require_once __DIR__ . '/referral_db.php';
+require_once __DIR__ . '/referral_ledger.php';
+require_once __DIR__ . '/telegram_init_data.php';
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
 
-$uid = isset($_GET['telegramId']) ? intval($_GET['telegramId']) : 0;
-if(!$uid){echo json_encode(['success'=>false,'error'=>'telegramId required']);exit();}
+$uid = requireTelegramUser()['id'];
 try{
     $pdo=getPDO();
+    // Открываем награды друзей, которые дошли до рубежа (или ждали суточного лимита)
+    unlockReadyReferralRewards($pdo, 'inviter', $uid);
     
     // Получаем основную статистику пользователя
-    $st=$pdo->prepare('SELECT referral_cnt, rbc_balance FROM users WHERE userId=? LIMIT 1');
+    $st=$pdo->prepare('SELECT referral_cnt FROM users WHERE userId=? LIMIT 1');
     $st->execute([$uid]);
-    $data=$st->fetch(PDO::FETCH_ASSOC) ?: ['referral_cnt'=>0,'rbc_balance'=>0];
+    $data=$st->fetch(PDO::FETCH_ASSOC) ?: ['referral_cnt'=>0];
     
     // Получаем количество прямых рефералов
     $st2=$pdo->prepare('SELECT COUNT(*) as direct_refs FROM users WHERE referredBy=?');
@@ -28,25 +30,28 @@ try{
     $st3->execute([$uid]);
     $indirectRefs = $st3->fetch(PDO::FETCH_ASSOC)['indirect_refs'] ?? 0;
     
-    // Пересчитываем pending_rewards под новую модель (если будем использовать историю)
-    // Здесь временно оставим 0, т.к. награды начисляются сразу в referral_register.php
-    $pendingRewards = 0;
-    
-    // Получаем уже полученные награды из истории
-    $st4=$pdo->prepare('SELECT COALESCE(SUM(amount), 0) as collected_rewards FROM referral_rewards_history WHERE telegram_id = ?');
-    $st4->execute([$uid]);
-    $collectedRewards = $st4->fetch(PDO::FETCH_ASSOC)['collected_rewards'] ?? 0;
-    
-    // Итоговые pending_rewards = общие награды - уже полученные
-    $finalPendingRewards = max(0, $pendingRewards - $collectedRewards);
+    // Награды за приглашения по статусам: pending ждут рубежа, unlocked начислены, blocked отклонены
+    $st5=$pdo->prepare('SELECT status, COUNT(*) AS cnt, COALESCE(SUM(amount), 0) AS total FROM referral_rewards WHERE inviter_id=? GROUP BY status');
+    $st5->execute([$uid]);
+    $inviteRewards = ['pending'=>0, 'unlocked'=>0, 'blocked'=>0, 'pending_amount'=>0, 'unlocked_amount'=>0];
+    foreach($st5->fetchAll(PDO::FETCH_ASSOC) as $row){
+        $inviteRewards[$row['status']] = intval($row['cnt']);
+        $inviteRewards[$row['status'] . '_amount'] = intval($row['total']);
+    }
+    unset($inviteRewards['blocked_amount']);
+
+    // Кредиты за рефералов — из журнала (api/referral_ledger.php)
+    syncReferralLedger($pdo, $uid);
+    $credits = getReferralLedgerTotals($pdo, $uid);
     
     // Объединяем данные
     $result = array_merge($data, [
-        'pending_rewards' => $finalPendingRewards,
+        'pending_rewards' => $credits['pending'],
         'direct_refs' => $directRefs,
         'indirect_refs' => $indirectRefs,
-        'total_earned' => $pendingRewards,
-        'collected_rewards' => $collectedRewards
+        'total_earned' => $credits['earned'],
+        'collected_rewards' => $credits['collected'],
+        'invite_rewards' => $inviteRewards
     ]);
     
     echo json_encode(['success'=>true]+$result);
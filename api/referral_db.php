@@ -51,12 +51,41 @@ try {
             profile_photo TEXT
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;");
 
-        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_rewards_history (
+        // Кредиты за рефералов (api/referral_ledger.php): начисления за друзей (+) и получения (−);
+        // к получению — сумма всех записей игрока
+        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_ledger (
             id INT AUTO_INCREMENT PRIMARY KEY,
-            telegram_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            source_id BIGINT NOT NULL DEFAULT 0,
+            kind VARCHAR(16) NOT NULL,
+            amount INT NOT NULL,
+            created_at INT NOT NULL,
+            INDEX(user_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;");
+
+        // Отложенные награды за приглашения (api/referral_rewards.php); время — unix timestamp
+        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_rewards (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            inviter_id BIGINT NOT NULL,
+            invitee_id BIGINT NOT NULL UNIQUE,
             amount BIGINT NOT NULL,
-            collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            INDEX(telegram_id)
+            status VARCHAR(16) NOT NULL DEFAULT 'pending',
+            reason VARCHAR(32) NOT NULL DEFAULT '',
+            ip_hash CHAR(64) NOT NULL DEFAULT '',
+            created_at INT NOT NULL,
+            unlocked_at INT NULL,
+            INDEX(inviter_id, status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;");
+
+        // Проверенный игровой прогресс (api/referral_progress.php) и отпечаток устройства
+        $pdo->exec("CREATE TABLE IF NOT EXISTS user_progress (
+            user_id BIGINT PRIMARY KEY,
+            player_level INT NOT NULL DEFAULT 1,
+            buildings_owned INT NOT NULL DEFAULT 1,
+            device_hash CHAR(64) NOT NULL DEFAULT '',
+            ip_hash CHAR(64) NOT NULL DEFAULT '',
+            updated_at INT NOT NULL,
+            INDEX(device_hash)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;");
     } else {
         // SQLite схемы
@@ -82,13 +111,40 @@ try {
         );
         ");
 
-        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_rewards_history (
+        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_ledger (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
-            telegram_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            source_id INTEGER NOT NULL DEFAULT 0,
+            kind TEXT NOT NULL,
             amount INTEGER NOT NULL,
-            collected_at TEXT DEFAULT (datetime('now'))
+            created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_referral_ledger_user ON referral_ledger(user_id, created_at);
+        ");
+
+        $pdo->exec("CREATE TABLE IF NOT EXISTS referral_rewards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            inviter_id INTEGER NOT NULL,
+            invitee_id INTEGER NOT NULL UNIQUE,
+            amount INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            reason TEXT NOT NULL DEFAULT '',
+            ip_hash TEXT NOT NULL DEFAULT '',
+            created_at INTEGER NOT NULL,
+            unlocked_at INTEGER NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_referral_rewards_inviter ON referral_rewards(inviter_id, status);
+        ");
+
+        $pdo->exec("CREATE TABLE IF NOT EXISTS user_progress (
+            user_id INTEGER PRIMARY KEY,
+            player_level INTEGER NOT NULL DEFAULT 1,
+            buildings_owned INTEGER NOT NULL DEFAULT 1,
+            device_hash TEXT NOT NULL DEFAULT '',
+            ip_hash TEXT NOT NULL DEFAULT '',
+            updated_at INTEGER NOT NULL
         );
-        CREATE INDEX IF NOT EXISTS idx_rewards_telegram_id ON referral_rewards_history(telegram_id);
+        CREATE INDEX IF NOT EXISTS idx_user_progress_device ON user_progress(device_hash);
         ");
     }
 } catch (Throwable $e) {
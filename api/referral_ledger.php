@@ -0,0 +1,122 @@
+<?php
+// Журнал кредитов за рефералов — единственный источник для «к получению», «заработано» и истории.
+// Правила начисления: за друга, приглашённого напрямую, — REFERRAL_CREDITS_DIRECT, за друга друга —
+// REFERRAL_CREDITS_INDIRECT. Друг засчитывается, когда его награда за приглашение открыта
+// (api/referral_rewards.php) или он пришёл до отложенных наград и записи о награде у него нет.
+// Сама открытая награда за приглашение (REFERRAL_REWARD_AMOUNT) начисляется обоим: пригласившему
+// за друга и другу за пригласившего.
+// Получение записывается отрицательной суммой и зачисляется в облачное сохранение игрока
+// (players/tg_<id>.economy.grants.credits): по нему проверка экономики в functions/ принимает кредиты,
+// которые клиент добавляет через setCredits.
+require_once __DIR__ . '/referral_rewards.php';
+require_once __DIR__ . '/firebase_service_account.php';
+
+const REFERRAL_CREDITS_DIRECT = 10;
+const REFERRAL_CREDITS_INDIRECT = 2;
+const REFERRAL_HISTORY_LIMIT = 50;
+
+// Выполняет $fn в транзакции под блокировкой строки игрока: параллельные запросы статистики,
+// истории и получения дописывают журнал по очереди и не начисляют друга дважды
+function withReferralLock(PDO $pdo, int $userId, callable $fn) {
+    $pdo->beginTransaction();
+    try {
+        // Пустой UPDATE блокирует строку игрока до конца транзакции
+        $pdo->prepare('UPDATE users SET referral_cnt = referral_cnt WHERE userId=?')->execute([$userId]);
+        $result = $fn();
+        $pdo->commit();
+        return $result;
+    } catch (Throwable $e) {
+        if ($pdo->inTransaction()) $pdo->rollBack();
+        throw $e;
+    }
+}
+
+// Дописывает начисления за новых засчитанных друзей; каждый друг начисляется один раз
+function syncReferralLedger(PDO $pdo, int $userId): void {
+    withReferralLock($pdo, $userId, function () use ($pdo, $userId) {
+        appendReferralAccruals($pdo, $userId);
+    });
+}
+
+// Вызывается только под withReferralLock: проверка существующих записей и вставка не атомарны
+function appendReferralAccruals(PDO $pdo, int $userId): void {
+    $eligible = "(r.status IS NULL OR r.status='unlocked')";
+    $direct = $pdo->prepare("SELECT u.userId FROM users u
+                             LEFT JOIN referral_rewards r ON r.invitee_id = u.userId
+                             WHERE u.referredBy = ? AND $eligible");
+    $direct->execute([$userId]);
+    $indirect = $pdo->prepare("SELECT u1.userId FROM users u1
+                               JOIN users u2 ON u1.referredBy = u2.userId
+                               LEFT JOIN referral_rewards r ON r.invitee_id = u1.userId
+                               WHERE u2.referredBy = ? AND $eligible");
+    $indirect->execute([$userId]);
+    $milestone = $pdo->prepare("SELECT CASE WHEN inviter_id=? THEN invitee_id ELSE inviter_id END FROM referral_rewards
+                                WHERE status='unlocked' AND (inviter_id=? OR invitee_id=?)");
+    $milestone->execute([$userId, $userId, $userId]);
+
+    $existing = $pdo->prepare("SELECT kind, source_id FROM referral_ledger WHERE user_id=? AND kind IN ('direct','indirect','milestone')");
+    $existing->execute([$userId]);
+    $known = [];
+    foreach ($existing->fetchAll(PDO::FETCH_ASSOC) as $row) {
+        $known[$row['kind'] . ':' . $row['source_id']] = true;
+    }
+
+    $insert = $pdo->prepare('INSERT INTO referral_ledger(user_id, source_id, kind, amount, created_at) VALUES(?,?,?,?,?)');
+    $rules = [
+        'direct' => [$direct, REFERRAL_CREDITS_DIRECT],
+        'indirect' => [$indirect, REFERRAL_CREDITS_INDIRECT],
+        'milestone' => [$milestone, REFERRAL_REWARD_AMOUNT]
+    ];
+    foreach ($rules as $kind => [$st, $amount]) {
+        foreach ($st->fetchAll(PDO::FETCH_COLUMN) as $sourceId) {
+            if (!isset($known[$kind . ':' . $sourceId])) {
+                $insert->execute([$userId, $sourceId, $kind, $amount, time()]);
+            }
+        }
+    }
+}
+
+// ['pending' => к получению, 'earned' => начислено всего, 'collected' => уже получено]
+function getReferralLedgerTotals(PDO $pdo, int $userId): array {
+    $st = $pdo->prepare('SELECT COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS earned,
+                                COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) AS collected
+                         FROM referral_ledger WHERE user_id=?');
+    $st->execute([$userId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+    $earned = intval($row['earned']);
+    $collected = intval($row['collected']);
+    return ['pending' => max(0, $earned - $collected), 'earned' => $earned, 'collected' => $collected];
+}
+
+// Списывает всё накопленное одной записью, зачисляет его в облачное сохранение и возвращает сумму
+// для начисления на клиенте. Если Firestore недоступен, списание откатывается
+function collectReferralCredits(PDO $pdo, int $userId): int {
+    return withReferralLock($pdo, $userId, function () use ($pdo, $userId) {
+        appendReferralAccruals($pdo, $userId);
+        $amount = getReferralLedgerTotals($pdo, $userId)['pending'];
+        if ($amount > 0) {
+            $pdo->prepare("INSERT INTO referral_ledger(user_id, source_id, kind, amount, created_at) VALUES(?, 0, 'collect', ?, ?)")
+                ->execute([$userId, -$amount, time()]);
+            // Друзья, за которых награда получена, больше не отмечаются как новые
+            $pdo->prepare('UPDATE users SET reward_claimed = 1 WHERE referredBy=? AND reward_claimed = 0
+                           AND userId IN (SELECT source_id FROM referral_ledger WHERE user_id=? AND kind=\'direct\')')
+                ->execute([$userId, $userId]);
+            incrementFirestoreField('players/tg_' . $userId, 'economy.grants.credits', $amount);
+        }
+        return $amount;
+    });
+}
+
+// Последние записи журнала с именами друзей, от новых к старым
+function getReferralHistory(PDO $pdo, int $userId): array {
+    $st = $pdo->prepare('SELECT l.kind, l.amount, l.created_at, l.source_id,
+                                COALESCE(d.name, "") AS name,
+                                COALESCE(d.username, "") AS username
+                         FROM referral_ledger l
+                         LEFT JOIN users_data d ON d.user_id = l.source_id
+                         WHERE l.user_id=?
+                         ORDER BY l.created_at DESC, l.id DESC
+                         LIMIT ' . REFERRAL_HISTORY_LIMIT);
+    $st->execute([$userId]);
+    return $st->fetchAll(PDO::FETCH_ASSOC);
+}
@@ -0,0 +1,34 @@
+<?php
+// Клиент сообщает, что прогресс изменился; уровень и число зданий сервер берёт из открытого профиля
+// в Firestore (publicProfiles/tg_<id>), который пишет функция проверки экономики из проверенных значений.
+// При достижении рубежа открываются отложенные награды за приглашение этого игрока.
+require_once __DIR__ . '/referral_rewards.php';
+require_once __DIR__ . '/telegram_init_data.php';
+require_once __DIR__ . '/firebase_service_account.php';
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+header('Content-Type: application/json');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') { http_response_code(200); exit(); }
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') { echo json_encode(['success'=>false,'error'=>'POST only']); exit(); }
+
+$me     = requireTelegramUser()['id'];
+$device = hashFingerprint(isset($_POST['deviceId']) ? trim($_POST['deviceId']) : '');
+
+try{
+    $profile   = getFirestoreDocument('publicProfiles/tg_' . $me) ?: [];
+    $level     = max(1, intval(isset($profile['level']) ? $profile['level'] : 1));
+    $buildings = max(1, intval(isset($profile['buildingsOwned']) ? $profile['buildingsOwned'] : 1));
+    $pdo = getPDO();
+    $progress = saveUserProgress($pdo, $me, $level, $buildings, $device, getClientIpHash());
+    $unlocked = unlockReadyReferralRewards($pdo, 'invitee', $me);
+    echo json_encode([
+        'success'=>true,
+        'milestone'=>hasReachedReferralMilestone($progress),
+        'unlocked'=>$unlocked
+    ]);
+}catch(Throwable $e){
+    echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
+}
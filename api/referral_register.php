@@ -1,5 +1,6 @@
 <?php
-require_once __DIR__ . '/referral_db.php';
+require_once __DIR__ . '/referral_rewards.php';
+require_once __DIR__ . '/telegram_init_data.php';
 
 header('Access-Control-Allow-Origin: *');
 header('Access-Control-Allow-Methods: POST, OPTIONS');
@@ -9,14 +10,23 @@ header('Content-Type: application/json');
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') { http_response_code(200); exit(); }
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') { echo json_encode(['success'=>false,'error'=>'POST only']); exit(); }
 
-$me      = isset($_POST['telegramId']) ? intval($_POST['telegramId']) : 0;
-$referer = isset($_POST['refererId'])  ? intval($_POST['refererId'])  : 0;
-// Профиль пользователя из Telegram (если доступен)
-$name    = isset($_POST['name']) ? trim($_POST['name']) : '';
-$surname = isset($_POST['surname']) ? trim($_POST['surname']) : '';
-$username= isset($_POST['username']) ? trim($_POST['username']) : '';
-$photo   = isset($_POST['profile_photo']) ? trim($_POST['profile_photo']) : '';
-if ($me<=0) { echo json_encode(['success'=>false,'error'=>'telegramId required']); exit(); }
+$auth    = requireTelegramUser();
+$me      = $auth['id'];
+// Пригласивший — только из start_param подписанного initData. Параметр refererId (ссылки ?refererId=
+// при локальном запуске) не подписан, поэтому принимается лишь в режиме разработки
+$referer = ctype_digit($auth['start_param']) ? intval($auth['start_param']) : 0;
+if (!$referer && isTelegramDevMode() && isset($_POST['refererId'])) {
+    $referer = intval($_POST['refererId']);
+}
+// Профиль пользователя из проверенного initData
+$user    = $auth['user'];
+$name    = isset($user['first_name']) ? trim($user['first_name']) : '';
+$surname = isset($user['last_name']) ? trim($user['last_name']) : '';
+$username= isset($user['username']) ? trim($user['username']) : '';
+$photo   = isset($user['photo_url']) ? trim($user['photo_url']) : '';
+// Отпечатки для проверки на повторные устройства
+$device  = hashFingerprint(isset($_POST['deviceId']) ? trim($_POST['deviceId']) : '');
+$ipHash  = getClientIpHash();
 
 try{
     $pdo = getPDO();
@@ -24,9 +34,18 @@ try{
     $stmt=$pdo->prepare('SELECT referredBy FROM users WHERE userId=? LIMIT 1');
     $stmt->execute([$me]);
     $exists=$stmt->fetch(PDO::FETCH_ASSOC);
+    $rewardStatus = null;
     if(!$exists){
+        $referer = $referer && $referer!=$me ? $referer : 0;
         $pdo->prepare('INSERT INTO users(userId, referredBy) VALUES(?, ?)')->execute([$me, $referer ?: null]);
+        // Награда за приглашение ждёт, пока новичок дойдёт до рубежа (api/referral_rewards.php)
+        if($referer){
+            $rewardStatus = createPendingReferralReward($pdo, $referer, $me, $device, $ipHash);
+            $pdo->prepare('UPDATE users SET referral_cnt = referral_cnt + 1 WHERE userId=?')
+                ->execute([$referer]);
+        }
     }
+    saveUserProgress($pdo, $me, 1, 1, $device, $ipHash);
 
     // Обновляем/вставляем профиль для аватарки/имени
     if($name || $surname || $username || $photo){
@@ -35,16 +54,8 @@ try{
             ->execute([$me, $name, $surname, $username, $photo]);
     }
 
-    // Начисляем награду за прямую регистрацию по приглашению: 200000 обоим
-    if($referer && $referer!=$me){
-        $pdo->prepare('UPDATE users SET rbc_balance = rbc_balance + 200000 WHERE userId IN (?, ?)')
-            ->execute([$referer, $me]);
-        // Увеличиваем счетчик рефералов пригласившему
-        $pdo->prepare('UPDATE users SET referral_cnt = referral_cnt + 1 WHERE userId=?')
-            ->execute([$referer]);
-    }
     $pdo->commit();
-    echo json_encode(['success'=>true]);
+    echo json_encode(['success'=>true,'reward_status'=>$rewardStatus]);
 }catch(Throwable $e){
     if($pdo->inTransaction()) $pdo->rollBack();
     echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
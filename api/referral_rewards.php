@@ -0,0 +1,119 @@
+<?php
+// Отложенные награды за приглашения. Награда создаётся в статусе pending при регистрации приглашённого
+// и открывается (unlocked), когда он доходит до игрового рубежа: второе здание или 5 уровень игрока.
+// Открытая награда начисляется обоим через журнал кредитов (api/referral_ledger.php) и получается кнопкой сбора.
+// Прогресс — проверенный сервером профиль из Firestore (api/referral_progress.php). Защита от накрутки:
+//   — не больше REFERRAL_DAILY_CAP открытых наград на пригласившего за сутки (остальные ждут);
+//   — устройство приглашённого уже встречалось у другого игрока или у пригласившего — blocked;
+//   — больше REFERRAL_MAX_PER_IP приглашений одного игрока с одного IP за сутки — blocked.
+require_once __DIR__ . '/referral_db.php';
+
+const REFERRAL_REWARD_AMOUNT = 200000;
+const REFERRAL_MILESTONE_LEVEL = 5;
+const REFERRAL_MILESTONE_BUILDINGS = 2;
+const REFERRAL_DAILY_CAP = 5;
+const REFERRAL_MAX_PER_IP = 3;
+const REFERRAL_DAY = 86400;
+
+// Отпечатки устройства и IP храним только хэшем
+function hashFingerprint(string $value): string {
+    return $value === '' ? '' : hash('sha256', $value);
+}
+
+function getClientIpHash(): string {
+    return hashFingerprint(isset($_SERVER['REMOTE_ADDR']) ? $_SERVER['REMOTE_ADDR'] : '');
+}
+
+function getUserProgress(PDO $pdo, int $userId): ?array {
+    $st = $pdo->prepare('SELECT user_id, player_level, buildings_owned, device_hash, ip_hash FROM user_progress WHERE user_id=? LIMIT 1');
+    $st->execute([$userId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+    return $row ?: null;
+}
+
+// Прогресс только растёт; отпечаток устройства запоминается первый
+function saveUserProgress(PDO $pdo, int $userId, int $level, int $buildings, string $deviceHash, string $ipHash): array {
+    $current = getUserProgress($pdo, $userId);
+    $next = [
+        'player_level' => max($level, $current ? intval($current['player_level']) : 1),
+        'buildings_owned' => max($buildings, $current ? intval($current['buildings_owned']) : 1),
+        'device_hash' => $current && $current['device_hash'] ? $current['device_hash'] : $deviceHash,
+        'ip_hash' => $ipHash ?: ($current ? $current['ip_hash'] : '')
+    ];
+    if ($current) {
+        $pdo->prepare('UPDATE user_progress SET player_level=?, buildings_owned=?, device_hash=?, ip_hash=?, updated_at=? WHERE user_id=?')
+            ->execute([$next['player_level'], $next['buildings_owned'], $next['device_hash'], $next['ip_hash'], time(), $userId]);
+    } else {
+        $pdo->prepare('INSERT INTO user_progress(user_id, player_level, buildings_owned, device_hash, ip_hash, updated_at) VALUES(?,?,?,?,?,?)')
+            ->execute([$userId, $next['player_level'], $next['buildings_owned'], $next['device_hash'], $next['ip_hash'], time()]);
+    }
+    return $next;
+}
+
+function hasReachedReferralMilestone(?array $progress): bool {
+    return $progress
+        && (intval($progress['player_level']) >= REFERRAL_MILESTONE_LEVEL
+            || intval($progress['buildings_owned']) >= REFERRAL_MILESTONE_BUILDINGS);
+}
+
+// Возвращает причину блокировки или пустую строку
+function detectReferralFraud(PDO $pdo, int $inviterId, int $inviteeId, string $deviceHash, string $ipHash): string {
+    if ($deviceHash !== '') {
+        $st = $pdo->prepare('SELECT COUNT(*) FROM user_progress WHERE device_hash=? AND user_id<>?');
+        $st->execute([$deviceHash, $inviteeId]);
+        if (intval($st->fetchColumn()) > 0) {
+            return 'duplicate_device';
+        }
+    }
+    if ($ipHash !== '') {
+        $st = $pdo->prepare('SELECT COUNT(*) FROM referral_rewards WHERE inviter_id=? AND ip_hash=? AND created_at>?');
+        $st->execute([$inviterId, $ipHash, time() - REFERRAL_DAY]);
+        if (intval($st->fetchColumn()) >= REFERRAL_MAX_PER_IP) {
+            return 'same_ip';
+        }
+    }
+    return '';
+}
+
+// Создаёт награду за приглашение; возвращает её статус (pending или blocked)
+function createPendingReferralReward(PDO $pdo, int $inviterId, int $inviteeId, string $deviceHash, string $ipHash): string {
+    $reason = detectReferralFraud($pdo, $inviterId, $inviteeId, $deviceHash, $ipHash);
+    $status = $reason === '' ? 'pending' : 'blocked';
+    $pdo->prepare('INSERT INTO referral_rewards(inviter_id, invitee_id, amount, status, reason, ip_hash, created_at) VALUES(?,?,?,?,?,?,?)')
+        ->execute([$inviterId, $inviteeId, REFERRAL_REWARD_AMOUNT, $status, $reason, $ipHash, time()]);
+    return $status;
+}
+
+// Открывает награды, у которых приглашённый дошёл до рубежа. $role — 'inviter' или 'invitee':
+// чьи награды проверять. Вызывается при отчёте о прогрессе и при запросе статистики пригласившим,
+// поэтому упёршиеся в суточный лимит награды откроются позже сами.
+function unlockReadyReferralRewards(PDO $pdo, string $role, int $userId): int {
+    $column = $role === 'inviter' ? 'inviter_id' : 'invitee_id';
+    $st = $pdo->prepare("SELECT id, inviter_id, invitee_id, amount FROM referral_rewards WHERE $column=? AND status='pending' ORDER BY created_at");
+    $st->execute([$userId]);
+    $unlocked = 0;
+    foreach ($st->fetchAll(PDO::FETCH_ASSOC) as $reward) {
+        if (!hasReachedReferralMilestone(getUserProgress($pdo, intval($reward['invitee_id'])))) {
+            continue;
+        }
+        $pdo->beginTransaction();
+        try {
+            $cap = $pdo->prepare("SELECT COUNT(*) FROM referral_rewards WHERE inviter_id=? AND status='unlocked' AND unlocked_at>?");
+            $cap->execute([$reward['inviter_id'], time() - REFERRAL_DAY]);
+            if (intval($cap->fetchColumn()) >= REFERRAL_DAILY_CAP) {
+                $pdo->prepare("UPDATE referral_rewards SET reason='daily_cap' WHERE id=?")->execute([$reward['id']]);
+                $pdo->commit();
+                continue;
+            }
+            // Условие на статус защищает от повторного открытия при параллельных запросах
+            $update = $pdo->prepare("UPDATE referral_rewards SET status='unlocked', reason='', unlocked_at=? WHERE id=? AND status='pending'");
+            $update->execute([time(), $reward['id']]);
+            $unlocked += $update->rowCount();
+            $pdo->commit();
+        } catch (Throwable $e) {
+            if ($pdo->inTransaction()) $pdo->rollBack();
+            throw $e;
+        }
+    }
+    return $unlocked;
+}
@@ -0,0 +1,83 @@
+<?php
+// Проверка подписи Telegram WebApp initData:
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// Токен бота берётся из переменной окружения TELEGRAM_BOT_TOKEN.
+// TELEGRAM_DEV_MODE=1 разрешает запросы без initData от локального dev-пользователя (devUserId).
+
+// Сколько секунд initData считается свежей
+const TELEGRAM_INIT_DATA_MAX_AGE = 86400;
+
+function getTelegramBotToken(): string {
+    $token = getenv('TELEGRAM_BOT_TOKEN');
+    if (!$token) {
+        throw new Exception('TELEGRAM_BOT_TOKEN is not configured');
+    }
+    return $token;
+}
+
+// Возвращает поля initData (user уже раскодирован в массив) или null, если подпись неверна или данные устарели
+function validateTelegramInitData(string $initData, string $botToken, int $maxAge = TELEGRAM_INIT_DATA_MAX_AGE): ?array {
+    parse_str($initData, $fields);
+    if (empty($fields['hash'])) {
+        return null;
+    }
+    $hash = $fields['hash'];
+    unset($fields['hash']);
+
+    ksort($fields);
+    $pairs = [];
+    foreach ($fields as $key => $value) {
+        $pairs[] = $key . '=' . $value;
+    }
+    $secretKey = hash_hmac('sha256', $botToken, 'WebAppData', true);
+    $expected = hash_hmac('sha256', implode("\n", $pairs), $secretKey);
+    if (!hash_equals($expected, $hash)) {
+        return null;
+    }
+
+    $authDate = isset($fields['auth_date']) ? intval($fields['auth_date']) : 0;
+    if ($authDate <= 0 || time() - $authDate > $maxAge) {
+        return null;
+    }
+
+    $fields['user'] = isset($fields['user']) ? json_decode($fields['user'], true) : null;
+    if (!is_array($fields['user']) || empty($fields['user']['id'])) {
+        return null;
+    }
+    return $fields;
+}
+
+function isTelegramDevMode(): bool {
+    return getenv('TELEGRAM_DEV_MODE') === '1';
+}
+
+// Пользователь запроса: id берётся только из проверенного initData (POST или GET-параметр initData).
+// Вне Telegram в режиме разработки принимается devUserId. Иначе отвечает 401 и завершает запрос.
+// Возвращает ['id' => int, 'user' => профиль из initData, 'start_param' => string]
+function requireTelegramUser(): array {
+    $initData = isset($_POST['initData']) ? trim($_POST['initData']) : (isset($_GET['initData']) ? trim($_GET['initData']) : '');
+    try {
+        if ($initData !== '') {
+            $fields = validateTelegramInitData($initData, getTelegramBotToken());
+            if ($fields) {
+                return [
+                    'id' => intval($fields['user']['id']),
+                    'user' => $fields['user'],
+                    'start_param' => isset($fields['start_param']) ? $fields['start_param'] : ''
+                ];
+            }
+        } elseif (isTelegramDevMode()) {
+            $devId = intval($_POST['devUserId'] ?? $_GET['devUserId'] ?? 0);
+            if ($devId > 0) {
+                return ['id' => $devId, 'user' => ['id' => $devId], 'start_param' => ''];
+            }
+        }
+    } catch (Throwable $e) {
+        http_response_code(500);
+        echo json_encode(['success'=>false,'error'=>$e->getMessage()]);
+        exit();
+    }
+    http_response_code(401);
+    echo json_encode(['success'=>false,'error'=>'invalid initData']);
+    exit();
+}
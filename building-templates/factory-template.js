@@ -147,10 +147,10 @@
         // Получаем актуальные данные
         const accumulatedProfit = calculateAccumulatedProfit();
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
-        const canUpgrade = playerMoney >= factoryData.upgradeCost;
+        const canUpgrade = window.bigNumber.cmp(playerMoney, factoryData.upgradeCost) >= 0;
         const canCollect = accumulatedProfit > 0;
-        const canHire = factoryData.workers < factoryData.maxWorkers && playerMoney >= 5000;
-        const canBuy = !factoryData.isOwned && playerMoney >= factoryData.purchaseCost;
+        const canHire = factoryData.workers < factoryData.maxWorkers && window.bigNumber.cmp(playerMoney, 5000) >= 0;
+        const canBuy = !factoryData.isOwned && window.bigNumber.cmp(playerMoney, factoryData.purchaseCost) >= 0;
         
         // Получаем назначенного сотрудника
         const assignedEmployee = window.getEmpByBuilding ? window.getEmpByBuilding('factory') : null;
@@ -305,10 +305,10 @@
     function buyFactory() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= factoryData.purchaseCost) {
+        if (window.bigNumber.cmp(playerMoney, factoryData.purchaseCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - factoryData.purchaseCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, factoryData.purchaseCost));
             }
             
             // Покупаем здание
@@ -341,7 +341,7 @@
             // Добавляем деньги к балансу
             if (window.setPlayerMoney && window.getPlayerMoney) {
                 const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + accumulatedProfit);
+                window.setPlayerMoney(window.bigNumber.add(currentMoney, accumulatedProfit));
             }
             
             // Сбрасываем накопленную прибыль
@@ -370,10 +370,10 @@
     function upgradeFactory() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= factoryData.upgradeCost) {
+        if (window.bigNumber.cmp(playerMoney, factoryData.upgradeCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - factoryData.upgradeCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, factoryData.upgradeCost));
             }
             
             // Улучшаем здание
@@ -407,6 +407,11 @@
         // Если lastCollectTime не установлен, прибыль не накапливается
         if (!factoryData.lastCollectTime) return 0;
         
+        // С offlineProgress прибыль завода включает бонус его сотрудника и перерождения; ниже — расчёт шаблона без них
+        if (window.offlineProgress) {
+            return window.offlineProgress.calculateBuildingProfit(factoryData, Date.now(), 'factory');
+        }
+        
         const currentTime = Date.now();
         const timeDiff = currentTime - factoryData.lastCollectTime;
         const hoursPassed = timeDiff / (1000 * 60 * 60);
@@ -440,12 +445,7 @@
     
     // === ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ===
     function formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'k';
-        }
-        return num.toString();
+        return window.bigNumber.format(num);
     }
     
     function closeFactoryPanel() {
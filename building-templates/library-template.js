@@ -146,9 +146,9 @@
         // Получаем актуальные данные
         const accumulatedProfit = calculateAccumulatedProfit();
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
-        const canUpgrade = playerMoney >= libraryData.upgradeCost;
+        const canUpgrade = window.bigNumber.cmp(playerMoney, libraryData.upgradeCost) >= 0;
         const canCollect = accumulatedProfit > 0;
-        const canHire = libraryData.workers < libraryData.maxWorkers && playerMoney >= 5000;
+        const canHire = libraryData.workers < libraryData.maxWorkers && window.bigNumber.cmp(playerMoney, 5000) >= 0;
         
         // Получаем назначенного сотрудника
         const assignedEmployee = window.getEmpByBuilding ? window.getEmpByBuilding('library') : null;
@@ -259,7 +259,7 @@
             // Добавляем деньги к балансу
             if (window.setPlayerMoney && window.getPlayerMoney) {
                 const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + accumulatedProfit);
+                window.setPlayerMoney(window.bigNumber.add(currentMoney, accumulatedProfit));
             }
             
             // Сбрасываем накопленную прибыль
@@ -288,10 +288,10 @@
     function upgradeLibrary() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= libraryData.upgradeCost) {
+        if (window.bigNumber.cmp(playerMoney, libraryData.upgradeCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - libraryData.upgradeCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, libraryData.upgradeCost));
             }
             
             // Улучшаем здание
@@ -325,6 +325,11 @@
         // Если lastCollectTime не установлен, прибыль не накапливается
         if (!libraryData.lastCollectTime) return 0;
         
+        // Тот же расчёт, что при сборе в игре: сотрудник библиотеки учитывается по id 'library' из реестра зданий
+        if (window.offlineProgress) {
+            return window.offlineProgress.calculateBuildingProfit(libraryData, Date.now(), 'library');
+        }
+        
         const currentTime = Date.now();
         const timeDiff = currentTime - libraryData.lastCollectTime;
         const hoursPassed = timeDiff / (1000 * 60 * 60);
@@ -353,12 +358,7 @@
     
     // === ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ===
     function formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'k';
-        }
-        return num.toString();
+        return window.bigNumber.format(num);
     }
     
     function closeLibraryPanel() {
@@ -163,11 +163,11 @@
         // Получаем актуальные данные
         const accumulatedProfit = calculateAccumulatedProfit();
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
-        const canUpgrade = playerMoney >= printData.upgradeCost;
+        const canUpgrade = window.bigNumber.cmp(playerMoney, printData.upgradeCost) >= 0;
         const canCollect = accumulatedProfit > 0;
-        const canHire = printData.workers < printData.maxWorkers && playerMoney >= 5000;
-        const canBuy = !printData.isOwned && playerMoney >= printData.purchaseCost;
-        const canPrint = !printData.isPrinting && playerMoney >= PRINT_CONFIG.printCost;
+        const canHire = printData.workers < printData.maxWorkers && window.bigNumber.cmp(playerMoney, 5000) >= 0;
+        const canBuy = !printData.isOwned && window.bigNumber.cmp(playerMoney, printData.purchaseCost) >= 0;
+        const canPrint = !printData.isPrinting && window.bigNumber.cmp(playerMoney, PRINT_CONFIG.printCost) >= 0;
         
         // Получаем назначенного сотрудника
         const assignedEmployee = window.getEmpByBuilding ? window.getEmpByBuilding('print') : null;
@@ -391,10 +391,10 @@
     function buyPrint() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= printData.purchaseCost) {
+        if (window.bigNumber.cmp(playerMoney, printData.purchaseCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - printData.purchaseCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, printData.purchaseCost));
             }
             
             // Покупаем здание
@@ -427,7 +427,7 @@
             // Добавляем деньги к балансу
             if (window.setPlayerMoney && window.getPlayerMoney) {
                 const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + accumulatedProfit);
+                window.setPlayerMoney(window.bigNumber.add(currentMoney, accumulatedProfit));
             }
             
             // Сбрасываем накопленную прибыль
@@ -456,10 +456,10 @@
     function upgradePrint() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= printData.upgradeCost) {
+        if (window.bigNumber.cmp(playerMoney, printData.upgradeCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - printData.upgradeCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, printData.upgradeCost));
             }
             
             // Улучшаем здание
@@ -490,10 +490,10 @@
     function startPrint() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= PRINT_CONFIG.printCost) {
+        if (window.bigNumber.cmp(playerMoney, PRINT_CONFIG.printCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - PRINT_CONFIG.printCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, PRINT_CONFIG.printCost));
             }
             
             // Получаем параметры печати
@@ -530,10 +530,10 @@
     function expeditePrint() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= PRINT_CONFIG.expediteCost && printData.isPrinting && !printData.isExpedited) {
+        if (window.bigNumber.cmp(playerMoney, PRINT_CONFIG.expediteCost) >= 0 && printData.isPrinting && !printData.isExpedited) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - PRINT_CONFIG.expediteCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, PRINT_CONFIG.expediteCost));
             }
             
             // Ускоряем печать
@@ -629,6 +629,11 @@
         // Если lastCollectTime не установлен, прибыль не накапливается
         if (!printData.lastCollectTime) return 0;
         
+        // Доход типографии считает offlineProgress — так в прибыль попадает бонус её сотрудника
+        if (window.offlineProgress) {
+            return window.offlineProgress.calculateBuildingProfit(printData, Date.now(), 'print');
+        }
+        
         const currentTime = Date.now();
         const timeDiff = currentTime - printData.lastCollectTime;
         const hoursPassed = timeDiff / (1000 * 60 * 60);
@@ -662,12 +667,7 @@
     
     // === ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ===
     function formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'k';
-        }
-        return num.toString();
+        return window.bigNumber.format(num);
     }
     
     function closePrintPanel() {
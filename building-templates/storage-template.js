@@ -158,10 +158,10 @@
         // Получаем актуальные данные
         const accumulatedProfit = calculateAccumulatedProfit();
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
-        const canUpgrade = playerMoney >= storageData.upgradeCost;
+        const canUpgrade = window.bigNumber.cmp(playerMoney, storageData.upgradeCost) >= 0;
         const canCollect = accumulatedProfit > 0;
-        const canHire = storageData.workers < storageData.maxWorkers && playerMoney >= 5000;
-        const canBuy = !storageData.isOwned && playerMoney >= storageData.purchaseCost;
+        const canHire = storageData.workers < storageData.maxWorkers && window.bigNumber.cmp(playerMoney, 5000) >= 0;
+        const canBuy = !storageData.isOwned && window.bigNumber.cmp(playerMoney, storageData.purchaseCost) >= 0;
         
         // Получаем назначенного сотрудника
         const assignedEmployee = window.getEmpByBuilding ? window.getEmpByBuilding('storage') : null;
@@ -348,10 +348,10 @@
     function buyStorage() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= storageData.purchaseCost) {
+        if (window.bigNumber.cmp(playerMoney, storageData.purchaseCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - storageData.purchaseCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, storageData.purchaseCost));
             }
             
             // Покупаем здание
@@ -384,7 +384,7 @@
             // Добавляем деньги к балансу
             if (window.setPlayerMoney && window.getPlayerMoney) {
                 const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + accumulatedProfit);
+                window.setPlayerMoney(window.bigNumber.add(currentMoney, accumulatedProfit));
             }
             
             // Сбрасываем накопленную прибыль
@@ -413,10 +413,10 @@
     function upgradeStorage() {
         const playerMoney = window.getPlayerMoney ? window.getPlayerMoney() : 0;
         
-        if (playerMoney >= storageData.upgradeCost) {
+        if (window.bigNumber.cmp(playerMoney, storageData.upgradeCost) >= 0) {
             // Списываем деньги
             if (window.setPlayerMoney) {
-                window.setPlayerMoney(playerMoney - storageData.upgradeCost);
+                window.setPlayerMoney(window.bigNumber.sub(playerMoney, storageData.upgradeCost));
             }
             
             // Улучшаем здание
@@ -561,7 +561,7 @@
         // Добавляем награду
         if (window.setPlayerMoney && window.getPlayerMoney) {
             const currentMoney = window.getPlayerMoney();
-            window.setPlayerMoney(currentMoney + order.reward);
+            window.setPlayerMoney(window.bigNumber.add(currentMoney, order.reward));
         }
         
         // Удаляем заказ
@@ -599,6 +599,11 @@
         // Если lastCollectTime не установлен, прибыль не накапливается
         if (!storageData.lastCollectTime) return 0;
         
+        // Почта в реестре зданий — 'storage': по этому id offlineProgress добавляет бонус сотрудника почты
+        if (window.offlineProgress) {
+            return window.offlineProgress.calculateBuildingProfit(storageData, Date.now(), 'storage');
+        }
+        
         const currentTime = Date.now();
         const timeDiff = currentTime - storageData.lastCollectTime;
         const hoursPassed = timeDiff / (1000 * 60 * 60);
@@ -632,12 +637,7 @@
     
     // === ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ===
     function formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'k';
-        }
-        return num.toString();
+        return window.bigNumber.format(num);
     }
     
     function closeStoragePanel() {
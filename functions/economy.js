@@ -0,0 +1,326 @@
+'use strict';
+
+// Модель экономики для серверной проверки сохранений: сколько игрок мог заработать
+// и сколько должен был потратить между двумя проверками.
+// Цифры повторяют js/services/building-registry.js, offline-progress.js, prestige.js и shop-catalog.js;
+// расхождение ловит test/economy.test.js («цифры модели совпадают с балансом игры»).
+const HOUR_MS = 60 * 60 * 1000;
+
+const BUILDINGS = {
+    library: {
+        costs: { purchase: 0, upgrade: 5000, worker: 5000 },
+        income: { base: 2000, growth: 1.25 },
+        upgrade: { growth: 1.5, maxLevel: 5 },
+        slots: 4,
+        // Продажа журналов на полках: покупателей в час × лучшая цена
+        shelves: { customersPerHour: 60, perLevel: 0.25, price: 200 }
+    },
+    factory: {
+        costs: { purchase: 20000, upgrade: 5000, worker: 5000 },
+        income: { base: 3000, growth: 1.25 },
+        upgrade: { growth: 1.5, maxLevel: 5 },
+        slots: 5
+    },
+    storage: {
+        costs: { purchase: 15000, upgrade: 8000, worker: 5000 },
+        income: { base: 3000, growth: 1.25 },
+        upgrade: { growth: 1.5, maxLevel: 5 },
+        slots: 2
+    },
+    print: {
+        costs: { purchase: 25000, upgrade: 10000, worker: 5000 },
+        income: { base: 5000, growth: 1.25 },
+        upgrade: { growth: 1.5, maxLevel: 5 },
+        slots: 3
+    }
+};
+
+const LIMITS = {
+    workerBonus: 0.2,
+    // Бонусы перерождения на максимуме: доход ×3 (20 уровней по +10%), +3 работника
+    maxIncomeMultiplier: 3,
+    maxExtraWorkers: 3,
+    // Сотрудник здания (js/services/employee-roster.js): 5★ на 10 уровне с перками даёт +43% дохода,
+    // черта «выработка» библиотеки — до +59% посетителей
+    maxEmployeeBonus: 0.6,
+    // Запас на неточность модели (округления, часы устройства)
+    tolerance: 1.5,
+    // Сколько часов дохода может копиться в зданиях до сбора
+    accrualHours: 48,
+    // Задания, сундуки, достижения и партнёрские награды — разовые суммы сверх дохода зданий
+    rewards: { perHour: 20000, max: 150000 },
+    // Кредиты покупаются за деньги (50 за 30 000) и выпадают из сундуков
+    creditsPerMoney: 50 / 30000,
+    creditRewards: { perHour: 100, max: 500 },
+    // Уровень игрока (опыт за продажи и улучшения) сервер не пересчитывает, только ограничивает рост
+    levels: { perHour: 2, max: 10 }
+};
+
+// Начальное состояние нового игрока (как в gameState и createDefaultBuildingsData)
+const STARTING_BALANCE = 100;
+
+function levelOf(building) {
+    return Math.max(1, parseInt(building && building.level, 10) || 1);
+}
+
+function workersOf(building) {
+    return Math.max(0, parseInt(building && building.workers, 10) || 0);
+}
+
+function incomeAt(id, level) {
+    const { income } = BUILDINGS[id];
+    let value = income.base;
+    for (let l = 1; l < level; l += 1) {
+        value = Math.floor(value * income.growth);
+    }
+    return value;
+}
+
+function upgradeCostAt(id, level) {
+    const definition = BUILDINGS[id];
+    if (level >= definition.upgrade.maxLevel) {
+        return 0;
+    }
+    let cost = definition.costs.upgrade;
+    for (let l = 1; l < level; l += 1) {
+        cost = Math.floor(cost * definition.upgrade.growth);
+    }
+    return cost;
+}
+
+// Верхняя граница дохода здания в час при любых работниках, сотруднике и бонусах перерождения
+function maxHourlyIncome(id, building) {
+    if (!building || !building.isOwned) {
+        return 0;
+    }
+    const definition = BUILDINGS[id];
+    const level = levelOf(building);
+    const workersFactor = 1 + (definition.slots + LIMITS.maxExtraWorkers) * LIMITS.workerBonus;
+    const employeeFactor = 1 + LIMITS.maxEmployeeBonus;
+    let hourly = incomeAt(id, level) * workersFactor * employeeFactor * LIMITS.maxIncomeMultiplier;
+    if (definition.shelves) {
+        const { customersPerHour, perLevel, price } = definition.shelves;
+        hourly += customersPerHour * (1 + (level - 1) * perLevel) * workersFactor * employeeFactor * price;
+    }
+    return hourly;
+}
+
+// Стоимость перехода здания из состояния from в состояние to: покупка, улучшения, наём
+function transitionCost(id, from, to) {
+    const definition = BUILDINGS[id];
+    let cost = 0;
+    if (to.isOwned && !from.isOwned) {
+        cost += definition.costs.purchase;
+    }
+    for (let level = from.isOwned ? levelOf(from) : 1; level < levelOf(to); level += 1) {
+        cost += upgradeCostAt(id, level);
+    }
+    cost += Math.max(0, workersOf(to) - workersOf(from)) * definition.costs.worker;
+    return cost;
+}
+
+function isPossible(id, building) {
+    const definition = BUILDINGS[id];
+    return levelOf(building) <= definition.upgrade.maxLevel
+        && workersOf(building) <= definition.slots + LIMITS.maxExtraWorkers;
+}
+
+function ledgerBuilding(building) {
+    return {
+        isOwned: Boolean(building && building.isOwned),
+        level: levelOf(building),
+        workers: workersOf(building)
+    };
+}
+
+function createStartingLedger(validatedAt) {
+    const buildings = {};
+    Object.keys(BUILDINGS).forEach((id) => {
+        buildings[id] = { isOwned: id === 'library', level: 1, workers: 0 };
+    });
+    return {
+        balance: STARTING_BALANCE,
+        credits: 0,
+        buildings,
+        allowance: LIMITS.rewards.max,
+        creditAllowance: LIMITS.creditRewards.max,
+        level: 1,
+        levelAllowance: LIMITS.levels.max,
+        earned: 0,
+        grantedCredits: 0,
+        validatedAt
+    };
+}
+
+// Ledger по сохранению, которому нечем подтвердить прогресс (документ появился до серверной проверки):
+// баланс, кредиты, уровень и заработок принимаются как есть, здания — в пределах возможных уровней и работников
+function createLedgerFromSave(claimed, validatedAt) {
+    const buildings = {};
+    Object.keys(BUILDINGS).forEach((id) => {
+        const definition = BUILDINGS[id];
+        const building = ledgerBuilding(claimed.buildingsData && claimed.buildingsData[id]);
+        buildings[id] = {
+            isOwned: building.isOwned || id === 'library',
+            level: Math.min(building.level, definition.upgrade.maxLevel),
+            workers: Math.min(building.workers, definition.slots + LIMITS.maxExtraWorkers)
+        };
+    });
+    return {
+        balance: Math.max(0, Number(claimed.balance) || 0),
+        credits: Math.max(0, Number(claimed.credits) || 0),
+        buildings,
+        allowance: LIMITS.rewards.max,
+        creditAllowance: LIMITS.creditRewards.max,
+        level: Math.max(1, Number(claimed.level) || 1),
+        levelAllowance: LIMITS.levels.max,
+        earned: Math.max(0, Number(claimed.earned) || 0),
+        grantedCredits: 0,
+        validatedAt
+    };
+}
+
+// Сверяет заявленное сохранение с последним проверенным (ledger).
+// claimed: { balance, credits, buildingsData, level } — как в сохранении клиента.
+// grantedCredits — сколько кредитов всего начислил сервер (награды за рефералов, economy.grants.credits);
+// новые начисления прибавляются к допустимым кредитам сверх запаса.
+// Возвращает исправленные значения, новый ledger и причины, по которым сохранение исправлено.
+//
+// Заработать можно не больше, чем накоплено в ledger.allowance: запас пополняется доходом зданий
+// по максимальной ставке и наградами и ограничен accrualHours часами дохода — столько прибыль может
+// копиться в зданиях до сбора. Частые проверки поэтому не дают лишнего, а редкий сбор не штрафуется.
+function validate(ledger, claimed, now, grantedCredits = 0) {
+    const reasons = [];
+    const hours = Math.max(0, now - ledger.validatedAt) / HOUR_MS;
+    const buildingsData = claimed.buildingsData ? { ...claimed.buildingsData } : null;
+
+    // Ставку считаем по лучшему из двух состояний зданий: улучшение могло случиться в начале периода
+    let hourly = 0;
+    Object.keys(BUILDINGS).forEach((id) => {
+        const before = ledger.buildings[id] || ledgerBuilding(null);
+        const after = buildingsData && buildingsData[id] ? ledgerBuilding(buildingsData[id]) : before;
+        hourly += Math.max(maxHourlyIncome(id, before), maxHourlyIncome(id, after)) * LIMITS.tolerance;
+    });
+    const allowance = refill(ledger.allowance, {
+        perHour: hourly + LIMITS.rewards.perHour,
+        max: hourly * LIMITS.accrualHours + LIMITS.rewards.max
+    }, hours);
+    const creditAllowance = refill(ledger.creditAllowance, {
+        perHour: (hourly + LIMITS.rewards.perHour) * LIMITS.creditsPerMoney + LIMITS.creditRewards.perHour,
+        max: (hourly * LIMITS.accrualHours + LIMITS.rewards.max) * LIMITS.creditsPerMoney + LIMITS.creditRewards.max
+    }, hours);
+
+    // Здания: невозможные уровни и неоплаченные улучшения откатываются к проверенному состоянию.
+    // Откат к резервной копии возвращает здание на прежний уровень вместе с деньгами до покупки (refund).
+    let spent = 0;
+    let refund = 0;
+    let buildingsChanged = false;
+    if (buildingsData) {
+        const increases = [];
+        Object.keys(BUILDINGS).forEach((id) => {
+            const before = ledger.buildings[id] || ledgerBuilding(null);
+            const current = buildingsData[id];
+            if (!current) {
+                return;
+            }
+            if (!isPossible(id, current)) {
+                reasons.push(`building:${id}:impossible`);
+                buildingsData[id] = revertBuilding(id, current, before);
+                buildingsChanged = true;
+                return;
+            }
+            const after = ledgerBuilding(current);
+            const cost = transitionCost(id, before, after);
+            if (cost > 0) {
+                increases.push({ id, cost, before });
+            }
+            refund += transitionCost(id, after, before);
+        });
+        spent = increases.reduce((sum, entry) => sum + entry.cost, 0);
+        if (spent > ledger.balance + allowance + refund) {
+            reasons.push('buildings:unaffordable');
+            increases.forEach((entry) => {
+                buildingsData[entry.id] = revertBuilding(entry.id, buildingsData[entry.id], entry.before);
+            });
+            buildingsChanged = true;
+            spent = 0;
+        }
+    }
+
+    const maxBalance = Math.max(0, Math.floor(ledger.balance + allowance + refund - spent));
+    let balance = Number(claimed.balance) || 0;
+    if (balance > maxBalance) {
+        reasons.push('balance:impossible');
+        balance = maxBalance;
+    }
+    const earned = Math.max(0, balance + spent - refund - ledger.balance);
+
+    const granted = Math.max(ledger.grantedCredits || 0, grantedCredits);
+    const grant = granted - (ledger.grantedCredits || 0);
+    const maxCredits = Math.floor(ledger.credits + grant + creditAllowance);
+    let credits = Number(claimed.credits) || 0;
+    if (credits > maxCredits) {
+        reasons.push('credits:impossible');
+        credits = maxCredits;
+    }
+    const creditsEarned = Math.max(0, credits - ledger.credits - grant);
+
+    // Уровень может и упасть (восстановление копии), а вырасти — не больше запаса
+    const verifiedLevel = ledger.level || 1;
+    const levelAllowance = refill(ledger.levelAllowance, LIMITS.levels, hours);
+    const level = Number.isFinite(claimed.level)
+        ? Math.max(1, Math.min(claimed.level, Math.floor(verifiedLevel + levelAllowance)))
+        : verifiedLevel;
+
+    const buildings = {};
+    Object.keys(BUILDINGS).forEach((id) => {
+        buildings[id] = buildingsData && buildingsData[id]
+            ? ledgerBuilding(buildingsData[id])
+            : (ledger.buildings[id] || ledgerBuilding(null));
+    });
+
+    return {
+        balance,
+        credits,
+        buildingsData: buildingsChanged ? buildingsData : null,
+        reasons,
+        ledger: {
+            balance,
+            credits,
+            buildings,
+            allowance: Math.floor(Math.max(0, allowance - earned)),
+            creditAllowance: Math.floor(Math.max(0, creditAllowance - creditsEarned)),
+            level,
+            levelAllowance: Math.max(0, levelAllowance - Math.max(0, level - verifiedLevel)),
+            // Заработано за всё время проверок — для открытого профиля
+            earned: (ledger.earned || 0) + earned,
+            grantedCredits: granted,
+            validatedAt: now
+        }
+    };
+}
+
+// Запас пополняется с момента прошлой проверки; у нового ledger он сразу полный
+function refill(stored, bucket, hours) {
+    const current = typeof stored === 'number' ? stored : bucket.max;
+    return Math.min(bucket.max, current + bucket.perHour * hours);
+}
+
+// Возвращает запись здания к проверенным уровню, владению и работникам
+function revertBuilding(id, building, verified) {
+    return {
+        ...building,
+        isOwned: verified.isOwned,
+        level: verified.level,
+        workers: verified.workers,
+        income: incomeAt(id, verified.level),
+        upgradeCost: upgradeCostAt(id, verified.level)
+    };
+}
+
+module.exports = {
+    BUILDINGS,
+    LIMITS,
+    createStartingLedger,
+    createLedgerFromSave,
+    validate
+};
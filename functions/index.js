@@ -0,0 +1,229 @@
+'use strict';
+
+// Серверная проверка экономики. Клиент пишет баланс, кредиты и здания прямо в players/{uid}.data,
+// поэтому каждое изменение этих ключей сверяется с последним проверенным состоянием (economy.ledger):
+// невозможный прирост обрезается, аккаунт помечается, исправленное значение уходит обратно в data
+// с новой версией ключа, и клиент принимает его вместо своего. Открытый профиль для друзей
+// (publicProfiles/{uid}) тоже пишется здесь, из проверенных значений. Кредиты, которые начислил
+// сервер рефералов (economy.grants.credits, api/referral_ledger.php), принимаются сверх запаса.
+//
+// validateEconomy — callable для клиента (ответ сразу содержит исправления),
+// validateEconomyOnWrite — тот же расчёт на каждую запись, чтобы проверку нельзя было просто не вызывать.
+// linkAnonymousSave — перенос ledger анонимного сохранения в аккаунт Telegram при первом входе.
+// Локально: firebase emulators:start (функции на 5001, Firestore на 8080, Auth на 9099).
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldPath, FieldValue } = require('firebase-admin/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { BUILDINGS, createStartingLedger, createLedgerFromSave, validate } = require('./economy');
+
+initializeApp();
+const db = getFirestore();
+
+const ECONOMY_KEYS = ['balance', 'credits', 'buildingsData'];
+// Их запись (и смена имени в profile) запускает проверку: от них зависит открытый профиль
+const PROFILE_KEYS = ECONOMY_KEYS.concat('playerLevel');
+
+function parseJSON(raw) {
+    if (typeof raw !== 'string') {
+        return null;
+    }
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+function claimedOf(data) {
+    const achievements = parseJSON(data.achievements);
+    return {
+        balance: parseFloat(data.balance),
+        credits: parseInt(data.credits, 10),
+        buildingsData: parseJSON(data.buildingsData),
+        level: parseInt(data.playerLevel, 10),
+        // Заработок из статистики достижений нужен только сохранениям, которые принимаются как есть
+        earned: achievements && achievements.stats ? Number(achievements.stats.moneyEarned) : 0
+    };
+}
+
+// Первая проверка аккаунта. Новый документ проверяется с первой же записи (validateEconomyOnWrite
+// заводит ledger сразу), поэтому документ без ledger старше GRANDFATHER_MS создан до появления
+// проверки — его сохранение принимается как есть. Иначе игрок начал с нуля в момент создания документа.
+const GRANDFATHER_MS = 10 * 60 * 1000;
+
+function createBaseline(snapshot, claimed, now) {
+    const createdAt = snapshot.createTime.toMillis();
+    return now - createdAt > GRANDFATHER_MS
+        ? createLedgerFromSave(claimed, now)
+        : createStartingLedger(createdAt);
+}
+
+function sameLedger(a, b) {
+    return Boolean(a) && a.balance === b.balance && a.credits === b.credits
+        && a.level === b.level && a.earned === b.earned && a.grantedCredits === b.grantedCredits
+        && JSON.stringify(a.buildings) === JSON.stringify(b.buildings);
+}
+
+// Профиль для друзей: уровень, здания и заработок — из проверенного ledger, имя — из профиля сохранения.
+// Друзья ищутся по Telegram id, поэтому профиль есть только у аккаунтов Telegram
+function buildPublicProfile(player, ledger) {
+    const ids = Object.keys(BUILDINGS);
+    const owned = ids.filter((id) => ledger.buildings[id] && ledger.buildings[id].isOwned).length;
+    return {
+        username: String((player.profile && player.profile.username) || '').slice(0, 64),
+        level: ledger.level,
+        buildingsLabel: `${owned}/${ids.length}`,
+        buildingsOwned: owned,
+        totalEarned: Math.floor(ledger.earned)
+    };
+}
+
+// Возвращает { corrections: { ключ: значение }, versions: { ключ: версия }, reasons }
+async function validatePlayer(uid) {
+    const docRef = db.collection('players').doc(uid);
+    const profileRef = uid.startsWith('tg_') ? db.collection('publicProfiles').doc(uid) : null;
+    return db.runTransaction(async (tx) => {
+        const snapshot = await tx.get(docRef);
+        const published = profileRef ? (await tx.get(profileRef)).data() || {} : null;
+        const response = { corrections: {}, versions: {}, reasons: [] };
+        if (!snapshot.exists) {
+            return response;
+        }
+        const player = snapshot.data();
+        const data = player.data || {};
+        const economy = player.economy || {};
+        const now = Date.now();
+        const claimed = claimedOf(data);
+        const ledger = economy.ledger || createBaseline(snapshot, claimed, now);
+        const result = validate(ledger, claimed, now, Number(economy.grants && economy.grants.credits) || 0);
+
+        const corrected = {};
+        if (data.balance !== undefined && result.balance !== parseFloat(data.balance)) {
+            corrected.balance = String(result.balance);
+        }
+        if (data.credits !== undefined && result.credits !== parseInt(data.credits, 10)) {
+            corrected.credits = String(result.credits);
+        }
+        if (result.buildingsData) {
+            corrected.buildingsData = JSON.stringify(result.buildingsData);
+        }
+
+        const keys = Object.keys(corrected);
+        const profile = published && buildPublicProfile(player, result.ledger);
+        const profileChanged = Boolean(profile) && Object.keys(profile).some((key) => profile[key] !== published[key]);
+        if (!keys.length && sameLedger(economy.ledger, result.ledger) && !profileChanged) {
+            return response;
+        }
+        if (profileChanged) {
+            tx.set(profileRef, { ...profile, updatedAt: FieldValue.serverTimestamp() });
+        }
+        const updates = [new FieldPath('economy', 'ledger'), result.ledger];
+        if (keys.length) {
+            const versions = player.versions || {};
+            keys.forEach((key) => {
+                const version = (versions[key] || 0) + 1;
+                updates.push(new FieldPath('data', key), corrected[key]);
+                updates.push(new FieldPath('versions', key), version);
+                updates.push(new FieldPath('economy', 'corrections', key), version);
+                response.corrections[key] = corrected[key];
+                response.versions[key] = version;
+            });
+            response.reasons = result.reasons;
+            updates.push(new FieldPath('economy', 'flags', 'count'), FieldValue.increment(1));
+            updates.push(new FieldPath('economy', 'flags', 'lastAt'), now);
+            updates.push(new FieldPath('economy', 'flags', 'lastReasons'), result.reasons);
+            tx.set(db.collection('flaggedPlayers').doc(uid), {
+                uid,
+                count: FieldValue.increment(1),
+                lastAt: now,
+                lastReasons: result.reasons
+            }, { merge: true });
+            console.warn(`[economy] ${uid} corrected: ${result.reasons.join(', ')}`);
+        }
+        tx.update(docRef, ...updates);
+        return response;
+    });
+}
+
+exports.validateEconomy = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in required');
+    }
+    return validatePlayer(request.auth.uid);
+});
+
+// Переносит проверенное состояние анонимного документа в аккаунт Telegram. Связь пишет только сервер:
+// владение анонимным документом подтверждает его ID-токен, а перенесённый ledger помечается
+// использованным (economy.linkedTo), чтобы одно сохранение не стало основой для нескольких аккаунтов.
+async function linkPlayers(sourceUid, targetUid) {
+    const sourceRef = db.collection('players').doc(sourceUid);
+    const targetRef = db.collection('players').doc(targetUid);
+    return db.runTransaction(async (tx) => {
+        const [source, target] = await Promise.all([tx.get(sourceRef), tx.get(targetRef)]);
+        if (!source.exists) {
+            return { linked: false };
+        }
+        const linkedTo = source.get('economy.linkedTo');
+        if (linkedTo === targetUid) {
+            return { linked: true };
+        }
+        if (linkedTo) {
+            throw new HttpsError('already-exists', 'Save already linked to another account');
+        }
+        const now = Date.now();
+        const ledger = source.get('economy.ledger')
+            || createBaseline(source, claimedOf(source.get('data') || {}), now);
+        const targetLedger = target.exists ? target.get('economy.ledger') : null;
+        // У аккаунта Telegram уже может быть своё сохранение: остаётся ledger с большим балансом.
+        // Начисления сервера (economy.grants) принадлежат аккаунту Telegram, учтённые в его ledger не повторяются
+        if (!targetLedger || ledger.balance > targetLedger.balance) {
+            const grantedCredits = (targetLedger && targetLedger.grantedCredits) || 0;
+            tx.set(targetRef, { economy: { ledger: { ...ledger, grantedCredits }, linkedFrom: sourceUid } }, { merge: true });
+        }
+        tx.set(sourceRef, { economy: { linkedTo: targetUid, linkedAt: now } }, { merge: true });
+        return { linked: true };
+    });
+}
+
+exports.linkAnonymousSave = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in required');
+    }
+    if (!request.auth.uid.startsWith('tg_')) {
+        throw new HttpsError('failed-precondition', 'Telegram account required');
+    }
+    const token = request.data && request.data.anonymousToken;
+    if (typeof token !== 'string') {
+        throw new HttpsError('invalid-argument', 'Anonymous token required');
+    }
+    let decoded;
+    try {
+        decoded = await getAuth().verifyIdToken(token);
+    } catch (error) {
+        throw new HttpsError('permission-denied', 'Invalid anonymous token');
+    }
+    if (decoded.firebase.sign_in_provider !== 'anonymous') {
+        throw new HttpsError('permission-denied', 'Only anonymous saves can be linked');
+    }
+    return linkPlayers(decoded.uid, request.auth.uid);
+});
+
+exports.validateEconomyOnWrite = onDocumentWritten('players/{uid}', async (event) => {
+    if (!event.data.after.exists) {
+        return;
+    }
+    const before = (event.data.before.exists && event.data.before.data()) || {};
+    const after = event.data.after.data();
+    const beforeData = before.data || {};
+    const afterData = after.data || {};
+    const username = (player) => player.profile && player.profile.username;
+    // Запись одного ledger сюда не доходит; после исправления повторная проверка ничего не меняет.
+    // Документ без ledger проверяется при любой записи — так ledger появляется с первой записи нового игрока
+    if (after.economy && after.economy.ledger && username(before) === username(after)
+        && PROFILE_KEYS.every((key) => beforeData[key] === afterData[key])) {
+        return;
+    }
+    await validatePlayer(event.params.uid);
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+// Клиентская синхронизация (js/services/firebase-storage.js и cloud-outbox.js) на эмуляторах Firestore и Auth:
+// очередь записей в IndexedDB, повтор после обрыва связи, отправка при возвращении сети и после перезапуска.
+// Скрипты игры выполняются в jsdom, IndexedDB — fake-indexeddb, общий для «перезапусков» вкладки.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const PROJECT_ID = 'demo-booke-coin';
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST);
+const SCRIPTS = ['building-registry.js', 'save-merge.js', 'cloud-outbox.js', 'firebase-storage.js']
+    .map((file) => fs.readFileSync(path.join(__dirname, '../../js/services', file), 'utf8'));
+
+// Ждёт, пока check() вернёт истину
+async function until(check, timeout = 20000) {
+    const started = Date.now();
+    while (!(await check())) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for sync');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+}
+
+test('синхронизация сохранения', { skip: !emulated && 'нужны эмуляторы Firestore и Auth' }, async (t) => {
+    const { JSDOM } = require('jsdom');
+    const { indexedDB } = require('fake-indexeddb');
+    const firebase = require('firebase/compat/app').default;
+    require('firebase/compat/auth');
+    require('firebase/compat/firestore');
+    const admin = require('firebase-admin/app');
+    const { getFirestore } = require('firebase-admin/firestore');
+
+    // SDK уже подключён к эмуляторам, как после первой загрузки страницы; вкладки его переиспользуют
+    const config = { apiKey: 'fake-key', projectId: PROJECT_ID };
+    firebase.initializeApp(config);
+    firebase.auth().useEmulator(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    firebase.firestore().useEmulator(host, Number(port));
+    const db = getFirestore(admin.initializeApp({ projectId: PROJECT_ID }, 'sync-test'));
+    const games = [];
+
+    t.afterEach(async () => {
+        games.splice(0).forEach((game) => game.window.close());
+        await firebase.auth().signOut();
+    });
+    t.after(async () => {
+        await firebase.app().delete();
+        await Promise.all(admin.getApps().map((app) => admin.deleteApp(app)));
+    });
+
+    // Вкладка игры со своим localStorage и состоянием сети
+    function openGame(storage) {
+        const { window } = new JSDOM('<!doctype html><body></body>', { url: 'http://localhost/', runScripts: 'outside-only' });
+        let online = true;
+        Object.defineProperty(window.navigator, 'onLine', { get: () => online, configurable: true });
+        Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+        Object.assign(window, {
+            indexedDB,
+            firebase,
+            firebaseConfig: config,
+            telegramAuth: { getInitData: () => null, getTelegramUser: () => null }
+        });
+        SCRIPTS.forEach((code) => window.eval(code));
+        const game = {
+            window,
+            setOnline(value) {
+                online = value;
+                window.dispatchEvent(new window.Event(value ? 'online' : 'offline'));
+            },
+            status: () => window.cloudStorage.getSyncStatus(),
+            outbox: () => window.cloudOutbox.loadAll(),
+            storage() {
+                const copy = {};
+                for (let i = 0; i < window.localStorage.length; i += 1) {
+                    const key = window.localStorage.key(i);
+                    copy[key] = window.localStorage.getItem(key);
+                }
+                return copy;
+            }
+        };
+        games.push(game);
+        return game;
+    }
+
+    async function cloudValue(uid, key) {
+        return (await db.collection('players').doc(uid).get()).get(`data.${key}`);
+    }
+
+    await t.test('обрыв связи: запись ждёт в очереди и уходит повтором', async () => {
+        const game = openGame({ language: 'en' });
+        const uid = await game.window.cloudStorage.ready;
+        assert.equal(await cloudValue(uid, 'language'), 'en');
+
+        // Соединение обрывается: транзакции падают с unavailable, как при потере сети
+        const cloud = firebase.firestore();
+        const runTransaction = cloud.runTransaction;
+        cloud.runTransaction = () => Promise.reject(Object.assign(new Error('offline'), { code: 'unavailable' }));
+        game.window.localStorage.setItem('language', 'ru');
+        await until(() => game.status() === 'offline');
+        assert.deepEqual((await game.outbox()).map((entry) => [entry.key, entry.value]), [['language', 'ru']]);
+        assert.equal(await cloudValue(uid, 'language'), 'en');
+
+        delete cloud.runTransaction;
+        assert.equal(cloud.runTransaction, runTransaction);
+        await until(() => game.status() === 'synced');
+        assert.equal(await cloudValue(uid, 'language'), 'ru');
+        await until(async () => (await game.outbox()).length === 0);
+    });
+
+    await t.test('без сети записи копятся и уходят по событию online', async () => {
+        const game = openGame({ language: 'en' });
+        const uid = await game.window.cloudStorage.ready;
+
+        game.setOnline(false);
+        game.window.localStorage.setItem('language', 'de');
+        game.window.localStorage.setItem('language', 'fr');
+        await until(async () => (await game.outbox()).length === 1);
+        assert.equal(game.status(), 'offline');
+
+        game.setOnline(true);
+        await until(() => game.status() === 'synced');
+        assert.equal(await cloudValue(uid, 'language'), 'fr');
+        await until(async () => (await game.outbox()).length === 0);
+    });
+
+    await t.test('очередь переживает перезапуск игры', async () => {
+        const first = openGame({ language: 'en' });
+        const uid = await first.window.cloudStorage.ready;
+        first.setOnline(false);
+        first.window.localStorage.setItem('language', 'ru');
+        await until(async () => (await first.outbox()).length === 1);
+
+        // Игру закрыли без сети; новая вкладка получает тот же localStorage и IndexedDB.
+        // Без очереди облачное 'en' той же версии затёрло бы локальное 'ru'
+        const second = openGame(first.storage());
+        assert.equal(await second.window.cloudStorage.ready, uid);
+        await until(() => second.status() === 'synced');
+        assert.equal(await cloudValue(uid, 'language'), 'ru');
+        assert.equal(second.window.localStorage.getItem('language'), 'ru');
+        await until(async () => (await second.outbox()).length === 0);
+    });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+// Модель экономики без Firestore: node --test test/economy.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { BUILDINGS, LIMITS, createStartingLedger, createLedgerFromSave, validate } = require('../economy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+
+function buildings(overrides) {
+    return {
+        library: { isOwned: true, level: 1, workers: 0 },
+        factory: { isOwned: false, level: 1, workers: 0 },
+        storage: { isOwned: false, level: 1, workers: 0 },
+        print: { isOwned: false, level: 1, workers: 0 },
+        ...overrides
+    };
+}
+
+// Ledger без запаса: всё сверх баланса должно прийти из дохода за прошедшее время
+function emptyLedger(balance, overrides) {
+    return { ...createStartingLedger(NOW), balance, buildings: buildings(overrides), allowance: 0, creditAllowance: 0 };
+}
+
+test('принимает честный прирост', () => {
+    const result = validate(createStartingLedger(NOW), { balance: 5000, credits: 0, buildingsData: null }, NOW + HOUR_MS);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.balance, 5000);
+    assert.equal(result.ledger.validatedAt, NOW + HOUR_MS);
+});
+
+test('обрезает невозможный баланс и кредиты', () => {
+    const result = validate(createStartingLedger(NOW), { balance: 1e12, credits: 1e6, buildingsData: null }, NOW + HOUR_MS);
+    assert.deepEqual(result.reasons, ['balance:impossible', 'credits:impossible']);
+    assert.ok(result.balance < 1e6);
+    assert.ok(result.credits < 1000);
+    assert.equal(result.ledger.allowance, 0);
+});
+
+test('частые проверки не дают заработать больше запаса', () => {
+    let ledger = emptyLedger(0);
+    for (let i = 1; i <= 10; i += 1) {
+        ledger = validate(ledger, { balance: 1e12, credits: 0, buildingsData: null }, NOW + i * 1000).ledger;
+    }
+    assert.ok(ledger.balance < 1000);
+});
+
+test('откатывает невозможные уровни и неоплаченные улучшения', () => {
+    const impossible = validate(emptyLedger(0), {
+        balance: 0, credits: 0, buildingsData: buildings({ library: { isOwned: true, level: 99, workers: 0 } })
+    }, NOW);
+    assert.deepEqual(impossible.reasons, ['building:library:impossible']);
+    assert.equal(impossible.buildingsData.library.level, 1);
+
+    const unaffordable = validate(emptyLedger(0), {
+        balance: 0, credits: 0, buildingsData: buildings({ print: { isOwned: true, level: 5, workers: 6 } })
+    }, NOW);
+    assert.deepEqual(unaffordable.reasons, ['buildings:unaffordable']);
+    assert.equal(unaffordable.buildingsData.print.isOwned, false);
+    assert.equal(unaffordable.ledger.buildings.print.isOwned, false);
+});
+
+test('откат здания к резервной копии возвращает деньги за улучшения', () => {
+    // Библиотека 3 → 1: улучшения 1→2 (5000) и 2→3 (7500)
+    const ledger = emptyLedger(1000, { library: { isOwned: true, level: 3, workers: 0 } });
+    const restored = { balance: 13500, credits: 0, buildingsData: buildings() };
+    const result = validate(ledger, restored, NOW);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.balance, 13500);
+    assert.equal(result.ledger.buildings.library.level, 1);
+
+    const inflated = validate(ledger, { ...restored, balance: 20000 }, NOW);
+    assert.deepEqual(inflated.reasons, ['balance:impossible']);
+    assert.equal(inflated.balance, 13500);
+});
+
+test('уровень растёт не быстрее запаса, а заработок копится', () => {
+    const first = validate(createStartingLedger(NOW), { balance: 5000, credits: 0, buildingsData: null, level: 500 }, NOW + HOUR_MS);
+    assert.equal(first.ledger.level, 11);
+    assert.equal(first.ledger.levelAllowance, 0);
+    assert.equal(first.ledger.earned, 4900);
+
+    const later = validate(first.ledger, { balance: 6000, credits: 0, buildingsData: null, level: 500 }, NOW + 3 * HOUR_MS);
+    assert.equal(later.ledger.level, 15);
+    assert.equal(later.ledger.earned, 5900);
+
+    const restored = validate(later.ledger, { balance: 6000, credits: 0, buildingsData: null, level: 3 }, NOW + 3 * HOUR_MS);
+    assert.equal(restored.ledger.level, 3);
+    assert.equal(validate(later.ledger, { balance: 6000, credits: 0, buildingsData: null }, NOW).ledger.level, 15);
+});
+
+test('кредиты, начисленные сервером, принимаются один раз', () => {
+    const ledger = emptyLedger(0);
+    const granted = validate(ledger, { balance: 0, credits: 200000, buildingsData: null }, NOW, 200000);
+    assert.deepEqual(granted.reasons, []);
+    assert.equal(granted.credits, 200000);
+    assert.equal(granted.ledger.grantedCredits, 200000);
+
+    // Повторно то же начисление не учитывается
+    const repeated = validate(granted.ledger, { balance: 0, credits: 400000, buildingsData: null }, NOW, 200000);
+    assert.deepEqual(repeated.reasons, ['credits:impossible']);
+    assert.equal(repeated.credits, 200000);
+});
+
+test('сохранение старого игрока принимается как есть', () => {
+    const save = {
+        balance: 5e7,
+        credits: 300,
+        level: 40,
+        earned: 9e8,
+        buildingsData: buildings({
+            library: { isOwned: true, level: 5, workers: 7 },
+            print: { isOwned: true, level: 9, workers: 1 }
+        })
+    };
+    const ledger = createLedgerFromSave(save, NOW);
+    assert.equal(ledger.balance, 5e7);
+    assert.equal(ledger.credits, 300);
+    assert.equal(ledger.level, 40);
+    assert.equal(ledger.earned, 9e8);
+    assert.deepEqual(ledger.buildings.print, { isOwned: true, level: 5, workers: 1 });
+
+    const result = validate(ledger, { ...save, buildingsData: buildings({
+        library: { isOwned: true, level: 5, workers: 7 },
+        print: { isOwned: true, level: 5, workers: 1 }
+    }) }, NOW + 1000);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.balance, 5e7);
+});
+
+// Скрипты игры с минимальным окружением: при загрузке им нужны только подписки gameState и таймеры.
+// Значения из vm-контекста сравниваются через plain(): у контекста свои прототипы Object и Array
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function loadGameServices(files) {
+    const window = { addEventListener() {}, gameState: { get: () => null, set() {}, subscribe() {}, transaction: () => false } };
+    const context = vm.createContext({ window, document: { addEventListener() {} }, setInterval() {}, setTimeout() {} });
+    files.forEach((file) => {
+        const code = fs.readFileSync(path.join(__dirname, '../../js/services', file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    return window;
+}
+
+test('цифры модели совпадают с балансом игры', () => {
+    const game = loadGameServices(['building-registry.js', 'prestige.js', 'offline-progress.js', 'shop-catalog.js']);
+
+    const definitions = plain(game.buildingRegistry.list());
+    assert.deepEqual(Object.keys(BUILDINGS).sort(), definitions.map((definition) => definition.id).sort());
+    definitions.forEach((definition) => {
+        const model = BUILDINGS[definition.id];
+        assert.deepEqual(model.costs, definition.costs, definition.id);
+        assert.deepEqual(model.income, definition.income, definition.id);
+        assert.deepEqual(model.upgrade, definition.upgrade, definition.id);
+        assert.equal(model.slots, definition.workers.slots, definition.id);
+        if (definition.production && definition.production.module === 'shelves') {
+            const { customersPerHour, perLevel, magazinePrice } = definition.production;
+            assert.deepEqual(model.shelves, { customersPerHour, perLevel, price: magazinePrice }, definition.id);
+        }
+    });
+
+    assert.equal(LIMITS.workerBonus, game.offlineProgress.configure().workerBonus);
+    const upgrade = (id) => plain(game.prestige.UPGRADES).find((entry) => entry.id === id);
+    assert.equal(LIMITS.maxIncomeMultiplier, 1 + upgrade('income').maxLevel * upgrade('income').effect);
+    assert.equal(LIMITS.maxExtraWorkers, upgrade('workers').maxLevel * upgrade('workers').effect);
+
+    const coins = game.shopCatalog.get('coins-case');
+    assert.equal(LIMITS.creditsPerMoney, coins.grant.credits / coins.price.amount);
+});
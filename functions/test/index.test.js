@@ -0,0 +1,164 @@
+'use strict';
+
+// Callable-функции и триггер на эмуляторах Firestore и Auth: npm test
+// (firebase emulators:exec задаёт FIRESTORE_EMULATOR_HOST и FIREBASE_AUTH_EMULATOR_HOST).
+// Триггер вызывается из теста напрямую, поэтому эмулятор функций не нужен.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PROJECT_ID = 'demo-booke-coin';
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST);
+const HOUR_MS = 60 * 60 * 1000;
+
+test('серверная проверка экономики', { skip: !emulated && 'нужны эмуляторы Firestore и Auth' }, async (t) => {
+    const functionsTest = require('firebase-functions-test')({ projectId: PROJECT_ID });
+    const { getFirestore } = require('firebase-admin/firestore');
+    const functions = require('../index');
+    const db = getFirestore();
+    const validateEconomy = functionsTest.wrap(functions.validateEconomy);
+    const validateEconomyOnWrite = functionsTest.wrap(functions.validateEconomyOnWrite);
+    const linkAnonymousSave = functionsTest.wrap(functions.linkAnonymousSave);
+
+    t.beforeEach(async () => {
+        await fetch(`http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+            { method: 'DELETE' });
+    });
+    t.after(() => functionsTest.cleanup());
+
+    // Запись в документ игрока и вызов триггера с её before/after
+    async function write(uid, data) {
+        const ref = db.collection('players').doc(uid);
+        const before = await ref.get();
+        await ref.set({ data }, { merge: true });
+        const after = await ref.get();
+        await validateEconomyOnWrite({ data: functionsTest.makeChange(before, after), params: { uid } });
+        return (await ref.get()).data();
+    }
+
+    function buildingsData(library) {
+        return JSON.stringify({
+            library: { isOwned: true, level: 1, workers: 0, ...library },
+            factory: { isOwned: false, level: 1, workers: 0 }
+        });
+    }
+
+    async function signUpAnonymously() {
+        const response = await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=fake-key`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ returnSecureToken: true })
+        });
+        const { localId, idToken } = await response.json();
+        return { uid: localId, idToken };
+    }
+
+    await t.test('новый игрок начинает с нуля, невозможный баланс обрезается', async () => {
+        const created = await write('player', { balance: '100', credits: '0' });
+        assert.equal(created.economy.ledger.balance, 100);
+
+        const cheated = await write('player', { balance: '1000000000000' });
+        assert.ok(parseFloat(cheated.data.balance) < 1e7);
+        assert.equal(cheated.versions.balance, 1);
+        assert.deepEqual(cheated.economy.flags.lastReasons, ['balance:impossible']);
+        assert.equal((await db.collection('flaggedPlayers').doc('player').get()).get('count'), 1);
+
+        // Исправление уже в ledger: повторная проверка ничего не меняет
+        assert.deepEqual(await validateEconomy({ data: {}, auth: { uid: 'player' } }), { corrections: {}, versions: {}, reasons: [] });
+    });
+
+    await t.test('callable обрезает баланс и учитывает возврат за откат здания', async () => {
+        const ref = db.collection('players').doc('restorer');
+        const ledger = {
+            balance: 1000,
+            credits: 0,
+            buildings: { library: { isOwned: true, level: 3, workers: 0 } },
+            allowance: 0,
+            creditAllowance: 0,
+            validatedAt: Date.now()
+        };
+        // Откат библиотеки 3 → 1 возвращает 5000 + 7500
+        await ref.set({ data: { balance: '13500', buildingsData: buildingsData() }, economy: { ledger } });
+        const restored = await validateEconomy({ data: {}, auth: { uid: 'restorer' } });
+        assert.deepEqual(restored.corrections, {});
+
+        await ref.set({ data: { balance: '100000' } }, { merge: true });
+        const clamped = await validateEconomy({ data: {}, auth: { uid: 'restorer' } });
+        assert.deepEqual(clamped.reasons, ['balance:impossible']);
+        assert.ok(parseFloat(clamped.corrections.balance) < 20000);
+        assert.equal((await ref.get()).get('data.balance'), clamped.corrections.balance);
+
+        await assert.rejects(validateEconomy({ data: {} }), { code: 'unauthenticated' });
+    });
+
+    await t.test('кредиты за рефералов, начисленные сервером, не считаются невозможными', async () => {
+        await write('tg_9', { balance: '100', credits: '0' });
+        // Так начисление пишет api/referral_ledger.php при получении наград
+        await db.collection('players').doc('tg_9').set({ economy: { grants: { credits: 200000 } } }, { merge: true });
+        const collected = await write('tg_9', { credits: '200000' });
+        assert.equal(collected.data.credits, '200000');
+        assert.equal(collected.economy.flags, undefined);
+        assert.equal(collected.economy.ledger.grantedCredits, 200000);
+    });
+
+    await t.test('открытый профиль пишется сервером из проверенных значений', async () => {
+        await db.collection('players').doc('tg_7').set({ profile: { username: 'Читатель' } });
+        // Библиотека 1 → 5 стоит 5000 + 7500 + 11250 + 16875, уровень за первый час — не выше 11
+        await write('tg_7', { balance: '100', playerLevel: '500', buildingsData: buildingsData({ level: 5 }) });
+        const profile = (await db.collection('publicProfiles').doc('tg_7').get()).data();
+        assert.equal(profile.username, 'Читатель');
+        assert.equal(profile.level, 11);
+        assert.equal(profile.buildingsLabel, '1/4');
+        assert.equal(profile.buildingsOwned, 1);
+        assert.equal(profile.totalEarned, 40625);
+
+        await write('anonymous', { balance: '100' });
+        assert.equal((await db.collection('publicProfiles').doc('anonymous').get()).exists, false);
+    });
+
+    await t.test('сохранение, созданное до проверки, принимается как есть', async (st) => {
+        await db.collection('players').doc('veteran').set({
+            data: { balance: '50000000', credits: '300', buildingsData: buildingsData({ level: 5, workers: 7 }) }
+        });
+        // Первая проверка спустя 90 дней после создания документа
+        const now = Date.now() + 90 * 24 * HOUR_MS;
+        st.mock.method(Date, 'now', () => now);
+        const result = await validateEconomy({ data: {}, auth: { uid: 'veteran' } });
+        assert.deepEqual(result.corrections, {});
+        const ledger = (await db.collection('players').doc('veteran').get()).get('economy.ledger');
+        assert.equal(ledger.balance, 50000000);
+        assert.equal(ledger.buildings.library.level, 5);
+    });
+
+    await t.test('аккаунт Telegram продолжает ledger анонимного сохранения один раз', async () => {
+        const anonymous = await signUpAnonymously();
+        await write(anonymous.uid, { balance: '100' });
+        const ledger = (await db.collection('players').doc(anonymous.uid).get()).get('economy.ledger');
+
+        const linked = await linkAnonymousSave({ data: { anonymousToken: anonymous.idToken }, auth: { uid: 'tg_1' } });
+        assert.deepEqual(linked, { linked: true });
+        const target = (await db.collection('players').doc('tg_1').get()).get('economy');
+        assert.deepEqual(target.ledger, ledger);
+        assert.equal(target.linkedFrom, anonymous.uid);
+        assert.equal((await db.collection('players').doc(anonymous.uid).get()).get('economy.linkedTo'), 'tg_1');
+
+        // Слитое сохранение проверяется от ledger анонимного аккаунта
+        const merged = await write('tg_1', { balance: '5000' });
+        assert.equal(merged.data.balance, '5000');
+        assert.equal(merged.economy.flags, undefined);
+
+        // Повторный вызов ничего не меняет, а второй аккаунт то же сохранение не получит
+        assert.deepEqual(await linkAnonymousSave({ data: { anonymousToken: anonymous.idToken }, auth: { uid: 'tg_1' } }), { linked: true });
+        await assert.rejects(linkAnonymousSave({ data: { anonymousToken: anonymous.idToken }, auth: { uid: 'tg_2' } }),
+            { code: 'already-exists' });
+        assert.equal((await db.collection('players').doc('tg_2').get()).exists, false);
+    });
+
+    await t.test('привязка требует аккаунт Telegram и токен анонимного входа', async () => {
+        const anonymous = await signUpAnonymously();
+        await assert.rejects(linkAnonymousSave({ data: { anonymousToken: anonymous.idToken }, auth: { uid: anonymous.uid } }),
+            { code: 'failed-precondition' });
+        await assert.rejects(linkAnonymousSave({ data: { anonymousToken: 'forged' }, auth: { uid: 'tg_1' } }),
+            { code: 'permission-denied' });
+        await assert.rejects(linkAnonymousSave({ data: {}, auth: { uid: 'tg_1' } }), { code: 'invalid-argument' });
+    });
+});
@@ -1,92 +1,76 @@
-// Система управления уровнями сотрудников
-const EMPLOYEE_KEYS = {
-    bloomi: 'employee_bloomi_level',
-    reggi: 'employee_reggi_level', 
-    spikes: 'employee_spikes_level',
-    grinni: 'employee_grinni_level',
-    perpi: 'employee_perpi_level'
-};
+// Уровни сотрудников в панели статистики. Сами уровни, опыт и бонусы — в каталоге employeeRoster
 
-// Получение уровня сотрудника из localStorage
-function getEmployeeLevel(employeeKey) {
-    return parseInt(localStorage.getItem(EMPLOYEE_KEYS[employeeKey]) || '1');
+// Получение уровня сотрудника по id из каталога
+function getEmployeeLevel(employeeId) {
+    return employeeRoster.getProgress(employeeId).level;
 }
 
-// Установка уровня сотрудника
-function setEmployeeLevel(employeeKey, level) {
-    localStorage.setItem(EMPLOYEE_KEYS[employeeKey], level.toString());
-    updateEmployeeLevelDisplay(employeeKey);
+// Установка уровня сотрудника (опыт внутри уровня сбрасывается, уровень не выше потолка звёзд)
+function setEmployeeLevel(employeeId, level) {
+    employeeRoster.setProgress(employeeId, { level, xp: 0 });
+    updateEmployeeLevelDisplay(employeeId);
 }
 
 // Увеличение уровня сотрудника
-function increaseEmployeeLevel(employeeKey, amount = 1) {
-    const currentLevel = getEmployeeLevel(employeeKey);
-    const newLevel = currentLevel + amount;
-    setEmployeeLevel(employeeKey, newLevel);
-    return newLevel;
+function increaseEmployeeLevel(employeeId, amount = 1) {
+    setEmployeeLevel(employeeId, getEmployeeLevel(employeeId) + amount);
+    return getEmployeeLevel(employeeId);
 }
 
 // Обновление отображения уровня сотрудника в панели статистики
-function updateEmployeeLevelDisplay(employeeKey) {
-    const levelElement = document.querySelector(`[data-level="${employeeKey}"]`);
+function updateEmployeeLevelDisplay(employeeId) {
+    const levelElement = document.querySelector(`[data-level="${employeeId}"]`);
     if (levelElement) {
-        const level = getEmployeeLevel(employeeKey);
-        levelElement.textContent = level;
+        levelElement.textContent = getEmployeeLevel(employeeId);
+    }
+}
+
+// Карточки сотрудников в панели статистики: звёзды, уровень с шкалой опыта и где работает
+function renderStatisticsEmployees() {
+    const grid = document.getElementById('statistics-employees');
+    if (!grid) {
+        return;
     }
+    grid.innerHTML = employeeRoster.list().map(employee => {
+        const building = employeeRoster.getAssignedBuilding(employee.id);
+        const progress = employeeRoster.getProgress(employee.id);
+        const need = employeeRoster.xpToNextLevel(progress.level);
+        const percent = need > 0 ? Math.min(100, progress.xp / need * 100) : 100;
+        return `
+            <div class="employee-card" data-employee="${employee.id}" style="background:#424242;border-radius:8px;padding:8px;text-align:center;">
+                <img src="${employee.art.hire}" alt="${employee.name}" style="width:40px;height:40px;object-fit:contain;background:${employee.color};border-radius:6px;display:block;margin:0 auto 4px;">
+                <div style="font-size:10px;color:#fff;font-weight:600;">${employee.name} <span style="color:#ffeb3b;">${'★'.repeat(progress.stars)}</span></div>
+                <div class="employee-level" style="font-size:8px;color:#ccc;">Уровень <span data-level="${employee.id}">${progress.level}</span> / ${employeeRoster.getLevelCap(progress.stars)}</div>
+                <div style="height:4px;background:#333;border-radius:2px;overflow:hidden;margin:3px 0;">
+                    <div style="height:100%;width:${percent}%;background:#ffeb3b;"></div>
+                </div>
+                <div style="font-size:8px;color:#aaa;">${!progress.owned ? 'Не открыт' : building ? buildingRegistry.getName(building) : 'Свободен'}</div>
+            </div>
+        `;
+    }).join('');
 }
 
 // Обновление всех уровней сотрудников
 function updateAllEmployeeLevels() {
-    Object.keys(EMPLOYEE_KEYS).forEach(employeeKey => {
-        updateEmployeeLevelDisplay(employeeKey);
-    });
+    renderStatisticsEmployees();
 }
 
 // Получение всех уровней сотрудников
 function getAllEmployeeLevels() {
     const levels = {};
-    Object.keys(EMPLOYEE_KEYS).forEach(employeeKey => {
-        levels[employeeKey] = getEmployeeLevel(employeeKey);
+    employeeRoster.ids().forEach(employeeId => {
+        levels[employeeId] = getEmployeeLevel(employeeId);
     });
     return levels;
 }
 
-// Инициализация системы уровней сотрудников
-function initEmployeeLevels() {
-    // Устанавливаем начальные уровни, если их нет
-    Object.keys(EMPLOYEE_KEYS).forEach(employeeKey => {
-        if (!localStorage.getItem(EMPLOYEE_KEYS[employeeKey])) {
-            // Устанавливаем разные начальные уровни для демонстрации
-            const initialLevels = {
-                bloomi: 12,
-                reggi: 1,
-                spikes: 8,
-                grinni: 5,
-                perpi: 3
-            };
-            setEmployeeLevel(employeeKey, initialLevels[employeeKey] || 1);
-        }
-    });
-    
-    // Обновляем отображение
-    updateAllEmployeeLevels();
-}
-
-// Функция для тестирования - увеличение уровня случайного сотрудника
-function testIncreaseRandomEmployee() {
-    const employees = Object.keys(EMPLOYEE_KEYS);
-    const randomEmployee = employees[Math.floor(Math.random() * employees.length)];
-    const newLevel = increaseEmployeeLevel(randomEmployee, 1);
-}
-
 // Экспорт функций для использования в других файлах
 window.employeeLevels = {
     get: getEmployeeLevel,
     set: setEmployeeLevel,
     increase: increaseEmployeeLevel,
     updateAll: updateAllEmployeeLevels,
-    getAll: getAllEmployeeLevels,
-    test: testIncreaseRandomEmployee
+    getAll: getAllEmployeeLevels
 };
 
 // Инициализация при загрузке DOM
@@ -98,20 +82,12 @@ document.addEventListener('DOMContentLoaded', () => {
     if (employeeLevelsInitialized) {
         return;
     }
-    
-    initEmployeeLevels();
-    employeeLevelsInitialized = true;
-});
 
-// Обновление уровней при открытии панели статистики
-// Флаг для отслеживания инициализации employee-levels DOM
-let employeeLevelsDOMInitialized = false;
+    renderStatisticsEmployees();
+    // Уровни и назначения могут прийти из облака или другой вкладки
+    gameState.subscribe('employees', updateAllEmployeeLevels);
+    gameState.subscribe('hiredEmployees', updateAllEmployeeLevels);
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Предотвращаем повторную инициализацию
-    if (employeeLevelsDOMInitialized) {
-        return;
-    }
     // Находим кнопку статистики и добавляем обработчик
     const statsButton = document.getElementById('btn-news');
     if (statsButton) {
@@ -120,6 +96,6 @@ document.addEventListener('DOMContentLoaded', () => {
             setTimeout(updateAllEmployeeLevels, 100);
         });
     }
-    
-    employeeLevelsDOMInitialized = true;
-}); 
\ No newline at end of file
+
+    employeeLevelsInitialized = true;
+});
@@ -116,15 +116,23 @@
     
     // Глобальные переменные для печати
     let printStartTime = null;
-    let printTotalTime = 30; // 30 минут
+    // Длительность тиража из производственного модуля типографии в реестре зданий
+    const PRINT_DURATION_MINUTES = buildingRegistry.findByProduction('print').production.durationMinutes;
+    let printTotalTime = PRINT_DURATION_MINUTES;
+    
+    // Время тиража с бонусами перерождения и сотрудника типографии, в минутах
+    function getPrintMinutes() {
+        const building = buildingRegistry.findByProduction('print').id;
+        return employeeRoster.applySpeed(building, prestige.applySpeed(PRINT_DURATION_MINUTES));
+    }
+    const PRINT_COST = 15000;
+    const EXPEDITE_COST = 3000;
     let printProgressInterval = null;
     let isPrinting = false; // Флаг активной печати
     let printCurrentTime = 0; // Текущее время печати в минутах
     let isExpedited = false; // Флаг использования ускорения
     
-    // Глобальные переменные для сотрудников
-    let hiredEmployees = JSON.parse(localStorage.getItem('hiredEmployees')) || {};
-    let availableEmployees = ['grinni', 'purpe', 'redjy', 'blumy']; // Доступные сотрудники
+    // Сотрудники и их назначения — в каталоге employeeRoster (js/services/employee-roster.js)
     
     // Загружаем состояние печати при инициализации
     loadPrintState();
@@ -168,93 +176,38 @@
     // Проверяем, было ли первое посещение заданий
     let tasksFirstVisit = localStorage.getItem('tasksFirstVisit') === 'true';
     
-    // Данные зданий (хранятся в localStorage)
-    const storedBuildingsDataRaw = localStorage.getItem('buildingsData');
-    let buildingsData;
-    try {
-        buildingsData = storedBuildingsDataRaw ? JSON.parse(storedBuildingsDataRaw) : null;
-    } catch (error) {
-        console.warn('buildingsData parse error, using defaults', error);
-        buildingsData = null;
-    }
+    // Данные зданий (хранятся в gameState)
+    let buildingsData = gameState.get('buildingsData');
     if (!buildingsData) {
-        buildingsData = {
-        'print': { 
-            level: 1, 
-            income: 5000, 
-            workers: 0, 
-            maxWorkers: 3, 
-            upgradeCost: 10000, 
-            lastCollectTime: null, 
-            accumulatedProfit: 0,
-            isOwned: false,
-            purchaseCost: 25000,
-            name: 'Типография'
-        },
-        'factory': { 
-            level: 1, 
-            income: 3000, 
-            workers: 0, 
-            maxWorkers: 5, 
-            upgradeCost: 5000, 
-            lastCollectTime: null, 
-            accumulatedProfit: 0,
-            isOwned: false,
-            purchaseCost: 20000,
-            name: 'Завод'
-        },
-        'storage': { 
-            level: 1, 
-            income: 3000, 
-            workers: 0, 
-            maxWorkers: 2, 
-            upgradeCost: 8000, 
-            lastCollectTime: null, 
-            accumulatedProfit: 0,
-            isOwned: false,
-            purchaseCost: 15000,
-            name: 'Почта'
-        },
-        'library': { 
-            level: 1, 
-            income: 2000, 
-            workers: 0, 
-            maxWorkers: 4, 
-            upgradeCost: 5000, 
-            lastCollectTime: Date.now(), 
-            accumulatedProfit: 0,
-            isOwned: true,
-            purchaseCost: 0,
-            name: 'Библиотека'
-        }
-        };
-        localStorage.setItem('buildingsData', JSON.stringify(buildingsData));
+        buildingsData = saveMigrations.getDefaultBuildingsData();
+        gameState.set('buildingsData', buildingsData);
     }
     
     // Функция сохранения данных
     function saveBuildingsData() {
-        localStorage.setItem('buildingsData', JSON.stringify(buildingsData));
+        gameState.set('buildingsData', buildingsData);
+    }
+    
+    // Подхватываем изменения, пришедшие в обход этого модуля (облако, другая вкладка)
+    gameState.subscribe('buildingsData', (value) => {
+        if (value && JSON.stringify(value) !== JSON.stringify(buildingsData)) {
+            buildingsData = value;
+        }
         if (window.refreshStatistics) {
             window.refreshStatistics();
         }
-    }
-    
-    // Функция сохранения данных о сотрудниках
-    function saveHiredEmployees() {
-        localStorage.setItem('hiredEmployees', JSON.stringify(hiredEmployees));
+    });
+    // Доход, накопленный до смены сотрудника, считается по прежним бонусам
+    function accrueBeforeStaffChange(buildingType) {
+        if (buildingsData[buildingType]) {
+            offlineProgress.accrueBuilding(buildingsData[buildingType], Date.now(), null, buildingType);
+            saveBuildingsData();
+        }
     }
     
     function fireEmployee(buildingType) {
-        // Находим сотрудника, назначенного на это здание
-        const employeeToFire = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === buildingType);
-        
-        if (employeeToFire) {
-            // Удаляем сотрудника из объекта hiredEmployees
-            delete hiredEmployees[employeeToFire];
-            
-            // Сохраняем изменения
-            saveHiredEmployees();
-            
+        accrueBeforeStaffChange(buildingType);
+        if (employeeRoster.unassign(buildingType)) {
             // Обновляем карточку сотрудника
             updateEmployeeCard(buildingType);
             
@@ -266,84 +219,64 @@
         }
     }
     
+    // Содержимое карточки сотрудника в панели здания: назначенный сотрудник или кнопка «Назначить»
+    function renderEmployeeCardContent(buildingType) {
+        const assignedEmployee = employeeRoster.getAssigned(buildingType);
+        if (!assignedEmployee) {
+            return `
+                <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${buildingType}')">
+                    <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
+                    <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
+                </div>
+            `;
+        }
+        const employee = employeeRoster.get(assignedEmployee);
+        const { level, stars } = employeeRoster.getProgress(assignedEmployee);
+        return `
+            <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
+                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
+                    <img src="${employee.art.hire}" alt="${employee.name}" style="width: 80px; height: 80px; border-radius: 8px;">
+                    <div style="flex: 1;">
+                        <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employee.name}</div>
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
+                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
+                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${level}</span>
+                        </div>
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
+                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
+                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${employee.role}</span>
+                        </div>
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
+                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
+                            <div style="display: flex; gap: 2px;">
+                                ${Array(5).fill().map((_, i) => 
+                                    `<span style="color: ${i < stars ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
+                                ).join('')}
+                            </div>
+                        </div>
+                        <div style="font-size: 10px; color: rgba(255,255,255,0.85);">${employeeRoster.describeBonuses(assignedEmployee, level)}</div>
+                        <div onclick="openAssignOverlay('${buildingType}')" style="font-size: 10px; color: #ffeb3b; margin-top: 4px; cursor: pointer;">${employeeRoster.describeShift(assignedEmployee)} · смена ›</div>
+                    </div>
+                </div>
+                <button onclick="fireEmployee('${buildingType}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
+                    <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
+                </button>
+            </div>
+        `;
+    }
+    
     // Функция для обновления карточки сотрудника
     function updateEmployeeCard(buildingType) {
         const employeeCard = document.getElementById(`employee-card-${buildingType}`);
-        
         if (employeeCard) {
-            // Проверяем, есть ли назначенный сотрудник для этого здания
-            const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === buildingType);
-            
-            if (assignedEmployee) {
-                // Если есть назначенный сотрудник, показываем карточку сотрудника
-                const employeeNames = {
-                    'grinni': 'Грини',
-                    'purpe': 'Пёрпи',
-                    'redjy': 'Реджи',
-                    'blumy': 'Блуми'
-                };
-                const employeeImages = {
-                    'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                    'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                    'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                    'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                };
-                const employeeSkills = {
-                    'grinni': 'Бухгалтер',
-                    'purpe': 'Менеджер', 
-                    'redjy': 'Калькулятор',
-                    'blumy': 'Аналитик'
-                };
-                const employeeRarities = {
-                    'grinni': 3,
-                    'purpe': 4, 
-                    'redjy': 4,
-                    'blumy': 5
-                };
-                
-                employeeCard.innerHTML = `
-                    <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
-                        <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
-                            <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 80px; height: 80px; border-radius: 8px;">
-                            <div style="flex: 1;">
-                                <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                    <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
-                                    <span style="font-size: 11px; color: #fff; font-weight: 400;">1</span>
-                                </div>
-                                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                    <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
-                                    <span style="font-size: 11px; color: #fff; font-weight: 400;">${employeeSkills[assignedEmployee]}</span>
-                                </div>
-                                <div style="display: flex; justify-content: space-between; align-items: center;">
-                                    <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
-                                    <div style="display: flex; gap: 2px;">
-                                        ${Array(5).fill().map((_, i) => 
-                                            `<span style="color: ${i < employeeRarities[assignedEmployee] ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
-                                        ).join('')}
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        <button onclick="fireEmployee('${buildingType}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
-                            <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
-                        </button>
-                    </div>
-                `;
-            } else {
-                // Если нет назначенного сотрудника, показываем кнопку "Назначить"
-                employeeCard.innerHTML = `
-                    <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${buildingType}')">
-                        <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
-                        <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
-                    </div>
-                `;
-            }
+            employeeCard.innerHTML = renderEmployeeCardContent(buildingType);
         }
     }
     
-    // Делаем функцию доступной глобально
+    // Делаем функции доступными глобально (назначение с карты, js/main.js)
     window.fireEmployee = fireEmployee;
+    window.hireEmployee = hireEmployee;
+    window.accrueBeforeStaffChange = accrueBeforeStaffChange;
     
     // Функция получения денег игрока (интеграция с основной игрой)
     function getPlayerMoney() {
@@ -351,7 +284,7 @@
         if (window.getBalance) {
             return window.getBalance();
         }
-        return parseInt(localStorage.getItem('balance')) || 100000;
+        return gameState.get('balance');
     }
     
     // Функция изменения денег игрока (интеграция с основной игрой)
@@ -360,33 +293,17 @@
         if (window.setBalance) {
             window.setBalance(amount);
         } else {
-            localStorage.setItem('balance', amount.toString());
+            gameState.set('balance', amount);
             // Обновляем отображение денег на экране
             const moneyElement = document.getElementById('money-amount');
             if (moneyElement) {
-                moneyElement.textContent = amount.toLocaleString();
+                moneyElement.textContent = bigNumber.format(amount);
             }
         }
     }
-    // Функция расчета накопленной прибыли
+    // Функция расчета накопленной прибыли (общая формула в offlineProgress)
     function calculateAccumulatedProfit(buildingType) {
-        const building = buildingsData[buildingType];
-        if (!building || !building.isOwned) return 0;
-        
-        // Если lastCollectTime не установлен, прибыль не накапливается
-        if (!building.lastCollectTime) return 0;
-        
-        const currentTime = Date.now();
-        const timeDiff = currentTime - building.lastCollectTime;
-        const hoursPassed = timeDiff / (1000 * 60 * 60); // часы
-        
-        // Базовый доход в час с учетом работников
-        const hourlyIncome = building.income * (1 + building.workers * 0.2);
-        
-        // Накопленная прибыль
-        const newProfit = building.accumulatedProfit + (hourlyIncome * hoursPassed);
-        
-        return Math.floor(newProfit);
+        return offlineProgress.calculateBuildingProfit(buildingsData[buildingType], Date.now(), buildingType);
     }
     
     // Функция обновления прибыли для всех зданий
@@ -401,20 +318,9 @@
             return;
         }
         
+        const currentTime = Date.now();
         Object.keys(buildingsData).forEach(buildingType => {
-            const building = buildingsData[buildingType];
-            // Не накапливаем прибыль для некупленных зданий или если lastCollectTime не установлен
-            if (!building || !building.isOwned || !building.lastCollectTime) return;
-            
-            const currentTime = Date.now();
-            const timeDiff = currentTime - building.lastCollectTime;
-            const hoursPassed = timeDiff / (1000 * 60 * 60);
-            
-            if (hoursPassed > 0) {
-                const hourlyIncome = building.income * (1 + building.workers * 0.2);
-                building.accumulatedProfit += hourlyIncome * hoursPassed;
-                building.lastCollectTime = currentTime;
-            }
+            offlineProgress.accrueBuilding(buildingsData[buildingType], currentTime, null, buildingType);
         });
         
         saveBuildingsData();
@@ -422,25 +328,7 @@
     }
     
     function formatProfitLabel(amount) {
-        let formatted = '0';
-        if (amount > 0) {
-            if (amount >= 1000000) {
-                formatted = (amount / 1000000).toFixed(1);
-                if (formatted.endsWith('.0')) {
-                    formatted = formatted.slice(0, -2);
-                }
-                formatted += 'M';
-            } else if (amount >= 1000) {
-                formatted = (amount / 1000).toFixed(1);
-                if (formatted.endsWith('.0')) {
-                    formatted = formatted.slice(0, -2);
-                }
-                formatted += 'k';
-            } else {
-                formatted = amount.toString();
-            }
-        }
-        return `${formatted} <img src="assets/svg/money-icon.svg" style="width:16px;height:16px;vertical-align:middle;margin-left:2px;" alt="money">`;
+        return `${bigNumber.format(amount)} <img src="assets/svg/money-icon.svg" style="width:16px;height:16px;vertical-align:middle;margin-left:2px;" alt="money">`;
     }
     
     function getMoneyPanelTargetPoint() {
@@ -692,6 +580,15 @@
         }
     }
     
+    // Верх индикатора прибыли: над зданием или под ним (anchor из реестра зданий, например у завода)
+    function getIndicatorTop(buildingType, zoneRect, topOffset) {
+        const definition = buildingRegistry.get(buildingType);
+        if (definition && definition.indicator.anchor === 'bottom') {
+            return (zoneRect.bottom + 50) + 'px';
+        }
+        return (zoneRect.top + topOffset) + 'px';
+    }
+    
     // Функция создания и обновления индикаторов сотрудников
     function updateProfitIndicators() {
         stopProfitRingAnimation();
@@ -738,13 +635,9 @@
         // Сброс состояния анимации кругов, если ранее существовало
         if (!window._profitRingState) { window._profitRingState = {}; }
         window._profitRingState = {};
-        const RING_DURATIONS_MS = { library: 1000, factory: 3000, storage: 3000, print: 2000 };
-        const RING_COLORS = { library: '#27ae60', factory: '#2196f3', storage: '#ff9800', print: '#9c27b0' };
-        
-        // Получаем список всех зданий - сначала из pure-map, потом из building-zone как fallback
-        const buildingTypes = ['library', 'factory', 'storage', 'print'];
-        
-        buildingTypes.forEach(buildingType => {
+        // Список зданий, цвета и период колец берутся из реестра зданий
+        buildingRegistry.list().forEach(definition => {
+            const buildingType = definition.id;
             const building = buildingsData[buildingType];
             
             // Проверяем, не существует ли уже индикатор для этого здания
@@ -799,27 +692,11 @@
             let employeeIcon = '';
             if (building.isOwned) {
                 // Проверяем, есть ли назначенный сотрудник для этого здания
-                const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === buildingType);
+                const assignedEmployee = employeeRoster.getAssigned(buildingType);
                 
                 if (assignedEmployee) {
-                    // Если есть назначенный сотрудник, показываем соответствующую иконку
-                    switch(assignedEmployee) {
-                        case 'redjy':
-                            employeeIcon = '<img src="assets/svg/employees/redjy-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
-                            break;
-                        case 'grinni':
-                            employeeIcon = '<img src="assets/svg/employees/grinni-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
-                            break;
-                        case 'purpe':
-                            employeeIcon = '<img src="assets/svg/employees/purpe-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
-                            break;
-                        case 'blumy':
-                            employeeIcon = '<img src="assets/svg/employees/blumy-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
-                            break;
-                        default:
-                            // Если тип сотрудника не определен, показываем not-hired
-                            employeeIcon = '<img src="assets/svg/employees/not-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
-                    }
+                    // Если есть назначенный сотрудник, показываем его значок из каталога
+                    employeeIcon = `<img src="${employeeRoster.get(assignedEmployee).art.hired}" style="width:44px;height:44px;filter:brightness(0.9);">`;
                 } else {
                     // Если нет назначенного сотрудника, показываем not-hired
                     employeeIcon = '<img src="assets/svg/employees/not-hired.svg" style="width:44px;height:44px;filter:brightness(0.9);">';
@@ -832,7 +709,7 @@
             // Внутренние слои: прогресс-кольцо, внутренний затемнённый круг и аватар
             const progressLayer = document.createElement('div');
             progressLayer.className = 'pi-progress';
-            const ringColor = RING_COLORS[buildingType] || '#ff6b9d';
+            const ringColor = definition.indicator.color || '#ff6b9d';
             progressLayer.style.setProperty('--pi-color', ringColor);
 
             const innerLayer = document.createElement('div');
@@ -864,10 +741,14 @@
                 if (accumulatedProfit > 0) {
                     const profitToCollect = accumulatedProfit;
                     
-                    // Моментально обнуляем накопление и обновляем лейбл
-                    building.accumulatedProfit = 0;
-                    building.lastCollectTime = Date.now();
-                    saveBuildingsData();
+                    // Моментально обнуляем накопление и начисляем деньги одной транзакцией,
+                    // чтобы закрытие игры во время анимации не теряло прибыль
+                    gameState.transaction(() => {
+                        building.accumulatedProfit = 0;
+                        building.lastCollectTime = Date.now();
+                        saveBuildingsData();
+                        setPlayerMoney(bigNumber.add(getPlayerMoney(), profitToCollect));
+                    });
                     
                     if (window._profitRingState && window._profitRingState[buildingType] && window._profitRingState[buildingType].profitLabelEl) {
                         window._profitRingState[buildingType].profitLabelEl.innerHTML = formatProfitLabel(0);
@@ -877,10 +758,6 @@
                     
                     // Запускаем анимацию вылета денег
                     animateMoneyCollection(circleWrapper, profitToCollect, () => {
-                        // После завершения анимации начисляем деньги
-                        const playerMoney = getPlayerMoney();
-                        setPlayerMoney(playerMoney + profitToCollect);
-                        
                         // Обновляем индикаторы
                         updateProfitIndicators();
                     });
@@ -889,12 +766,7 @@
             
             // Позиционируем индикатор относительно экрана
             indicator.style.position = 'fixed';
-            // Для завода круг размещается в нижней части здания (исключение)
-            if (buildingType === 'factory') {
-                indicator.style.top = (zoneRect.bottom + 50) + 'px';
-            } else {
-                indicator.style.top = (zoneRect.top - 20) + 'px';
-            }
+            indicator.style.top = getIndicatorTop(buildingType, zoneRect, -20);
             indicator.style.right = (window.innerWidth - zoneRect.right + 35) + 'px';
             indicator.style.zIndex = '1000';
             
@@ -906,7 +778,7 @@
                 progressEl: progressLayer,
                 profitLabelEl: profitLabel,
                 color: ringColor,
-                duration: RING_DURATIONS_MS[buildingType] || 1000,
+                duration: definition.indicator.ringMs || 1000,
                 start: performance.now()
             };
         });
@@ -971,12 +843,7 @@
             
             // Мгновенно обновляем позицию без анимации
             indicator.style.transition = 'none';
-            // Для завода круг размещается в нижней части здания (исключение)
-            if (buildingType === 'factory') {
-                indicator.style.top = (zoneRect.bottom + 50) + 'px';
-            } else {
-                indicator.style.top = (zoneRect.top - 20) + 'px';
-            }
+            indicator.style.top = getIndicatorTop(buildingType, zoneRect, -20);
             indicator.style.right = (window.innerWidth - zoneRect.right + 35) + 'px';
         });
     }
@@ -1157,7 +1024,7 @@
             const maxShift = safeShift - 0.7; // дополнительный запас 0.7%
             function clamp(v, a) { return v < -a ? -a : (v > a ? a : v); }
             // Для завода и типографии жёстче ограничиваем, чтобы гарантированно не было видно «за картой»
-            const isEdgeSensitive = (building === 'factory' || building === 'print');
+            const isEdgeSensitive = Boolean(buildingRegistry.get(building) && buildingRegistry.get(building).map.edgeSensitive);
             const tx = isEdgeSensitive ? clamp(rawTX, maxShift) : clamp(rawTX, safeShift);
             const ty = isEdgeSensitive ? clamp(rawTY, maxShift) : clamp(rawTY, safeShift);
             mainMenuImage.style.transition = 'transform 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
@@ -1257,7 +1124,7 @@
                 const safeShift = 50 * (scale - 1) / scale;
                 const maxShift = safeShift - 0.7;
                 const clamp = (v, a) => (v < -a ? -a : (v > a ? a : v));
-                const isEdgeSensitive = (buildingType === 'factory' || buildingType === 'print');
+                const isEdgeSensitive = Boolean(buildingRegistry.get(buildingType) && buildingRegistry.get(buildingType).map.edgeSensitive);
                 const tx = isEdgeSensitive ? clamp(rawTX, maxShift) : clamp(rawTX, safeShift);
                 const ty = isEdgeSensitive ? clamp(rawTY, maxShift) : clamp(rawTY, safeShift);
                 mainMenuImage.style.transition = `transform ${duration}ms ${CAMERA_EASING}`;
@@ -1985,6 +1852,11 @@
         const panel = createBuildingPanel(building, buildingName);
         document.body.appendChild(panel);
         
+        // Карточка звена производственной цепочки для купленного здания
+        if (buildingsData[building] && buildingsData[building].isOwned) {
+            productionChain.attachToBuildingPanel(panel, building);
+        }
+        
         // Обновляем динамические панели для Telegram Mini App
         if (isTelegramApp) {
             updateDynamicBuildingPanelsForTelegram(70); // Используем стандартный offset для Telegram
@@ -2008,15 +1880,9 @@
         panel.className = 'building-panel';
         panel.id = 'building-panel';
         
-        // Иконки для каждого здания
-        const buildingIcons = {
-            'print': '🖨️',
-            'factory': '🏭',
-            'storage': '📮',
-            'library': '📚'
-        };
-        
-        const icon = buildingIcons[building] || '🏢';
+        // Иконка здания из реестра
+        const definition = buildingRegistry.get(building);
+        const icon = definition ? definition.icon : '🏢';
         const buildingData = buildingsData[building];
         const playerMoney = getPlayerMoney();
         
@@ -2074,79 +1940,14 @@
                                     </div>
                                     <div style="display:flex;align-items:center;gap:6px;">
                                         <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                     </div>
                                 </div>
                             </div>
                             
                             <!-- Карточка сотрудника -->
                             <div id="employee-card-${building}" style="margin-bottom:15px;">
-                                ${(() => {
-                                    // Проверяем, есть ли уже назначенный сотрудник для этого здания
-                                    const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === building);
-                                    if (assignedEmployee) {
-                                        const employeeNames = {
-                                            'grinni': 'Грини',
-                                            'purpe': 'Пёрпи',
-                                            'redjy': 'Реджи',
-                                            'blumy': 'Блуми'
-                                        };
-                                        const employeeImages = {
-                                            'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                            'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                            'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                            'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                                        };
-                                        const employeeSkills = {
-                                            'grinni': 'Бухгалтер',
-                                            'purpe': 'Менеджер', 
-                                            'redjy': 'Калькулятор',
-                                            'blumy': 'Аналитик'
-                                        };
-                                        const employeeRarities = {
-                                            'grinni': 3,
-                                            'purpe': 4, 
-                                            'redjy': 4,
-                                            'blumy': 5
-                                        };
-                                        return `
-                                            <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
-                                                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
-                                                    <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 80px; height: 80px; border-radius: 8px;">
-                                                    <div style="flex: 1;">
-                                                        <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">1</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${employeeSkills[assignedEmployee]}</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
-                                                            <div style="display: flex; gap: 2px;">
-                                                                ${Array(5).fill().map((_, i) => 
-                                                                    `<span style="color: ${i < employeeRarities[assignedEmployee] ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
-                                                                ).join('')}
-                                                            </div>
-                                                        </div>
-                                                    </div>
-                                                </div>
-                                                <button onclick="fireEmployee('${building}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
-                                                    <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
-                                                </button>
-                                            </div>
-                                        `;
-                                    } else {
-                                        return `
-                                            <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${building}')">
-                                    <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
-                                    <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
-                                </div>
-                                        `;
-                                    }
-                                })()}
+                                ${renderEmployeeCardContent(building)}
                             </div>
                             
                             <!-- Карточка улучшения -->
@@ -2159,7 +1960,7 @@
                                     <!-- Ежедневный доход -->
                                     <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                         <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ежедневный доход</span>
-                                        <span id="daily-income-display" style="font-size:12px;color:#fff;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;"><span style="color:rgba(255,255,255,0.6);">${(buildingData.income/1000).toFixed(0)}k</span> > <span style="color:#fff;">${(buildingData.income * 1.25 / 1000).toFixed(0)}k</span></span>
+                                        <span id="daily-income-display" style="font-size:12px;color:#fff;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;"><span style="color:rgba(255,255,255,0.6);">${bigNumber.format(buildingData.income)}</span> > <span style="color:#fff;">${bigNumber.format(buildingData.income * 1.25)}</span></span>
                                     </div>
                                     
                                     <!-- Коммунальные расходы -->
@@ -2176,11 +1977,11 @@
                                 </div>
                                 
                                 <!-- Кнопка улучшения -->
-                                <button id="upgrade-btn" style="width:100%;background:${playerMoney >= buildingData.upgradeCost ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${playerMoney >= buildingData.upgradeCost ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${playerMoney >= buildingData.upgradeCost ? 'upgradeLibrary()' : ''}">
+                                <button id="upgrade-btn" style="width:100%;background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'upgradeBuilding(\'library\')' : ''}">
                                     <span style="font-size:14px;font-weight:700;color:#fff;">Улучшить</span>
-                                    <div style="background:${playerMoney >= buildingData.upgradeCost ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${playerMoney >= buildingData.upgradeCost ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
+                                    <div style="background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
                                         <img src="assets/svg/money-icon.svg" alt="Cost" style="width:14px;height:14px;filter:brightness(1.2);">
-                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="library-upgrade-cost">${(buildingData.upgradeCost/1000).toFixed(0)}k</span>
+                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="library-upgrade-cost">${bigNumber.format(buildingData.upgradeCost)}</span>
                                     </div>
                                 </button>
                             </div>
@@ -2219,7 +2020,7 @@
             
             // Если типография не куплена, показываем панель покупки
             if (!buildingData.isOwned) {
-                const canAfford = playerMoney >= buildingData.purchaseCost;
+                const canAfford = bigNumber.cmp(playerMoney, buildingData.purchaseCost) >= 0;
                 
                 panel.innerHTML = `
                     <div style="position:fixed;inset:0;z-index:1500;justify-content:center;align-items:center;font-family:'Segoe UI',Arial,sans-serif;display:flex;">
@@ -2270,7 +2071,7 @@
                                         </div>
                                         <div style="display:flex;align-items:center;gap:6px;">
                                             <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                         </div>
                                     </div>
                                 </div>
@@ -2283,7 +2084,7 @@
                                         <!-- Базовый доход -->
                                         <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Базовый доход</span>
-                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${(buildingData.income/1000).toFixed(1)}k/час</span>
+                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${bigNumber.format(buildingData.income)}/час</span>
                                         </div>
                                         
                                         <!-- Максимум работников -->
@@ -2297,7 +2098,7 @@
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ваш баланс</span>
                                             <div style="display:flex;align-items:center;gap:4px;">
                                                 <img src="assets/svg/money-icon.svg" alt="Money" style="width:12px;height:12px;filter:brightness(0.8);">
-                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${(playerMoney/1000).toFixed(1)}k</span>
+                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${bigNumber.format(playerMoney)}</span>
                                             </div>
                                         </div>
                                     </div>
@@ -2324,7 +2125,7 @@
                 if (canAfford) {
                     const buyBtn = panel.querySelector('#buy-print-btn');
                     buyBtn.addEventListener('click', () => {
-                        buyPrint();
+                        buyBuilding('print');
                     });
                 }
                 
@@ -2381,79 +2182,14 @@
                                     </div>
                                     <div style="display:flex;align-items:center;gap:6px;">
                                         <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                     </div>
                                 </div>
                             </div>
                             
                             <!-- Карточка сотрудника -->
                             <div id="employee-card-${building}" style="margin-bottom:15px;">
-                                ${(() => {
-                                    // Проверяем, есть ли уже назначенный сотрудник для этого здания
-                                    const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === building);
-                                    if (assignedEmployee) {
-                                        const employeeNames = {
-                                            'grinni': 'Грини',
-                                            'purpe': 'Пёрпи',
-                                            'redjy': 'Реджи',
-                                            'blumy': 'Блуми'
-                                        };
-                                        const employeeImages = {
-                                            'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                            'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                            'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                            'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                                        };
-                                        const employeeSkills = {
-                                            'grinni': 'Бухгалтер',
-                                            'purpe': 'Менеджер', 
-                                            'redjy': 'Калькулятор',
-                                            'blumy': 'Аналитик'
-                                        };
-                                        const employeeRarities = {
-                                            'grinni': 3,
-                                            'purpe': 4, 
-                                            'redjy': 4,
-                                            'blumy': 5
-                                        };
-                                        return `
-                                            <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
-                                                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
-                                                    <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 80px; height: 80px; border-radius: 8px;">
-                                                    <div style="flex: 1;">
-                                                        <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">1</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${employeeSkills[assignedEmployee]}</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
-                                                            <div style="display: flex; gap: 2px;">
-                                                                ${Array(5).fill().map((_, i) => 
-                                                                    `<span style="color: ${i < employeeRarities[assignedEmployee] ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
-                                                                ).join('')}
-                                                            </div>
-                                                        </div>
-                                                    </div>
-                                                </div>
-                                                <button onclick="fireEmployee('${building}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
-                                                    <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
-                                                </button>
-                                            </div>
-                                        `;
-                                    } else {
-                                        return `
-                                            <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${building}')">
-                                    <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
-                                    <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
-                                </div>
-                                        `;
-                                    }
-                                })()}
+                                ${renderEmployeeCardContent(building)}
                             </div>
                             <!-- Карточка печати -->
                             <div style="margin-bottom:15px;">
@@ -2513,7 +2249,7 @@
                                     <!-- Ежедневный доход -->
                                     <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                         <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ежедневный доход</span>
-                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${(buildingData.income/1000).toFixed(0)}k > ${(buildingData.income * 1.25 / 1000).toFixed(0)}k</span>
+                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${bigNumber.format(buildingData.income)} > ${bigNumber.format(buildingData.income * 1.25)}</span>
                                     </div>
                                     
                                     <!-- Коммунальные расходы -->
@@ -2530,11 +2266,11 @@
                                 </div>
                                 
                                 <!-- Кнопка улучшения -->
-                                <button id="upgrade-btn" style="width:100%;background:${playerMoney >= buildingData.upgradeCost ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${playerMoney >= buildingData.upgradeCost ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${playerMoney >= buildingData.upgradeCost ? 'upgradePrint()' : ''}">
+                                <button id="upgrade-btn" style="width:100%;background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'upgradeBuilding(\'print\')' : ''}">
                                     <span style="font-size:14px;font-weight:700;color:#fff;">Улучшить</span>
-                                    <div style="background:${playerMoney >= buildingData.upgradeCost ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${playerMoney >= buildingData.upgradeCost ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
+                                    <div style="background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
                                         <img src="assets/svg/money-icon.svg" alt="Cost" style="width:14px;height:14px;filter:brightness(1.2);">
-                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="print-upgrade-cost">${(buildingData.upgradeCost/1000).toFixed(0)}k</span>
+                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="print-upgrade-cost">${bigNumber.format(buildingData.upgradeCost)}</span>
                                     </div>
                                 </button>
                             </div>
@@ -2577,7 +2313,7 @@
             
             // Если завод не куплен, показываем панель покупки
             if (!buildingData.isOwned) {
-                const canAfford = playerMoney >= buildingData.purchaseCost;
+                const canAfford = bigNumber.cmp(playerMoney, buildingData.purchaseCost) >= 0;
                 
                 panel.innerHTML = `
                     <div style="position:fixed;inset:0;z-index:1500;justify-content:center;align-items:center;font-family:'Segoe UI',Arial,sans-serif;display:flex;">
@@ -2628,7 +2364,7 @@
                                         </div>
                                         <div style="display:flex;align-items:center;gap:6px;">
                                             <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                         </div>
                                     </div>
                                 </div>
@@ -2642,7 +2378,7 @@
                                         <!-- Базовый доход -->
                                         <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Базовый доход</span>
-                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${(buildingData.income/1000).toFixed(1)}k/час</span>
+                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${bigNumber.format(buildingData.income)}/час</span>
                                         </div>
                                         
                                         <!-- Максимум работников -->
@@ -2656,7 +2392,7 @@
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ваш баланс</span>
                                             <div style="display:flex;align-items:center;gap:4px;">
                                                 <img src="assets/svg/money-icon.svg" alt="Money" style="width:12px;height:12px;filter:brightness(0.8);">
-                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${(playerMoney/1000).toFixed(1)}k</span>
+                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${bigNumber.format(playerMoney)}</span>
                                             </div>
                                         </div>
                                     </div>
@@ -2683,7 +2419,7 @@
                 if (canAfford) {
                     const buyBtn = panel.querySelector('#buy-factory-btn');
                     buyBtn.addEventListener('click', () => {
-                        buyFactory();
+                        buyBuilding('factory');
                     });
                 }
                 
@@ -2740,78 +2476,13 @@
                                     </div>
                                     <div style="display:flex;align-items:center;gap:6px;">
                                         <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                     </div>
                                 </div>
                             </div>
                             <!-- Карточка сотрудника -->
                             <div id="employee-card-${building}" style="margin-bottom:15px;">
-                                ${(() => {
-                                    // Проверяем, есть ли уже назначенный сотрудник для этого здания
-                                    const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === building);
-                                    if (assignedEmployee) {
-                                        const employeeNames = {
-                                            'grinni': 'Грини',
-                                            'purpe': 'Пёрпи',
-                                            'redjy': 'Реджи',
-                                            'blumy': 'Блуми'
-                                        };
-                                        const employeeImages = {
-                                            'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                            'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                            'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                            'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                                        };
-                                        const employeeSkills = {
-                                            'grinni': 'Бухгалтер',
-                                            'purpe': 'Менеджер', 
-                                            'redjy': 'Калькулятор',
-                                            'blumy': 'Аналитик'
-                                        };
-                                        const employeeRarities = {
-                                            'grinni': 3,
-                                            'purpe': 4, 
-                                            'redjy': 4,
-                                            'blumy': 5
-                                        };
-                                        return `
-                                            <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
-                                                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
-                                                    <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 80px; height: 80px; border-radius: 8px;">
-                                                    <div style="flex: 1;">
-                                                        <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">1</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${employeeSkills[assignedEmployee]}</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
-                                                            <div style="display: flex; gap: 2px;">
-                                                                ${Array(5).fill().map((_, i) => 
-                                                                    `<span style="color: ${i < employeeRarities[assignedEmployee] ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
-                                                                ).join('')}
-                                                            </div>
-                                                        </div>
-                                                    </div>
-                                                </div>
-                                                <button onclick="fireEmployee('${building}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
-                                                    <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
-                                                </button>
-                                            </div>
-                                        `;
-                                    } else {
-                                        return `
-                                            <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${building}')">
-                                    <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
-                                    <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
-                                </div>
-                                        `;
-                                    }
-                                })()}
+                                ${renderEmployeeCardContent(building)}
                             </div>
                             
                             <!-- Карточка улучшения -->
@@ -2824,7 +2495,7 @@
                                     <!-- Ежедневный доход -->
                                     <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                         <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ежедневный доход</span>
-                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${(buildingData.income/1000).toFixed(0)}k > ${(buildingData.income * 1.25 / 1000).toFixed(0)}k</span>
+                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${bigNumber.format(buildingData.income)} > ${bigNumber.format(buildingData.income * 1.25)}</span>
                                     </div>
                                     
                                     <!-- Коммунальные расходы -->
@@ -2841,11 +2512,11 @@
                                 </div>
                                 
                                 <!-- Кнопка улучшения -->
-                                <button id="upgrade-btn" style="width:100%;background:${playerMoney >= buildingData.upgradeCost ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${playerMoney >= buildingData.upgradeCost ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${playerMoney >= buildingData.upgradeCost ? 'upgradeFactory()' : ''}">
+                                <button id="upgrade-btn" style="width:100%;background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'upgradeBuilding(\'factory\')' : ''}">
                                     <span style="font-size:14px;font-weight:700;color:#fff;">Улучшить</span>
-                                    <div style="background:${playerMoney >= buildingData.upgradeCost ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${playerMoney >= buildingData.upgradeCost ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
+                                    <div style="background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
                                         <img src="assets/svg/money-icon.svg" alt="Cost" style="width:14px;height:14px;filter:brightness(1.2);">
-                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="factory-upgrade-cost">${(buildingData.upgradeCost/1000).toFixed(0)}k</span>
+                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="factory-upgrade-cost">${bigNumber.format(buildingData.upgradeCost)}</span>
                                     </div>
                                 </button>
                             </div>
@@ -2884,7 +2555,7 @@
             
             // Если почта не куплена, показываем панель покупки
             if (!buildingData.isOwned) {
-                const canAfford = playerMoney >= buildingData.purchaseCost;
+                const canAfford = bigNumber.cmp(playerMoney, buildingData.purchaseCost) >= 0;
                 
                 panel.innerHTML = `
                     <div style="position:fixed;inset:0;z-index:1500;justify-content:center;align-items:center;font-family:'Segoe UI',Arial,sans-serif;display:flex;">
@@ -2935,7 +2606,7 @@
                                         </div>
                                         <div style="display:flex;align-items:center;gap:6px;">
                                             <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                            <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                         </div>
                                     </div>
                                 </div>
@@ -2949,7 +2620,7 @@
                                         <!-- Базовый доход -->
                                         <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Базовый доход</span>
-                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${(buildingData.income/1000).toFixed(1)}k/час</span>
+                                            <span style="font-size:12px;color:#fff;font-weight:600;">+${bigNumber.format(buildingData.income)}/час</span>
                                         </div>
                                         
                                         <!-- Максимум работников -->
@@ -2963,7 +2634,7 @@
                                             <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ваш баланс</span>
                                             <div style="display:flex;align-items:center;gap:4px;">
                                                 <img src="assets/svg/money-icon.svg" alt="Money" style="width:12px;height:12px;filter:brightness(0.8);">
-                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${(playerMoney/1000).toFixed(1)}k</span>
+                                                <span style="font-size:12px;color:${canAfford ? '#4ade80' : '#ef4444'};font-weight:600;">${bigNumber.format(playerMoney)}</span>
                                             </div>
                                         </div>
                                     </div>
@@ -2990,7 +2661,7 @@
                 if (canAfford) {
                     const buyBtn = panel.querySelector('#buy-storage-btn');
                     buyBtn.addEventListener('click', () => {
-                        buyStorage();
+                        buyBuilding('storage');
                     });
                 }
                 
@@ -3047,78 +2718,13 @@
                                     </div>
                                     <div style="display:flex;align-items:center;gap:6px;">
                                         <img src="assets/svg/money-icon.svg" alt="Money" style="width:13px;height:13px;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.3));">
-                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${(buildingData.income/1000).toFixed(0)}k</span>
+                                        <span class="building-income" style="font-size:13px;font-weight:700;color:white;">${bigNumber.format(buildingData.income)}</span>
                                     </div>
                                 </div>
                             </div>
                             <!-- Карточка сотрудника -->
                             <div id="employee-card-${building}" style="margin-bottom:15px;">
-                                ${(() => {
-                                    // Проверяем, есть ли уже назначенный сотрудник для этого здания
-                                    const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === building);
-                                    if (assignedEmployee) {
-                                        const employeeNames = {
-                                            'grinni': 'Грини',
-                                            'purpe': 'Пёрпи',
-                                            'redjy': 'Реджи',
-                                            'blumy': 'Блуми'
-                                        };
-                                        const employeeImages = {
-                                            'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                            'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                            'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                            'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                                        };
-                                        const employeeSkills = {
-                                            'grinni': 'Бухгалтер',
-                                            'purpe': 'Менеджер', 
-                                            'redjy': 'Калькулятор',
-                                            'blumy': 'Аналитик'
-                                        };
-                                        const employeeRarities = {
-                                            'grinni': 3,
-                                            'purpe': 4, 
-                                            'redjy': 4,
-                                            'blumy': 5
-                                        };
-                                        return `
-                                            <div style="display: flex; align-items: center; gap: 8px; width: 100%;">
-                                                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 50%, #1e40af 100%); border-radius: 12px; padding: 8px; display: flex; align-items: center; gap: 12px; box-shadow: 0 4px 12px rgba(59, 130, 246, 0.3); border: 1px solid rgba(255,255,255,0.2); flex: 1;">
-                                                    <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 80px; height: 80px; border-radius: 8px;">
-                                                    <div style="flex: 1;">
-                                                        <div style="font-size: 16px; font-weight: 700; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Уровень</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">1</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Навык</span>
-                                                            <span style="font-size: 11px; color: #fff; font-weight: 400;">${employeeSkills[assignedEmployee]}</span>
-                                                        </div>
-                                                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                                                            <span style="font-size: 11px; color: rgba(255,255,255,0.8);">Редкость</span>
-                                                            <div style="display: flex; gap: 2px;">
-                                                                ${Array(5).fill().map((_, i) => 
-                                                                    `<span style="color: ${i < employeeRarities[assignedEmployee] ? '#fff' : 'rgba(255,255,255,0.3)'}; font-size: 11px;">★</span>`
-                                                                ).join('')}
-                                                            </div>
-                                                        </div>
-                                                    </div>
-                                                </div>
-                                                <button onclick="fireEmployee('${building}')" style="background: #3F2E4F; border: none; border-radius: 8px; padding: 12px 6px; color: #fff; font-size: 10px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(63, 46, 79, 0.3); transition: all 0.2s ease; display: flex; flex-direction: column; align-items: center; min-width: 30px; min-height: 100px; justify-content: center; writing-mode: vertical-lr; text-orientation: mixed;">
-                                                    <span style="writing-mode: vertical-lr; text-orientation: mixed; font-size: 9px; letter-spacing: 1px;">Уволить</span>
-                                                </button>
-                                            </div>
-                                        `;
-                                    } else {
-                                        return `
-                                            <div style="border:2px dashed rgba(255,255,255,0.3);border-radius:12px;padding:12px;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:60px;cursor:pointer;" onclick="openEmployeeMenu('${building}')">
-                                    <button style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.2);border:none;color:#000;font-size:20px;font-weight:bold;cursor:pointer;display:flex;align-items:center;justify-content:center;margin-bottom:8px;">+</button>
-                                    <div style="color:rgba(255,255,255,0.8);font-size:12px;text-align:center;">Назначить сотрудника</div>
-                                </div>
-                                        `;
-                                    }
-                                })()}
+                                ${renderEmployeeCardContent(building)}
                             </div>
                             
                             <!-- Кнопки хранилища и доставки -->
@@ -3174,7 +2780,7 @@
                                     <!-- Ежедневный доход -->
                                     <div style="display:flex;justify-content:space-between;align-items:center;padding:8px 0;border-bottom:1px solid rgba(255,255,255,0.1);">
                                         <span style="font-size:12px;color:rgba(255,255,255,0.8);">Ежедневный доход</span>
-                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${(buildingData.income/1000).toFixed(0)}k > ${(buildingData.income * 1.25 / 1000).toFixed(0)}k</span>
+                                        <span id="daily-income-display" style="font-size:12px;font-weight:600;font-family:'Segoe UI',Arial,sans-serif;">${bigNumber.format(buildingData.income)} > ${bigNumber.format(buildingData.income * 1.25)}</span>
                                     </div>
                                     
                                     <!-- Коммунальные расходы -->
@@ -3191,11 +2797,11 @@
                                 </div>
                                 
                                 <!-- Кнопка улучшения -->
-                                <button id="upgrade-btn" style="width:100%;background:${playerMoney >= buildingData.upgradeCost ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${playerMoney >= buildingData.upgradeCost ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${playerMoney >= buildingData.upgradeCost ? 'upgradeStorage()' : ''}">
+                                <button id="upgrade-btn" style="width:100%;background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.3)'};border:none;border-radius:20px;padding:8px 16px;color:#fff;font-size:14px;font-weight:700;cursor:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'pointer' : 'not-allowed'};display:flex;align-items:center;justify-content:space-between;transition:all 0.3s ease;font-family:'Segoe UI',Arial,sans-serif;overflow:hidden;box-shadow:0 4px 12px rgba(0,0,0,0.3);" onclick="${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? 'upgradeBuilding(\'storage\')' : ''}">
                                     <span style="font-size:14px;font-weight:700;color:#fff;">Улучшить</span>
-                                    <div style="background:${playerMoney >= buildingData.upgradeCost ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${playerMoney >= buildingData.upgradeCost ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
+                                    <div style="background:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '#000' : 'rgba(255,255,255,0.15)'};border-radius:16px;padding:4px 8px;display:flex;align-items:center;gap:4px;border:${bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0 ? '2px solid #D4AF37' : '1px solid rgba(255,255,255,0.2)'};margin-right:-4px;">
                                         <img src="assets/svg/money-icon.svg" alt="Cost" style="width:14px;height:14px;filter:brightness(1.2);">
-                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="storage-upgrade-cost">${(buildingData.upgradeCost/1000).toFixed(0)}k</span>
+                                        <span style="font-size:12px;color:#fff;font-weight:700;" id="storage-upgrade-cost">${bigNumber.format(buildingData.upgradeCost)}</span>
                                     </div>
                                 </button>
                             </div>
@@ -3240,8 +2846,8 @@
         
         // Если здание не куплено, показываем панель покупки
         if (!buildingData.isOwned) {
-            const purchaseCostFormatted = (buildingData.purchaseCost / 1000) + 'k';
-            const canAfford = playerMoney >= buildingData.purchaseCost;
+            const purchaseCostFormatted = bigNumber.format(buildingData.purchaseCost);
+            const canAfford = bigNumber.cmp(playerMoney, buildingData.purchaseCost) >= 0;
             
             panel.innerHTML = `
                 <div class="building-panel-header">
@@ -3257,7 +2863,7 @@
                     <div class="building-panel-info">
                         <div class="building-panel-info-row">
                             <span>💰 Базовый доход:</span>
-                            <span class="building-panel-info-value">+${(buildingData.income/1000).toFixed(1)}k/час</span>
+                            <span class="building-panel-info-value">+${bigNumber.format(buildingData.income)}/час</span>
                         </div>
                         <div class="building-panel-info-row">
                             <span>👷 Максимум работников:</span>
@@ -3265,7 +2871,7 @@
                         </div>
                         <div class="building-panel-info-row">
                             <span>💳 Ваш баланс:</span>
-                            <span class="building-panel-info-value ${canAfford ? 'success' : 'error'}">${(playerMoney/1000).toFixed(1)}k 💰</span>
+                            <span class="building-panel-info-value ${canAfford ? 'success' : 'error'}">${bigNumber.format(playerMoney)} 💰</span>
                         </div>
                     </div>
                 </div>
@@ -3292,7 +2898,7 @@
             const buyBtn = panel.querySelector('.building-panel-btn.buy');
             if (canAfford) {
                 buyBtn.addEventListener('click', () => {
-                    handleBuyBuilding(building, buildingData.name);
+                    window.buyBuilding(building);
                 });
             }
             
@@ -3300,11 +2906,13 @@
         }
         
         // Если здание куплено, показываем обычную панель управления
-        const canUpgrade = playerMoney >= buildingData.upgradeCost;
-        const canHire = buildingData.workers < buildingData.maxWorkers && playerMoney >= 5000;
+        const isMaxLevel = buildingRegistry.isMaxLevel(building, buildingData);
+        const canUpgrade = !isMaxLevel && bigNumber.cmp(playerMoney, buildingData.upgradeCost) >= 0;
+        const workerCost = definition ? definition.costs.worker : 5000;
+        const canHire = buildingData.workers < buildingData.maxWorkers && bigNumber.cmp(playerMoney, workerCost) >= 0;
         
         // Форматируем стоимость улучшения для отображения
-        const upgradeCostFormatted = (buildingData.upgradeCost / 1000) + 'k';
+        const upgradeCostFormatted = isMaxLevel ? 'Макс' : bigNumber.format(buildingData.upgradeCost);
         
         panel.innerHTML = `
             <div class="building-panel-header">
@@ -3347,7 +2955,7 @@
                                 data-max="${buildingData.maxWorkers}"
                                 ${!canHire ? 'disabled' : ''}>
                             <span class="btn-icon">👷</span>
-                            <span class="btn-text">Нанять (${buildingData.workers < buildingData.maxWorkers ? '5k' : 'Макс'})</span>
+                            <span class="btn-text">Нанять (${buildingData.workers < buildingData.maxWorkers ? bigNumber.format(workerCost) : 'Макс'})</span>
                             ${!canHire ? '<span class="btn-hint">' + (buildingData.workers >= buildingData.maxWorkers ? 'Достигнут максимум' : 'Недостаточно средств') + '</span>' : ''}
                         </button>
                 </div>
@@ -3357,26 +2965,15 @@
                 <div id="employee-card-${building}" style="margin-bottom:15px;">
                     ${(() => {
                         // Проверяем, есть ли уже назначенный сотрудник для этого здания
-                        const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === building);
+                        const assignedEmployee = employeeRoster.getAssigned(building);
                         if (assignedEmployee) {
-                            const employeeNames = {
-                                'grinni': 'Грини',
-                                'purpe': 'Пёрпи',
-                                'redjy': 'Реджи',
-                                'blumy': 'Блуми'
-                            };
-                            const employeeImages = {
-                                'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                            };
+                            const employee = employeeRoster.get(assignedEmployee);
                             return `
                                 <div style="background: rgba(255,255,255,0.05); border-radius: 12px; padding: 16px; border: 1px solid rgba(255,255,255,0.1); display: flex; align-items: center; gap: 12px;">
-                                    <img src="${employeeImages[assignedEmployee]}" alt="${employeeNames[assignedEmployee]}" style="width: 50px; height: 50px; border-radius: 8px;">
+                                    <img src="${employee.art.hire}" alt="${employee.name}" style="width: 50px; height: 50px; border-radius: 8px;">
                                     <div style="flex: 1;">
-                                        <div style="font-size: 14px; font-weight: 600; color: #fff; margin-bottom: 4px;">${employeeNames[assignedEmployee]}</div>
-                                        <div style="font-size: 12px; color: rgba(255,255,255,0.7);">Назначен</div>
+                                        <div style="font-size: 14px; font-weight: 600; color: #fff; margin-bottom: 4px;">${employee.name}</div>
+                                        <div style="font-size: 12px; color: rgba(255,255,255,0.7);">${employeeRoster.describeBonuses(assignedEmployee)}</div>
                                     </div>
                                 </div>
                             `;
@@ -3403,7 +3000,7 @@
         
         if (upgradeBtn && canUpgrade) {
             upgradeBtn.addEventListener('click', () => {
-                handleUpgrade(building, buildingData.name);
+                window.upgradeBuilding(building);
             });
         }
         
@@ -3416,83 +3013,6 @@
         return panel;
     }
     // === ФУНКЦИИ ОБРАБОТКИ ДЕЙСТВИЙ ===
-    // Функция покупки здания
-    function handleBuyBuilding(buildingType, buildingName) {
-        const building = buildingsData[buildingType];
-        const playerMoney = getPlayerMoney();
-        
-        if (playerMoney >= building.purchaseCost) {
-            // Покупаем здание
-            building.isOwned = true;
-            building.lastCollectTime = Date.now();
-            building.accumulatedProfit = 0;
-            
-            // Списываем деньги
-            setPlayerMoney(playerMoney - building.purchaseCost);
-            
-            // Сохраняем данные
-            saveBuildingsData();
-            
-            // Обновляем индикаторы
-            updateProfitIndicators();
-            
-            // Обновляем панель
-            closeBuildingPanel();
-            openBuildingPanel(buildingType, buildingName);
-            
-            showNotification(`🎉 Поздравляем! Вы купили ${buildingName}!`, 'success');
-            
-            // Показываем дополнительную информацию
-            setTimeout(() => {
-                showNotification(`💰 ${buildingName} теперь приносит +${(building.income/1000).toFixed(1)}k в час!`, 'info');
-            }, 2000);
-        } else {
-            const needed = building.purchaseCost - playerMoney;
-            const neededFormatted = (needed / 1000).toFixed(1) + 'k';
-            showNotification(`❌ Недостаточно денег! Нужно еще ${neededFormatted}`, 'error');
-        }
-    }
-    
-    function handleUpgrade(buildingType, buildingName) {
-        const building = buildingsData[buildingType];
-        const playerMoney = getPlayerMoney();
-        
-        if (playerMoney >= building.upgradeCost) {
-            // Улучшаем здание
-            building.level++;
-            building.income = Math.floor(building.income * 1.5); // Увеличиваем доход на 50%
-            building.upgradeCost = Math.floor(building.upgradeCost * 1.8); // Увеличиваем стоимость улучшения
-            building.maxWorkers = Math.min(building.maxWorkers + 1, 10); // Увеличиваем максимум работников
-            
-            // Списываем деньги
-            setPlayerMoney(playerMoney - building.upgradeCost);
-            
-            // Сохраняем данные
-            saveBuildingsData();
-            
-            // Обновляем стоимость улучшения на кнопке
-            updateUpgradeCostDisplay(buildingType);
-            
-            // Обновляем индикаторы
-            updateProfitIndicators();
-            
-            // Обновляем панель
-            closeBuildingPanel();
-            openBuildingPanel(buildingType, buildingName);
-            
-            showNotification(`🏗️ ${buildingName} улучшена до уровня ${building.level}!`, 'success');
-            
-            // Показываем информацию о новом доходе
-            setTimeout(() => {
-                showNotification(`💰 Новый доход: +${(building.income/1000).toFixed(1)}k/час`, 'info');
-            }, 2000);
-        } else {
-            const needed = building.upgradeCost - playerMoney;
-            const neededFormatted = (needed / 1000).toFixed(1) + 'k';
-            showNotification(`❌ Недостаточно денег для улучшения! Нужно еще ${neededFormatted}`, 'error');
-        }
-    }
-    
     function handleIncome(buildingType, buildingName) {
         const building = buildingsData[buildingType];
         const accumulatedProfit = calculateAccumulatedProfit(buildingType);
@@ -3500,16 +3020,19 @@
         
         if (accumulatedProfit > 0) {
             // Забираем накопленную прибыль
-            setPlayerMoney(playerMoney + accumulatedProfit);
+            gameState.transaction(() => {
+                setPlayerMoney(bigNumber.add(playerMoney, accumulatedProfit));
             
-            // Сбрасываем накопленную прибыль
-            building.accumulatedProfit = 0;
-            building.lastCollectTime = Date.now();
+                // Сбрасываем накопленную прибыль
+                building.accumulatedProfit = 0;
+                building.lastCollectTime = Date.now();
             
-            saveBuildingsData();
+                saveBuildingsData();
+            });
+            gameEvents.emit('profit.collected', { building: buildingType, amount: accumulatedProfit });
             updateProfitIndicators();
             
-            showNotification(`💰 Получен доход: +${(accumulatedProfit/1000).toFixed(1)}k`, 'success');
+            showNotification(`💰 Получен доход: +${bigNumber.format(accumulatedProfit)}`, 'success');
         } else {
             showNotification('❌ Нет накопленной прибыли для сбора!', 'error');
         }
@@ -3517,12 +3040,15 @@
     function handleHireWorker(buildingType, buildingName) {
         const building = buildingsData[buildingType];
         const playerMoney = getPlayerMoney();
-        const workerCost = 5000;
+        const workerCost = buildingRegistry.get(buildingType).costs.worker;
         
-        if (building.workers < building.maxWorkers && playerMoney >= workerCost) {
+        if (building.workers < building.maxWorkers && bigNumber.cmp(playerMoney, workerCost) >= 0) {
             building.workers++;
-            setPlayerMoney(playerMoney - workerCost);
-            saveBuildingsData();
+            gameState.transaction(() => {
+                setPlayerMoney(bigNumber.sub(playerMoney, workerCost));
+                saveBuildingsData();
+            });
+            gameEvents.emit('worker.hired', { building: buildingType, workers: building.workers });
             
             // Обновляем индикаторы
             updateProfitIndicators();
@@ -3541,8 +3067,8 @@
         } else if (building.workers >= building.maxWorkers) {
             showNotification('❌ Достигнут максимум работников!', 'error');
         } else {
-            const needed = workerCost - playerMoney;
-            const neededFormatted = (needed / 1000).toFixed(1) + 'k';
+            const needed = bigNumber.sub(workerCost, playerMoney);
+            const neededFormatted = bigNumber.format(needed);
             showNotification(`❌ Недостаточно денег для найма! Нужно еще ${neededFormatted}`, 'error');
         }
     }
@@ -3833,12 +3359,7 @@
                     if (!zone) return;
                     const zoneRect = zone.getBoundingClientRect();
                     state.el.style.position = 'fixed';
-                    // Для завода круг размещается в нижней части здания (исключение)
-                    if (buildingType === 'factory') {
-                        state.el.style.top = (zoneRect.bottom + 50) + 'px';
-                    } else {
-                        state.el.style.top = (zoneRect.top + 5) + 'px';
-                    }
+                    state.el.style.top = getIndicatorTop(buildingType, zoneRect, 5);
                     state.el.style.right = (window.innerWidth - zoneRect.right + 5) + 'px';
                 });
             } catch (_) {}
@@ -4025,29 +3546,16 @@
     // Функция открытия меню сотрудников
     window.openEmployeeMenu = function(buildingType) {
         // Проверяем, есть ли уже назначенный сотрудник для этого здания
-        const assignedEmployee = Object.keys(hiredEmployees).find(emp => hiredEmployees[emp] === buildingType);
+        const assignedEmployee = employeeRoster.getAssigned(buildingType);
         if (assignedEmployee) {
             if (window.showNotification) {
-                const employeeNames = {
-                    'grinni': 'Грини',
-                    'purpe': 'Пёрпи',
-                    'redjy': 'Реджи',
-                    'blumy': 'Блуми'
-                };
-                window.showNotification(`Сотрудник ${employeeNames[assignedEmployee]} уже назначен к этому зданию`, 'info');
+                window.showNotification(`Сотрудник ${employeeRoster.getName(assignedEmployee)} уже назначен к этому зданию`, 'info');
             }
             return;
         }
         
         // Сохраняем информацию о текущем здании для восстановления панели
         const currentBuildingPanel = document.getElementById('building-panel');
-        const buildingNames = {
-            'library': 'Библиотека',
-            'print': 'Типография',
-            'factory': 'Завод',
-            'storage': 'Склад'
-        };
-        
         // Плавно закрываем панель здания
         if (currentBuildingPanel) {
             currentBuildingPanel.classList.remove('show');
@@ -4078,7 +3586,7 @@
             transition: opacity 0.3s ease;
         `;
         // Получаем доступных сотрудников (не нанятых)
-        const available = availableEmployees.filter(emp => !hiredEmployees[emp]);
+        const available = employeeRoster.ids().filter(emp => employeeRoster.isOwned(emp) && !employeeRoster.getAssignedBuilding(emp));
         
         hiringPanel.innerHTML = `
             <div class="hiring-panel-container" style="width: 90%; max-width: 380px; background: linear-gradient(135deg, rgba(20,20,20,0.95) 0%, rgba(40,40,40,0.95) 100%); border-radius: 16px; padding: 18px; border: 1px solid rgba(255,255,255,0.1); box-shadow: 0 15px 35px rgba(0,0,0,0.4); transform: scale(0.9); transition: transform 0.3s ease;">
@@ -4107,59 +3615,37 @@
                         }
                     </style>
                     <div style="display: flex; flex-direction: column; gap: 12px;">
-                        ${available.map(employee => {
-                            const employeeNames = {
-                                'grinni': 'Грини',
-                                'purpe': 'Пёрпи', 
-                                'redjy': 'Реджи',
-                                'blumy': 'Блуми'
-                            };
-                            const employeeImages = {
-                                'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                                'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                                'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                                'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                            };
-                            const employeeSkills = {
-                                'grinni': 'Книга',
-                                'purpe': 'Наушники',
-                                'redjy': 'Калькулятор',
-                                'blumy': 'Коробка'
-                            };
-                            
-                            // Цвета для разных персонажей (для фона карточки)
-                            const employeeColors = {
-                                'grinni': 'rgba(76, 175, 80, 0.1)',
-                                'purpe': 'rgba(156, 39, 176, 0.1)',
-                                'redjy': 'rgba(244, 67, 54, 0.1)',
-                                'blumy': 'rgba(33, 150, 243, 0.1)'
-                            };
+                        ${available.map(id => {
+                            const employee = employeeRoster.get(id);
+                            const { level, stars } = employeeRoster.getProgress(id);
                             
                             return `
-                                <div class="employee-card" data-employee="${employee}" style="background: ${employeeColors[employee]}; border-radius: 14px; padding: 14px; border: 1px solid rgba(255,255,255,0.1); cursor: pointer; transition: all 0.3s ease; display: flex; align-items: center; gap: 12px; min-height: 85px; opacity: 0; transform: translateY(20px);">
+                                <div class="employee-card" data-employee="${id}" style="background: ${employee.color}; border-radius: 14px; padding: 14px; border: 1px solid rgba(255,255,255,0.1); cursor: pointer; transition: all 0.3s ease; display: flex; align-items: center; gap: 12px; min-height: 85px; opacity: 0; transform: translateY(20px);">
                                     <!-- Изображение персонажа -->
                                     <div style="flex-shrink: 0; display: flex; align-items: center; justify-content: center; width: 75px; height: 75px; padding: 3px;">
-                                        <img src="${employeeImages[employee]}" alt="${employeeNames[employee]}" style="max-width: 100%; max-height: 100%; width: auto; height: auto; border-radius: 8px; object-fit: contain;">
+                                        <img src="${employee.art.hire}" alt="${employee.name}" style="max-width: 100%; max-height: 100%; width: auto; height: auto; border-radius: 8px; object-fit: contain;">
                                     </div>
                                     
                                     <!-- Информация о персонаже -->
                                     <div style="flex: 1; display: flex; flex-direction: column; gap: 4px;">
-                                        <div style="font-size: 14px; font-weight: 700; color: #fff; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${employeeNames[employee]}</div>
+                                        <div style="font-size: 14px; font-weight: 700; color: #fff; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${employee.name}</div>
                                         
                                         <div style="display: flex; justify-content: space-between; align-items: center;">
                                             <span style="font-size: 9px; color: rgba(255,255,255,0.6); font-weight: 500; text-transform: uppercase; letter-spacing: 0.5px;">Уровень</span>
-                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">1</span>
+                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${level}</span>
                                         </div>
                                         
                                         <div style="display: flex; justify-content: space-between; align-items: center;">
                                             <span style="font-size: 9px; color: rgba(255,255,255,0.6); font-weight: 500; text-transform: uppercase; letter-spacing: 0.5px;">Навык</span>
-                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${employeeSkills[employee]}</span>
+                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${employee.role}</span>
                                         </div>
                                         
                                         <div style="display: flex; justify-content: space-between; align-items: center;">
                                             <span style="font-size: 9px; color: rgba(255,255,255,0.6); font-weight: 500; text-transform: uppercase; letter-spacing: 0.5px;">Редкость</span>
-                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">Базовая</span>
+                                            <span style="font-size: 10px; color: #fff; font-weight: 700; text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${'★'.repeat(stars)}</span>
                                         </div>
+                                        
+                                        <div style="font-size: 9px; color: rgba(255,255,255,0.8);">${employeeRoster.describeBonuses(id, level)}</div>
                                     </div>
                                 </div>
                             `;
@@ -4169,7 +3655,7 @@
                 
                 ${available.length === 0 ? `
                     <div style="text-align: center; padding: 14px; color: rgba(255,255,255,0.7); font-size: 12px;">
-                        Все сотрудники уже наняты
+                        Свободных сотрудников нет — новых можно получить в сейфах магазина
                     </div>
                 ` : ''}
                 
@@ -4212,7 +3698,7 @@
                 
                 // Плавно открываем панель здания с обновленными данными
                 setTimeout(() => {
-                    openBuildingPanel(buildingType, buildingNames[buildingType]);
+                    openBuildingPanel(buildingType, buildingRegistry.getName(buildingType));
                 }, 100);
             }, 300);
         }
@@ -4295,18 +3781,21 @@
         const accumulatedProfit = calculateAccumulatedProfit(buildingType);
         
         if (accumulatedProfit > 0) {
-            // Добавляем деньги к балансу игрока
-            if (window.setPlayerMoney && window.getPlayerMoney) {
-                const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + accumulatedProfit);
-            }
-            
-            // Сбрасываем накопленную прибыль
-            building.accumulatedProfit = 0;
-            building.lastCollectTime = Date.now();
-            
-            // Сохраняем данные
-            saveBuildingsData();
+            gameState.transaction(() => {
+                // Добавляем деньги к балансу игрока
+                if (window.setPlayerMoney && window.getPlayerMoney) {
+                    const currentMoney = window.getPlayerMoney();
+                    window.setPlayerMoney(bigNumber.add(currentMoney, accumulatedProfit));
+                }
+                
+                // Сбрасываем накопленную прибыль
+                building.accumulatedProfit = 0;
+                building.lastCollectTime = Date.now();
+                
+                // Сохраняем данные
+                saveBuildingsData();
+            });
+            gameEvents.emit('profit.collected', { building: buildingType, amount: accumulatedProfit });
             
             // Обновляем индикаторы
             updateProfitIndicators();
@@ -4316,7 +3805,7 @@
             
             // Показываем уведомление
             if (window.showNotification) {
-                window.showNotification(`💰 Собрано: ${(accumulatedProfit/1000).toFixed(1)}k`, 'success');
+                window.showNotification(`💰 Собрано: ${bigNumber.format(accumulatedProfit)}`, 'success');
             }
         }
     };
@@ -4337,7 +3826,7 @@
             // Добавляем деньги к балансу игрока
             if (window.setPlayerMoney && window.getPlayerMoney) {
                 const currentMoney = window.getPlayerMoney();
-                window.setPlayerMoney(currentMoney + incomeEarned);
+                window.setPlayerMoney(bigNumber.add(currentMoney, incomeEarned));
             }
         }
     };
@@ -4365,7 +3854,7 @@
         // Обновляем доход в час
         const incomePerHourElement = document.getElementById('income-per-hour');
         if (incomePerHourElement) {
-            incomePerHourElement.textContent = (incomePerHour / 1000).toFixed(1) + 'k';
+            incomePerHourElement.textContent = bigNumber.format(incomePerHour);
         }
     }
     
@@ -4386,7 +3875,7 @@
         // Обновляем доход в час в панели
         const incomePerHourElement = document.getElementById(`income-per-hour-${buildingType}`);
         if (incomePerHourElement) {
-            incomePerHourElement.textContent = (building.income / 1000).toFixed(1) + 'k';
+            incomePerHourElement.textContent = bigNumber.format(building.income);
         }
         
         // Обновляем прогресс бар
@@ -4453,27 +3942,9 @@
                 }
             }
             
-            // Если печать завершена, сбрасываем флаги
+            // Если печать завершена, выдаём тираж
             if (remainingTime <= 0) {
-                isPrinting = false;
-                printStartTime = null;
-                isExpedited = false;
-                
-                // Добавляем напечатанные книги и журналы в хранилище
-                if (window.addToStorage) {
-                    // Добавляем 100 книг
-                    window.addToStorage('books', 100, 150); // 150 - стоимость за единицу
-                    // Добавляем 100 журналов
-                    window.addToStorage('magazines', 100, 100); // 100 - стоимость за единицу
-                }
-                
-                // Сохраняем состояние печати
-                savePrintState();
-                
-                // Показываем уведомление о завершении
-                if (window.showNotification) {
-                    window.showNotification('✅ Печать завершена! 100 книг и 100 журналов добавлены в хранилище', 'success');
-                }
+                completePrintRun();
                 
                 // Перезагружаем панель типографии
                 setTimeout(() => {
@@ -4511,8 +3982,8 @@
         const costElements = document.querySelectorAll(`#${buildingType}-upgrade-cost`);
         if (costElements.length === 0) return;
         
-        const costText = (building.level < 5 && building.upgradeCost > 0) 
-            ? (building.upgradeCost / 1000).toFixed(0) + 'k'
+        const costText = (!buildingRegistry.isMaxLevel(buildingType, building) && building.upgradeCost > 0) 
+            ? bigNumber.format(building.upgradeCost)
             : 'Макс';
         
         costElements.forEach((costElement) => {
@@ -4526,10 +3997,10 @@
         
         // Обновляем ежедневный доход
         const dailyIncomeElement = document.getElementById('daily-income-display');
-        if (dailyIncomeElement && building.level < 5) {
+        if (dailyIncomeElement && !buildingRegistry.isMaxLevel(buildingType, building)) {
             const currentIncome = building.income;
-            const nextIncome = Math.floor(building.income * 1.25);
-            dailyIncomeElement.innerHTML = `<span style="color:rgba(255,255,255,0.6);">${(currentIncome/1000).toFixed(0)}k</span> > <span style="color:#fff;">${(nextIncome/1000).toFixed(0)}k</span>`;
+            const nextIncome = Math.floor(building.income * buildingRegistry.get(buildingType).income.growth);
+            dailyIncomeElement.innerHTML = `<span style="color:rgba(255,255,255,0.6);">${bigNumber.format(currentIncome)}</span> > <span style="color:#fff;">${bigNumber.format(nextIncome)}</span>`;
         }
         
         // Обновляем коммунальные расходы
@@ -4547,8 +4018,8 @@
         // Обновляем стоимость улучшения на кнопке для всех зданий
         const costElements = document.querySelectorAll(`#${buildingType}-upgrade-cost`);
         if (costElements.length > 0) {
-            const costText = building.level < 5 
-                ? (building.upgradeCost / 1000).toFixed(0) + 'k'
+            const costText = !buildingRegistry.isMaxLevel(buildingType, building) 
+                ? bigNumber.format(building.upgradeCost)
                 : 'Макс';
             costElements.forEach((el) => {
                 el.textContent = costText;
@@ -4570,7 +4041,7 @@
         }
         
         if (incomeElement) {
-            incomeElement.textContent = `${(building.income * 24 / 1000).toFixed(0)}k`;
+            incomeElement.textContent = `${bigNumber.format(building.income * 24)}`;
         }
     }
     
@@ -4583,8 +4054,8 @@
         if (!upgradeBtn) return;
         
         const playerMoney = getPlayerMoney();
-        const canAfford = playerMoney >= building.upgradeCost;
-        const canUpgrade = building.level < 5;
+        const canAfford = bigNumber.cmp(playerMoney, building.upgradeCost) >= 0;
+        const canUpgrade = !buildingRegistry.isMaxLevel(buildingType, building);
         
         // Находим span элемент внутри кнопки
         const spanElement = upgradeBtn.querySelector('span');
@@ -4593,10 +4064,7 @@
             upgradeBtn.style.background = 'rgba(0,0,0,0.8)';
             upgradeBtn.style.cursor = 'pointer';
             upgradeBtn.style.boxShadow = '0 6px 20px rgba(0,0,0,0.4)';
-            upgradeBtn.onclick = buildingType === 'library' ? upgradeLibrary : 
-                                 buildingType === 'factory' ? upgradeFactory :
-                                 buildingType === 'print' ? upgradePrint : 
-                                 buildingType === 'storage' ? upgradeStorage : upgradeFactory;
+            upgradeBtn.onclick = () => window.upgradeBuilding(buildingType);
             if (spanElement) {
                 spanElement.textContent = 'Улучшить';
             }
@@ -4604,7 +4072,7 @@
             // Обновляем стоимость улучшения
             const costElements = document.querySelectorAll(`#${buildingType}-upgrade-cost`);
             costElements.forEach((costElement) => {
-                costElement.textContent = (building.upgradeCost / 1000).toFixed(0) + 'k';
+                costElement.textContent = bigNumber.format(building.upgradeCost);
             });
             
             // Обновляем стиль контейнера с ценой для доступного улучшения
@@ -4638,7 +4106,7 @@
             // Обновляем стоимость улучшения
             const costElements = document.querySelectorAll(`#${buildingType}-upgrade-cost`);
             costElements.forEach((costElement) => {
-                costElement.textContent = (building.upgradeCost / 1000).toFixed(0) + 'k';
+                costElement.textContent = bigNumber.format(building.upgradeCost);
             });
             
             // Обновляем стиль контейнера с ценой для недоступного улучшения
@@ -4704,99 +4172,51 @@
         }
     }, 5000);
     
-    // Функция улучшения библиотеки
-    window.upgradeLibrary = function() {
-        const building = buildingsData.library;
-        const upgradeCost = building.upgradeCost;
-        
-        // Проверяем, есть ли достаточно денег
-        if (window.getPlayerMoney && window.setPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            
-            if (currentMoney >= upgradeCost && building.level < 5) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - upgradeCost);
-                
-                // Улучшаем здание
-                building.level++;
-                building.income = Math.floor(building.income * 1.25); // Увеличиваем на 25%
-                
-                // Рассчитываем стоимость следующего улучшения
-                if (building.level < 5) {
-                    building.upgradeCost = Math.floor(building.upgradeCost * 1.5); // Увеличиваем стоимость на 50%
-                } else {
-                    building.upgradeCost = 0; // Максимальный уровень
-                }
-                
-                // Сохраняем данные
-                saveBuildingsData();
-                
-                // Обновляем стоимость улучшения на кнопке
-                updateUpgradeCostDisplay('library');
-                
-                // Обновляем индикаторы
-                updateProfitIndicators();
-                
-                // Обновляем отображение в панели
-                updateBuildingPanelDisplay('library');
-                
-                // Обновляем панель города для синхронизации звезд
-                if (window.renderCity) {
-                    window.renderCity();
-                }
-                
-                // Показываем уведомление
-                if (window.showNotification) {
-                    window.showNotification(`🏗️ Библиотека улучшена до уровня ${building.level}!`, 'success');
-                }
-                
-                celebrateBuildingUpgrade('library');
-            } else if (building.level >= 5) {
-                if (window.showNotification) {
-                    window.showNotification('❌ Библиотека уже максимального уровня!', 'error');
-                }
-            } else {
-                if (window.showNotification) {
-                    window.showNotification('❌ Недостаточно денег!', 'error');
-                }
-            }
+    // Крупная трата — покупка здания или улучшение дороже этой доли баланса
+    const MAJOR_PURCHASE_SHARE = 0.5;
+    
+    // Перед крупной тратой сохраняем копию сохранения в облако, чтобы её можно было откатить
+    function snapshotBeforePurchase() {
+        if (window.cloudStorage) {
+            window.cloudStorage.takeSnapshot('purchase').catch((error) => {
+                console.warn('Snapshot before purchase failed', error);
+            });
+        }
+    }
+    
+    // Улучшение любого здания из реестра: рост дохода и стоимости задаётся в его описании
+    window.upgradeBuilding = function(buildingType) {
+        const building = buildingsData[buildingType];
+        if (!building) {
+            return;
         }
-    };
-    // Функция улучшения завода
-    window.upgradeFactory = function() {
-        const building = buildingsData.factory;
         const upgradeCost = building.upgradeCost;
         
         // Проверяем, есть ли достаточно денег
         if (window.getPlayerMoney && window.setPlayerMoney) {
             const currentMoney = window.getPlayerMoney();
+            const isMaxLevel = buildingRegistry.isMaxLevel(buildingType, building);
             
-            if (currentMoney >= upgradeCost && building.level < 5) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - upgradeCost);
-                
-                // Улучшаем здание
-                building.level++;
-                building.income = Math.floor(building.income * 1.25); // Увеличиваем на 25%
-                
-                // Рассчитываем стоимость следующего улучшения
-                if (building.level < 5) {
-                    building.upgradeCost = Math.floor(building.upgradeCost * 1.5); // Увеличиваем стоимость на 50%
-                } else {
-                    building.upgradeCost = 0; // Максимальный уровень
+            if (bigNumber.cmp(currentMoney, upgradeCost) >= 0 && !isMaxLevel) {
+                if (bigNumber.cmp(upgradeCost, bigNumber.mul(currentMoney, MAJOR_PURCHASE_SHARE)) >= 0) {
+                    snapshotBeforePurchase();
                 }
-                
-                // Сохраняем данные
-                saveBuildingsData();
+                // Списываем деньги и улучшаем здание одной транзакцией
+                gameState.transaction(() => {
+                    window.setPlayerMoney(bigNumber.sub(currentMoney, upgradeCost));
+                    buildingRegistry.applyUpgrade(buildingType, building);
+                    saveBuildingsData();
+                });
+                gameEvents.emit('building.upgraded', { building: buildingType, level: building.level });
                 
                 // Обновляем стоимость улучшения на кнопке
-                updateUpgradeCostDisplay('factory');
+                updateUpgradeCostDisplay(buildingType);
                 
                 // Обновляем индикаторы
                 updateProfitIndicators();
                 
                 // Обновляем отображение в панели
-                updateBuildingPanelDisplay('factory');
+                updateBuildingPanelDisplay(buildingType);
                 
                 // Обновляем панель города для синхронизации звезд
                 if (window.renderCity) {
@@ -4805,13 +4225,13 @@
                 
                 // Показываем уведомление
                 if (window.showNotification) {
-                    window.showNotification(`🏭 Завод улучшен до уровня ${building.level}!`, 'success');
+                    window.showNotification(buildingRegistry.formatText(buildingType, 'upgraded', { level: building.level }), 'success');
                 }
                 
-                celebrateBuildingUpgrade('factory');
-            } else if (building.level >= 5) {
+                celebrateBuildingUpgrade(buildingType);
+            } else if (isMaxLevel) {
                 if (window.showNotification) {
-                    window.showNotification('❌ Завод уже максимального уровня!', 'error');
+                    window.showNotification(buildingRegistry.formatText(buildingType, 'maxLevel'), 'error');
                 }
             } else {
                 if (window.showNotification) {
@@ -4821,74 +4241,34 @@
         }
     };
     
-    // Функция покупки завода
-    window.buyFactory = function() {
-        const purchaseCost = buildingsData.factory.purchaseCost;
-        
-        // Проверяем, есть ли достаточно денег
-        if (window.getPlayerMoney && window.setPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            
-            if (currentMoney >= purchaseCost) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - purchaseCost);
-                
-                // Отмечаем завод как купленный в локальных данных
-                buildingsData.factory.isOwned = true;
-                // Устанавливаем время начала накопления прибыли
-                buildingsData.factory.lastCollectTime = Date.now();
-                buildingsData.factory.accumulatedProfit = 0;
-                
-                // Сохраняем изменения в localStorage
-                saveBuildingsData();
-                
-                // Обновляем индикаторы прибыли
-                updateProfitIndicators();
-                
-                // Обновляем панель города
-                if (window.renderCity) {
-                    window.renderCity();
-                }
-                
-                // Показываем уведомление
-                if (window.showNotification) {
-                    window.showNotification('🏭 Завод куплен!', 'success');
-                }
-                
-                // Запускаем анимацию покупки и обновляем отображение
-                if (window.updateBuildingDisplay) {
-                    window.updateBuildingDisplay('factory');
-                } else {
-                    closeBuildingPanel();
-                }
-            } else {
-                if (window.showNotification) {
-                    window.showNotification('❌ Недостаточно денег!', 'error');
-                }
-            }
+    // Покупка любого здания из реестра
+    window.buyBuilding = function(buildingType) {
+        const building = buildingsData[buildingType];
+        if (!building || building.isOwned) {
+            return;
         }
-    };
-    
-    // Функция покупки типографии
-    window.buyPrint = function() {
-        const purchaseCost = buildingsData.print.purchaseCost;
+        const purchaseCost = building.purchaseCost;
         
         // Проверяем, есть ли достаточно денег
         if (window.getPlayerMoney && window.setPlayerMoney) {
             const currentMoney = window.getPlayerMoney();
             
-            if (currentMoney >= purchaseCost) {
+            if (bigNumber.cmp(currentMoney, purchaseCost) >= 0) {
+                snapshotBeforePurchase();
                 // Списываем деньги
-                window.setPlayerMoney(currentMoney - purchaseCost);
+                gameState.transaction(() => {
+                    window.setPlayerMoney(bigNumber.sub(currentMoney, purchaseCost));
                 
-                // Отмечаем типографию как купленную в локальных данных
-                buildingsData.print.isOwned = true;
-                // Устанавливаем время начала накопления прибыли
-                buildingsData.print.lastCollectTime = Date.now();
-                buildingsData.print.accumulatedProfit = 0;
+                    // Отмечаем здание как купленное в локальных данных
+                    building.isOwned = true;
+                    // Устанавливаем время начала накопления прибыли
+                    building.lastCollectTime = Date.now();
+                    building.accumulatedProfit = 0;
                 
-                // Сохраняем изменения в localStorage
-                saveBuildingsData();
+                    // Сохраняем изменения
+                    saveBuildingsData();
+                });
+                gameEvents.emit('building.bought', { building: buildingType });
                 
                 // Обновляем индикаторы прибыли
                 updateProfitIndicators();
@@ -4900,12 +4280,12 @@
                 
                 // Показываем уведомление
                 if (window.showNotification) {
-                    window.showNotification('🖨️ Типография куплена!', 'success');
+                    window.showNotification(buildingRegistry.formatText(buildingType, 'bought'), 'success');
                 }
                 
                 // Запускаем анимацию покупки и обновляем отображение
                 if (window.updateBuildingDisplay) {
-                    window.updateBuildingDisplay('print');
+                    window.updateBuildingDisplay(buildingType);
                 } else {
                     closeBuildingPanel();
                 }
@@ -4917,64 +4297,15 @@
         }
     };
     
-    // Функция улучшения типографии
-    window.upgradePrint = function() {
-        const building = buildingsData.print;
-        const upgradeCost = building.upgradeCost;
-        
-        // Проверяем, есть ли достаточно денег
-        if (window.getPlayerMoney && window.setPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            
-            if (currentMoney >= upgradeCost && building.level < 5) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - upgradeCost);
-                
-                // Улучшаем здание
-                building.level++;
-                building.income = Math.floor(building.income * 1.25); // Увеличиваем на 25%
-                
-                // Рассчитываем стоимость следующего улучшения
-                if (building.level < 5) {
-                    building.upgradeCost = Math.floor(building.upgradeCost * 1.5); // Увеличиваем стоимость на 50%
-                } else {
-                    building.upgradeCost = 0; // Максимальный уровень
-                }
-                
-                // Сохраняем данные
-                saveBuildingsData();
-                
-                // Обновляем стоимость улучшения на кнопке
-                updateUpgradeCostDisplay('print');
-                
-                // Обновляем индикаторы
-                updateProfitIndicators();
-                
-                // Обновляем отображение в панели
-                updateBuildingPanelDisplay('print');
-                
-                // Обновляем панель города для синхронизации звезд
-                if (window.renderCity) {
-                    window.renderCity();
-                }
-                
-                // Показываем уведомление
-                if (window.showNotification) {
-                    window.showNotification(`🖨️ Типография улучшена до уровня ${building.level}!`, 'success');
-                }
-                
-                celebrateBuildingUpgrade('print');
-            } else if (building.level >= 5) {
-                if (window.showNotification) {
-                    window.showNotification('❌ Типография уже максимального уровня!', 'error');
-                }
-            } else {
-                if (window.showNotification) {
-                    window.showNotification('❌ Недостаточно денег!', 'error');
-                }
-            }
-        }
-    };
+    // Старые имена функций остаются для внешних вызовов (map_ui.js, разметка)
+    window.upgradeLibrary = () => window.upgradeBuilding('library');
+    window.upgradeFactory = () => window.upgradeBuilding('factory');
+    window.upgradePrint = () => window.upgradeBuilding('print');
+    window.upgradeStorage = () => window.upgradeBuilding('storage');
+    window.buyFactory = () => window.buyBuilding('factory');
+    window.buyPrint = () => window.buyBuilding('print');
+    window.buyStorage = () => window.buyBuilding('storage');
+    
     // Функция открытия панели печати
     window.openPrintPanel = function() {
         // Проверяем, есть ли активная печать
@@ -5014,13 +4345,17 @@
                 <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 12px; margin-bottom: 16px; border: 1px solid rgba(255,255,255,0.1);">
                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
                         <span style="font-size: 12px; color: rgba(255,255,255,0.7);">Ожидаемое время печати</span>
-                        <span style="font-size: 12px; color: #fff; font-weight: 600;">30 мин.</span>
+                        <span style="font-size: 12px; color: #fff; font-weight: 600;">${getPrintMinutes()} мин.</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                        <span style="font-size: 12px; color: rgba(255,255,255,0.7);">Бумага на тираж</span>
+                        <span style="font-size: 12px; color: #fff; font-weight: 600;">${productionChain.getPaperPerRun()} (на складе ${productionChain.getState().paper})</span>
                     </div>
                     <div style="display: flex; justify-content: space-between; align-items: center;">
                         <span style="font-size: 11px; color: rgba(255,255,255,0.7); line-height: 1.2;">Стоимость печати</span>
                         <div style="display: flex; align-items: center; gap: 4px;">
                             <img src="assets/svg/money-icon.svg" alt="Money" style="width: 12px; height: 12px;">
-                            <span style="font-size: 12px; color: #fff; font-weight: 600;">15 000</span>
+                            <span style="font-size: 12px; color: #fff; font-weight: 600;">${bigNumber.formatFull(PRINT_COST)}</span>
                         </div>
                     </div>
                 </div>
@@ -5030,7 +4365,7 @@
                     <span>Напечатать</span>
                     <div style="background: rgba(0,0,0,0.1); border-radius: 6px; padding: 4px 8px; display: flex; align-items: center; gap: 4px;">
                         <img src="assets/svg/money-icon.svg" alt="Money" style="width: 12px; height: 12px;">
-                        <span style="font-size: 12px; color: #000; font-weight: 600;">15 000</span>
+                        <span style="font-size: 12px; color: #000; font-weight: 600;">${bigNumber.formatFull(PRINT_COST)}</span>
                     </div>
                 </button>
                 
@@ -5047,9 +4382,9 @@
         
         // Проверяем наличие денег для кнопки "Напечатать"
         const playerMoney = window.getPlayerMoney();
-        const printCost = 15000;
+        const printCost = PRINT_COST;
         
-        if (playerMoney >= printCost) {
+        if (bigNumber.cmp(playerMoney, printCost) >= 0) {
             // Если денег достаточно, кнопка активна
             startPrintBtn.style.background = '#fff';
             startPrintBtn.style.cursor = 'pointer';
@@ -5070,7 +4405,7 @@
         });
         
         startPrintBtn.addEventListener('click', () => {
-            if (playerMoney >= printCost) {
+            if (bigNumber.cmp(playerMoney, printCost) >= 0) {
                 startPrintProcess(printPanel);
             } else {
                 // Показываем уведомление о недостатке денег
@@ -5095,17 +4430,27 @@
     
     // Функция запуска процесса печати
     function startPrintProcess(printPanel) {
-        const printCost = 15000;
+        const printCost = PRINT_COST;
         const playerMoney = window.getPlayerMoney();
+        const paperNeeded = productionChain.getPaperPerRun();
         
-        if (playerMoney >= printCost) {
+        if (bigNumber.cmp(playerMoney, printCost) >= 0) {
+            // Тираж печатается из бумаги завода
+            if (!productionChain.consumePaper(paperNeeded)) {
+                if (window.showNotification) {
+                    const paper = productionChain.getState().paper;
+                    window.showNotification(`❌ Не хватает бумаги: нужно ${paperNeeded}, на складе завода ${paper}`, 'error');
+                }
+                return;
+            }
+            
             // Списываем деньги
-            window.setPlayerMoney(playerMoney - printCost);
+            window.setPlayerMoney(bigNumber.sub(playerMoney, printCost));
             
             // Устанавливаем флаг печати и время начала
             isPrinting = true;
             printStartTime = Date.now();
-            printTotalTime = 30; // Устанавливаем стандартное время печати (30 минут)
+            printTotalTime = getPrintMinutes(); // Стандартное время печати с бонусами перерождения и сотрудника
             isExpedited = false; // Сбрасываем флаг ускорения
             
             // Сохраняем состояние печати в localStorage
@@ -5181,7 +4526,7 @@
                         <span style="font-size: 11px; color: rgba(255,255,255,0.7); line-height: 1.2;">Стоимость ускорения</span>
                         <div style="display: flex; align-items: center; gap: 4px;">
                             <img src="assets/svg/money-icon.svg" alt="Money" style="width: 12px; height: 12px;">
-                            <span style="font-size: 12px; color: #fff; font-weight: 600;">3 000</span>
+                            <span style="font-size: 12px; color: #fff; font-weight: 600;">${bigNumber.formatFull(EXPEDITE_COST)}</span>
                         </div>
                     </div>
                     
@@ -5190,7 +4535,7 @@
                         <span>Ускорить</span>
                         <div style="background: rgba(0,0,0,0.1); border-radius: 6px; padding: 4px 8px; display: flex; align-items: center; gap: 4px;">
                             <img src="assets/svg/money-icon.svg" alt="Money" style="width: 12px; height: 12px;">
-                            <span style="font-size: 12px; color: #000; font-weight: 600;">3 000</span>
+                            <span style="font-size: 12px; color: #000; font-weight: 600;">${bigNumber.formatFull(EXPEDITE_COST)}</span>
                         </div>
                     </button>
                 </div>
@@ -5275,26 +4620,7 @@
                     remainingTime.textContent = 'Завершено';
                     clearInterval(printProgressInterval);
                     
-                    // Сбрасываем флаг печати
-                    isPrinting = false;
-                    printStartTime = null;
-                    isExpedited = false; // Сбрасываем флаг ускорения
-                    
-                    // Добавляем напечатанные книги и журналы в хранилище
-                    if (window.addToStorage) {
-                        // Добавляем 100 книг
-                        window.addToStorage('books', 100, 150); // 150 - стоимость за единицу
-                        // Добавляем 100 журналов
-                        window.addToStorage('magazines', 100, 100); // 100 - стоимость за единицу
-                    }
-                    
-                    // Сохраняем состояние печати
-                    savePrintState();
-                    
-                    // Показываем уведомление о завершении
-                    if (window.showNotification) {
-                        window.showNotification('✅ Печать завершена! 100 книг и 100 журналов добавлены в хранилище', 'success');
-                    }
+                    completePrintRun();
                     
                     // Закрываем панель через 2 секунды и открываем панель типографии
                     setTimeout(() => {
@@ -5312,6 +4638,26 @@
         }, 1000); // Обновляем каждую секунду для более плавного прогресса
     }
     
+    // Завершение тиража: сбрасываем флаги и кладём результат в хранилище
+    function completePrintRun() {
+        isPrinting = false;
+        printStartTime = null;
+        isExpedited = false;
+        
+        const output = offlineProgress.PRINT_OUTPUT;
+        if (window.addToStorage) {
+            window.addToStorage('books', output.books, 150); // 150 - стоимость за единицу
+            window.addToStorage('magazines', output.magazines, 100); // 100 - стоимость за единицу
+        }
+        
+        savePrintState();
+        gameEvents.emit('print.completed', { books: output.books, magazines: output.magazines, offline: false });
+        
+        if (window.showNotification) {
+            window.showNotification(`✅ Печать завершена! ${output.books} книг и ${output.magazines} журналов добавлены в хранилище`, 'success');
+        }
+    }
+    
     // Функция сохранения состояния печати
     function savePrintState() {
         const printState = {
@@ -5320,7 +4666,7 @@
             printTotalTime: printTotalTime,
             isExpedited: isExpedited
         };
-        localStorage.setItem('printState', JSON.stringify(printState));
+        gameState.set('printState', printState);
     }
     // Функция сброса состояния печати
     function resetPrintState() {
@@ -5336,44 +4682,35 @@
     
     // Функция загрузки состояния печати
     function loadPrintState() {
-        const savedState = localStorage.getItem('printState');
-        if (savedState) {
-            try {
-                const state = JSON.parse(savedState);
-                isPrinting = state.isPrinting || false;
-                printStartTime = state.printStartTime || null;
-                printTotalTime = state.printTotalTime || 30;
-                isExpedited = state.isExpedited || false;
-                
-                // Проверяем, не завершилась ли печать
-                if (isPrinting && printStartTime) {
-                    const elapsedMinutes = Math.floor((Date.now() - printStartTime) / 60000);
-                    if (elapsedMinutes >= printTotalTime) {
-                        // Печать завершена
-                        isPrinting = false;
-                        printStartTime = null;
-                        isExpedited = false;
-                        savePrintState();
-                    }
+        const state = gameState.get('printState');
+        if (state) {
+            isPrinting = state.isPrinting || false;
+            printStartTime = state.printStartTime || null;
+            printTotalTime = state.printTotalTime || PRINT_DURATION_MINUTES;
+            isExpedited = state.isExpedited || false;
+            
+            // Проверяем, не завершилась ли печать
+            if (isPrinting && printStartTime) {
+                const elapsedMinutes = Math.floor((Date.now() - printStartTime) / 60000);
+                if (elapsedMinutes >= printTotalTime) {
+                    // Печать завершена
+                    isPrinting = false;
+                    printStartTime = null;
+                    isExpedited = false;
+                    savePrintState();
                 }
-            } catch (error) {
-                console.error('Ошибка загрузки состояния печати:', error);
-                // Сбрасываем состояние при ошибке
-                isPrinting = false;
-                printStartTime = null;
-                isExpedited = false;
             }
         }
     }
     
     // Функция ускорения печати
     function expeditePrint(printPanel) {
-        const expediteCost = 3000; // Стоимость ускорения
+        const expediteCost = EXPEDITE_COST;
         const playerMoney = window.getPlayerMoney();
         
-        if (playerMoney >= expediteCost) {
+        if (bigNumber.cmp(playerMoney, expediteCost) >= 0) {
             // Списываем деньги
-            window.setPlayerMoney(playerMoney - expediteCost);
+            window.setPlayerMoney(bigNumber.sub(playerMoney, expediteCost));
             
             // Показываем уведомление
             if (window.showNotification) {
@@ -5418,7 +4755,7 @@
         `;
         
         // Получаем доступных сотрудников (не нанятых)
-        const available = availableEmployees.filter(emp => !hiredEmployees[emp]);
+        const available = employeeRoster.ids().filter(emp => employeeRoster.isOwned(emp) && !employeeRoster.getAssignedBuilding(emp));
         
         hiringPanel.innerHTML = `
             <div class="hiring-panel-container" style="width: 90%; max-width: 400px; background: linear-gradient(135deg, rgba(20,20,20,0.95) 0%, rgba(40,40,40,0.95) 100%); border-radius: 20px; padding: 24px; border: 1px solid rgba(255,255,255,0.1); box-shadow: 0 25px 50px rgba(0,0,0,0.6);">
@@ -5430,24 +4767,13 @@
                 
                 <!-- Список доступных сотрудников -->
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 20px;">
-                    ${available.map(employee => {
-                        const employeeNames = {
-                            'grinni': 'Грини',
-                            'purpe': 'Пёрпи', 
-                            'redjy': 'Реджи',
-                            'blumy': 'Блуми'
-                        };
-                        const employeeImages = {
-                            'grinni': 'assets/svg/hiring-forpanel/green.svg',
-                            'purpe': 'assets/svg/hiring-forpanel/purpe.svg',
-                            'redjy': 'assets/svg/hiring-forpanel/redjy.svg',
-                            'blumy': 'assets/svg/hiring-forpanel/blumy.svg'
-                        };
+                    ${available.map(id => {
+                        const employee = employeeRoster.get(id);
                         
                         return `
-                            <div class="employee-card" data-employee="${employee}" style="background: rgba(255,255,255,0.05); border-radius: 12px; padding: 16px; border: 1px solid rgba(255,255,255,0.1); cursor: pointer; transition: all 0.3s ease; display: flex; flex-direction: column; align-items: center; text-align: center;">
-                                <img src="${employeeImages[employee]}" alt="${employeeNames[employee]}" style="width: 60px; height: 60px; margin-bottom: 8px; border-radius: 8px;">
-                                <div style="font-size: 14px; font-weight: 600; color: #fff;">${employeeNames[employee]}</div>
+                            <div class="employee-card" data-employee="${id}" style="background: rgba(255,255,255,0.05); border-radius: 12px; padding: 16px; border: 1px solid rgba(255,255,255,0.1); cursor: pointer; transition: all 0.3s ease; display: flex; flex-direction: column; align-items: center; text-align: center;">
+                                <img src="${employee.art.hire}" alt="${employee.name}" style="width: 60px; height: 60px; margin-bottom: 8px; border-radius: 8px;">
+                                <div style="font-size: 14px; font-weight: 600; color: #fff;">${employee.name}</div>
                                 <div style="font-size: 12px; color: rgba(255,255,255,0.7); margin-top: 4px;">Доступен</div>
                             </div>
                         `;
@@ -5456,7 +4782,7 @@
                 
                 ${available.length === 0 ? `
                     <div style="text-align: center; padding: 14px; color: rgba(255,255,255,0.7); font-size: 12px;">
-                        Все сотрудники уже наняты
+                        Свободных сотрудников нет — новых можно получить в сейфах магазина
                     </div>
                 ` : ''}
                 
@@ -5517,9 +4843,11 @@
     };
     // Функция найма сотрудника
     function hireEmployee(employee, buildingType) {
-        // Назначаем сотрудника к зданию
-        hiredEmployees[employee] = buildingType;
-        saveHiredEmployees();
+        // Назначаем сотрудника к зданию: бонусы каталога сразу меняют доход и скорость здания
+        accrueBeforeStaffChange(buildingType);
+        if (!employeeRoster.assign(employee, buildingType)) {
+            return;
+        }
         
         // Обновляем отображение карточки сотрудника в панели здания
         updateEmployeeCard(buildingType);
@@ -5529,125 +4857,10 @@
         
         // Показываем уведомление
         if (window.showNotification) {
-            const employeeNames = {
-                'grinni': 'Грини',
-                'purpe': 'Пёрпи', 
-                'redjy': 'Реджи',
-                'blumy': 'Блуми'
-            };
-            window.showNotification(`✅ ${employeeNames[employee]} назначен к зданию!`, 'success');
+            window.showNotification(`✅ ${employeeRoster.getName(employee)} назначен к зданию!`, 'success');
         }
     }
     
-
-    
-    // Функция покупки почты
-    window.buyStorage = function() {
-        const purchaseCost = buildingsData.storage.purchaseCost;
-        
-        // Проверяем, есть ли достаточно денег
-        if (window.getPlayerMoney && window.setPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            
-            if (currentMoney >= purchaseCost) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - purchaseCost);
-                
-                // Отмечаем почту как купленную в локальных данных
-                buildingsData.storage.isOwned = true;
-                // Устанавливаем время начала накопления прибыли
-                buildingsData.storage.lastCollectTime = Date.now();
-                buildingsData.storage.accumulatedProfit = 0;
-                
-                // Сохраняем изменения в localStorage
-                saveBuildingsData();
-                
-                // Обновляем индикаторы прибыли
-                updateProfitIndicators();
-                
-                // Обновляем панель города
-                if (window.renderCity) {
-                    window.renderCity();
-                }
-                
-                // Показываем уведомление
-                if (window.showNotification) {
-                    window.showNotification('📮 Почта куплена!', 'success');
-                }
-                
-                // Запускаем анимацию покупки и обновляем отображение
-                if (window.updateBuildingDisplay) {
-                    window.updateBuildingDisplay('storage');
-                } else {
-                    closeBuildingPanel();
-                }
-            } else {
-                if (window.showNotification) {
-                    window.showNotification('❌ Недостаточно денег!', 'error');
-                }
-            }
-        }
-    };
-    
-    // Функция улучшения почты
-    window.upgradeStorage = function() {
-        const building = buildingsData.storage;
-        const upgradeCost = building.upgradeCost;
-        
-        // Проверяем, есть ли достаточно денег
-        if (window.getPlayerMoney && window.setPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            
-            if (currentMoney >= upgradeCost && building.level < 5) {
-                // Списываем деньги
-                window.setPlayerMoney(currentMoney - upgradeCost);
-                
-                // Улучшаем здание
-                building.level++;
-                building.income = Math.floor(building.income * 1.25); // Увеличиваем на 25%
-                
-                // Рассчитываем стоимость следующего улучшения
-                if (building.level < 5) {
-                    building.upgradeCost = Math.floor(building.upgradeCost * 1.5); // Увеличиваем стоимость на 50%
-                } else {
-                    building.upgradeCost = 0; // Максимальный уровень
-                }
-                
-                // Сохраняем данные
-                saveBuildingsData();
-                
-                // Обновляем стоимость улучшения на кнопке
-                updateUpgradeCostDisplay('storage');
-                
-                // Обновляем индикаторы
-                updateProfitIndicators();
-                
-                // Обновляем отображение в панели
-                updateBuildingPanelDisplay('storage');
-                
-                // Обновляем панель города для синхронизации звезд
-                if (window.renderCity) {
-                    window.renderCity();
-                }
-                
-                // Показываем уведомление
-                if (window.showNotification) {
-                    window.showNotification(`📮 Почта улучшена до уровня ${building.level}!`, 'success');
-                }
-                
-                celebrateBuildingUpgrade('storage');
-            } else if (building.level >= 5) {
-                if (window.showNotification) {
-                    window.showNotification('❌ Почта уже максимального уровня!', 'error');
-                }
-            } else {
-                if (window.showNotification) {
-                    window.showNotification('❌ Недостаточно денег!', 'error');
-                }
-            }
-        }
-    };
-    
     // Экспортируем функции управления деньгами в глобальную область видимости
     window.getPlayerMoney = getPlayerMoney;
     window.setPlayerMoney = setPlayerMoney;
@@ -5655,13 +4868,30 @@
     // === НОВАЯ СИСТЕМА ДОСТАВКИ ===
     
     // Глобальные переменные для системы доставки
-    let deliveryQueue = JSON.parse(localStorage.getItem('delivery_queue') || '[]');
+    let deliveryQueue = gameState.get('delivery_queue');
     let activeDelivery = null;
     let deliveryTimer = null;
     
     // Сохранение очереди доставки
     function saveDeliveryQueue() {
-        localStorage.setItem('delivery_queue', JSON.stringify(deliveryQueue));
+        gameState.set('delivery_queue', deliveryQueue);
+    }
+    
+    function getDeliveryModule() {
+        return buildingRegistry.findByProduction('delivery').production;
+    }
+    
+    // Время рейса почты с бонусами перерождения и сотрудника почты, в минутах
+    function getDeliveryMinutes() {
+        const building = buildingRegistry.findByProduction('delivery').id;
+        return employeeRoster.applySpeed(building, prestige.applySpeed(getDeliveryModule().durationMinutes));
+    }
+    
+    // Сколько товаров можно отправить одним рейсом: вместимость почты и свободные полки библиотеки
+    function getDeliveryLimit() {
+        const stats = productionChain.getLinkStats(buildingsData);
+        const shelfFree = productionChain.getShelfFree(productionChain.getState(), buildingsData, deliveryQueue);
+        return Math.min(stats.delivery.tripCapacity, shelfFree);
     }
     
     // Функция открытия меню доставки
@@ -5684,6 +4914,17 @@
             return;
         }
         
+        // За рейс уходит не больше вместимости почты и свободного места на полках библиотеки
+        const tripLimit = getDeliveryLimit();
+        if (tripLimit === 0) {
+            if (window.showNotification) {
+                window.showNotification('❌ Полки библиотеки заполнены! Дождитесь, пока товар разберут', 'error');
+            }
+            return;
+        }
+        const bookPrice = productionChain.getItemValue('books', buildingsData);
+        const magazinePrice = productionChain.getItemValue('magazines', buildingsData);
+        
         // Закрываем панель почты
         closeBuildingPanel();
         
@@ -5723,7 +4964,7 @@
                 <!-- Заголовок -->
                 <div style="margin-bottom: 12px;">
                     <div style="font-size: 15px; font-weight: 600; color: #fff; margin-bottom: 3px;">Доставка в библиотеку</div>
-                    <div style="font-size: 10px; color: rgba(255,255,255,0.6); line-height: 1.2;">Выберите количество товаров для отправки</div>
+                    <div style="font-size: 10px; color: rgba(255,255,255,0.6); line-height: 1.2;">Выберите количество товаров для отправки (за рейс до ${tripLimit} шт.)</div>
                 </div>
                 
                 <!-- Секция книг -->
@@ -5732,12 +4973,12 @@
                         <img src="assets/svg/mail-panel/books.svg" alt="Книги" style="width: 36px; height: 36px; filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));">
                         <div>
                             <div style="font-size: 12px; font-weight: 600; color: #fff;">Книги</div>
-                            <div style="font-size: 9px; color: rgba(255,255,255,0.7);">Доступно: ${currentBooks} | Цена: 100 за шт.</div>
+                            <div style="font-size: 9px; color: rgba(255,255,255,0.7);">Доступно: ${currentBooks} | Выручка: ${bookPrice} за шт.</div>
                         </div>
                     </div>
                     
                     <div style="display: flex; align-items: center; gap: 10px;">
-                        <input type="range" id="books-delivery-slider" min="0" max="${currentBooks}" value="0" style="flex: 1; height: 5px; border-radius: 3px; background: rgba(255,255,255,0.2); outline: none; -webkit-appearance: none;" oninput="updateDeliveryDisplay()">
+                        <input type="range" id="books-delivery-slider" min="0" max="${Math.min(currentBooks, tripLimit)}" value="0" style="flex: 1; height: 5px; border-radius: 3px; background: rgba(255,255,255,0.2); outline: none; -webkit-appearance: none;" oninput="updateDeliveryDisplay()">
                         <div style="display: flex; flex-direction: column; align-items: center; min-width: 45px;">
                             <span id="books-delivery-qty" style="font-size: 13px; font-weight: 700; color: #ff6b9d;">0</span>
                             <span id="books-delivery-cost" style="font-size: 8px; color: rgba(255,255,255,0.7);">0$</span>
@@ -5751,12 +4992,12 @@
                         <img src="assets/svg/mail-panel/magazins.svg" alt="Журналы" style="width: 36px; height: 36px; filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));">
                         <div>
                             <div style="font-size: 12px; font-weight: 600; color: #fff;">Журналы</div>
-                            <div style="font-size: 9px; color: rgba(255,255,255,0.7);">Доступно: ${currentMags} | Цена: 200 за шт.</div>
+                            <div style="font-size: 9px; color: rgba(255,255,255,0.7);">Доступно: ${currentMags} | Выручка: ${magazinePrice} за шт.</div>
                         </div>
                     </div>
                     
                     <div style="display: flex; align-items: center; gap: 10px;">
-                        <input type="range" id="mags-delivery-slider" min="0" max="${currentMags}" value="0" style="flex: 1; height: 5px; border-radius: 3px; background: rgba(255,255,255,0.2); outline: none; -webkit-appearance: none;" oninput="updateDeliveryDisplay()">
+                        <input type="range" id="mags-delivery-slider" min="0" max="${Math.min(currentMags, tripLimit)}" value="0" style="flex: 1; height: 5px; border-radius: 3px; background: rgba(255,255,255,0.2); outline: none; -webkit-appearance: none;" oninput="updateDeliveryDisplay()">
                         <div style="display: flex; flex-direction: column; align-items: center; min-width: 45px;">
                             <span id="mags-delivery-qty" style="font-size: 13px; font-weight: 700; color: #ff6b9d;">0</span>
                             <span id="mags-delivery-cost" style="font-size: 8px; color: rgba(255,255,255,0.7);">0$</span>
@@ -5767,12 +5008,12 @@
                 <!-- Итоговая информация -->
                 <div style="background: linear-gradient(135deg, #ff6b9d 0%, #c44569 50%, #8b5cf6 100%); border-radius: 10px; padding: 8px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.2);">
                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
-                        <span style="font-size: 12px; font-weight: 600; color: white;">Ожидаемая прибыль:</span>
+                        <span style="font-size: 12px; font-weight: 600; color: white;">Ожидаемая выручка библиотеки:</span>
                         <span id="total-delivery-cost" style="font-size: 15px; font-weight: 700; color: white;">0$</span>
                     </div>
                     <div style="display: flex; justify-content: space-between; align-items: center;">
                         <span style="font-size: 10px; color: rgba(255,255,255,0.9);">Время доставки:</span>
-                        <span style="font-size: 10px; color: rgba(255,255,255,0.9);">30 минут</span>
+                        <span style="font-size: 10px; color: rgba(255,255,255,0.9);">${getDeliveryMinutes()} минут</span>
                     </div>
                 </div>
                 
@@ -6013,11 +5254,22 @@
         
         if (!booksSlider || !magsSlider) return;
         
-        const booksQty = parseInt(booksSlider.value) || 0;
-        const magsQty = parseInt(magsSlider.value) || 0;
+        // Общий лимит рейса делится между книгами и журналами
+        const tripLimit = getDeliveryLimit();
+        let booksQty = parseInt(booksSlider.value) || 0;
+        let magsQty = parseInt(magsSlider.value) || 0;
+        if (booksQty + magsQty > tripLimit) {
+            if (document.activeElement === booksSlider) {
+                magsQty = Math.max(0, tripLimit - booksQty);
+                magsSlider.value = magsQty;
+            } else {
+                booksQty = Math.max(0, tripLimit - magsQty);
+                booksSlider.value = booksQty;
+            }
+        }
         
-        const booksCost = booksQty * 100;
-        const magsCost = magsQty * 200;
+        const booksCost = booksQty * productionChain.getItemValue('books', buildingsData);
+        const magsCost = magsQty * productionChain.getItemValue('magazines', buildingsData);
         const totalCost = booksCost + magsCost;
         
         // Обновляем отображение
@@ -6068,14 +5320,21 @@
             return;
         }
         
+        if (booksQty + magsQty > getDeliveryLimit()) {
+            if (window.showNotification) {
+                window.showNotification('❌ Столько не поместится в рейс или на полки библиотеки!', 'error');
+            }
+            return;
+        }
+        
         // Создаем заказ доставки
+        const deliveryMinutes = getDeliveryMinutes();
         const deliveryOrder = {
             id: Date.now(),
             books: booksQty,
             magazines: magsQty,
-            totalCost: booksQty * 100 + magsQty * 200,
             startTime: Date.now(),
-            duration: 30 * 60 * 1000, // 30 минут в миллисекундах
+            duration: deliveryMinutes * 60 * 1000,
             isExpedited: false
         };
         
@@ -6122,7 +5381,7 @@
         
         // Показываем уведомление
         if (window.showNotification) {
-            window.showNotification('📦 Доставка начата! Время: 30 минут', 'success');
+            window.showNotification(`📦 Доставка начата! Время: ${deliveryMinutes} минут`, 'success');
         }
     };
     
@@ -6181,11 +5440,9 @@
     
     // Функция завершения доставки
     function completeDelivery(deliveryOrder) {
-        // Добавляем деньги игроку
-        if (window.setPlayerMoney && window.getPlayerMoney) {
-            const currentMoney = window.getPlayerMoney();
-            window.setPlayerMoney(currentMoney + deliveryOrder.totalCost);
-        }
+        // Выкладываем товар на полки библиотеки, лишнее возвращается в хранилище
+        const { placed, returned } = productionChain.deliver(deliveryOrder);
+        gameEvents.emit('delivery.completed', { books: placed.books, magazines: placed.magazines, offline: false });
         
         // Убираем из очереди
         const index = deliveryQueue.findIndex(order => order.id === deliveryOrder.id);
@@ -6205,19 +5462,20 @@
             progressPanel.remove();
         }
         
+        const booksText = placed.books > 0 ? `${placed.books} книг` : '';
+        const magazinesText = placed.magazines > 0 ? `${placed.magazines} журналов` : '';
+        const itemsText = [booksText, magazinesText].filter(text => text).join(', ') || 'ничего';
+        const returnedCount = returned.books + returned.magazines;
+        const returnedText = returnedCount > 0 ? ` Не поместилось и вернулось в хранилище: ${returnedCount}.` : '';
+        
         // Показываем уведомление
         if (window.showNotification) {
-            const timeText = deliveryOrder.isExpedited ? '3 минуты' : '30 минут';
-            window.showNotification(`✅ Доставка завершена! Получено: ${deliveryOrder.totalCost}$`, 'success');
+            window.showNotification(`✅ Доставка завершена! На полки библиотеки: ${itemsText}`, 'success');
         }
         
         // Отправляем уведомление на телефон
         if (window.pushNotification) {
-            const timeText = deliveryOrder.isExpedited ? '3 минуты' : '30 минут';
-            const booksText = deliveryOrder.books > 0 ? `${deliveryOrder.books} книг` : '';
-            const magazinesText = deliveryOrder.magazines > 0 ? `${deliveryOrder.magazines} журналов` : '';
-            const itemsText = [booksText, magazinesText].filter(text => text).join(', ');
-            window.pushNotification('DELIVERY', `Доставка завершена! Продано: ${itemsText}. Доход: ${deliveryOrder.totalCost}$`, 'assets/icons/delivery.svg');
+            window.pushNotification('DELIVERY', `Доставка завершена! На полки библиотеки выложено: ${itemsText}.${returnedText}`, 'assets/icons/delivery.svg');
         }
         
         // Открываем панель почты
@@ -6267,13 +5525,13 @@
         if (btnAddMoney) {
             btnAddMoney.addEventListener('click', function() {
                 const currentMoney = getPlayerMoney();
-                const newAmount = currentMoney + 200000;
+                const newAmount = bigNumber.add(currentMoney, 200000);
                 setPlayerMoney(newAmount);
                 
                 // Обновляем отображение
                 const moneyElement = document.getElementById('money-amount');
                 if (moneyElement) {
-                    moneyElement.textContent = newAmount.toLocaleString();
+                    moneyElement.textContent = bigNumber.format(newAmount);
                 }
                 
                 // Показываем уведомление
@@ -6286,67 +5544,17 @@
         if (btnResetData) {
             btnResetData.addEventListener('click', function() {
                 if (confirm('⚠️ Вы уверены, что хотите сбросить все данные? Это действие нельзя отменить!')) {
-                    // Очищаем все данные из localStorage
-                    localStorage.removeItem('balance');
-                    localStorage.removeItem('buildingsData');
-                    localStorage.removeItem('hiredEmployees');
+                    // Очищаем все данные
+                    gameState.transaction(() => {
+                        ['balance', 'buildingsData', 'hiredEmployees', 'employees', 'printState', 'delivery_queue', 'production', 'prestige', 'quests', 'achievements'].forEach((key) => {
+                            gameState.remove(key);
+                        });
+                    });
                     localStorage.removeItem('libraryFirstVisit');
                     localStorage.removeItem('tasksFirstVisit');
-                    localStorage.removeItem('printState');
-                    localStorage.removeItem('delivery_queue');
                     
                     // Сбрасываем переменные в памяти
-                    buildingsData = {
-                        'print': { 
-                            level: 1, 
-                            income: 5000, 
-                            workers: 0, 
-                            maxWorkers: 3, 
-                            upgradeCost: 10000, 
-                            lastCollectTime: null, 
-                            accumulatedProfit: 0,
-                            isOwned: false,
-                            purchaseCost: 25000,
-                            name: 'Типография'
-                        },
-                        'factory': { 
-                            level: 1, 
-                            income: 3000, 
-                            workers: 0, 
-                            maxWorkers: 5, 
-                            upgradeCost: 5000, 
-                            lastCollectTime: null, 
-                            accumulatedProfit: 0,
-                            isOwned: false,
-                            purchaseCost: 20000,
-                            name: 'Завод'
-                        },
-                        'storage': { 
-                            level: 1, 
-                            income: 3000, 
-                            workers: 0, 
-                            maxWorkers: 2, 
-                            upgradeCost: 8000, 
-                            lastCollectTime: null, 
-                            accumulatedProfit: 0,
-                            isOwned: false,
-                            purchaseCost: 15000,
-                            name: 'Почта'
-                        },
-                        'library': { 
-                            level: 1, 
-                            income: 2000, 
-                            workers: 0, 
-                            maxWorkers: 4, 
-                            upgradeCost: 5000, 
-                            lastCollectTime: Date.now(), 
-                            accumulatedProfit: 0,
-                            isOwned: true,
-                            purchaseCost: 0,
-                            name: 'Библиотека'
-                        }
-                    };
-                    hiredEmployees = {};
+                    buildingsData = saveMigrations.getDefaultBuildingsData();
                     libraryFirstVisit = false;
                     tasksFirstVisit = false;
                     
@@ -6369,10 +5577,13 @@
                     
                     // Обновляем карту
                     if (window.pureMap && typeof window.pureMap.showBuilding === 'function') {
-                        window.pureMap.showBuilding('library');
-                        // Скрываем остальные здания
-                        ['factory', 'storage', 'print'].forEach(key => {
-                            const buildingNode = document.querySelector(`#pure-map-buildings img[alt="${key}"]`);
+                        // Стартовые здания остаются, остальные скрываем
+                        buildingRegistry.list().forEach(definition => {
+                            if (definition.starter) {
+                                window.pureMap.showBuilding(definition.id);
+                                return;
+                            }
+                            const buildingNode = document.querySelector(`#pure-map-buildings img[alt="${definition.id}"]`);
                             if (buildingNode) {
                                 buildingNode.style.display = 'none';
                             }
@@ -711,7 +711,7 @@ storageInner.style.cssText='position:absolute;top:50%;left:50%;transform:transla
 storageProgressDiv.appendChild(storageInner);
 
 incomeBank.addEventListener('click', () => {
-    const newBal = getBalance()+intermediateBalance;
+    const newBal = bigNumber.add(getBalance(),intermediateBalance);
     setBalance(newBal);
     intermediateBalance = 0;
     window.intermediateBalance = 0; // обновляем глобальную переменную
@@ -719,26 +719,9 @@ incomeBank.addEventListener('click', () => {
     refreshUpgradeCost();
 });
 
+// Единый формат чисел игры (js/services/big-number.js)
 function formatNumber(value){
-    const units=['','K','M','B','T'];
-    const alphabetStart='a'.charCodeAt(0);
-    if(value<0) return '-'+formatNumber(Math.abs(value));
-    if(value<1) return value.toFixed(2);
-    if(value<1000) return Math.floor(value).toString();
-
-    const n=Math.floor(Math.log(value)/Math.log(1000));
-    const m=value/Math.pow(1000,n);
-
-    let unit='';
-    if(n<units.length){
-        unit=units[n];
-    }else{
-        const unitInt=n-units.length;
-        const first=Math.floor(unitInt/26);
-        const second=unitInt%26;
-        unit=String.fromCharCode(alphabetStart+first)+String.fromCharCode(alphabetStart+second);
-    }
-    return (Math.floor(m*100)/100).toFixed(2).replace(/\.00$/,'').replace(/(\.\d)0$/,'$1')+unit;
+    return bigNumber.format(value);
 }
 
 function getIncomePerSecond(){
@@ -771,10 +754,10 @@ function updateProgressVisual(){
     incomeProgress.style.background = `conic-gradient(#4caf50 ${deg}deg, transparent ${deg}deg)`;
 }
 
-// BALANCE helpers + persistence
-function getBalance(){return parseFloat(localStorage.getItem('balance')||'100');}
-function setBalance(v){
-    localStorage.setItem('balance',v);
+// BALANCE helpers + persistence (через gameState)
+function getBalance(){return gameState.get('balance');}
+function setBalance(v){gameState.set('balance',v);}
+function renderBalance(v){
     const moneyAmount = document.getElementById('money-amount');
     const bcValue = document.getElementById('bc-value');
     if(moneyAmount) {
@@ -789,15 +772,11 @@ function setBalance(v){
     if(window.refreshStatistics) {
         window.refreshStatistics();
     }
-    
-    // Проверяем выполнение заданий связанных с деньгами
-    if(window.onMoneyEarned) {
-        window.onMoneyEarned(v);
-    }
 }
 
+gameState.subscribe('balance',renderBalance);
 // init balance from storage
-setBalance(getBalance());
+renderBalance(getBalance());
 
 // Switch x1 / MAX
 const switchWrapper = document.createElement('div');
@@ -847,7 +826,7 @@ function calcMaxAffordableCost(){
     let total=0;
     while(true){
         const c= costBase*Math.pow(rateGrowth,tempUp);
-        if(balance>=c){total+=c;balance-=c;tempUp++;}
+        if(bigNumber.cmp(balance,c)>=0){total+=c;balance=bigNumber.sub(balance,c);tempUp++;}
         else break;
     }
     return total>0?total:getNextUpgradeCost();
@@ -856,7 +835,7 @@ function calcMaxAffordableCost(){
 function refreshUpgradeCost(){
     const cost=isMaxMode?calcMaxAffordableCost():getNextUpgradeCost();
     upgradeBtn.querySelector('#upgrade-cost').textContent=formatNumber(cost);
-    const afford=getBalance()>=cost;
+    const afford=bigNumber.cmp(getBalance(),cost)>=0;
     upgradeBtn.disabled=!afford;
     upgradeBtn.style.opacity=afford?1:0.5;
 }
@@ -865,15 +844,15 @@ upgradeBtn.addEventListener('click',()=>{
     const startLvl=upgradesCount;
     let balance=getBalance();
     if(isMaxMode){
-        while(balance>=getNextUpgradeCost()){
+        while(bigNumber.cmp(balance,getNextUpgradeCost())>=0){
             const c=getNextUpgradeCost();
-            balance-=c;
+            balance=bigNumber.sub(balance,c);
             upgradesCount++;
         }
     }else{
         const cost=getNextUpgradeCost();
-        if(balance>=cost){
-            balance-=cost;
+        if(bigNumber.cmp(balance,cost)>=0){
+            balance=bigNumber.sub(balance,cost);
             upgradesCount++;
         }
     }
@@ -1085,9 +1064,9 @@ safeAddEventListener('shop-close', 'click', () => {
 }); 
 
 // credits helpers
-function getCredits(){return parseInt(localStorage.getItem('credits')||'0');}
-function setCredits(v){
-    localStorage.setItem('credits',v);
+function getCredits(){return gameState.get('credits');}
+function setCredits(v){gameState.set('credits',v);}
+function renderCredits(v){
     const creditsAmount = document.getElementById('credits-amount');
     const rbcValue = document.getElementById('rbc-value');
     if(creditsAmount) {
@@ -1098,43 +1077,14 @@ function setCredits(v){
     }
 }
 
+gameState.subscribe('credits',renderCredits);
 // init credits display
-setCredits(getCredits());
+renderCredits(getCredits());
 
 // === CRATES LOGIC ===
-const crates={
-    free :{cost:0,   lvlReq:4, money:[50,120],  credits:[0,0]},
-    gold :{cost:30,  lvlReq:0, money:[400,800], credits:[2,5]},
-    mystic:{cost:150,lvlReq:0, money:[1500,3000],credits:[8,15]},
-    legendary:{cost:500,lvlReq:0, money:[5000,10000],credits:[25,50]},
-    divine:{cost:1000,lvlReq:0, money:[15000,30000],credits:[75,150]}
-};
-
-function randRange(arr){const [min,max]=arr;return Math.floor(Math.random()*(max-min+1))+min;}
-
+// Ящики за RBC — товары раздела crates в каталоге магазина (js/services/shop-catalog.js)
 function openCrate(type){
-    const cfg=crates[type];
-    if(!cfg) return;
-    if(cfg.lvlReq>0 && upgradesCount<cfg.lvlReq){alert(`Требуется уровень ${cfg.lvlReq}`);return;}
-    if(cfg.cost>0 && getCredits()<cfg.cost){alert('Недостаточно RBC');return;}
-
-    // списываем стоимость
-    if(cfg.cost>0){setCredits(getCredits()-cfg.cost);}
-
-    const moneyReward=randRange(cfg.money);
-    const creditReward=randRange(cfg.credits);
-
-    setBalance(getBalance()+moneyReward);
-    if(creditReward>0) setCredits(getCredits()+creditReward);
-    // award XP
-    addXP(10);
-
-    // Показываем новую панель наград
-    showRewardPanel('safes', {
-        money: moneyReward,
-        credits: creditReward,
-        xp: 10
-    });
+    handleShopPurchase(`crate-${type}`);
 }
 
 function showPurchaseNotification(title, rewards, itemType = 'safes') {
@@ -1187,6 +1137,12 @@ function showPurchaseNotification(title, rewards, itemType = 'safes') {
             <span style="font-size:18px;font-weight:600;color:#fff;">+${rewards.xp} XP</span>
         </div>`;
     }
+    if (rewards.cards) {
+        rewardsHTML += `<div style="display:flex;align-items:center;gap:8px;margin:8px 0;padding:8px 12px;background:rgba(255,255,255,0.1);border-radius:8px;border:1px solid rgba(255,255,255,0.2);">
+            <img src="${rewards.cards.image}" alt="" style="width:24px;height:24px;object-fit:contain;border-radius:4px;">
+            <span style="font-size:18px;font-weight:600;color:#fff;">+${rewards.cards.amount} 🃏 ${rewards.cards.name}</span>
+        </div>`;
+    }
     
     overlay.innerHTML = `
         <div style="
@@ -1331,13 +1287,6 @@ function renderCity() {
     // Устанавливаем стиль для контейнера с карточками в вертикальном формате
     container.style.cssText = 'width:95%;display:flex;flex-direction:column;gap:12px;margin-right:auto;margin-top:-8px;';
     
-    // Функция для форматирования чисел
-    const formatNumber = window.formatNumber || ((num) => {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
-        return Math.round(num).toString();
-    });
-    
     // Функция для отображения звезд
     const starsHTML = (r) => {
         let s = '';
@@ -1347,44 +1296,18 @@ function renderCity() {
         return `<span style="color:#ffeb3b;font-size:9px;">${s}</span>`;
     };
     
-    // Получаем данные зданий из localStorage
-    const buildingsData = JSON.parse(localStorage.getItem('buildingsData') || '{}');
-    
-    // Список зданий для панели города (только 4 основных здания)
-    const buildings = [
-        {
-            name: 'Завод',
-            image: 'assets/svg/city-panel/factory.svg',
-            key: 'factory',
-            defaultCost: 20000,
-            defaultIncomePerHour: 3000,
-            defaultStars: 3
-        },
-        {
-            name: 'Библиотека',
-            image: 'assets/svg/city-panel/library.svg',
-            key: 'library',
-            defaultCost: 0,
-            defaultIncomePerHour: 2000,
-            defaultStars: 2
-        },
-        {
-            name: 'Почта',
-            image: 'assets/svg/city-panel/mail.svg',
-            key: 'storage',
-            defaultCost: 15000,
-            defaultIncomePerHour: 3000,
-            defaultStars: 3
-        },
-        {
-            name: 'Типография',
-            image: 'assets/svg/city-panel/print.svg',
-            key: 'print',
-            defaultCost: 25000,
-            defaultIncomePerHour: 5000,
-            defaultStars: 4
-        }
-    ];
+    // Получаем данные зданий из стора
+    const buildingsData = gameState.get('buildingsData') || {};
+    
+    // Список зданий для панели города берётся из реестра зданий
+    const buildings = buildingRegistry.list().map(definition => ({
+        name: definition.name,
+        image: definition.art.city,
+        key: definition.id,
+        starter: Boolean(definition.starter),
+        defaultCost: definition.costs.purchase,
+        defaultIncomePerHour: definition.income.base
+    }));
     
     buildings.forEach(building => {
         // Получаем данные здания из localStorage или используем значения по умолчанию
@@ -1393,8 +1316,8 @@ function renderCity() {
         // Проверяем, построено ли здание (новая и старая система для совместимости)
         let isOwned = buildingData.isOwned;
         
-        // Библиотека построена изначально - всегда доступна
-        if (building.key === 'library') {
+        // Стартовые здания построены изначально - всегда доступны
+        if (building.starter) {
             isOwned = true;
         } else {
             // Проверка старой системы для совместимости
@@ -1420,7 +1343,7 @@ function renderCity() {
         
         // Проверяем баланс игрока
         const currentBalance = getBalance();
-        const hasEnoughMoney = currentBalance >= cost;
+        const hasEnoughMoney = bigNumber.cmp(currentBalance, cost) >= 0;
         
         // Определяем текст кнопки и стиль
         const buttonText = isOwned ? 'Построено' : 'Построить';
@@ -1489,18 +1412,19 @@ window.renderCity = renderCity;
 window.purchaseBuildingFromCity = function(buildingKey, buildingName, cost) {
     // Проверяем баланс
     const currentBalance = getBalance();
-    if (currentBalance < cost) {
+    if (bigNumber.cmp(currentBalance, cost) < 0) {
         alert('Недостаточно денег');
         return;
     }
     
     // Получаем данные зданий
-    const buildingsData = JSON.parse(localStorage.getItem('buildingsData') || '{}');
+    const buildingsData = gameState.get('buildingsData') || {};
     const buildingData = buildingsData[buildingKey] || {};
     
-    // Библиотека построена изначально - нельзя покупать
-    if (buildingKey === 'library') {
-        alert('Библиотека уже построена!');
+    // Стартовые здания построены изначально - нельзя покупать
+    const definition = buildingRegistry.get(buildingKey);
+    if (definition && definition.starter) {
+        alert('Здание уже построено');
         return;
     }
     
@@ -1521,29 +1445,23 @@ window.purchaseBuildingFromCity = function(buildingKey, buildingName, cost) {
     
     let purchaseHandledByMainMenuAnimation = false;
     
-    // Вызываем соответствующие функции покупки из main-menu.js
-    if (buildingKey === 'factory' && window.buyFactory) {
+    // Покупка зданий из реестра идёт через общую функцию main-menu.js
+    if (definition && window.buyBuilding) {
         purchaseHandledByMainMenuAnimation = true;
-        window.buyFactory();
-    } else if (buildingKey === 'print' && window.buyPrint) {
-        purchaseHandledByMainMenuAnimation = true;
-        window.buyPrint();
-    } else if (buildingKey === 'storage' && window.buyStorage) {
-        purchaseHandledByMainMenuAnimation = true;
-        window.buyStorage();
+        window.buyBuilding(buildingKey);
     } else {
-        // Общая логика покупки для других зданий
-        setBalance(currentBalance - cost);
-        
-        // Обновляем buildingsData
-        if (!buildingsData[buildingKey]) {
-            buildingsData[buildingKey] = {};
-        }
-        buildingsData[buildingKey].isOwned = true;
-        buildingsData[buildingKey].purchaseCost = cost;
-        buildingsData[buildingKey].lastCollectTime = Date.now();
-        buildingsData[buildingKey].accumulatedProfit = 0;
-        localStorage.setItem('buildingsData', JSON.stringify(buildingsData));
+        // Общая логика покупки для других зданий: списание и владение одной транзакцией
+        gameState.transaction(tx => {
+            tx.set('balance', bigNumber.sub(currentBalance, cost));
+            if (!buildingsData[buildingKey]) {
+                buildingsData[buildingKey] = {};
+            }
+            buildingsData[buildingKey].isOwned = true;
+            buildingsData[buildingKey].purchaseCost = cost;
+            buildingsData[buildingKey].lastCollectTime = Date.now();
+            buildingsData[buildingKey].accumulatedProfit = 0;
+            tx.set('buildingsData', buildingsData);
+        });
         
         // Обновляем старую систему для совместимости
         if (buildingKey === 'factory') {
@@ -1603,8 +1521,8 @@ function safeAddEventListener(elementId, event, handler) {
 safeAddEventListener('btn-build-factory', 'click', () => {
     if(localStorage.getItem('factoryBuilt')==='1')return;
     const cost=35000;
-    if(getBalance()<cost){alert('Недостаточно денег');return;}
-    setBalance(getBalance()-cost);
+    if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно денег');return;}
+    setBalance(bigNumber.sub(getBalance(),cost));
     localStorage.setItem('factoryBuilt','1');
     createFactory();
     updateCityButtons();
@@ -1614,8 +1532,8 @@ safeAddEventListener('btn-build-factory', 'click', () => {
 safeAddEventListener('btn-build-library', 'click', () => {
     if(localStorage.getItem('libraryBuilt')==='1')return;
     const cost=135000;
-    if(getBalance()<cost){alert('Недостаточно денег');return;}
-    setBalance(getBalance()-cost);
+    if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно денег');return;}
+    setBalance(bigNumber.sub(getBalance(),cost));
     localStorage.setItem('libraryBuilt','1');
     alert('Библиотека построена!');
     updateCityButtons();
@@ -1623,13 +1541,13 @@ safeAddEventListener('btn-build-library', 'click', () => {
 
 // build statue (звезды)
 const STAR_KEY='stars';
-function getStars(){return parseInt(localStorage.getItem(STAR_KEY)||'0');}
-function setStars(v){localStorage.setItem(STAR_KEY,v);} // пока без UI
+function getStars(){return gameState.get(STAR_KEY);}
+function setStars(v){gameState.set(STAR_KEY,v);} // пока без UI
 safeAddEventListener('btn-build-statue', 'click', () => {
     const cost=500000;
     if(localStorage.getItem('statueBuilt')==='1')return;
-    if(getBalance()<cost){alert('Недостаточно денег');return;}
-    setBalance(getBalance()-cost);
+    if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно денег');return;}
+    setBalance(bigNumber.sub(getBalance(),cost));
     localStorage.setItem('statueBuilt','1');
     alert('Статуя построена!');
     updateCityButtons();
@@ -1719,27 +1637,27 @@ function fCalcMaxAffordableCost(){
     let total=0;
     while(true){
         const c=factoryCostBase*Math.pow(factoryRateGrowth,temp);
-        if(balance>=c){total+=c;balance-=c;temp++;}
+        if(bigNumber.cmp(balance,c)>=0){total+=c;balance=bigNumber.sub(balance,c);temp++;}
         else break;
     }
     return total>0?total:factoryGetNextUpgradeCost();
 }
 
-function fRefreshCost(){const c=fIsMaxMode?fCalcMaxAffordableCost():factoryGetNextUpgradeCost();fUpgradeBtn.querySelector('span').textContent=formatNumber(c);const afford=getBalance()>=c;fUpgradeBtn.disabled=!afford;fUpgradeBtn.style.opacity=afford?1:0.5;}
+function fRefreshCost(){const c=fIsMaxMode?fCalcMaxAffordableCost():factoryGetNextUpgradeCost();fUpgradeBtn.querySelector('span').textContent=formatNumber(c);const afford=bigNumber.cmp(getBalance(),c)>=0;fUpgradeBtn.disabled=!afford;fUpgradeBtn.style.opacity=afford?1:0.5;}
 fUpdateLevelIncome();fRefreshCost();
 
 fUpgradeBtn.onclick=()=>{
     const start=factoryUpgrades;
     let bal=getBalance();
     if(fIsMaxMode){
-        while(bal>=factoryGetNextUpgradeCost()){
+        while(bigNumber.cmp(bal,factoryGetNextUpgradeCost())>=0){
             const c=factoryGetNextUpgradeCost();
-            bal-=c;
+            bal=bigNumber.sub(bal,c);
             factoryUpgrades++;
         }
     }else{
         const cost=factoryGetNextUpgradeCost();
-        if(bal>=cost){bal-=cost;factoryUpgrades++;}
+        if(bigNumber.cmp(bal,cost)>=0){bal=bigNumber.sub(bal,cost);factoryUpgrades++;}
     }
     if(factoryUpgrades>start){
         setBalance(bal);
@@ -1821,7 +1739,7 @@ setInterval(()=>{
 },1000/60);
 
 // collect factory money
-factoryBankDiv.onclick=()=>{if(factoryIntermediate>0){setBalance(getBalance()+factoryIntermediate);factoryIntermediate=0;window.factoryIntermediate=0;factoryBankDiv.textContent='0';fRefreshCost();}};
+factoryBankDiv.onclick=()=>{if(factoryIntermediate>0){setBalance(bigNumber.add(getBalance(),factoryIntermediate));factoryIntermediate=0;window.factoryIntermediate=0;factoryBankDiv.textContent='0';fRefreshCost();}};
 
 // === OFFLINE INCOME — удалено ===
 
@@ -1829,14 +1747,15 @@ factoryBankDiv.onclick=()=>{if(factoryIntermediate>0){setBalance(getBalance()+fa
 setInterval(saveFactory,1000); 
 
 // referrals helpers
-function getRefs(){return parseInt(localStorage.getItem('refs')||'0');}
-function setRefs(v){
-    localStorage.setItem('refs',v);
+function getRefs(){return gameState.get('refs');}
+function setRefs(v){gameState.set('refs',v);}
+function renderRefs(v){
     const refValue = document.getElementById('ref-value');
     if(refValue) {
         refValue.textContent=v+'/5';
     }
 }
+gameState.subscribe('refs',renderRefs);
 // init stat values
 const bcValue = document.getElementById('bc-value');
 const rbcValue = document.getElementById('rbc-value');
@@ -1900,8 +1819,8 @@ if(phonePanel){
     const BOOK_COST=50;
     const MAG_COST=10;
     const SELL_MULT=2;
-    orders=JSON.parse(localStorage.getItem('orders')||'[]');
-    function saveOrders(){localStorage.setItem('orders',JSON.stringify(orders));}
+    orders=gameState.get('orders');
+    function saveOrders(){gameState.set('orders',orders);}
 
     // слайдеры и отображение стоимости
     const bookSlider=document.getElementById('book-slider');
@@ -1927,8 +1846,8 @@ if(phonePanel){
         const qty=parseInt(bookSlider.value);
         if(qty<=0){alert('Выберите количество');return;}
         const cost=qty*BOOK_COST;
-        if(getBalance()<cost){alert('Недостаточно BC');return;}
-        setBalance(getBalance()-cost);
+        if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно BC');return;}
+        setBalance(bigNumber.sub(getBalance(),cost));
         bookSlider.value=0;updateCostLabels();
         alert('Заказ оформлен!');
         const qtyCopy=qty;
@@ -1944,8 +1863,8 @@ if(phonePanel){
         const qty=parseInt(magSlider.value);
         if(qty<=0){alert('Выберите количество');return;}
         const cost=qty*MAG_COST;
-        if(getBalance()<cost){alert('Недостаточно BC');return;}
-        setBalance(getBalance()-cost);
+        if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно BC');return;}
+        setBalance(bigNumber.sub(getBalance(),cost));
         magSlider.value=0;updateCostLabels();
         alert('Заказ оформлен!');
         const qtyCopy=qty;
@@ -1974,8 +1893,8 @@ if(phonePanel){
 } 
 
 // === NOTIFICATION & MESSAGES ===
-let messagesArr=JSON.parse(localStorage.getItem('messages')||'[]');
-function saveMessages(){localStorage.setItem('messages',JSON.stringify(messagesArr));}
+let messagesArr=gameState.get('messages');
+function saveMessages(){gameState.set('messages',messagesArr);}
 function hasUnread(){return messagesArr.some(m=>!m.read);} 
 function updateDots(){
    const show=hasUnread();
@@ -2010,15 +1929,17 @@ updateDots();
 
 // === PLAYER LEVEL SYSTEM ===
 const XP_BASE=20;
-let playerLevel=parseInt(localStorage.getItem('playerLevel')||'1');
-let playerXP=parseInt(localStorage.getItem('playerXP')||'0');
+let playerLevel=gameState.get('playerLevel');
+let playerXP=gameState.get('playerXP');
 function xpForLevel(lvl){
     if(lvl<=1) return 0;
     if(lvl===2) return XP_BASE;
     const mult=Math.pow(1.25,lvl-2);
     return Math.round(XP_BASE*mult);
 }
-function saveXP(){localStorage.setItem('playerLevel',playerLevel);localStorage.setItem('playerXP',playerXP);} 
+function saveXP(){gameState.transaction(tx=>{tx.set('playerLevel',playerLevel);tx.set('playerXP',playerXP);});} 
+gameState.subscribe('playerLevel',v=>{playerLevel=v;});
+gameState.subscribe('playerXP',v=>{playerXP=v;});
 function updateProfileUI(){
     // Используем единую функцию синхронизации
     syncLevelAndXP();
@@ -2032,8 +1953,8 @@ function updateProfileUI(){
 // Функция для синхронизации уровня и ХП между профилем и статистикой
 function syncLevelAndXP() {
     // Получаем данные игрока
-    const currentPlayerLevel = parseInt(localStorage.getItem('playerLevel') || '1');
-    const currentPlayerXP = parseInt(localStorage.getItem('playerXP') || '0');
+    const currentPlayerLevel = gameState.get('playerLevel');
+    const currentPlayerXP = gameState.get('playerXP');
     
     // Функция для расчета XP для следующего уровня
     const XP_BASE = 20;
@@ -2206,24 +2127,36 @@ const st=document.createElement('style');st.textContent=`
 
 // === STORAGE SYSTEM ===
 const STORAGE_BASE_CAP=1000;
-let storageUpgrades=parseInt(localStorage.getItem('stor_up')||'0');
+let storageUpgrades=gameState.get('stor_up');
 let storageCapacity=STORAGE_BASE_CAP+storageUpgrades*500; // +500 за ап
-let storedBooks=parseInt(localStorage.getItem('stor_books')||'0');
-let storedMags =parseInt(localStorage.getItem('stor_mags') ||'0');
+let storedBooks=gameState.get('stor_books');
+let storedMags =gameState.get('stor_mags');
 
 // Делаем переменные хранилища доступными глобально для новой системы доставки
 window.storedBooks = storedBooks;
 window.storedMags = storedMags;
 function saveStorage(){
-    localStorage.setItem('stor_up',storageUpgrades);
-    localStorage.setItem('stor_books',storedBooks);
-    localStorage.setItem('stor_mags',storedMags);
+    gameState.transaction(tx=>{
+        tx.set('stor_up',storageUpgrades);
+        tx.set('stor_books',storedBooks);
+        tx.set('stor_mags',storedMags);
+    });
     // Убираем сохранение saleQueue - теперь используется новая система доставки
     // localStorage.setItem('stor_queue',JSON.stringify(saleQueue));
 }
 
 // Делаем функцию saveStorage доступной глобально
 window.saveStorage = saveStorage; 
+
+// Перечитывает хранилище из стора после изменений в обход saveStorage (возврат с доставки)
+function syncStorageFromState(){
+    storedBooks=gameState.get('stor_books');
+    storedMags=gameState.get('stor_mags');
+    window.storedBooks = storedBooks;
+    window.storedMags = storedMags;
+    updateStorageUI();
+}
+window.syncStorageFromState = syncStorageFromState;
 function updateStorageUI(rootElement = document){
     const total=storedBooks+storedMags;
     const pct=Math.min(100,total/storageCapacity*100);
@@ -2280,10 +2213,6 @@ function addToStorage(type,qty,unitCost){
         storedBooks+=qty; 
         // Обновляем глобальную переменную
         window.storedBooks = storedBooks;
-        // Проверяем, была ли напечатана первая книга
-        if (storedBooks === qty && window.onBookPrinted) {
-            window.onBookPrinted();
-        }
     } else {
         storedMags+=qty; 
         // Обновляем глобальную переменную
@@ -2306,7 +2235,7 @@ const storagePanel=document.getElementById('storage-upgrade-panel');
 if(storagePanel){document.getElementById('storage-panel-close').onclick=()=>storagePanel.style.display='none';}
 // город строит хранилище
 const btnStorageBuild=document.getElementById('btn-build-storage');
-if(btnStorageBuild){btnStorageBuild.addEventListener('click',()=>{if(localStorage.getItem('storageBuilt')==='1')return;const cost=1000;if(getBalance()<cost){alert('Недостаточно денег');return;}setBalance(getBalance()-cost);localStorage.setItem('storageBuilt','1');btnStorageBuild.disabled=true;btnStorageBuild.textContent='Построено';createStorage();});}
+if(btnStorageBuild){btnStorageBuild.addEventListener('click',()=>{if(localStorage.getItem('storageBuilt')==='1')return;const cost=1000;if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно денег');return;}setBalance(bigNumber.sub(getBalance(),cost));localStorage.setItem('storageBuilt','1');btnStorageBuild.disabled=true;btnStorageBuild.textContent='Построено';createStorage();});}
 function createStorage(){
     if(scene.getObjectByName('storage')) return;
     const geo=new THREE.BoxGeometry(2,2,2);
@@ -2362,13 +2291,13 @@ function updateStorageUpgradeCost(){
         costElement.textContent=formatNumber(c);
     }
     
-    const afford=getBalance()>=c;
+    const afford=bigNumber.cmp(getBalance(),c)>=0;
     if(btnElement) {
         btnElement.disabled=!afford;
         btnElement.style.opacity=afford?1:0.5;
     }
 }
-function upgradeStorage(){const cost=storageNextCost();if(getBalance()<cost){alert('Недостаточно денег');return;}setBalance(getBalance()-cost);storageUpgrades++;storageCapacity=STORAGE_BASE_CAP+storageUpgrades*STORAGE_INC;saveStorage();updateStorageUI();updateStorageUpgradeCost();addXP(storageUpgrades);
+function upgradeStorage(){const cost=storageNextCost();if(bigNumber.cmp(getBalance(),cost)<0){alert('Недостаточно денег');return;}setBalance(bigNumber.sub(getBalance(),cost));storageUpgrades++;storageCapacity=STORAGE_BASE_CAP+storageUpgrades*STORAGE_INC;saveStorage();updateStorageUI();updateStorageUpgradeCost();addXP(storageUpgrades);
 
     // Обновляем статистику если панель открыта
     if(window.refreshStatistics) {
@@ -2421,13 +2350,7 @@ const cityItemStorage=document.getElementById('item-storage');if(cityItemStorage
 // handleOfflineStorageSales(); 
 
 // === CHARACTERS DATA ===
-const employees=[
- {name:'Блуми',  level:parseInt(localStorage.getItem('employee_bloomi_level')||'1'), skill:'Бегущая почта',     rarity:1, img:'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjYwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRkY5ODAwIi8+Cjx0ZXh0IHg9IjMwIiB5PSIzNSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSJ3aGl0ZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+QjwvdGV4dD4KPC9zdmc+'},
- {name:'Реджи', level:parseInt(localStorage.getItem('employee_reggi_level')||'1'), skill:'Калькулятор',       rarity:1, img:'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjYwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRkY1NzIyIi8+Cjx0ZXh0IHg9IjMwIiB5PSIzNSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSJ3aGl0ZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+UjwvdGV4dD4KPC9zdmc+'},
- {name:'Спайки', level:parseInt(localStorage.getItem('employee_spikes_level')||'1'), skill:'Логистика',        rarity:3, img:'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjYwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjRkY1NzIyIi8+Cjx0ZXh0IHg9IjMwIiB5PSIzNSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSJ3aGl0ZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+UzwvdGV4dD4KPC9zdmc+'},
- {name:'Гринни',  level:parseInt(localStorage.getItem('employee_grinni_level')||'1'), skill:'Лояльность',        rarity:3, img:'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjYwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjNENBRjUwIi8+Cjx0ZXh0IHg9IjMwIiB5PSIzNSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSJ3aGl0ZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+RzwvdGV4dD4KPC9zdmc+'},
- {name:'Перпи',  level:parseInt(localStorage.getItem('employee_perpi_level')||'1'), skill:'Мастер-фломастер',  rarity:5, img:'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjYwIiBoZWlnaHQ9IjYwIiBmaWxsPSIjOUMyN0IwIi8+Cjx0ZXh0IHg9IjMwIiB5PSIzNSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSJ3aGl0ZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+UDwvdGV4dD4KPC9zdmc+'},
-];
+// Сотрудники, их уровни и назначения — в каталоге employeeRoster (js/services/employee-roster.js)
 
 // Цвета для сотрудников
 const EMP_COLORS = {
@@ -2436,9 +2359,6 @@ const EMP_COLORS = {
     unassigned: '#9e9e9e'
 };
 
-// Назначения сотрудников
-let assignments = JSON.parse(localStorage.getItem('emp_map') || '{}');
-
 // Функция для создания фона круга
 function circleBG(building, deg, color) {
     return `conic-gradient(${color} 0deg, ${color} ${deg}deg, transparent ${deg}deg)`;
@@ -2460,45 +2380,30 @@ function openAssignOverlay(building) {
     grid.appendChild(closeButton);
     
     // Проверяем, есть ли уже назначенный сотрудник
-    const currentEmployee = assignments[building];
+    const currentEmployee = employeeRoster.getAssigned(building);
     
     // Добавляем кнопку "Снять работника" если есть назначенный сотрудник
     if (currentEmployee) {
         const removeButton = document.createElement('button');
         removeButton.style.cssText = 'grid-column:1/-1;background:#f44336;border:none;border-radius:8px;color:#fff;padding:10px;font-size:14px;font-weight:bold;cursor:pointer;margin-bottom:8px;';
         removeButton.textContent = 'Снять работника';
-        removeButton.onclick = () => {
-            delete assignments[building];
-            localStorage.setItem('emp_map', JSON.stringify(assignments));
-            overlay.style.display = 'none';
-            if (window.updateInfoPanel) {
-                window.updateInfoPanel(building);
-            }
-        };
+        removeButton.onclick = () => assignEmployee(building, currentEmployee);
         grid.appendChild(removeButton);
+        grid.appendChild(createShiftPanel(building, currentEmployee));
     }
     
-    // Создаем сетку 2x2 для сотрудников
-    employees.forEach(emp => {
-        const isAssigned = assignments[building] === emp.name;
+    // Создаем сетку 2x2 для сотрудников (только открытые призывом)
+    employeeRoster.list().filter(emp => employeeRoster.isOwned(emp.id)).forEach(emp => {
+        const isAssigned = currentEmployee === emp.id;
+        const assignedElsewhere = employeeRoster.getAssignedBuilding(emp.id);
         const div = document.createElement('div');
         div.style.cssText = 'background:#2b2b2b;border-radius:8px;padding:12px;display:flex;flex-direction:column;align-items:center;gap:8px;position:relative;';
         
-        // Создаем иконку с первой буквой имени
-        const iconDiv = document.createElement('div');
-        iconDiv.style.cssText = 'width:50px;height:50px;border-radius:6px;display:flex;align-items:center;justify-content:center;font-size:24px;font-weight:bold;color:#fff;';
-        
-        // Цвета для разных сотрудников
-        const colors = {
-            'Блуми': '#ff9800', // оранжевый
-            'Перпи': '#9c27b0', // фиолетовый
-            'Реджи': '#f44336', // красный
-            'Гринни': '#4caf50',  // зеленый
-            'Спайки': '#2196f3'  // синий
-        };
-        
-        iconDiv.style.background = colors[emp.name] || '#666';
-        iconDiv.textContent = emp.name.charAt(0);
+        const icon = document.createElement('img');
+        icon.src = emp.art.hire;
+        icon.alt = emp.name;
+        icon.style.cssText = 'width:50px;height:50px;border-radius:6px;object-fit:contain;';
+        icon.style.background = emp.color;
         
         // Добавляем тег "УСТАНОВЛЕН" если сотрудник назначен
         if (isAssigned) {
@@ -2511,23 +2416,29 @@ function openAssignOverlay(building) {
         // Имя сотрудника
         const nameDiv = document.createElement('div');
         nameDiv.style.cssText = 'color:#fff;font-size:14px;font-weight:bold;text-align:center;';
-        nameDiv.textContent = emp.name;
+        nameDiv.textContent = `${emp.name} · ур. ${employeeRoster.getProgress(emp.id).level}`;
+        
+        // Что сотрудник даст этому зданию и где он работает сейчас
+        const bonusDiv = document.createElement('div');
+        bonusDiv.style.cssText = 'color:rgba(255,255,255,0.75);font-size:10px;text-align:center;';
+        bonusDiv.textContent = employeeRoster.describeBonuses(emp.id)
+            + (assignedElsewhere && !isAssigned ? ` · сейчас: ${buildingRegistry.getName(assignedElsewhere)}` : '');
+        
+        // Усталость: отдохнувшего удобно поставить на смену вместо уставшего
+        const fatigueDiv = document.createElement('div');
+        fatigueDiv.style.cssText = 'color:#ffeb3b;font-size:10px;text-align:center;';
+        fatigueDiv.textContent = `Усталость ${employeeRoster.getShiftStatus(emp.id).fatigue}%`;
         
         // Добавляем элементы в карточку
-        div.appendChild(iconDiv);
+        div.appendChild(icon);
         div.appendChild(nameDiv);
+        div.appendChild(bonusDiv);
+        div.appendChild(fatigueDiv);
         
         // Делаем карточку кликабельной только если сотрудник не назначен
         if (!isAssigned) {
             div.style.cursor = 'pointer';
-            div.onclick = () => {
-                assignments[building] = emp.name;
-                localStorage.setItem('emp_map', JSON.stringify(assignments));
-                overlay.style.display = 'none';
-                if (window.updateInfoPanel) {
-                    window.updateInfoPanel(building);
-                }
-            };
+            div.onclick = () => assignEmployee(building, emp.id);
         } else {
             // Если сотрудник назначен, делаем карточку полупрозрачной
             div.style.opacity = '0.6';
@@ -2539,24 +2450,76 @@ function openAssignOverlay(building) {
     overlay.style.display = 'flex';
 }
 
-// Функция для назначения сотрудника
-function assignEmployee(building, empName) {
-    if (assignments[building] === empName) {
-        // Снимаем сотрудника
-        delete assignments[building];
+// Панель смены назначенного сотрудника: состояние, график и расходники
+function createShiftPanel(building, employeeId) {
+    const status = employeeRoster.getShiftStatus(employeeId);
+    const buttonStyle = 'flex:1;border:none;border-radius:6px;padding:6px 4px;font-size:11px;color:#fff;cursor:pointer;';
+    const panel = document.createElement('div');
+    panel.style.cssText = 'grid-column:1/-1;background:#2b2b2b;border-radius:8px;padding:10px;display:flex;flex-direction:column;gap:6px;color:#fff;';
+    panel.innerHTML = `
+        <div style="font-size:13px;font-weight:bold;">Смена · ${employeeRoster.getName(employeeId)}</div>
+        <div style="font-size:11px;opacity:.85;">${employeeRoster.describeShift(employeeId)}</div>
+        <div style="height:6px;background:#444;border-radius:3px;overflow:hidden;">
+            <div style="height:100%;width:${status.fatigue}%;background:${status.fatigue >= 70 ? '#f44336' : '#ffeb3b'};"></div>
+        </div>
+        <div style="display:flex;gap:4px;">
+            ${Object.keys(employeeRoster.SHIFTS).map(id => `
+                <button onclick="setEmployeeShift('${building}', '${id}')" style="${buttonStyle}background:${status.shift === id ? '#4caf50' : '#424242'};">${employeeRoster.SHIFTS[id].name}</button>
+            `).join('')}
+        </div>
+        <div style="display:flex;gap:4px;">
+            ${Object.keys(employeeRoster.SUPPLIES).map(id => {
+                const supply = employeeRoster.SUPPLIES[id];
+                const price = supply.currency === 'money' ? `${formatNumber(supply.cost)}$` : `${supply.cost} RBC`;
+                const effect = supply.fatigue ? `${supply.fatigue}% усталости` : `${supply.boostHours} ч без усталости`;
+                return `<button onclick="useEmployeeSupply('${building}', '${id}')" style="${buttonStyle}background:#3F2E4F;">${supply.icon} ${supply.name} · ${price}<br><span style="opacity:.75;">${effect}</span></button>`;
+            }).join('')}
+        </div>
+    `;
+    return panel;
+}
+
+// Смена графика: доход здания сначала фиксируется по прежней эффективности
+function setEmployeeShift(building, shiftId) {
+    const employeeId = employeeRoster.getAssigned(building);
+    if (!employeeId) return;
+    window.accrueBeforeStaffChange(building);
+    const result = employeeRoster.setShift(employeeId, shiftId);
+    if (result.ok) {
+        showToast(`${employeeRoster.getName(employeeId)}: ${employeeRoster.SHIFTS[shiftId].name}`);
+    }
+    openAssignOverlay(building);
+}
+
+// Кофе или энергетик для сотрудника здания
+function useEmployeeSupply(building, supplyId) {
+    const employeeId = employeeRoster.getAssigned(building);
+    if (!employeeId) return;
+    window.accrueBeforeStaffChange(building);
+    const result = employeeRoster.useSupply(employeeId, supplyId);
+    if (!result.ok) {
+        const messages = {
+            rested: 'Сотрудник полон сил',
+            money: 'Недостаточно денег!',
+            credits: 'Недостаточно RBC!'
+        };
+        alert(messages[result.error] || 'Не удалось применить');
+        return;
+    }
+    const supply = employeeRoster.SUPPLIES[supplyId];
+    showToast(`${supply.icon} ${supply.name} для ${employeeRoster.getName(employeeId)}`);
+    openAssignOverlay(building);
+}
+
+// Функция для назначения сотрудника (повторный выбор того же сотрудника снимает его).
+// Назначение идёт через main-menu: там доход здания фиксируется до смены бонусов
+function assignEmployee(building, employeeId) {
+    if (employeeRoster.getAssigned(building) === employeeId) {
+        window.fireEmployee(building);
     } else {
-        // Назначаем сотрудника
-        assignments[building] = empName;
-        
-        // Проверяем, был ли нанят Реджи
-        if (empName === 'Реджи' && window.onReggiHired) {
-            window.onReggiHired();
-        }
+        window.hireEmployee(employeeId, building);
     }
     
-    // Сохраняем в localStorage
-    localStorage.setItem('emp_map', JSON.stringify(assignments));
-    
     // Закрываем панель
     document.getElementById('assign-overlay').style.display = 'none';
     
@@ -2568,20 +2531,26 @@ function assignEmployee(building, empName) {
 
 // Функция для получения сотрудника по зданию
 function getEmpByBuilding(building) {
-    const empName = assignments[building];
-    return employees.find(emp => emp.name === empName);
-}
-
-// Функция для сохранения назначений
-function saveAssignments() {
-    localStorage.setItem('emp_map', JSON.stringify(assignments));
+    const id = employeeRoster.getAssigned(building);
+    if (!id) {
+        return null;
+    }
+    const emp = employeeRoster.get(id);
+    return {
+        id,
+        name: emp.name,
+        img: emp.art.hire,
+        level: employeeRoster.getProgress(id).level,
+        skill: `${emp.role} (${employeeRoster.describeBonuses(id)})`
+    };
 }
 
 // Делаем функции глобально доступными
 window.openAssignOverlay = openAssignOverlay;
 window.assignEmployee = assignEmployee;
+window.setEmployeeShift = setEmployeeShift;
+window.useEmployeeSupply = useEmployeeSupply;
 window.getEmpByBuilding = getEmpByBuilding;
-window.saveAssignments = saveAssignments;
 window.getNextUpgradeCost = getNextUpgradeCost;
 window.factoryGetNextUpgradeCost = factoryGetNextUpgradeCost;
 window.getIncomePerSecond = getIncomePerSecond;
@@ -2688,7 +2657,7 @@ window.updateLevelInPanel = function() {
 // Функции для прямого сбора денег и улучшения
 window.collectLibraryMoney = function() {
     if (intermediateBalance > 0) {
-        setBalance(getBalance() + intermediateBalance);
+        setBalance(bigNumber.add(getBalance(),intermediateBalance));
         intermediateBalance = 0;
         window.intermediateBalance = 0; // обновляем глобальную переменную
         incomeBank.textContent = formatNumber(intermediateBalance);
@@ -2700,7 +2669,7 @@ window.collectLibraryMoney = function() {
 
 window.collectFactoryMoney = function() {
     if (factoryIntermediate > 0) {
-        setBalance(getBalance() + factoryIntermediate);
+        setBalance(bigNumber.add(getBalance(),factoryIntermediate));
         factoryIntermediate = 0;
         factoryBankDiv.textContent = formatNumber(factoryIntermediate);
         return true;
@@ -2710,8 +2679,8 @@ window.collectFactoryMoney = function() {
 
 window.upgradeLibraryDirectly = function() {
     const cost = getNextUpgradeCost();
-    if (getBalance() >= cost) {
-        setBalance(getBalance() - cost);
+    if (bigNumber.cmp(getBalance(),cost)>=0) {
+        setBalance(bigNumber.sub(getBalance(),cost));
         upgradesCount++;
         saveProgress();
         return true;
@@ -2721,8 +2690,8 @@ window.upgradeLibraryDirectly = function() {
 
 window.upgradeFactoryDirectly = function() {
     const cost = factoryGetNextUpgradeCost();
-    if (getBalance() >= cost) {
-        setBalance(getBalance() - cost);
+    if (bigNumber.cmp(getBalance(),cost)>=0) {
+        setBalance(bigNumber.sub(getBalance(),cost));
         factoryUpgrades++;
         saveFactory();
         return true;
@@ -2732,8 +2701,8 @@ window.upgradeFactoryDirectly = function() {
 
 window.upgradeStorageDirectly = function() {
     const cost = storageNextCost();
-    if (getBalance() >= cost) {
-        setBalance(getBalance() - cost);
+    if (bigNumber.cmp(getBalance(),cost)>=0) {
+        setBalance(bigNumber.sub(getBalance(),cost));
         storageUpgrades++;
         storageCapacity = STORAGE_BASE_CAP + storageUpgrades * STORAGE_INC;
         saveStorage();
@@ -2765,38 +2734,59 @@ function renderCharacters(filter = 'all'){
     
     contentContainer.innerHTML = '';
     
-    if(filter === 'available') {
-        // Показываем только доступных персонажей (Блуми, Реджи и Гринни)
-        const availableCharacters = [
-            {name: 'Блуми', image: 'assets/svg/characters-panel/bloomi.svg'},
-            {name: 'Реджи', image: 'assets/svg/characters-panel/redgi.svg'},
-            {name: 'Гринни', image: 'assets/svg/characters-panel/grinni.svg'}
-        ];
+    // Сотрудники из каталога: «Доступные» — открытые и не работающие ни в одном здании
+    const employees = employeeRoster.list().filter(emp => filter !== 'available'
+        || (employeeRoster.isOwned(emp.id) && !employeeRoster.getAssignedBuilding(emp.id)));
+    
+    employees.forEach(emp => {
+        const progress = employeeRoster.getProgress(emp.id);
+        const building = employeeRoster.getAssignedBuilding(emp.id);
+        const item = document.createElement('div');
+        item.style.cssText='display:flex;flex-direction:column;align-items:center;margin-bottom:10px;width:100%;';
         
-        availableCharacters.forEach(char => {
-            const item = document.createElement('div');
-            item.style.cssText='display:flex;flex-direction:column;align-items:center;margin-bottom:10px;width:100%;';
-            
+        if (!progress.owned) {
             item.innerHTML = `
-                <img src="${char.image}" alt="${char.name}" style="width:100%;height:auto;max-height:400px;object-fit:contain;" onerror="this.style.display='none'">
+                <img src="${emp.art.card}" alt="${emp.name}" style="width:100%;height:auto;max-height:400px;object-fit:contain;filter:grayscale(1) brightness(0.6);" onerror="this.style.display='none'">
+                <div style="width:100%;box-sizing:border-box;padding:6px 10px;border-radius:8px;background:rgba(0,0,0,0.35);color:#fff;font-size:12px;">
+                    <div style="display:flex;justify-content:space-between;align-items:center;">
+                        <span style="font-weight:700;">🔒 ${emp.name} · ${emp.role}</span>
+                        ${starsHTML(emp.rarity)}
+                    </div>
+                    <div style="opacity:.8;">Выпадает из сейфов в магазине · ${progress.cards} 🃏</div>
+                </div>
             `;
-            
             contentContainer.appendChild(item);
-        });
+            return;
+        }
+        
+        item.innerHTML = `
+            <img src="${emp.art.card}" alt="${emp.name}" style="width:100%;height:auto;max-height:400px;object-fit:contain;" onerror="this.style.display='none'">
+            <div style="width:100%;box-sizing:border-box;padding:6px 10px;border-radius:8px;background:${emp.color};color:#fff;font-size:12px;">
+                <div style="display:flex;justify-content:space-between;align-items:center;">
+                    <span style="font-weight:700;">${emp.name} · ${emp.role}</span>
+                    ${starsHTML(progress.stars)}
+                </div>
+                <div style="opacity:.85;">${employeeRoster.describeBonuses(emp.id, progress.level)}</div>
+                <div style="opacity:.7;">${building ? `Работает: ${buildingRegistry.getName(building)} · +${employeeRoster.WORK_XP_PER_HOUR} опыта/ч` : 'Свободен — опыт идёт только на работе'}</div>
+                <div style="opacity:.7;">${employeeRoster.describeShift(emp.id)}</div>
+                ${employeeTrainingHTML(emp.id, progress)}
+            </div>
+        `;
+        
+        contentContainer.appendChild(item);
+    });
+    
+    if (filter === 'available') {
         return;
     }
     
-    // Список персонажей для панели
-    const characters = [
-        {name: 'Блуми', image: 'assets/svg/characters-panel/bloomi.svg'},
-        {name: 'Реджи', image: 'assets/svg/characters-panel/redgi.svg'},
-        {name: 'Гринни', image: 'assets/svg/characters-panel/grinni.svg'},
-        {name: 'Пурпе', image: 'assets/svg/characters-panel/purpe.svg'},
+    // Персонажи, которых пока нельзя нанять
+    const teasers = [
         {name: 'Пинки', image: 'assets/svg/characters-panel/pinky.svg'},
         {name: 'Секрет', image: 'assets/svg/characters-panel/seecret.svg'}
     ];
     
-    characters.forEach(char => {
+    teasers.forEach(char => {
         const item = document.createElement('div');
         item.style.cssText='display:flex;flex-direction:column;align-items:center;margin-bottom:10px;width:100%;';
         
@@ -2808,6 +2798,78 @@ function renderCharacters(filter = 'all'){
     });
 }
 
+// Уровень, опыт, перки и кнопки обучения в карточке сотрудника
+function employeeTrainingHTML(id, progress) {
+    const need = employeeRoster.xpToNextLevel(progress.level);
+    const percent = need > 0 ? Math.min(100, progress.xp / need * 100) : 100;
+    const cap = employeeRoster.getLevelCap(progress.stars);
+    const starUpgrade = employeeRoster.getStarUpgrade(id);
+    const atMax = progress.level >= employeeRoster.MAX_LEVEL;
+    const blocked = employeeRoster.isAtCap(progress);
+    const buttonStyle = 'flex:1;border:none;border-radius:6px;padding:6px 4px;font-size:11px;font-weight:600;color:#fff;cursor:pointer;background:rgba(0,0,0,0.35);';
+    const perks = employeeRoster.getPerks(id, progress.level).map(perk =>
+        `<div style="opacity:${perk.unlocked ? 1 : .5};">${perk.unlocked ? '✅' : '🔒'} ур. ${perk.level}: ${perk.title}</div>`
+    ).join('');
+    return `
+        <div style="margin-top:6px;">
+            <div style="display:flex;justify-content:space-between;">
+                <span>Уровень ${progress.level} / ${cap}</span>
+                <span>${atMax ? 'Максимум' : `${progress.xp} / ${need} опыта`}</span>
+            </div>
+            <div style="height:6px;background:rgba(0,0,0,0.3);border-radius:3px;overflow:hidden;margin:3px 0;">
+                <div style="height:100%;width:${percent}%;background:#ffeb3b;"></div>
+            </div>
+            ${blocked ? `<div style="color:#ffeb3b;">Потолок ${progress.stars}★ — повысьте звёзды, чтобы расти дальше</div>` : ''}
+        </div>
+        <div style="margin-top:4px;font-size:11px;">${perks}</div>
+        <div style="display:flex;gap:6px;margin-top:6px;">
+            ${atMax || blocked ? '' : `
+                <button onclick="trainEmployee('${id}', 'money')" style="${buttonStyle}">Обучить · ${formatNumber(employeeRoster.getTrainingCost(id, 'money'))}$</button>
+                <button onclick="trainEmployee('${id}', 'credits')" style="${buttonStyle}">Обучить · ${employeeRoster.getTrainingCost(id, 'credits')} RBC</button>
+            `}
+            ${starUpgrade ? `
+                <button onclick="upgradeEmployeeStars('${id}')" style="${buttonStyle}${progress.cards >= starUpgrade.cards ? 'background:#ff9800;' : ''}">⭐ ${progress.cards}/${starUpgrade.cards} 🃏 · ${formatNumber(starUpgrade.money)}$</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Платное обучение сотрудника за деньги (money) или RBC (credits)
+function trainEmployee(id, currency) {
+    const result = employeeRoster.train(id, currency);
+    if (!result.ok) {
+        const messages = {
+            money: 'Недостаточно денег!',
+            credits: 'Недостаточно RBC!',
+            cap: 'Сначала повысьте звёзды сотрудника',
+            max: 'Сотрудник уже на максимальном уровне'
+        };
+        alert(messages[result.error] || 'Не удалось обучить сотрудника');
+        return;
+    }
+    // О новом уровне сообщает обработчик employee.levelUp
+    updateEmployeeLevels();
+}
+
+// Повышение звёзд сотрудника за карточки и деньги
+function upgradeEmployeeStars(id) {
+    const result = employeeRoster.upgradeStars(id);
+    if (!result.ok) {
+        const messages = {
+            cards: 'Не хватает карточек — они есть в наборах магазина',
+            money: 'Недостаточно денег!',
+            max: 'У сотрудника уже максимум звёзд'
+        };
+        alert(messages[result.error] || 'Не удалось повысить звёзды');
+        return;
+    }
+    showPurchaseNotification(`${employeeRoster.getName(id)}: ${employeeRoster.getProgress(id).stars}★`, {}, 'sets');
+    updateEmployeeLevels();
+}
+
+window.trainEmployee = trainEmployee;
+window.upgradeEmployeeStars = upgradeEmployeeStars;
+
 // Tab switching for characters
 function switchCharacterTab(filter) {
     // Убираем активный класс со всех кнопок
@@ -3056,6 +3118,12 @@ function initializeShop() {
         // Инициализация персонажей
         initializeCharacters();
         
+        // Усиления (заморозка серии ежедневных входов)
+        initializeShopBoosts();
+        
+        // Скидки дня
+        initializeDailyDeals();
+        
     } catch (error) {
         console.error('Error in shop initialization:', error);
         // Не позволяем ошибке влиять на работу игры
@@ -3092,45 +3160,34 @@ function initializeChests() {
 
 // Покупка сундука
 function buyChest() {
-    const items = getShopItems('coins');
-    const currentIndex = window.currentChestIndex || 0;
-    const item = items[currentIndex];
-    
-    if (!item) return;
-    
-    // Проверяем баланс в зависимости от типа валюты
-    if (item.isRBC) {
-        // Для RBC (Дипломат монет)
-        if (getCredits() < item.cost) {
-            alert('Недостаточно RBC!');
-            return;
-        }
-        setCredits(getCredits() - item.cost);
-        setCredits(getCredits() + item.coins);
-        
-        // Показываем панель наград
-        showRewardPanel('chests', {
-            credits: item.coins
-        });
-    } else {
-        // Для обычных денег
-        if (getBalance() < item.cost) {
-            alert('Недостаточно денег!');
-            return;
-        }
-        setBalance(getBalance() - item.cost);
-        setCredits(getCredits() + item.coins);
-        
-        // Показываем панель наград
-        showRewardPanel('chests', {
-            credits: item.coins
-        });
+    const item = getShopItems('coins')[window.currentChestIndex || 0];
+    if (item) {
+        handleShopPurchase(item.id);
     }
-    
-    // Обновляем отображение баланса в магазине
-    updateShopBalance();
-    
+}
 
+// Усиления: раздел boosts каталога, перерисовка при покупке
+function initializeShopBoosts() {
+    renderShopBoosts();
+    gameState.subscribe(shopCatalog.STATE_KEY, renderShopBoosts);
+}
+
+function renderShopBoosts() {
+    const container = document.getElementById('shop-boosts');
+    if (!container) return;
+    
+    const periods = { day: 'сегодня', week: 'на этой неделе' };
+    container.innerHTML = getShopItems('boosts').map(item => {
+        const remaining = shopCatalog.getRemaining(item.id);
+        const limitText = item.limit && periods[item.limit.period] ? `Осталось ${periods[item.limit.period]}: ${remaining}` : '';
+        return `
+            <div style="display:flex;align-items:center;gap:12px;">
+                <div style="font-size:32px;">${item.icon || ''}</div>
+                <div style="flex:1;font-size:10.5px;color:rgba(255,255,255,0.8);line-height:1.4;">${item.description || item.name} <span style="color:rgba(255,255,255,0.5);">${limitText}</span></div>
+                <button ${remaining > 0 ? `onclick="handleShopPurchase('${item.id}')"` : 'disabled'} style="background:#fff;color:#000;border:none;border-radius:15px;padding:6px 12px;font-size:12px;font-weight:700;cursor:pointer;white-space:nowrap;opacity:${remaining > 0 ? 1 : 0.5};">${item.price.currency === 'money' ? `${formatNumber(item.price.amount)}$` : `${item.price.amount} RBC`}</button>
+            </div>
+        `;
+    }).join('');
 }
 
 // Обновление баланса в магазине
@@ -3166,6 +3223,11 @@ function initializeSafes() {
         buyBtn.addEventListener('click', buySafe);
     }
     
+    const historyBtn = document.getElementById('gacha-history-btn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', openGachaHistory);
+    }
+    
 
 }
 
@@ -3196,6 +3258,8 @@ function updateSafeDisplay() {
     
     if (!item) return;
     
+    renderSafeOdds(item);
+    
     // Обновляем только картинку с плавным переходом
     const safeImage = document.getElementById('safe-image');
     if (safeImage) {
@@ -3224,64 +3288,65 @@ function updateSafeDisplay() {
     }
 }
 
-// Покупка сейфа
+// Покупка сейфа: награды, призыв персонажа и событие открытия — в каталоге магазина
 function buySafe() {
-    const items = getShopItems('safes');
-    const currentIndex = window.currentSafeIndex || 0;
-    const item = items[currentIndex];
-    
-    if (!item) return;
-    
-    // Проверяем баланс в зависимости от типа валюты
-    if (item.isRBC) {
-        // Для RBC (Гигантский сейф)
-        if (getCredits() < item.cost) {
-            alert('Недостаточно RBC!');
-            return;
-        }
-        setCredits(getCredits() - item.cost);
-        
-        // Генерируем награды
-        const moneyReward = randRange([15000, 30000]);
-        const creditReward = randRange([75, 150]);
-        
-        // Добавляем награды
-        setBalance(getBalance() + moneyReward);
-        setCredits(getCredits() + creditReward);
-        addXP(10);
-        
-        // Показываем панель наград
-        showRewardPanel('safes', {
-            money: moneyReward,
-            credits: creditReward,
-            xp: 10
-        });
-    } else {
-        // Для обычных денег
-        if (getBalance() < item.cost) {
-            alert('Недостаточно денег!');
-            return;
-        }
-        setBalance(getBalance() - item.cost);
-        
-        // Генерируем награды
-        const moneyReward = randRange([15000, 30000]);
-        const creditReward = randRange([75, 150]);
-        
-        // Добавляем награды
-        setBalance(getBalance() + moneyReward);
-        setCredits(getCredits() + creditReward);
-        addXP(10);
-        
-        // Показываем панель наград
-        showRewardPanel('safes', {
-            money: moneyReward,
-            credits: creditReward,
-            xp: 10
-        });
+    const item = getShopItems('safes')[window.currentSafeIndex || 0];
+    if (item) {
+        handleShopPurchase(item.id);
     }
-    
+}
+
+// Шансы призыва для выбранного сейфа и сколько осталось до гарантированного редкого
+function renderSafeOdds(item) {
+    const container = document.getElementById('safe-odds');
+    if (!container || !item) return;
+    
+    const odds = characterGacha.getOdds(item.grant.summon);
+    const left = characterGacha.pullsUntilGuarantee();
+    container.innerHTML = `
+        <div style="text-align:center;font-weight:600;margin-bottom:4px;">Шансы персонажа · ${item.name}</div>
+        ${odds.map(entry => `
+            <div style="display:flex;justify-content:space-between;">
+                <span>${entry.name} <span style="color:#ffeb3b;">${'★'.repeat(entry.rarity)}</span>${entry.rare ? ' · редкий' : ''}</span>
+                <span>${(entry.chance * 100).toFixed(1)}%</span>
+            </div>
+        `).join('')}
+        <div style="text-align:center;margin-top:4px;color:#ffeb3b;">
+            ${left <= 1 ? 'Следующий призыв — гарантированно редкий' : `Гарантированно редкий не позже чем через ${left} призывов`}
+        </div>
+        <div style="text-align:center;opacity:.7;">Повтор превращается в карточки сотрудника</div>
+    `;
+}
 
+// Журнал призывов: последние выпадения из сейфов
+function openGachaHistory() {
+    const tierNames = {};
+    Object.keys(characterGacha.TIERS).forEach(tier => {
+        tierNames[tier] = characterGacha.TIERS[tier].name;
+    });
+    const history = characterGacha.getHistory();
+    
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2100;background:rgba(0,0,0,0.7);display:flex;justify-content:center;align-items:center;font-family:\'Segoe UI\',Arial,sans-serif;';
+    overlay.innerHTML = `
+        <div style="width:90%;max-width:360px;max-height:70vh;overflow-y:auto;background:linear-gradient(135deg, rgba(20,20,20,0.95) 0%, rgba(40,40,40,0.95) 100%);border-radius:16px;padding:16px;border:1px solid rgba(255,255,255,0.1);position:relative;">
+            <button class="gacha-history-close" style="position:absolute;top:8px;right:8px;background:rgba(255,255,255,0.1);border:none;color:#fff;font-size:16px;cursor:pointer;width:28px;height:28px;border-radius:6px;">✕</button>
+            <div style="font-size:16px;font-weight:700;color:#fff;margin-bottom:10px;">История призывов</div>
+            ${history.length === 0 ? '<div style="color:rgba(255,255,255,0.7);font-size:12px;">Пока пусто — откройте сейф</div>' : history.map(entry => `
+                <div style="display:flex;justify-content:space-between;gap:8px;padding:6px 0;border-bottom:1px solid rgba(255,255,255,0.08);font-size:12px;color:#fff;">
+                    <span>${employeeRoster.getName(entry.employee)}${entry.guaranteed ? ' 🎯' : ''}</span>
+                    <span style="opacity:.8;">${entry.isNew ? 'Новый!' : `+${entry.cards} 🃏`}</span>
+                    <span style="opacity:.6;">${tierNames[entry.tier] || entry.tier} · ${new Date(entry.at).toLocaleDateString('ru-RU')}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    overlay.addEventListener('click', (event) => {
+        if (event.target === overlay || event.target.classList.contains('gacha-history-close')) {
+            overlay.remove();
+        }
+    });
+    document.body.appendChild(overlay);
 }
 
 // Инициализация персонажей
@@ -3367,31 +3432,12 @@ function updateCharacterDisplay() {
     }
 }
 
-// Покупка персонажа
+// Покупка набора персонажа
 function buyCharacter() {
-    const items = getShopItems('sets');
-    const currentIndex = window.currentCharacterIndex || 0;
-    const item = items[currentIndex];
-    
-    if (!item) return;
-    
-    // Проверяем баланс денег
-    if (getBalance() < item.cost) {
-        alert('Недостаточно денег!');
-        return;
+    const item = getShopItems('sets')[window.currentCharacterIndex || 0];
+    if (item) {
+        handleShopPurchase(item.id);
     }
-    
-    // Списываем деньги
-    setBalance(getBalance() - item.cost);
-    
-    // Даем награды в зависимости от редкости
-    const baseReward = item.cost * (1 + item.rarity * 0.5);
-    const rewards = Math.floor(baseReward + Math.random() * baseReward * 0.5);
-    setBalance(getBalance() + rewards);
-    
-    alert(`Набор ${item.character} куплен! +${formatNumber(rewards)}$`);
-    
-
 }
 
 // Переключение между сундуками
@@ -3474,30 +3520,9 @@ function navigateShopItem(section, currentIndex, direction) {
 
 }
 
-// Получение списка товаров для секции
+// Получение списка товаров для секции: витрина каталога, доступная сейчас
 function getShopItems(section) {
-    switch(section) {
-        case 'safes':
-            return [
-                { name: 'Простой сейф', cost: 30000, rarity: 1, type: 'simple', image: 'assets/svg/safes/safe-common.svg' },
-                { name: 'Огромный сейф', cost: 300000, rarity: 2, type: 'huge', image: 'assets/svg/safes/safe-gold.svg' },
-                { name: 'Гигантский сейф', cost: 300, rarity: 3, type: 'giant', image: 'assets/svg/safes/safe-mystic.svg', isRBC: true }
-            ];
-        case 'coins':
-            return [
-                { name: 'Чемоданчик монет', cost: 30000, rarity: 1, coins: 50, image: 'assets/svg/chests/chest-1.svg' },
-                { name: 'Кейс монет', cost: 300000, rarity: 3, coins: 100, image: 'assets/svg/chests/chest-2.svg' },
-                { name: 'Дипломат монет', cost: 300, rarity: 4, coins: 200, image: 'assets/svg/chests/chest-3.svg', isRBC: true }
-            ];
-        case 'sets':
-            return [
-                { name: 'Набор Гринни', cost: 500, rarity: 1, character: 'Гринни', image: 'assets/svg/characters/character-1.svg' },
-                { name: 'Набор Рэджи', cost: 1000, rarity: 2, character: 'Рэджи', image: 'assets/svg/characters/character-2.svg' },
-                { name: 'Набор Пёрпи', cost: 2000, rarity: 3, character: 'Пёрпи', image: 'assets/svg/characters/character-3.svg' }
-            ];
-        default:
-            return [];
-    }
+    return shopCatalog.list(section);
 }
 
 // Обновление карточки товара оставлено для совместимости
@@ -3517,101 +3542,109 @@ function getRarityText(rarity) {
     }
 }
 
-function handleShopPurchase(itemType) {
-    const [section, type] = itemType.split('-');
-    const card = document.querySelector(`[data-section="${section}"]`);
-    const index = parseInt(card?.getAttribute('data-index') || '0');
-    const items = getShopItems(section);
-    const item = items[index];
+// Покупка любого товара каталога (id из js/services/shop-catalog.js); deal — по скидке дня
+function handleShopPurchase(itemId, deal = false) {
+    const result = shopCatalog.purchase(itemId, { deal });
+    if (!result.ok) {
+        const messages = {
+            money: 'Недостаточно денег!',
+            credits: 'Недостаточно RBC!',
+            limit: 'Лимит покупок этого товара исчерпан',
+            deal: 'Эта скидка уже использована сегодня',
+            max: 'У вас максимум заморозок!',
+            unavailable: 'Товар сейчас недоступен',
+            level: `Требуется уровень ${result.item && result.item.requires ? result.item.requires.playerLevel : ''}`
+        };
+        alert(messages[result.error] || 'Не удалось купить товар');
+        return;
+    }
     
-    if (!item) return;
+    const { item, rewards } = result;
+    if (rewards.xp) {
+        addXP(rewards.xp);
+    }
+    updateShopBalance();
     
-    switch(section) {
-        case 'safes':
-            // Проверяем баланс RBC для платных сейфов
-            if (item.cost > 0 && getCredits() < item.cost) {
-                alert('Недостаточно RBC');
-                return;
-            }
-            openCrate(item.type);
-            break;
+    switch(item.section) {
         case 'coins':
-            if(getBalance() < item.cost) {
-                alert('Недостаточно денег');
-                return;
+            showRewardPanel('chests', {
+                credits: rewards.credits
+            });
+            break;
+        case 'safes':
+        case 'crates':
+            if (item.section === 'safes') {
+                renderSafeOdds(getShopItems('safes')[window.currentSafeIndex || 0]);
             }
-            setBalance(getBalance() - item.cost);
-            setCredits(getCredits() + item.coins);
-            
-            // Начисляем XP за покупку монет (зависит от редкости)
-            const coinXP = item.rarity * 2; // 2 XP за каждую звезду редкости
-            addXP(coinXP);
-            
-            // Показываем красивое уведомление о покупке монет
-            showPurchaseNotification('Монеты получены!', {
-                credits: item.coins,
-                xp: coinXP
-            }, 'coins');
+            showRewardPanel('safes', rewards);
             break;
         case 'sets':
-            if(getBalance() < item.cost) {
-                alert('Недостаточно денег');
-                return;
-            }
-            setBalance(getBalance() - item.cost);
-            // Даем награды в зависимости от редкости
-            const baseReward = item.cost * (1 + item.rarity * 0.5);
-            const rewards = Math.floor(baseReward + Math.random() * baseReward * 0.5);
-            setBalance(getBalance() + rewards);
-            
-            // Начисляем XP за покупку набора (зависит от редкости)
-            const setXP = item.rarity * 5; // 5 XP за каждую звезду редкости
-            addXP(setXP);
-            
-            // Показываем красивое уведомление о покупке набора
-            showPurchaseNotification(`${item.character} куплен!`, {
-                money: rewards,
-                xp: setXP
+            showPurchaseNotification(`${item.name} куплен!`, {
+                money: rewards.money,
+                xp: rewards.xp,
+                cards: { amount: rewards.cards.amount, name: employeeRoster.getName(rewards.cards.employee), image: employeeRoster.get(rewards.cards.employee).art.hire }
             }, 'sets');
-            
-            // Проверяем, был ли куплен диван (если это набор с диваном)
-            if (item.character && item.character.toLowerCase().includes('диван') && window.onSofaBought) {
-                window.onSofaBought();
+            break;
+        case 'boosts':
+            if (window.showNotification) {
+                window.showNotification(`${item.icon} ${item.name}: куплено`, 'success');
             }
             break;
         default:
+            showPurchaseNotification(`${item.name} куплен!`, rewards, item.section);
+    }
+}
+
+// Скидки дня: перерисовка при покупке и при открытии магазина
+function initializeDailyDeals() {
+    renderDailyDeals();
+    gameState.subscribe(shopCatalog.STATE_KEY, renderDailyDeals);
+}
+
+function renderDailyDeals() {
+    const container = document.getElementById('shop-deals');
+    if (!container) return;
+    
+    const formatPrice = (price) => price.currency === 'money' ? `${formatNumber(price.amount)}$` : `${price.amount} RBC`;
+    container.innerHTML = shopCatalog.getDailyDeals().map(deal => `
+        <div style="flex:1;background:rgba(255,255,255,0.05);border-radius:8px;padding:8px 4px;border:1px solid rgba(255,255,255,0.1);display:flex;flex-direction:column;align-items:center;gap:4px;position:relative;${deal.bought ? 'opacity:.5;' : ''}">
+            <div style="position:absolute;top:4px;right:4px;background:#f44336;color:#fff;font-size:10px;font-weight:700;padding:1px 5px;border-radius:4px;">−${Math.round(deal.discount * 100)}%</div>
+            <img src="${deal.item.image}" alt="${deal.item.name}" style="width:56px;height:56px;object-fit:contain;" onerror="this.style.display='none'">
+            <div style="font-size:10px;color:#fff;text-align:center;">${deal.item.name}</div>
+            <div style="font-size:9px;color:rgba(255,255,255,0.5);text-decoration:line-through;">${formatPrice(deal.item.price)}</div>
+            <button ${deal.bought ? 'disabled' : `onclick="handleShopPurchase('${deal.item.id}', true)"`} style="background:#fff;color:#000;border:none;border-radius:12px;padding:4px 8px;font-size:11px;font-weight:700;cursor:pointer;">${deal.bought ? 'Куплено' : formatPrice(deal.price)}</button>
+        </div>
+    `).join('');
+    
+    const timer = document.getElementById('shop-deals-timer');
+    if (timer) {
+        const hours = Math.floor(shopCatalog.getTimeUntilDealsReset() / (60 * 60 * 1000));
+        timer.textContent = `Новые скидки через ${hours} ч`;
+    }
+}
 
+// Перерисовка панели персонажей, если она открыта (текущая вкладка сохраняется)
+function refreshOpenCharactersPanel() {
+    const charactersPanel = document.getElementById('characters-panel');
+    if (charactersPanel && charactersPanel.style.display !== 'none') {
+        const activeTab = document.querySelector('.char-filter-btn.active');
+        renderCharacters(activeTab && activeTab.id === 'char-tab-available' ? 'available' : 'all');
     }
 }
 
-// Функция для обновления уровней сотрудников
+// Функция для обновления уровней сотрудников в панелях статистики и персонажей
 function updateEmployeeLevels() {
-    // Обновляем массив employees с актуальными уровнями
-    employees.forEach(emp => {
-        const employeeKey = emp.name.toLowerCase().replace('ё', 'е');
-        const level = parseInt(localStorage.getItem(`employee_${employeeKey}_level`) || '1');
-        emp.level = level;
-    });
-    
-    // Обновляем отображение в панели статистики
     if (window.employeeLevels && window.employeeLevels.updateAll) {
         window.employeeLevels.updateAll();
     }
+    refreshOpenCharactersPanel();
 }
 
-// Функция для увеличения уровня сотрудника
-function increaseEmployeeLevel(employeeName, amount = 1) {
-    const employeeKey = employeeName.toLowerCase().replace('ё', 'е');
-    const currentLevel = parseInt(localStorage.getItem(`employee_${employeeKey}_level`) || '1');
-    const newLevel = currentLevel + amount;
-    
-    localStorage.setItem(`employee_${employeeKey}_level`, newLevel.toString());
-    
-    // Обновляем массив employees
-    const employee = employees.find(emp => emp.name.toLowerCase().replace('ё', 'е') === employeeKey);
-    if (employee) {
-        employee.level = newLevel;
-    }
+// Функция для увеличения уровня сотрудника (по id из каталога)
+function increaseEmployeeLevel(employeeId, amount = 1) {
+    const progress = employeeRoster.getProgress(employeeId);
+    const newLevel = Math.min(employeeRoster.MAX_LEVEL, progress.level + amount);
+    employeeRoster.setProgress(employeeId, { level: newLevel, xp: 0 });
     
     // Обновляем отображение
     updateEmployeeLevels();
@@ -3623,6 +3656,13 @@ function increaseEmployeeLevel(employeeName, amount = 1) {
 window.updateEmployeeLevels = updateEmployeeLevels;
 window.increaseEmployeeLevel = increaseEmployeeLevel;
 
+// Опыт за работу и повышения приходят в фоне — открытая панель персонажей обновляется сама
+gameEvents.on('employee.levelUp', ({ employee, level }) => {
+    showToast(`${employeeRoster.getName(employee)} достиг ${level} уровня!`);
+});
+gameState.subscribe('employees', refreshOpenCharactersPanel);
+gameState.subscribe('hiredEmployees', refreshOpenCharactersPanel);
+
 // === USER ID SYSTEM ===
 
 // Функция для генерации уникального ID пользователя
@@ -3709,6 +3749,7 @@ function showPanelWithAnimation(panelId) {
     // Устанавливаем глобальные переменные для отслеживания состояния панелей
     if (panelId === 'shop-panel') {
         window.isShopPanelOpen = true;
+        renderDailyDeals();
     }
     if (panelId === 'characters-panel') {
         window.isCharactersPanelOpen = true;
@@ -3828,6 +3869,7 @@ function openProfilePanel() {
     // Обновляем данные профиля
     setTimeout(() => {
         syncLevelAndXP();
+        achievements.renderShowcase();
         // Обновляем данные из Telegram если доступны
         if (isTelegramApp) {
             updateProfileWithTelegram();
@@ -3982,6 +4024,20 @@ function showRewardPanel(itemType, rewards) {
         `;
     }
     
+    if (rewards.character) {
+        const employee = employeeRoster.get(rewards.character.employee);
+        rewardsHTML += `
+            <div style="display:flex;align-items:center;gap:12px;padding:10px 12px;background:${employee.color};border-radius:8px;border:1px solid rgba(255,255,255,0.1);">
+                <img src="${employee.art.hire}" alt="${employee.name}" style="width:32px;height:32px;object-fit:contain;">
+                <span style="font-size:16px;font-weight:600;color:#fff;">
+                    ${employee.name} ${'★'.repeat(employee.rarity)}
+                    ${rewards.character.isNew ? '— новый сотрудник!' : `— повтор, +${rewards.character.cards} 🃏`}
+                    ${rewards.character.guaranteed ? ' 🎯' : ''}
+                </span>
+            </div>
+        `;
+    }
+    
     rewardItems.innerHTML = rewardsHTML;
     
     // Показываем панель с анимацией
@@ -4030,6 +4086,7 @@ function showRewardPanel(itemType, rewards) {
 
 // Делаем функцию глобально доступной
 window.showRewardPanel = showRewardPanel;
+window.handleShopPurchase = handleShopPurchase;
 
 // Экспортируем функцию в глобальную область для использования в statistics.js
 window.syncLevelAndXP = syncLevelAndXP;
@@ -76,7 +76,7 @@ let mapUIInitialized = false;
             bank = window.factoryIntermediate || parseFloat(localStorage.getItem('f_interBal')||'0');
         }else if(building==='storage'){
             // Используем новую систему данных зданий
-            const buildingsData = JSON.parse(localStorage.getItem('buildingsData')) || {};
+            const buildingsData = gameState.get('buildingsData') || {};
             const storageData = buildingsData.storage || { level: 1, income: 3000, accumulatedProfit: 0 };
             lvl = storageData.level || 1;
             perSec = storageData.income || 3000;
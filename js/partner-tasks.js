@@ -75,7 +75,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.addEventListener('visibilitychange', () => {
         if (document.visibilityState === 'visible') {
             const wasChannelLinkOpened = localStorage.getItem('partner_join_channel_clicked') === 'true';
-            if (wasChannelLinkOpened && localStorage.getItem(`partner_task_completed_${PARTNER_TASK_KEYS.JOIN_PRISMAKOV}`) !== 'true') {
+            if (wasChannelLinkOpened && !gameState.get(`partner_task_completed_${PARTNER_TASK_KEYS.JOIN_PRISMAKOV}`)) {
                 markPartnerTaskAsCompleted(PARTNER_TASK_KEYS.JOIN_PRISMAKOV);
             }
         }
@@ -97,8 +97,8 @@ const PARTNER_TASK_KEYS = {
 
 // Функция для получения данных партнерских заданий
 function getPartnerTasksData(category = 'social') {
-    const inviteCompleted = localStorage.getItem(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`) === 'true';
-    const joinCompleted = localStorage.getItem(`partner_task_completed_${PARTNER_TASK_KEYS.JOIN_PRISMAKOV}`) === 'true';
+    const inviteCompleted = gameState.get(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`);
+    const joinCompleted = gameState.get(`partner_task_completed_${PARTNER_TASK_KEYS.JOIN_PRISMAKOV}`);
 
     const socialTasks = [
         {
@@ -128,8 +128,8 @@ function getPartnerTasksData(category = 'social') {
 
 // Функция для получения статуса партнерского задания
 function getPartnerTaskStatus(taskKey, isCompleted) {
-    const wasClaimed = localStorage.getItem(`partner_task_claimed_${taskKey}`) === 'true';
-    const wasCompleted = localStorage.getItem(`partner_task_completed_${taskKey}`) === 'true';
+    const wasClaimed = gameState.get(`partner_task_claimed_${taskKey}`);
+    const wasCompleted = gameState.get(`partner_task_completed_${taskKey}`);
     
     if (wasClaimed) return 'claimed';
     if (wasCompleted) return 'completed';
@@ -143,10 +143,9 @@ async function checkPartnerTasksCompletion() {
 
     try {
         // Выполнение задания «Пригласи друга» при наличии хотя бы одного прямого реферала
-        const tg = (window.Telegram && Telegram.WebApp) ? Telegram.WebApp : null;
-        let myId = tg?.initDataUnsafe?.user?.id || localStorage.getItem('dev_user_id') || null;
+        const myId = telegramAuth.getUserId();
         if (myId) {
-            const r = await fetch(`${PARTNER_API_BASE}api/get_referral_stats.php?telegramId=${myId}`);
+            const r = await fetch(`${PARTNER_API_BASE}api/get_referral_stats.php?${telegramAuth.authParams()}`);
             let d = null;
             try {
                 d = await r.json();
@@ -154,8 +153,9 @@ async function checkPartnerTasksCompletion() {
                 const text = await r.text();
             }
             const refCount = d && d.success ? (d.referral_cnt || 0) : 0;
-            if (refCount > 0 && localStorage.getItem(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`) !== 'true') {
-                localStorage.setItem(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`, 'true');
+            gameEvents.emit('referrals.updated', { count: refCount });
+            if (refCount > 0 && !gameState.get(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`)) {
+                gameState.set(`partner_task_completed_${PARTNER_TASK_KEYS.INVITE_FRIEND}`, true);
                 hasUpdates = true;
             }
         }
@@ -171,7 +171,7 @@ async function checkPartnerTasksCompletion() {
 
 // Функция для отметки партнерского задания как выполненного
 function markPartnerTaskAsCompleted(taskId) {
-    localStorage.setItem(`partner_task_completed_${taskId}`, 'true');
+    gameState.set(`partner_task_completed_${taskId}`, true);
     renderPartnerTasks();
     // Обновляем счетчики
     const tasks = getPartnerTasksData();
@@ -180,7 +180,7 @@ function markPartnerTaskAsCompleted(taskId) {
 
 // Функция для отметки партнерского задания как полученного
 function markPartnerTaskAsClaimed(taskId) {
-    localStorage.setItem(`partner_task_claimed_${taskId}`, 'true');
+    gameState.set(`partner_task_claimed_${taskId}`, true);
     renderPartnerTasks();
     // Обновляем счетчики
     const tasks = getPartnerTasksData();
@@ -284,20 +284,12 @@ function renderPartnerTasks(category = 'social') {
 
         taskCard.onclick = () => {
             if (task.status === 'completed') {
-                // Выдача награды
-                markPartnerTaskAsClaimed(task.id);
+                // Выдача награды: отметка и начисление одной транзакцией
                 const rewardValue = parseInt(task.reward.replace(/\s/g, ''));
-                const currentBalance = window.getBalance ? window.getBalance() : parseFloat(localStorage.getItem('balance') || '100');
-                const newBalance = currentBalance + rewardValue;
-                if (window.setBalance) {
-                    window.setBalance(newBalance);
-                } else {
-                    localStorage.setItem('balance', newBalance);
-                    const moneyAmount = document.getElementById('money-amount');
-                    if (moneyAmount) {
-                        moneyAmount.textContent = window.formatNumber ? window.formatNumber(newBalance) : newBalance;
-                    }
-                }
+                gameState.transaction(() => {
+                    markPartnerTaskAsClaimed(task.id);
+                    gameState.set('balance', bigNumber.add(gameState.get('balance'), rewardValue));
+                });
             } else if (task.status === 'pending') {
                 // Специальное действие для задачи подписки на канал
                 if (task.id === PARTNER_TASK_KEYS.JOIN_PRISMAKOV) {
@@ -359,20 +351,19 @@ function calculatePartnerTotalReward() {
     let total = 0;
     allTasks.forEach(task => {
         // Проверяем, что задание выполнено, но еще не получено
-        const isCompleted = localStorage.getItem(`partner_task_completed_${task.id}`) === 'true';
-        const isClaimed = localStorage.getItem(`partner_task_claimed_${task.id}`) === 'true';
+        const isCompleted = gameState.get(`partner_task_completed_${task.id}`);
+        const isClaimed = gameState.get(`partner_task_claimed_${task.id}`);
         
         if (isCompleted && !isClaimed) {
-            // Конвертируем строки в числа (убираем 'k' и умножаем на 1000)
+            // Конвертируем строки в числа (убираем пробелы, 'k' означает тысячи)
             const rewardValue = task.reward.includes('k') 
-                ? parseInt(task.reward.replace('k', '')) * 1000 
-                : parseInt(task.reward);
+                ? parseInt(task.reward.replace(/\s/g, '').replace('k', '')) * 1000 
+                : parseInt(task.reward.replace(/\s/g, ''));
             total += rewardValue;
         }
     });
     
-    // Форматируем результат обратно в формат с 'k'
-    return total >= 1000 ? `${Math.floor(total / 1000)}k` : total.toString();
+    return bigNumber.format(total);
 }
 
 // Функция для обновления суммы наград в кнопке партнерских заданий
@@ -416,8 +407,8 @@ window.testPartnerTaskSystem = {
     // Сбросить все партнерские задания
     resetAll: function() {
         Object.values(PARTNER_TASK_KEYS).forEach(key => {
-            localStorage.removeItem(`partner_task_completed_${key}`);
-            localStorage.removeItem(`partner_task_claimed_${key}`);
+            gameState.remove(`partner_task_completed_${key}`);
+            gameState.remove(`partner_task_claimed_${key}`);
         });
         renderPartnerTasks();
         // Обновляем счетчики
@@ -430,7 +421,7 @@ window.testPartnerTaskSystem = {
     completeAll: function() {
         // Отмечаем задания как выполненные
         Object.values(PARTNER_TASK_KEYS).forEach(key => {
-            localStorage.setItem(`partner_task_completed_${key}`, 'true');
+            gameState.set(`partner_task_completed_${key}`, true);
         });
         
         renderPartnerTasks();
@@ -443,7 +434,7 @@ window.testPartnerTaskSystem = {
     // Симулировать получение всех наград партнерских заданий
     claimAll: function() {
         Object.values(PARTNER_TASK_KEYS).forEach(key => {
-            localStorage.setItem(`partner_task_claimed_${key}`, 'true');
+            gameState.set(`partner_task_claimed_${key}`, true);
         });
         renderPartnerTasks();
         // Обновляем счетчики
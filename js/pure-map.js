@@ -2,20 +2,12 @@
 (function(){
     var BASE_WIDTH = 4818;
     var BASE_HEIGHT = 3213;
-    var buildingsConfig = {
-        library: { // Библиотека
-            img: 'building-templates/interactive-map/Buildings (8).png', x: 2411, y: 1500, w: 695, h: 1089
-        },
-        storage: { // Почта
-            img: 'building-templates/interactive-map/Buildings (9).png', x: 2094, y: 1924, w: 590, h: 926
-        },
-        print: { // Типография
-            img: 'building-templates/interactive-map/Buildings (11).png', x: 689, y: 1085, w: 614, h: 961
-        },
-        factory: { // Завод
-            img: 'building-templates/interactive-map/Buildings (10).png', x: 515, y: -425, w: 817, h: 1310
-        }
-    };
+    // Узлы карты строятся из реестра зданий (js/services/building-registry.js)
+    var registry = window.buildingRegistry;
+    var buildingsConfig = {};
+    registry.list().forEach(function(def){
+        buildingsConfig[def.id] = { img: def.art.map, x: def.map.x, y: def.map.y, w: def.map.w, h: def.map.h };
+    });
 
     var stage = document.getElementById('pure-map-stage');
     var content = document.getElementById('pure-map-content');
@@ -60,8 +52,9 @@
     function applyVisibility(){
         var data = readBuildingsState();
         Object.keys(buildingNodes).forEach(function(key){
-            if(key === 'library'){
-                setOwnedUI('library');
+            var def = registry.get(key);
+            if(def && def.starter){
+                setOwnedUI(key);
                 return;
             }
             var owned = !!(data[key] && data[key].isOwned === true);
@@ -117,9 +110,8 @@
             buildingNodes[key].setAttribute('role','button');
             buildingNodes[key].onclick = function(){
                 try{
-                    var names = {factory:'Завод', storage:'Почта', print:'Типография', library:'Библиотека'};
                     if(typeof window.openBuildingPanel === 'function'){
-                        window.openBuildingPanel(key, names[key]||'');
+                        window.openBuildingPanel(key, registry.getName(key));
                         return;
                     }
                 }catch(e){}
@@ -258,8 +250,10 @@
     window.addEventListener('resize', fitToStage);
     fitToStage();
     applyVisibility();
-    // Библиотека — видна и кликабельна изначально
-    setOwnedUI('library');
+    // Стартовые здания видны и кликабельны изначально
+    registry.list().forEach(function(def){
+        if(def.starter){ setOwnedUI(def.id); }
+    });
 })();
 
 
@@ -9,48 +9,84 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
     const tg = (window.Telegram && Telegram.WebApp) ? Telegram.WebApp : null;
-    // Идентификатор пользователя: используем Telegram ID, иначе dev-фолбэк для локального запуска
-    let myId = tg?.initDataUnsafe?.user?.id || null;
-    if(!myId){
-        // локальная отладка вне Telegram
-        myId = localStorage.getItem('dev_user_id');
-        if(!myId){
-            myId = String(Math.floor(Math.random()*1000000000));
-            localStorage.setItem('dev_user_id', myId);
-        }
-    }
+    // Идентификатор пользователя: Telegram ID, иначе dev-фолбэк для локального запуска.
+    // Сервер его не принимает на веру — каждый запрос несёт initData (см. telegramAuth)
+    let myId = window.telegramAuth.getUserId();
 
-    // Поддержка ссылки приглашения через query (?refererId=) и Telegram start_param
+    // Ссылка приглашения через query (?refererId=) — для локального запуска, сервер принимает её только
+    // в режиме разработки; в Telegram пригласившего сервер берёт из start_param подписанного initData
     const params = new URLSearchParams(window.location.search);
     let refererId = params.get('refererId') || '';
-    const startParam = (tg && tg.initDataUnsafe && tg.initDataUnsafe.start_param) ? tg.initDataUnsafe.start_param : '';
+    const startParam = window.telegramAuth.getStartParam();
     if(!refererId && startParam && /^\d+$/.test(startParam)){
         refererId = startParam;
     }
+    // Ссылка-напоминание от друга (nudge_<id>): подсказываем, что нужно для общей награды
+    if(/^nudge_\d+$/.test(startParam) && window.showToast){
+        window.showToast('Друг ждёт тебя в BOOKE! Купи второе здание — и вы оба получите награду', 5000);
+    }
     // Базовый URL для API (совместимо с Live Server на 5500 и PHP на 8001)
     const API_BASE = (typeof window !== 'undefined' && window.API_BASE)
       ? window.API_BASE
       : (location && location.port === '5500' ? 'http://127.0.0.1:8001/' : './');
 
+    // Отпечаток устройства — сервер по нему ловит повторные регистрации с одного телефона
+    const deviceId = window.cloudStorage ? window.cloudStorage.getDeviceId() : '';
+
     if(myId){
-        const body = new URLSearchParams();
-        body.append('telegramId', myId);
-        if(refererId) body.append('refererId', refererId);
-        // Пробрасываем профиль пользователя (для отображения в друзьях)
-        const u = tg?.initDataUnsafe?.user || {};
-        if(u.first_name) body.append('name', u.first_name);
-        if(u.last_name)  body.append('surname', u.last_name);
-        if(u.username)   body.append('username', u.username);
-        if(u.photo_url)  body.append('profile_photo', u.photo_url);
+        // Профиль для списка друзей сервер берёт из проверенного initData
+        const body = window.telegramAuth.authParams({ refererId, deviceId });
         // register (idempotent)
         fetch(`${API_BASE}api/referral_register.php`,{method:'POST',body})
+          .then(() => reportProgress(false))
           .finally(refreshReferralCount);
     }
 
+    /* === Прогресс для наград за приглашение === */
+    // Награда пригласившему и новичку открывается, когда новичок дойдёт до рубежа
+    // (второе здание или 5 уровень). Сообщаем серверу об изменениях, пока рубеж не достигнут:
+    // сам прогресс сервер берёт из проверенного облачного сохранения, которое обновляется с задержкой,
+    // поэтому после изменения спрашиваем ещё раз через PROGRESS_RETRY_DELAY.
+    const PROGRESS_REPORT_DELAY = 2000;
+    const PROGRESS_RETRY_DELAY = 30000;
+    let progressTimer = null;
+    let progressDone = false;
+    const progressUnsubscribers = [];
+
+    async function reportProgress(retry){
+      if(!myId || progressDone) return;
+      try{
+        const body = window.telegramAuth.authParams({ deviceId });
+        const r = await fetch(`${API_BASE}api/referral_progress.php`,{method:'POST',body});
+        const d = await r.json();
+        if(d.success && d.milestone){
+          progressDone = true;
+          progressUnsubscribers.forEach(unsubscribe => unsubscribe());
+        }else if(!retry){
+          clearTimeout(progressTimer);
+          progressTimer = setTimeout(() => reportProgress(true), PROGRESS_RETRY_DELAY);
+        }
+        if(d.success && d.unlocked > 0) refreshReferralCount();
+      }catch(e){
+        console.warn('[referral] progress report failed', e);
+      }
+    }
+
+    function scheduleProgressReport(){
+      if(progressDone) return;
+      clearTimeout(progressTimer);
+      progressTimer = setTimeout(() => reportProgress(false), PROGRESS_REPORT_DELAY);
+    }
+
+    progressUnsubscribers.push(
+      window.gameEvents.on('building.bought', scheduleProgressReport),
+      window.gameState.subscribe('playerLevel', scheduleProgressReport)
+    );
+
     async function refreshReferralCount(){
       try{
         if(!myId) return;
-        const r = await fetch(`${API_BASE}api/get_referral_stats.php?telegramId=${myId}`);
+        const r = await fetch(`${API_BASE}api/get_referral_stats.php?${window.telegramAuth.authParams()}`);
         let d = null;
         try {
           d = await r.json();
@@ -60,9 +96,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if(d.success){
           const refEl = document.getElementById('ref-value');
           if(refEl) refEl.textContent = d.referral_cnt || 0;
-
-          const rbcEl = document.getElementById('rbc-value');
-          if(rbcEl) rbcEl.textContent = d.rbc_balance || 0;
+          window.gameEvents.emit('referrals.updated', { count: d.referral_cnt || 0 });
           
           // Обновляем отображение наград на кнопке
           const collectRewardBtn = document.getElementById('btn-collect-reward');
@@ -101,19 +135,15 @@ document.addEventListener('DOMContentLoaded', () => {
           inviteInput.style.cursor = 'pointer';
           if(!inviteInput.dataset.boundShare){
             inviteInput.addEventListener('click', () => {
-              const url = inviteInput.value;
-              const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent('Присоединяйся к BOOKE!')}`;
-              if(tg && typeof tg.openTelegramLink === 'function'){
-                tg.openTelegramLink(shareUrl);
-              }else{
-                window.open(shareUrl, '_blank');
-              }
+              openTelegramShare(inviteInput.value, 'Присоединяйся к BOOKE!');
             });
             inviteInput.dataset.boundShare = '1';
           }
         }
         refreshReferralCount(); // Обновляем награды при открытии панели
         refreshFriendList();
+        refreshRewardHistory();
+        refreshLeaderboard();
         
         // Подсвечиваем кнопку белым цветом
         if (window.setActiveSideButton) {
@@ -193,71 +223,82 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       });
       
-      // Collect reward button handler
+      // Collect reward button handler: сервер списывает накопленное из журнала и зачисляет в облачное сохранение
+      // (его принимает проверка экономики), в игре кредиты начисляем здесь
       const collectRewardBtn = document.getElementById('btn-collect-reward');
+      let collecting = false;
       collectRewardBtn?.addEventListener('click', async () => {
+        if(collecting) return;
+        if(!myId) {
+          alert('Ошибка: не удалось определить пользователя');
+          return;
+        }
+        collecting = true;
         try {
-          if(!myId) {
-            alert('Ошибка: не удалось определить пользователя');
-            return;
-          }
-          
-          // Получаем статистику рефералов
-          const r = await fetch(`${API_BASE}api/get_referral_stats.php?telegramId=${myId}`);
-          let d = null;
-          try {
-            d = await r.json();
-          } catch (parseErr) {
-            const text = await r.text();
-          }
-          
+          const r = await fetch(`${API_BASE}api/collect_referral_rewards.php`, {
+            method: 'POST',
+            body: window.telegramAuth.authParams()
+          });
+          const d = await r.json();
           if(d.success) {
-            const pendingRewards = d.pending_rewards || 0;
-            
-            if(pendingRewards <= 0) {
-              alert('У вас нет накопившихся наград для получения');
-              return;
-            }
-            
-            // Запрашиваем начисление наград
-            const rewardBody = new URLSearchParams();
-            rewardBody.append('telegramId', myId);
-            
-            const rewardResponse = await fetch(`${API_BASE}api/collect_referral_rewards.php`, {
-              method: 'POST',
-              body: rewardBody
-            });
-            
-            let rewardData = null;
-            try {
-              rewardData = await rewardResponse.json();
-            } catch (parseErr) {
-              const text = await rewardResponse.text();
-            }
-            
-            if(rewardData.success) {
-              alert(`Награда успешно начислена! Получено: ${pendingRewards} RBC`);
-              
-              // Обновляем отображение наград
-              const rewardText = collectRewardBtn.querySelector('span:last-child');
-              if(rewardText) {
-                rewardText.textContent = '+0';
-              }
-              
-              // Обновляем статистику
-              refreshReferralCount();
-              refreshFriendList();
-            } else {
-              alert('Ошибка при получении награды: ' + (rewardData.message || 'Неизвестная ошибка'));
+            window.setCredits(window.getCredits() + d.amount);
+            alert(`Награда успешно начислена! Получено: ${d.amount} кредитов`);
+            const rewardText = collectRewardBtn.querySelector('span:last-child');
+            if(rewardText) {
+              rewardText.textContent = '+0';
             }
+            refreshReferralCount();
+            refreshFriendList();
+            refreshRewardHistory();
           } else {
-            alert('Ошибка при получении статистики рефералов');
+            alert(d.error || 'Ошибка при получении награды');
           }
         } catch(e) {
           alert('Ошибка при получении награды');
+        } finally {
+          collecting = false;
         }
       });
-      
+
+      const HISTORY_LABELS = { direct: 'Друг', indirect: 'Друг друга', milestone: 'Награда за приглашение', collect: 'Получено' };
+      const historyList = document.getElementById('referral-history');
+
+      async function refreshRewardHistory(){
+        if(!historyList) return;
+        try{
+          const r = await fetch(`${API_BASE}api/get_referral_history.php?${window.telegramAuth.authParams()}`);
+          const d = await r.json();
+          if(!d.success) return;
+          historyList.innerHTML = '';
+          if(!d.history.length){
+            historyList.innerHTML = '<div style="text-align:center;color:rgba(255,255,255,0.5);">Пока нет наград</div>';
+            return;
+          }
+          d.history.forEach(entry => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+              display:flex;
+              justify-content:space-between;
+              gap:8px;
+              padding:4px 6px;
+              border-radius:6px;
+              background:rgba(255,255,255,0.04);
+            `;
+            const who = entry.kind === 'collect' ? '' : (entry.name || entry.username || entry.source_id);
+            const date = new Date(entry.created_at * 1000).toLocaleDateString('ru-RU');
+            const label = document.createElement('span');
+            label.textContent = `${date} · ${HISTORY_LABELS[entry.kind] || entry.kind}${who ? `: ${who}` : ''}`;
+            const amount = document.createElement('span');
+            const value = parseInt(entry.amount) || 0;
+            amount.style.color = value > 0 ? '#81C784' : 'rgba(255,255,255,0.6)';
+            amount.textContent = value > 0 ? `+${value}` : `${value}`;
+            row.appendChild(label);
+            row.appendChild(amount);
+            historyList.appendChild(row);
+          });
+        }catch(e){}
+      }
+
       const shareBtn = document.getElementById('btn-share-link');
       shareBtn?.addEventListener('click', ()=>{
           if(!inviteInput) return;
@@ -266,9 +307,108 @@ document.addEventListener('DOMContentLoaded', () => {
           window.open(shareUrl,'_blank');
       });
 
+      function formatRewardAmount(amount){
+        return (parseInt(amount) || 0).toLocaleString('ru-RU');
+      }
+
+      // У пригласившего (is_inviter) статус — это собственный бонус игрока за регистрацию по ссылке
+      function renderRewardStatus(f, milestone){
+        const amount = formatRewardAmount(f.reward_amount);
+        switch(f.reward_status){
+          case 'unlocked':
+            return `<span>✅ +${amount}</span><span style="font-size:10px;color:#4CAF50;">начислено</span>`;
+          case 'blocked':
+            return '<span>⛔ 0</span><span style="font-size:10px;color:#c62828;">не засчитано</span>';
+          case 'pending': {
+            const note = f.reward_reason === 'daily_cap'
+              ? 'лимит на сегодня'
+              : `ур. ${Math.min(parseInt(f.player_level) || 1, milestone.level)}/${milestone.level} или зданий ${Math.min(parseInt(f.buildings_owned) || 1, milestone.buildings)}/${milestone.buildings}`;
+            return `<span>⏳ +${amount}</span><span style="font-size:10px;color:#888;">${note}</span>`;
+          }
+          default:
+            return '';
+        }
+      }
+
+      function openTelegramShare(url, text){
+        const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`;
+        if(tg && typeof tg.openTelegramLink === 'function'){
+          tg.openTelegramLink(shareUrl);
+        }else{
+          window.open(shareUrl, '_blank');
+        }
+      }
+
+      // Напоминание другу, который ещё не дошёл до рубежа: ссылка открывает игру с подсказкой
+      function nudgeFriend(f){
+        const name = f.name || f.username || 'друг';
+        openTelegramShare(
+          `https://t.me/BookeCoinBot?start=nudge_${myId}`,
+          `${name}, заходи в BOOKE! Купи второе здание — и мы оба получим награду`
+        );
+      }
+
+      // Прогресс друзей из их открытых профилей в облаке; без облака список показывается без него
+      async function loadFriendProfiles(friends){
+        if(!window.cloudStorage || !friends.length) return {};
+        try{
+          return await window.cloudStorage.getFriendProfiles(friends.map(f => f.userId));
+        }catch(e){
+          console.warn('[referral] friend profiles unavailable', e);
+          return {};
+        }
+      }
+
+      function formatFriendProgress(profile){
+        return `Ур. ${profile.level || 1} · 🏢 ${profile.buildingsLabel || '—'} · 💰 ${window.bigNumber.format(profile.totalEarned || 0)}`;
+      }
+
+      const leaderboardList  = document.getElementById('referral-leaderboard');
+      const leaderboardReset = document.getElementById('referral-leaderboard-reset');
+      const leaderboardMe    = document.getElementById('referral-leaderboard-me');
+
+      async function refreshLeaderboard(){
+        if(!leaderboardList) return;
+        try{
+          const r = await fetch(`${API_BASE}api/get_referral_leaderboard.php?${window.telegramAuth.authParams()}`);
+          const d = await r.json();
+          if(!d.success) return;
+          const resetsAt = new Date(d.resets_at * 1000);
+          leaderboardReset.textContent = `Сброс ${resetsAt.toLocaleDateString('ru-RU')} в ${resetsAt.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' })}`;
+          leaderboardList.innerHTML = '';
+          if(!d.top.length){
+            leaderboardList.innerHTML = '<div style="text-align:center;color:rgba(255,255,255,0.5);">На этой неделе пока никто не пригласил друзей</div>';
+          }
+          d.top.forEach((entry, index) => {
+            const row = document.createElement('div');
+            const isMe = String(entry.userId) === String(myId);
+            row.style.cssText = `
+              display:flex;
+              justify-content:space-between;
+              gap:8px;
+              padding:6px 8px;
+              border-radius:8px;
+              background:${isMe ? 'rgba(76,175,80,0.25)' : 'rgba(255,255,255,0.04)'};
+            `;
+            const place = ['🥇', '🥈', '🥉'][index] || `${index + 1}.`;
+            const who = document.createElement('span');
+            who.textContent = `${place} ${entry.name || entry.username || entry.userId}`;
+            const count = document.createElement('span');
+            count.style.fontWeight = '700';
+            count.textContent = `${entry.invites} 🤝`;
+            row.appendChild(who);
+            row.appendChild(count);
+            leaderboardList.appendChild(row);
+          });
+          leaderboardMe.textContent = d.me.rank
+            ? `Ваше место: ${d.me.rank} · друзей за неделю: ${d.me.invites}`
+            : 'Пригласите друга, чтобы попасть в топ недели';
+        }catch(e){}
+      }
+
       async function refreshFriendList(){
         try{
-          const r = await fetch(`${API_BASE}api/get_my_friends.php?telegramId=${myId}`);
+          const r = await fetch(`${API_BASE}api/get_my_friends.php?${window.telegramAuth.authParams()}`);
           let d = null;
           try {
             d = await r.json();
@@ -277,7 +417,9 @@ document.addEventListener('DOMContentLoaded', () => {
           }
           if(d.success){
              const all = Array.isArray(d.friends) ? d.friends : [];
+             const milestone = d.milestone || { level: 5, buildings: 2 };
              const directFriends = all.filter(f => !("is_inviter" in f) || parseInt(f.is_inviter) !== 1);
+             const profiles = await loadFriendProfiles(all);
              friendsCount.textContent = directFriends.length;
              friendsList.innerHTML = '';
              all.forEach(f=>{
@@ -334,6 +476,18 @@ document.addEventListener('DOMContentLoaded', () => {
                balance.textContent = `Присоединился: ${joinDate.toLocaleDateString('ru-RU')}`;
                info.appendChild(balance);
 
+               // Прогресс друга: уровень, купленные здания, заработано за всю игру
+               const profile = profiles[String(f.userId)];
+               if(profile){
+                 const progress = document.createElement('div');
+                 progress.style.cssText = `
+                   font-size:11px;
+                   color:#444;
+                 `;
+                 progress.textContent = formatFriendProgress(profile);
+                 info.appendChild(progress);
+               }
+
                item.appendChild(info);
 
                // New badge (if reward not claimed)
@@ -355,17 +509,36 @@ document.addEventListener('DOMContentLoaded', () => {
                   item.appendChild(badge);
                }
 
-               // Reward icon (10 RBC for direct referral)
+               // Награда за приглашение: ждёт рубежа, начислена или отклонена
                const reward = document.createElement('div');
                reward.style.cssText = `
                  display:flex;
-                 align-items:center;
-                 gap:4px;
+                 flex-direction:column;
+                 align-items:flex-end;
+                 gap:2px;
                  font-size:12px;
                  font-weight:600;
                  color:#2d2d2d;
+                 text-align:right;
                `;
-               reward.innerHTML = '<span style="font-size:16px;">🎯</span> +10';
+               reward.innerHTML = renderRewardStatus(f, milestone);
+               if(parseInt(f.is_inviter) !== 1 && f.reward_status === 'pending'){
+                 const nudge = document.createElement('button');
+                 nudge.style.cssText = `
+                   margin-top:4px;
+                   padding:3px 8px;
+                   border:none;
+                   border-radius:6px;
+                   background:#2d2d2d;
+                   color:#fff;
+                   font-size:10px;
+                   font-weight:600;
+                   cursor:pointer;
+                 `;
+                 nudge.textContent = '👋 Позвать';
+                 nudge.addEventListener('click', () => nudgeFriend(f));
+                 reward.appendChild(nudge);
+               }
                item.appendChild(reward);
 
                friendsList.appendChild(item);
@@ -0,0 +1,211 @@
+(function initAchievements(global) {
+    'use strict';
+
+    // Достижения за всю игру: счётчики растут от игровых событий и не сбрасываются перерождением.
+    // Каждое достижение смотрит на один счётчик и открывает ступени по мере его роста.
+    //
+    // STATS — откуда берутся счётчики:
+    //   sources — события и поле с величиной (без field событие считается за 1)
+    //   mode    — 'sum' (накапливаем) или 'max' (берём наибольшее значение, например число друзей)
+    const STATS = {
+        moneyEarned: {
+            mode: 'sum',
+            sources: [
+                { event: 'profit.collected', field: 'amount' },
+                { event: 'revenue.earned', field: 'amount' }
+            ]
+        },
+        booksPrinted: { mode: 'sum', sources: [{ event: 'print.completed', field: 'books' }] },
+        deliveries: { mode: 'sum', sources: [{ event: 'delivery.completed' }] },
+        cratesOpened: { mode: 'sum', sources: [{ event: 'crate.opened' }] },
+        friendsInvited: { mode: 'max', sources: [{ event: 'referrals.updated', field: 'count' }] }
+    };
+
+    const TIERS = [
+        { name: 'Бронза', color: '#cd7f32' },
+        { name: 'Серебро', color: '#c0c0c0' },
+        { name: 'Золото', color: '#ffd700' },
+        { name: 'Платина', color: '#7fd8e8' },
+        { name: 'Алмаз', color: '#b388ff' }
+    ];
+
+    // targets — пороги ступеней по порядку TIERS
+    const ACHIEVEMENTS = [
+        { id: 'money_earned', title: 'Магнат', icon: '💰', stat: 'moneyEarned', unit: 'заработано', targets: [10000, 100000, 1000000, 10000000, 100000000] },
+        { id: 'books_printed', title: 'Печатник', icon: '📖', stat: 'booksPrinted', unit: 'книг напечатано', targets: [100, 1000, 10000, 100000] },
+        { id: 'deliveries', title: 'Почтальон', icon: '📦', stat: 'deliveries', unit: 'доставок', targets: [1, 10, 50, 200] },
+        { id: 'crates_opened', title: 'Кладоискатель', icon: '🧰', stat: 'cratesOpened', unit: 'сейфов открыто', targets: [1, 10, 50, 100] },
+        { id: 'friends_invited', title: 'Душа компании', icon: '🤝', stat: 'friendsInvited', unit: 'друзей приглашено', targets: [1, 5, 10, 25] }
+    ];
+
+    const STATE_KEY = 'achievements';
+    const TOAST_INTERVAL_MS = 2500;
+
+    ACHIEVEMENTS.forEach((achievement) => {
+        if (!STATS[achievement.stat]) {
+            throw new Error(`[achievements] Unknown stat "${achievement.stat}" for "${achievement.id}"`);
+        }
+        if (achievement.targets.length > TIERS.length) {
+            throw new Error(`[achievements] Too many tiers for "${achievement.id}"`);
+        }
+    });
+
+    function normalize(raw) {
+        const source = raw || {};
+        const stats = {};
+        Object.keys(STATS).forEach((stat) => {
+            stats[stat] = Number((source.stats || {})[stat]) || 0;
+        });
+        return {
+            stats,
+            tiers: { ...(source.tiers || {}) },
+            unlockedAt: { ...(source.unlockedAt || {}) }
+        };
+    }
+
+    function getState() {
+        return normalize(global.gameState.get(STATE_KEY));
+    }
+
+    // Сколько ступеней открыто при данном значении счётчика
+    function countTiers(achievement, value) {
+        return achievement.targets.filter((target) => value >= target).length;
+    }
+
+    function applyStat(stat, amount) {
+        const config = STATS[stat];
+        const unlocked = [];
+        global.gameState.update(STATE_KEY, (raw) => {
+            const state = normalize(raw);
+            const current = state.stats[stat];
+            const next = config.mode === 'max' ? Math.max(current, amount) : current + amount;
+            if (next === current) {
+                return false;
+            }
+            state.stats[stat] = next;
+            ACHIEVEMENTS.forEach((achievement) => {
+                if (achievement.stat !== stat) {
+                    return;
+                }
+                const reached = countTiers(achievement, next);
+                const previous = state.tiers[achievement.id] || 0;
+                for (let tier = previous; tier < reached; tier++) {
+                    state.unlockedAt[`${achievement.id}:${tier + 1}`] = Date.now();
+                    unlocked.push({ achievement, tier });
+                }
+                if (reached > previous) {
+                    state.tiers[achievement.id] = reached;
+                }
+            });
+            return state;
+        });
+        unlocked.forEach(({ achievement, tier }) => {
+            queueToast(`${achievement.icon} Достижение «${achievement.title}»: ${TIERS[tier].name}!`);
+        });
+    }
+
+    // Тосты показываются по одному; до загрузки main.js (showToast) копятся в очереди
+    const toastQueue = [];
+    let toastTimer = null;
+
+    function queueToast(message) {
+        toastQueue.push(message);
+        drainToasts();
+    }
+
+    function drainToasts() {
+        if (toastTimer || !toastQueue.length || typeof global.showToast !== 'function') {
+            return;
+        }
+        global.showToast(toastQueue.shift(), TOAST_INTERVAL_MS - 300);
+        toastTimer = setTimeout(() => {
+            toastTimer = null;
+            drainToasts();
+        }, TOAST_INTERVAL_MS);
+    }
+
+    // Вид для витрины: открытая ступень, следующий порог и доля пути до него
+    function list() {
+        const state = getState();
+        return ACHIEVEMENTS.map((achievement) => {
+            const value = state.stats[achievement.stat];
+            const tier = state.tiers[achievement.id] || 0;
+            const nextTarget = achievement.targets[tier] || null;
+            const previousTarget = tier > 0 ? achievement.targets[tier - 1] : 0;
+            return {
+                id: achievement.id,
+                title: achievement.title,
+                icon: achievement.icon,
+                unit: achievement.unit,
+                value,
+                tier,
+                maxTier: achievement.targets.length,
+                tierName: tier > 0 ? TIERS[tier - 1].name : null,
+                color: tier > 0 ? TIERS[tier - 1].color : 'rgba(255,255,255,0.2)',
+                nextTarget,
+                progress: nextTarget
+                    ? Math.min(1, (value - previousTarget) / (nextTarget - previousTarget))
+                    : 1
+            };
+        });
+    }
+
+    function renderShowcase(container) {
+        const target = container || document.getElementById('profile-achievements');
+        if (!target) {
+            return;
+        }
+        const items = list();
+        const unlockedCount = items.reduce((sum, item) => sum + item.tier, 0);
+        const totalCount = items.reduce((sum, item) => sum + item.maxTier, 0);
+        target.innerHTML = `
+            <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:10px;">
+                <span style="font-size:14px;font-weight:700;color:#fff;">🏅 Достижения</span>
+                <span style="font-size:11px;color:rgba(255,255,255,0.6);">${unlockedCount}/${totalCount}</span>
+            </div>
+            <div style="display:grid;grid-template-columns:repeat(auto-fill, minmax(96px, 1fr));gap:8px;">
+                ${items.map((item) => `
+                    <div title="${item.title}" style="background:rgba(255,255,255,0.05);border-radius:12px;padding:8px;text-align:center;border:1px solid ${item.tier > 0 ? item.color : 'rgba(255,255,255,0.1)'};${item.tier > 0 ? '' : 'opacity:0.6;'}">
+                        <div style="width:40px;height:40px;margin:0 auto 4px;border-radius:50%;background:${item.color};display:flex;align-items:center;justify-content:center;font-size:20px;${item.tier > 0 ? 'box-shadow:0 0 10px ' + item.color + ';' : 'filter:grayscale(1);'}">${item.icon}</div>
+                        <div style="font-size:11px;font-weight:700;color:#fff;">${item.title}</div>
+                        <div style="font-size:9px;color:${item.tier > 0 ? item.color : 'rgba(255,255,255,0.5)'};margin-bottom:4px;">${item.tierName || 'Не открыто'} · ${item.tier}/${item.maxTier}</div>
+                        <div style="height:4px;background:rgba(255,255,255,0.1);border-radius:2px;overflow:hidden;">
+                            <div style="height:100%;width:${Math.round(item.progress * 100)}%;background:${item.nextTarget ? '#9c27b0' : item.color};"></div>
+                        </div>
+                        <div style="font-size:9px;color:rgba(255,255,255,0.6);margin-top:3px;">${item.nextTarget
+                            ? `${global.bigNumber.format(item.value)} / ${global.bigNumber.format(item.nextTarget)}`
+                            : `${global.bigNumber.format(item.value)} ${item.unit}`}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    Object.keys(STATS).forEach((stat) => {
+        STATS[stat].sources.forEach((source) => {
+            global.gameEvents.on(source.event, (payload) => {
+                const amount = source.field ? Number(payload[source.field]) || 0 : 1;
+                if (amount > 0) {
+                    applyStat(stat, amount);
+                }
+            });
+        });
+    });
+    global.addEventListener('load', drainToasts);
+    global.gameState.subscribe(STATE_KEY, () => {
+        const panel = document.getElementById('profile-panel');
+        if (panel && panel.style.display !== 'none') {
+            renderShowcase();
+        }
+    });
+
+    global.achievements = {
+        STATE_KEY,
+        STATS,
+        TIERS,
+        ACHIEVEMENTS,
+        getState,
+        list,
+        renderShowcase
+    };
+})(window);
@@ -0,0 +1,311 @@
+(function initBigNumber(global) {
+    'use strict';
+
+    // Числа масштаба idle-игры: баланс, цены и доход складываются, умножаются и сравниваются здесь.
+    // Пока модуль числа меньше 1e15, значение — обычное число JS и считается точно; больше — { m, e }:
+    // мантисса в [1, 10) и десятичная экспонента, поэтому сумма и произведение не переполняются
+    // после 1e308 и не теряют порядок. Все функции принимают число, строку ("1.5e400") или { m, e }
+    // и возвращают значение в том же виде (число или { m, e }). Форматирование — 950, 1,5K, 12,3M, 4,1aa.
+    const PRECISION_DIGITS = 15;
+    const SAFE_LIMIT = Math.pow(10, PRECISION_DIGITS);
+    const BASE_SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+    const ALPHABET_SIZE = 26;
+    const LOCALES = { ru: 'ru-RU', en: 'en-US', es: 'es-ES' };
+
+    const CONFIG = {
+        // 'suffix' — 1.5K, 2.3B, 4.1aa; 'scientific' — 1.5e3
+        notation: 'suffix',
+        // С какой тысячной степени переходить на научную запись в режиме suffix (0 — никогда)
+        scientificAfter: 0
+    };
+
+    let language = global.localStorage.getItem('language') || 'ru';
+    const formatters = {};
+
+    function normalize(m, e) {
+        if (!Number.isFinite(m) || m === 0) {
+            return { m: Number.isFinite(m) ? 0 : m, e: 0 };
+        }
+        let shift = Math.floor(Math.log10(Math.abs(m)));
+        let mantissa = m / Math.pow(10, shift);
+        // Погрешность деления может дать 9.999… или 10
+        if (Math.abs(mantissa) >= 10) {
+            mantissa /= 10;
+            shift += 1;
+        } else if (Math.abs(mantissa) < 1) {
+            mantissa *= 10;
+            shift -= 1;
+        }
+        return { m: mantissa, e: e + shift };
+    }
+
+    // Мантисса и экспонента любого значения
+    function split(value) {
+        if (value && typeof value === 'object' && typeof value.m === 'number') {
+            return normalize(value.m, value.e || 0);
+        }
+        if (typeof value === 'string') {
+            const match = value.trim().match(/^(-?\d+(?:\.\d+)?)(?:e\+?(-?\d+))?$/i);
+            if (!match) {
+                throw new TypeError(`[big-number] Cannot parse "${value}"`);
+            }
+            return normalize(parseFloat(match[1]), match[2] ? parseInt(match[2], 10) : 0);
+        }
+        const number = Number(value);
+        return normalize(Number.isNaN(number) ? 0 : number, 0);
+    }
+
+    // Небольшие значения остаются числами: так обычные балансы считаются без погрешности мантиссы
+    function pack(x) {
+        if (!Number.isFinite(x.m)) {
+            throw new RangeError('[big-number] Value is not finite');
+        }
+        return x.e < PRECISION_DIGITS ? x.m * Math.pow(10, x.e) : x;
+    }
+
+    // Обычное число, если значение его не превышает, иначе null
+    function small(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && Math.abs(value) < SAFE_LIMIT ? value : null;
+        }
+        if (typeof value === 'string') {
+            const number = parseFloat(value);
+            return /^-?\d+(\.\d+)?$/.test(value.trim()) && Math.abs(number) < SAFE_LIMIT ? number : null;
+        }
+        return null;
+    }
+
+    function from(value) {
+        const plain = small(value);
+        return plain === null ? pack(split(value)) : plain;
+    }
+
+    function add(a, b) {
+        const x = small(a);
+        const y = small(b);
+        if (x !== null && y !== null && Math.abs(x + y) < SAFE_LIMIT) {
+            return x + y;
+        }
+        // Результат вернулся в диапазон обычных чисел (1e15 − 1): мантисса дала бы погрешность
+        const sum = toNumber(a) + toNumber(b);
+        if (Number.isFinite(sum) && Math.abs(sum) < SAFE_LIMIT) {
+            return sum;
+        }
+        let p = split(a);
+        let q = split(b);
+        if (p.m === 0) {
+            return pack(q);
+        }
+        if (q.m === 0) {
+            return pack(p);
+        }
+        if (q.e > p.e) {
+            [p, q] = [q, p];
+        }
+        const diff = p.e - q.e;
+        // Меньшее слагаемое за пределами точности мантиссы ничего не меняет
+        if (diff > PRECISION_DIGITS) {
+            return pack(p);
+        }
+        return pack(normalize(p.m + q.m / Math.pow(10, diff), p.e));
+    }
+
+    function negate(value) {
+        const x = small(value);
+        if (x !== null) {
+            return -x;
+        }
+        const p = split(value);
+        return pack({ m: -p.m, e: p.e });
+    }
+
+    function sub(a, b) {
+        return add(a, negate(b));
+    }
+
+    function mul(a, b) {
+        const x = small(a);
+        const y = small(b);
+        if (x !== null && y !== null && Math.abs(x * y) < SAFE_LIMIT) {
+            return x * y;
+        }
+        const p = split(a);
+        const q = split(b);
+        return pack(normalize(p.m * q.m, p.e + q.e));
+    }
+
+    function div(a, b) {
+        const p = split(a);
+        const q = split(b);
+        if (q.m === 0) {
+            throw new RangeError('[big-number] Division by zero');
+        }
+        const x = small(a);
+        const y = small(b);
+        if (x !== null && y !== null && Math.abs(x / y) < SAFE_LIMIT) {
+            return x / y;
+        }
+        return pack(normalize(p.m / q.m, p.e - q.e));
+    }
+
+    // -1, 0 или 1
+    function cmp(a, b) {
+        const x = small(a);
+        const y = small(b);
+        if (x !== null && y !== null) {
+            return x === y ? 0 : (x > y ? 1 : -1);
+        }
+        const p = split(a);
+        const q = split(b);
+        // Цена, посчитанная обычным числом, может переполниться в Infinity: она больше любого значения
+        if (!Number.isFinite(p.m) || !Number.isFinite(q.m)) {
+            return p.m === q.m ? 0 : (p.m > q.m ? 1 : -1);
+        }
+        const signP = Math.sign(p.m);
+        const signQ = Math.sign(q.m);
+        if (signP !== signQ) {
+            return signP > signQ ? 1 : -1;
+        }
+        if (signP === 0) {
+            return 0;
+        }
+        if (p.e !== q.e) {
+            return (p.e > q.e ? 1 : -1) * signP;
+        }
+        return p.m === q.m ? 0 : (p.m > q.m ? 1 : -1);
+    }
+
+    function max(a, b) {
+        return cmp(a, b) >= 0 ? from(a) : from(b);
+    }
+
+    // Целая часть; у больших значений дробной части нет
+    function floor(value) {
+        const x = small(value);
+        return x === null ? from(value) : Math.floor(x);
+    }
+
+    // Для расчётов, которым хватает точности числа JS (доли, прогресс заданий); после 1e308 — Infinity
+    function toNumber(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const x = split(value);
+        return x.m * Math.pow(10, x.e);
+    }
+
+    // Строка для сохранения: обычная запись, пока число точно представимо, дальше научная
+    function serialize(value) {
+        const x = from(value);
+        return typeof x === 'number' ? String(x) : `${x.m}e${x.e}`;
+    }
+
+    // Суффикс для тысячной степени: K, M, B, T, затем aa, ab … az, ba …
+    function suffixFor(power) {
+        if (power < BASE_SUFFIXES.length) {
+            return BASE_SUFFIXES[power];
+        }
+        const index = power - BASE_SUFFIXES.length;
+        const first = Math.floor(index / ALPHABET_SIZE);
+        const second = index % ALPHABET_SIZE;
+        if (first >= ALPHABET_SIZE) {
+            return null;
+        }
+        return String.fromCharCode(97 + first) + String.fromCharCode(97 + second);
+    }
+
+    function getLocale() {
+        return LOCALES[language] || LOCALES.ru;
+    }
+
+    function getFormatter(decimals) {
+        const key = `${getLocale()}:${decimals}`;
+        if (!formatters[key]) {
+            formatters[key] = new Intl.NumberFormat(getLocale(), {
+                minimumFractionDigits: 0,
+                maximumFractionDigits: decimals
+            });
+        }
+        return formatters[key];
+    }
+
+    // Отбрасывает лишние знаки без округления вверх, чтобы 999.999K не превращалось в 1000K
+    function truncate(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.floor(value * factor + 1e-9) / factor;
+    }
+
+    function formatMantissa(value) {
+        const decimals = value >= 100 ? 0 : (value >= 10 ? 1 : 2);
+        return getFormatter(decimals).format(truncate(value, decimals));
+    }
+
+    function formatScientific(x) {
+        return `${getFormatter(2).format(truncate(Math.abs(x.m), 2))}e${x.e}`;
+    }
+
+    // Короткая запись для балансов, цен и прибыли: 950, 1,5K, 12,3M, 4,1aa (разделитель по языку игрока)
+    function format(value) {
+        const x = split(value);
+        if (!Number.isFinite(x.m)) {
+            return '∞';
+        }
+        const sign = x.m < 0 ? '-' : '';
+        const abs = { m: Math.abs(x.m), e: x.e };
+        if (abs.m === 0) {
+            return '0';
+        }
+        if (abs.e < 0) {
+            return sign + getFormatter(2).format(truncate(toNumber(abs), 2));
+        }
+        if (abs.e < 3) {
+            return sign + getFormatter(0).format(Math.floor(toNumber(abs)));
+        }
+        const power = Math.floor(abs.e / 3);
+        const suffix = suffixFor(power);
+        const useScientific = CONFIG.notation === 'scientific'
+            || suffix === null
+            || (CONFIG.scientificAfter > 0 && power > CONFIG.scientificAfter);
+        if (useScientific) {
+            return sign + formatScientific(abs);
+        }
+        return sign + formatMantissa(abs.m * Math.pow(10, abs.e - power * 3)) + suffix;
+    }
+
+    // Полная запись с разделителями разрядов ("15 000"); очень большие числа — коротко
+    function formatFull(value) {
+        const x = split(value);
+        if (x.e >= PRECISION_DIGITS) {
+            return format(x);
+        }
+        return getFormatter(0).format(Math.floor(toNumber(x)));
+    }
+
+    function setLanguage(lang) {
+        language = lang;
+    }
+
+    function configure(options) {
+        Object.assign(CONFIG, options || {});
+        return { ...CONFIG };
+    }
+
+    global.bigNumber = {
+        from,
+        add,
+        sub,
+        mul,
+        div,
+        cmp,
+        negate,
+        max,
+        floor,
+        toNumber,
+        serialize,
+        format,
+        formatFull,
+        getLocale,
+        setLanguage,
+        configure
+    };
+})(window);
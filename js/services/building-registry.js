@@ -0,0 +1,231 @@
+(function initBuildingRegistry(global) {
+    'use strict';
+
+    // Реестр зданий: каждое здание описывается здесь один раз.
+    // Из описания строятся значения по умолчанию в сейве, узлы карты, индикаторы прибыли,
+    // карточки города, строки статистики и сводка зданий в облаке.
+    // Здания без собственной панели в main-menu.js получают общую панель покупки/управления.
+    //
+    // Поля описания:
+    //   id          — ключ в buildingsData
+    //   name, icon  — название и эмодзи для панелей и уведомлений
+    //   art         — картинка на карте и в панели города
+    //   map         — координаты и размер на подложке карты (4818×3213);
+    //                 edgeSensitive — у края карты, камера сильнее ограничивает сдвиг
+    //   costs       — покупка, первое улучшение и найм работника
+    //   income      — доход в час на 1 уровне и множитель за уровень
+    //   upgrade     — рост стоимости улучшения и максимальный уровень
+    //   workers     — слоты работников
+    //   production  — необязательное звено производственной цепочки (js/services/production-chain.js):
+    //                 paper → print → delivery → shelves
+    //   indicator   — цвет и период кольца прибыли, положение индикатора над/под зданием
+    //   stats       — цвета строки в статистике
+    //   texts       — тексты уведомлений (учитывают род названия)
+    const BUILDINGS = [
+        {
+            id: 'library',
+            name: 'Библиотека',
+            icon: '📚',
+            starter: true,
+            art: {
+                map: 'building-templates/interactive-map/Buildings (8).png',
+                city: 'assets/svg/city-panel/library.svg'
+            },
+            map: { x: 2411, y: 1500, w: 695, h: 1089 },
+            costs: { purchase: 0, upgrade: 5000, worker: 5000 },
+            income: { base: 2000, growth: 1.25 },
+            upgrade: { growth: 1.5, maxLevel: 5 },
+            workers: { slots: 4 },
+            // Полки библиотеки: журналы продаются, книги выдаются напрокат и изнашиваются
+            production: {
+                module: 'shelves',
+                shelf: 300,
+                shelfPerLevel: 100,
+                customersPerHour: 60,
+                perLevel: 0.25,
+                magazinePrice: 200,
+                lendFee: 40,
+                lendsPerBook: 3
+            },
+            indicator: { color: '#27ae60', ringMs: 1000, anchor: 'top' },
+            stats: { color: '#4caf50', gradient: 'linear-gradient(180deg, #4caf50, #45a049)' },
+            texts: {
+                bought: '📚 Библиотека куплена!',
+                upgraded: '🏗️ Библиотека улучшена до уровня {level}!',
+                maxLevel: '❌ Библиотека уже максимального уровня!'
+            }
+        },
+        {
+            id: 'factory',
+            name: 'Завод',
+            icon: '🏭',
+            art: {
+                map: 'building-templates/interactive-map/Buildings (10).png',
+                city: 'assets/svg/city-panel/factory.svg'
+            },
+            map: { x: 515, y: -425, w: 817, h: 1310, edgeSensitive: true },
+            costs: { purchase: 20000, upgrade: 5000, worker: 5000 },
+            income: { base: 3000, growth: 1.25 },
+            upgrade: { growth: 1.5, maxLevel: 5 },
+            workers: { slots: 5 },
+            production: { module: 'paper', perHour: 150, perLevel: 0.25, buffer: 600, bufferPerLevel: 200 },
+            // Круг завода размещается под зданием
+            indicator: { color: '#2196f3', ringMs: 3000, anchor: 'bottom' },
+            stats: { color: '#2196f3', gradient: 'linear-gradient(180deg, #2196f3, #1976d2)' },
+            texts: {
+                bought: '🏭 Завод куплен!',
+                upgraded: '🏭 Завод улучшен до уровня {level}!',
+                maxLevel: '❌ Завод уже максимального уровня!'
+            }
+        },
+        {
+            id: 'storage',
+            name: 'Почта',
+            icon: '📮',
+            art: {
+                map: 'building-templates/interactive-map/Buildings (9).png',
+                city: 'assets/svg/city-panel/mail.svg'
+            },
+            map: { x: 2094, y: 1924, w: 590, h: 926 },
+            costs: { purchase: 15000, upgrade: 8000, worker: 5000 },
+            income: { base: 3000, growth: 1.25 },
+            upgrade: { growth: 1.5, maxLevel: 5 },
+            workers: { slots: 2 },
+            production: { module: 'delivery', durationMinutes: 30, tripCapacity: 150, tripPerLevel: 50 },
+            indicator: { color: '#ff9800', ringMs: 3000, anchor: 'top' },
+            stats: { color: '#ff9800', gradient: 'linear-gradient(180deg, #ff9800, #f57c00)' },
+            texts: {
+                bought: '📮 Почта куплена!',
+                upgraded: '📮 Почта улучшена до уровня {level}!',
+                maxLevel: '❌ Почта уже максимального уровня!'
+            }
+        },
+        {
+            id: 'print',
+            name: 'Типография',
+            icon: '🖨️',
+            art: {
+                map: 'building-templates/interactive-map/Buildings (11).png',
+                city: 'assets/svg/city-panel/print.svg'
+            },
+            map: { x: 689, y: 1085, w: 614, h: 961, edgeSensitive: true },
+            costs: { purchase: 25000, upgrade: 10000, worker: 5000 },
+            income: { base: 5000, growth: 1.25 },
+            upgrade: { growth: 1.5, maxLevel: 5 },
+            workers: { slots: 3 },
+            production: { module: 'print', durationMinutes: 30, output: { books: 100, magazines: 100 }, paperPerItem: 1 },
+            indicator: { color: '#9c27b0', ringMs: 2000, anchor: 'top' },
+            stats: { color: '#9c27b0', gradient: 'linear-gradient(180deg, #9c27b0, #7b1fa2)' },
+            texts: {
+                bought: '🖨️ Типография куплена!',
+                upgraded: '🖨️ Типография улучшена до уровня {level}!',
+                maxLevel: '❌ Типография уже максимального уровня!'
+            }
+        }
+    ];
+
+    const byId = {};
+    BUILDINGS.forEach((definition) => {
+        if (byId[definition.id]) {
+            throw new Error(`[building-registry] Duplicate building id "${definition.id}"`);
+        }
+        byId[definition.id] = definition;
+    });
+
+    function list() {
+        return BUILDINGS.slice();
+    }
+
+    function ids() {
+        return BUILDINGS.map((definition) => definition.id);
+    }
+
+    function get(id) {
+        return byId[id] || null;
+    }
+
+    function has(id) {
+        return Object.prototype.hasOwnProperty.call(byId, id);
+    }
+
+    function getName(id) {
+        return byId[id] ? byId[id].name : id;
+    }
+
+    // Ищет здание с указанным производственным модулем
+    function findByProduction(module) {
+        return BUILDINGS.find((definition) => definition.production && definition.production.module === module) || null;
+    }
+
+    // Запись здания в buildingsData на первом уровне
+    function createDefaultState(id) {
+        const definition = byId[id];
+        if (!definition) {
+            return null;
+        }
+        return {
+            level: 1,
+            income: definition.income.base,
+            workers: 0,
+            maxWorkers: definition.workers.slots,
+            upgradeCost: definition.costs.upgrade,
+            lastCollectTime: definition.starter ? Date.now() : null,
+            accumulatedProfit: 0,
+            isOwned: Boolean(definition.starter),
+            purchaseCost: definition.costs.purchase,
+            name: definition.name
+        };
+    }
+
+    function createDefaultBuildingsData() {
+        const data = {};
+        BUILDINGS.forEach((definition) => {
+            data[definition.id] = createDefaultState(definition.id);
+        });
+        return data;
+    }
+
+    function isMaxLevel(id, building) {
+        const definition = byId[id];
+        return Boolean(definition && building && (building.level || 1) >= definition.upgrade.maxLevel);
+    }
+
+    // Повышает уровень записи здания по кривой из описания. Возвращает false на максимальном уровне.
+    function applyUpgrade(id, building) {
+        const definition = byId[id];
+        if (!definition || !building || isMaxLevel(id, building)) {
+            return false;
+        }
+        building.level = (building.level || 1) + 1;
+        building.income = Math.floor(building.income * definition.income.growth);
+        building.upgradeCost = building.level < definition.upgrade.maxLevel
+            ? Math.floor(building.upgradeCost * definition.upgrade.growth)
+            : 0;
+        return true;
+    }
+
+    function formatText(id, key, params) {
+        const definition = byId[id];
+        const template = definition && definition.texts && definition.texts[key];
+        if (!template) {
+            return '';
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (
+            params && params[name] !== undefined ? String(params[name]) : match
+        ));
+    }
+
+    global.buildingRegistry = {
+        list,
+        ids,
+        get,
+        has,
+        getName,
+        findByProduction,
+        createDefaultState,
+        createDefaultBuildingsData,
+        isMaxLevel,
+        applyUpgrade,
+        formatText
+    };
+})(window);
@@ -0,0 +1,128 @@
+(function initCharacterGacha(global) {
+    'use strict';
+
+    // Призыв персонажей из сейфов магазина. У каждого сейфа своя таблица выпадения,
+    // счётчик гарантии общий: после PITY_PULLS - 1 призывов без редкого следующий гарантированно редкий.
+    // Новый персонаж открывается для найма, повтор превращается в карточки этого сотрудника (employeeRoster).
+    //
+    // Состояние в ключе gacha: { pity, pulls, history: [{ at, tier, employee, isNew, cards, guaranteed }] }
+
+    const STATE_KEY = 'gacha';
+    const PITY_PULLS = 10;
+    // Редкими считаются сотрудники с rarity не ниже RARE_RARITY в каталоге
+    const RARE_RARITY = 4;
+    const HISTORY_LIMIT = 50;
+
+    // Веса выпадения по типу сейфа (grant.summon товара в каталоге магазина, shop-catalog.js)
+    const TIERS = {
+        simple: { name: 'Простой сейф', weights: { grinni: 70, purpe: 12, redjy: 12, blumy: 6 } },
+        huge: { name: 'Огромный сейф', weights: { grinni: 50, purpe: 20, redjy: 20, blumy: 10 } },
+        giant: { name: 'Гигантский сейф', weights: { grinni: 25, purpe: 30, redjy: 30, blumy: 15 } }
+    };
+
+    Object.keys(TIERS).forEach((tier) => {
+        Object.keys(TIERS[tier].weights).forEach((id) => {
+            if (!global.employeeRoster.has(id)) {
+                throw new Error(`[character-gacha] Unknown employee "${id}" in tier "${tier}"`);
+            }
+        });
+    });
+
+    function isRare(id) {
+        return global.employeeRoster.get(id).rarity >= RARE_RARITY;
+    }
+
+    function normalize(raw) {
+        const source = raw || {};
+        return {
+            pity: Math.max(0, parseInt(source.pity, 10) || 0),
+            pulls: Math.max(0, parseInt(source.pulls, 10) || 0),
+            history: Array.isArray(source.history) ? source.history.slice(0, HISTORY_LIMIT) : []
+        };
+    }
+
+    function getState() {
+        return normalize(global.gameState.get(STATE_KEY));
+    }
+
+    function hasTier(tier) {
+        return Object.prototype.hasOwnProperty.call(TIERS, tier);
+    }
+
+    // Шансы сейфа для витрины: [{ employee, name, rarity, rare, chance }], chance в долях единицы
+    function getOdds(tier) {
+        if (!hasTier(tier)) {
+            return [];
+        }
+        const weights = TIERS[tier].weights;
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        return Object.keys(weights).map((id) => ({
+            employee: id,
+            name: global.employeeRoster.getName(id),
+            rarity: global.employeeRoster.get(id).rarity,
+            rare: isRare(id),
+            chance: weights[id] / total
+        }));
+    }
+
+    // Сколько призывов осталось до гарантированного редкого (1 — следующий)
+    function pullsUntilGuarantee() {
+        return PITY_PULLS - getState().pity;
+    }
+
+    function pick(entries, roll) {
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let point = roll * total;
+        for (const [id, weight] of entries) {
+            point -= weight;
+            if (point < 0) {
+                return id;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    // Один призыв из сейфа tier. random — источник случайности (для проверки шансов).
+    // Возвращает { employee, isNew, cards, guaranteed } или null для неизвестного сейфа
+    function pull(tier, random = Math.random) {
+        if (!hasTier(tier)) {
+            return null;
+        }
+        const state = getState();
+        const entries = Object.entries(TIERS[tier].weights);
+        const guaranteed = state.pity + 1 >= PITY_PULLS;
+        const employee = pick(guaranteed ? entries.filter(([id]) => isRare(id)) : entries, random());
+        const grant = global.employeeRoster.grant(employee);
+        const entry = {
+            at: Date.now(),
+            tier,
+            employee,
+            isNew: grant.isNew,
+            cards: grant.cards,
+            guaranteed
+        };
+
+        state.pity = isRare(employee) ? 0 : state.pity + 1;
+        state.pulls += 1;
+        state.history = [entry].concat(state.history).slice(0, HISTORY_LIMIT);
+        global.gameState.set(STATE_KEY, state);
+        global.gameEvents.emit('character.pulled', { ...entry });
+        return entry;
+    }
+
+    function getHistory() {
+        return getState().history;
+    }
+
+    global.characterGacha = {
+        STATE_KEY,
+        PITY_PULLS,
+        TIERS,
+        hasTier,
+        isRare,
+        getOdds,
+        pullsUntilGuarantee,
+        pull,
+        getHistory
+    };
+})(window);
@@ -0,0 +1,94 @@
+(function initCloudOutbox(global) {
+    'use strict';
+
+    // Очередь исходящих записей в облако, хранится в IndexedDB и переживает перезапуск игры.
+    // Один ключ сохранения — одна запись очереди: повторная запись ключа заменяет прежнюю,
+    // так что в облако уходит только последнее значение.
+    const DB_NAME = 'booke-cloud';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+
+    let dbPromise = null;
+
+    function isAvailable() {
+        return Boolean(global.indexedDB);
+    }
+
+    function open() {
+        if (!isAvailable()) {
+            return Promise.reject(new Error('[cloud-outbox] IndexedDB is not available'));
+        }
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = global.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STORE)) {
+                        request.result.createObjectStore(STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+        return dbPromise;
+    }
+
+    // Выполняет work(store) в одной транзакции; промис завершается вместе с транзакцией
+    function withStore(mode, work) {
+        return open().then((db) => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const result = work(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    // entries: [{ key, value, ts }], value === null означает удаление ключа
+    function put(entries) {
+        if (!entries.length) {
+            return Promise.resolve();
+        }
+        return withStore('readwrite', (store) => {
+            entries.forEach((entry) => store.put(entry));
+        });
+    }
+
+    // Убирает отправленные записи. Запись, которую успели переписать новее (другой ts), остаётся.
+    function remove(entries) {
+        if (!entries.length) {
+            return Promise.resolve();
+        }
+        return withStore('readwrite', (store) => {
+            entries.forEach((entry) => {
+                const request = store.get(entry.key);
+                request.onsuccess = () => {
+                    if (request.result && request.result.ts === entry.ts) {
+                        store.delete(entry.key);
+                    }
+                };
+            });
+        });
+    }
+
+    function loadAll() {
+        return withStore('readonly', (store) => store.getAll()).then((entries) => entries || []);
+    }
+
+    function clear() {
+        return withStore('readwrite', (store) => {
+            store.clear();
+        });
+    }
+
+    global.cloudOutbox = {
+        isAvailable,
+        put,
+        remove,
+        loadAll,
+        clear
+    };
+})(window);
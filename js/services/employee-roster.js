@@ -0,0 +1,726 @@
+(function initEmployeeRoster(global) {
+    'use strict';
+
+    // Каталог сотрудников: каждый описан здесь один раз под постоянным id.
+    // Из описания берутся имена и картинки для панелей найма, зданий, персонажей и статистики,
+    // а бонусы уровня и черты — в доход зданий (offline-progress) и скорость звеньев (production-chain).
+    //
+    // Поля описания:
+    //   id, name      — ключ в hiredEmployees и employees, имя в интерфейсе
+    //   role          — должность на карточке
+    //   rarity        — начальные звёзды (1–5); звёзды определяют бонус к доходу здания и потолок уровня
+    //   color         — фон карточки и аватар без картинки
+    //   art           — hire: карточка найма, hired: значок на здании, card: карточка в панели персонажей
+    //   trait         — особый бонус на «своём» здании: stat 'income' | 'output' | 'speed', value на 1 уровне
+    const EMPLOYEES = [
+        {
+            id: 'grinni',
+            name: 'Гринни',
+            role: 'Бухгалтер',
+            rarity: 3,
+            color: 'rgba(76, 175, 80, 0.1)',
+            art: {
+                hire: 'assets/svg/hiring-forpanel/green.svg',
+                hired: 'assets/svg/employees/grinni-hired.svg',
+                card: 'assets/svg/characters-panel/grinni.svg'
+            },
+            trait: { building: 'library', stat: 'output', value: 0.2, title: 'Лояльность: больше посетителей библиотеки' }
+        },
+        {
+            id: 'purpe',
+            name: 'Пёрпи',
+            role: 'Менеджер',
+            rarity: 4,
+            color: 'rgba(156, 39, 176, 0.1)',
+            art: {
+                hire: 'assets/svg/hiring-forpanel/purpe.svg',
+                hired: 'assets/svg/employees/purpe-hired.svg',
+                card: 'assets/svg/characters-panel/purpe.svg'
+            },
+            trait: { building: 'print', stat: 'speed', value: 0.2, title: 'Мастер-фломастер: быстрее печать' }
+        },
+        {
+            id: 'redjy',
+            name: 'Реджи',
+            role: 'Калькулятор',
+            rarity: 4,
+            color: 'rgba(244, 67, 54, 0.1)',
+            art: {
+                hire: 'assets/svg/hiring-forpanel/redjy.svg',
+                hired: 'assets/svg/employees/redjy-hired.svg',
+                card: 'assets/svg/characters-panel/redgi.svg'
+            },
+            trait: { building: 'storage', stat: 'speed', value: 0.25, title: 'Бегущая почта: быстрее доставка' }
+        },
+        {
+            id: 'blumy',
+            name: 'Блуми',
+            role: 'Аналитик',
+            rarity: 5,
+            color: 'rgba(33, 150, 243, 0.1)',
+            art: {
+                hire: 'assets/svg/hiring-forpanel/blumy.svg',
+                hired: 'assets/svg/employees/blumy-hired.svg',
+                card: 'assets/svg/characters-panel/bloomi.svg'
+            },
+            trait: { building: 'factory', stat: 'output', value: 0.25, title: 'Логистика: больше бумаги на заводе' }
+        }
+    ];
+
+    const shifts = global.employeeShifts;
+    const STATE_KEY = 'employees';
+    const ASSIGNMENTS_KEY = 'hiredEmployees';
+    const MAX_LEVEL = 10;
+    const MAX_STARS = 5;
+    const HOUR_MS = 60 * 60 * 1000;
+    // Бонус к доходу здания по звёздам на 1 уровне; каждый следующий уровень добавляет LEVEL_STEP от базы
+    const RARITY_INCOME = { 1: 0.05, 2: 0.075, 3: 0.1, 4: 0.15, 5: 0.2 };
+    const LEVEL_STEP = 0.1;
+    // Опыт до следующего уровня: XP_BASE на 1 уровне, дальше ×XP_GROWTH за уровень
+    const XP_BASE = 100;
+    const XP_GROWTH = 1.5;
+    // Потолок уровня: 2 уровня за звезду. Выше — только после повышения звёзд за карточки
+    const LEVELS_PER_STAR = 2;
+
+    // Работа: опыт в час, пока сотрудник назначен в купленное здание. Без игры копится не дольше WORK_CAP_HOURS
+    const WORK_XP_PER_HOUR = 30;
+    const WORK_CAP_HOURS = 12;
+    const WORK_TICK_MS = 60 * 1000;
+
+    // Обучение: цена растёт с уровнем, даёт долю опыта до следующего уровня
+    const TRAINING = {
+        money: { cost: (level) => 20000 * level, share: 0.5 },
+        credits: { cost: (level) => 5 * level, share: 1 }
+    };
+
+    // Повышение звёзд: карточки сотрудника (наборы в магазине) и деньги, индекс — текущие звёзды
+    const STAR_UPGRADE = {
+        1: { cards: 2, money: 10000 },
+        2: { cards: 4, money: 25000 },
+        3: { cards: 6, money: 60000 },
+        4: { cards: 10, money: 150000 }
+    };
+
+    // Стартовый сотрудник доступен всем; остальных открывает призыв (character-gacha.js).
+    // Повторно выпавший сотрудник превращается в карточки по его редкости
+    const STARTER_IDS = ['grinni'];
+    const DUPLICATE_CARDS = { 1: 1, 2: 1, 3: 1, 4: 2, 5: 3 };
+
+    // Перки открываются на уровне level и действуют на здание, где работает сотрудник
+    const PERKS = [
+        { id: 'steady', level: 3, title: 'Стабильность: +5% дохода здания', income: 0.05 },
+        { id: 'expert', level: 6, title: 'Эксперт: черта сильнее на 25%', traitScale: 0.25 },
+        { id: 'mentor', level: 9, title: 'Наставник: опыт от работы ×1,5', workXpScale: 0.5 }
+    ];
+
+    const byId = {};
+    EMPLOYEES.forEach((definition) => {
+        if (byId[definition.id]) {
+            throw new Error(`[employee-roster] Duplicate employee id "${definition.id}"`);
+        }
+        if (!global.buildingRegistry.has(definition.trait.building)) {
+            throw new Error(`[employee-roster] Unknown building "${definition.trait.building}" for "${definition.id}"`);
+        }
+        byId[definition.id] = definition;
+    });
+
+    function list() {
+        return EMPLOYEES.slice();
+    }
+
+    function ids() {
+        return EMPLOYEES.map((definition) => definition.id);
+    }
+
+    function get(id) {
+        return byId[id] || null;
+    }
+
+    function has(id) {
+        return Object.prototype.hasOwnProperty.call(byId, id);
+    }
+
+    function getName(id) {
+        return byId[id] ? byId[id].name : id;
+    }
+
+    function xpToNextLevel(level) {
+        return level >= MAX_LEVEL ? 0 : Math.round(XP_BASE * Math.pow(XP_GROWTH, level - 1));
+    }
+
+    function getLevelCap(stars) {
+        return Math.min(MAX_LEVEL, stars * LEVELS_PER_STAR);
+    }
+
+    // Прогресс сотрудника: { owned, level, xp, stars, cards, workedAt, fatigue, fatigueAt, shift, shiftStart, boostUntil }.
+    // xp накоплен внутри текущего уровня, workedAt — до какого момента начислен опыт за работу.
+    // fatigue — усталость на момент fatigueAt, дальше её ведёт график смены (employee-shifts.js)
+    function normalizeProgress(id, entry) {
+        const source = entry || {};
+        const stars = Math.min(MAX_STARS, Math.max(byId[id].rarity, parseInt(source.stars, 10) || 0));
+        const time = (value) => (typeof value === 'number' ? value : null);
+        return {
+            owned: Boolean(source.owned) || STARTER_IDS.includes(id),
+            level: Math.min(getLevelCap(stars), Math.max(1, parseInt(source.level, 10) || 1)),
+            xp: Math.max(0, parseInt(source.xp, 10) || 0),
+            stars,
+            cards: Math.max(0, parseInt(source.cards, 10) || 0),
+            workedAt: time(source.workedAt),
+            fatigue: Math.min(shifts.MAX_FATIGUE, Math.max(0, Number(source.fatigue) || 0)),
+            fatigueAt: time(source.fatigueAt),
+            shift: shifts.hasShift(source.shift) ? source.shift : shifts.DEFAULT_SHIFT,
+            shiftStart: time(source.shiftStart),
+            boostUntil: time(source.boostUntil)
+        };
+    }
+
+    function getProgress(id) {
+        if (!has(id)) {
+            return null;
+        }
+        return normalizeProgress(id, (global.gameState.get(STATE_KEY) || {})[id]);
+    }
+
+    // Меняет прогресс сотрудника внутри транзакции gameState: update(progress) правит копию,
+    // false отменяет запись. Возвращает результат update.
+    function updateProgress(tx, id, update) {
+        const state = { ...(tx.get(STATE_KEY) || {}) };
+        const progress = normalizeProgress(id, state[id]);
+        const result = update(progress);
+        if (result !== false) {
+            state[id] = progress;
+            tx.set(STATE_KEY, state);
+        }
+        return result;
+    }
+
+    function setProgress(id, progress) {
+        if (!has(id)) {
+            return;
+        }
+        global.gameState.transaction((tx) => updateProgress(tx, id, (current) => {
+            current.level = Math.min(getLevelCap(current.stars), Math.max(1, progress.level));
+            current.xp = Math.max(0, progress.xp || 0);
+        }));
+    }
+
+    // Поднимает уровни по накопленному опыту. На потолке звёзд опыт копится до полной шкалы и ждёт повышения звёзд
+    function applyXP(progress, amount) {
+        const cap = getLevelCap(progress.stars);
+        let gained = 0;
+        progress.xp += Math.max(0, Math.floor(amount));
+        while (progress.level < cap && progress.xp >= xpToNextLevel(progress.level)) {
+            progress.xp -= xpToNextLevel(progress.level);
+            progress.level += 1;
+            gained += 1;
+        }
+        progress.xp = progress.level >= MAX_LEVEL ? 0 : Math.min(progress.xp, xpToNextLevel(progress.level));
+        return gained;
+    }
+
+    function emitLevelUp(id, gained) {
+        if (gained > 0) {
+            global.gameEvents.emit('employee.levelUp', { employee: id, level: getProgress(id).level });
+        }
+    }
+
+    // Добавляет опыт и поднимает уровень по кривой. Возвращает число полученных уровней.
+    function addXP(id, amount) {
+        if (!has(id)) {
+            return 0;
+        }
+        let gained = 0;
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            gained = applyXP(progress, amount);
+        }));
+        emitLevelUp(id, gained);
+        return gained;
+    }
+
+    // Уровень упёрся в потолок звёзд и шкала опыта заполнена
+    function isAtCap(progress) {
+        return progress.level < MAX_LEVEL
+            && progress.level >= getLevelCap(progress.stars)
+            && progress.xp >= xpToNextLevel(progress.level);
+    }
+
+    function getPerks(id, level) {
+        const current = level || (getProgress(id) || { level: 1 }).level;
+        return PERKS.map((perk) => ({ ...perk, unlocked: current >= perk.level }));
+    }
+
+    function perkValue(id, level, field) {
+        return getPerks(id, level).reduce((sum, perk) => sum + (perk.unlocked && perk[field] ? perk[field] : 0), 0);
+    }
+
+    // === Обучение и звёзды ===
+
+    function getTrainingCost(id, currency) {
+        const progress = getProgress(id);
+        return progress && TRAINING[currency] ? TRAINING[currency].cost(progress.level) : 0;
+    }
+
+    // Платное обучение: списывает деньги (money) или RBC (credits) и даёт опыт.
+    // Возвращает { ok, error: 'max' | 'cap' | 'money' | 'credits' | null, gained }
+    function train(id, currency) {
+        const option = TRAINING[currency];
+        if (!has(id) || !option) {
+            return { ok: false, error: 'unknown', gained: 0 };
+        }
+        const balanceKey = currency === 'money' ? 'balance' : 'credits';
+        let error = null;
+        let gained = 0;
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            if (progress.level >= MAX_LEVEL) {
+                error = 'max';
+                return false;
+            }
+            if (isAtCap(progress)) {
+                error = 'cap';
+                return false;
+            }
+            const cost = option.cost(progress.level);
+            const balance = tx.get(balanceKey);
+            if (global.bigNumber.cmp(balance, cost) < 0) {
+                error = currency;
+                return false;
+            }
+            tx.set(balanceKey, global.bigNumber.sub(balance, cost));
+            gained = applyXP(progress, Math.ceil(xpToNextLevel(progress.level) * option.share));
+            return true;
+        }));
+        if (error === null) {
+            emitLevelUp(id, gained);
+            global.gameEvents.emit('employee.trained', { employee: id, currency, gained });
+        }
+        return { ok: error === null, error, gained };
+    }
+
+    function getStarUpgrade(id) {
+        const progress = getProgress(id);
+        return progress ? STAR_UPGRADE[progress.stars] || null : null;
+    }
+
+    // Повышение звёзд: +бонус к доходу и +LEVELS_PER_STAR к потолку уровня; накопленный опыт сразу поднимает уровень.
+    // Возвращает { ok, error: 'max' | 'cards' | 'money' | null }
+    function upgradeStars(id) {
+        if (!has(id)) {
+            return { ok: false, error: 'unknown' };
+        }
+        let error = null;
+        let gained = 0;
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            const upgrade = STAR_UPGRADE[progress.stars];
+            if (!upgrade) {
+                error = 'max';
+                return false;
+            }
+            if (progress.cards < upgrade.cards) {
+                error = 'cards';
+                return false;
+            }
+            const balance = tx.get('balance');
+            if (global.bigNumber.cmp(balance, upgrade.money) < 0) {
+                error = 'money';
+                return false;
+            }
+            tx.set('balance', global.bigNumber.sub(balance, upgrade.money));
+            progress.cards -= upgrade.cards;
+            progress.stars += 1;
+            gained = applyXP(progress, 0);
+            return true;
+        }));
+        if (error === null) {
+            global.gameEvents.emit('employee.starUp', { employee: id, stars: getProgress(id).stars });
+            emitLevelUp(id, gained);
+        }
+        return { ok: error === null, error };
+    }
+
+    function isOwned(id) {
+        return has(id) && getProgress(id).owned;
+    }
+
+    // Выдача сотрудника (призыв): новый открывается для найма, повтор даёт карточки.
+    // Возвращает { isNew, cards }
+    function grant(id) {
+        let result = { isNew: false, cards: 0 };
+        if (!has(id)) {
+            return result;
+        }
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            if (!progress.owned) {
+                progress.owned = true;
+                result = { isNew: true, cards: 0 };
+                return;
+            }
+            const cards = DUPLICATE_CARDS[byId[id].rarity] || 1;
+            progress.cards += cards;
+            result = { isNew: false, cards };
+        }));
+        global.gameEvents.emit('employee.obtained', { employee: id, isNew: result.isNew, cards: result.cards });
+        return result;
+    }
+
+    // Карточки сотрудника — валюта повышения звёзд
+    function addCards(id, amount) {
+        if (!has(id) || !(amount > 0)) {
+            return;
+        }
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            progress.cards += Math.floor(amount);
+        }));
+    }
+
+    // === Опыт за работу ===
+
+    function isWorking(buildingId) {
+        const data = global.gameState.get('buildingsData') || {};
+        return Boolean(data[buildingId] && data[buildingId].isOwned);
+    }
+
+    // Начисляет опыт назначенным сотрудникам за время с workedAt до now
+    function accrueWork(now) {
+        const assignments = getAssignments();
+        const levelUps = [];
+        global.gameState.transaction((tx) => {
+            ids().forEach((id) => {
+                const building = assignments[id];
+                updateProgress(tx, id, (progress) => {
+                    // Старые сохранения: график смены отсчитывается с первого подсчёта
+                    const anchored = progress.fatigueAt === null;
+                    if (anchored) {
+                        progress.fatigueAt = now;
+                        progress.shiftStart = now;
+                    }
+                    if (!building || !isWorking(building)) {
+                        if (progress.workedAt === null) {
+                            return anchored;
+                        }
+                        progress.workedAt = null;
+                        return true;
+                    }
+                    if (progress.workedAt === null || progress.workedAt > now) {
+                        progress.workedAt = now;
+                        return true;
+                    }
+                    const rate = WORK_XP_PER_HOUR * (1 + perkValue(id, progress.level, 'workXpScale'));
+                    const hours = Math.min(WORK_CAP_HOURS, (now - progress.workedAt) / HOUR_MS);
+                    const earned = Math.floor(hours * rate);
+                    if (earned <= 0) {
+                        return anchored;
+                    }
+                    const gained = applyXP(progress, earned);
+                    // Остаток часа, не превратившийся в целый опыт, переходит в следующий подсчёт
+                    progress.workedAt = hours >= WORK_CAP_HOURS ? now : progress.workedAt + (earned / rate) * HOUR_MS;
+                    if (gained > 0) {
+                        levelUps.push([id, gained]);
+                    }
+                    return true;
+                });
+            });
+        });
+        levelUps.forEach(([id, gained]) => emitLevelUp(id, gained));
+    }
+
+    // === Смены и усталость ===
+
+    function shiftState(id, progress, working) {
+        return {
+            fatigue: progress.fatigue,
+            at: progress.fatigueAt,
+            shift: progress.shift,
+            shiftStart: progress.shiftStart,
+            boostUntil: progress.boostUntil,
+            working: working === undefined ? Boolean(getAssignedBuilding(id)) : working
+        };
+    }
+
+    // Фиксирует усталость на момент now как новый снимок — перед любым изменением графика или назначения
+    function settleShift(id, progress, now, working) {
+        const from = progress.fatigueAt === null ? now : Math.min(progress.fatigueAt, now);
+        progress.fatigue = Math.round(shifts.simulate(shiftState(id, progress, working), from, now).fatigue * 100) / 100;
+        progress.fatigueAt = now;
+    }
+
+    // Состояние смены сейчас: { fatigue, onShift, efficiency, shift, boosted, until }
+    function getShiftStatus(id, now = Date.now()) {
+        const progress = getProgress(id);
+        if (!progress) {
+            return null;
+        }
+        const state = shiftState(id, progress);
+        const from = progress.fatigueAt === null ? now : Math.min(progress.fatigueAt, now);
+        const fatigue = shifts.simulate(state, from, now).fatigue;
+        const phase = shifts.phaseAt(state, now);
+        const boosted = phase.onShift && progress.boostUntil !== null && now < progress.boostUntil;
+        return {
+            fatigue: Math.round(fatigue),
+            onShift: phase.onShift,
+            efficiency: boosted ? 1 : phase.onShift ? shifts.getEfficiency(fatigue) : 0,
+            shift: progress.shift,
+            boosted,
+            until: phase.until
+        };
+    }
+
+    // Доля бонуса, которую сотрудник отдаёт зданию: сейчас или в среднем за период from–to (доход без игры).
+    // Период до последнего снимка считается по усталости снимка
+    function getEfficiency(id, from, to) {
+        const progress = getProgress(id);
+        if (typeof from !== 'number' || typeof to !== 'number' || to <= from) {
+            return getShiftStatus(id).efficiency;
+        }
+        const state = shiftState(id, progress);
+        const anchor = progress.fatigueAt === null ? from : progress.fatigueAt;
+        const start = Math.max(from, anchor);
+        const before = start > anchor ? shifts.simulate(state, anchor, start).fatigue : state.fatigue;
+        const period = shifts.simulate({ ...state, fatigue: before }, start, Math.max(start, to));
+        const earlyHours = (start - from) / shifts.HOUR_MS;
+        const early = earlyHours > 0 && shifts.phaseAt(state, start).onShift ? earlyHours * shifts.getEfficiency(before) : 0;
+        return (early + period.effectiveHours) / ((to - from) / shifts.HOUR_MS);
+    }
+
+    // Меняет график смены. Возвращает { ok, error: 'unknown' | 'same' | null }
+    function setShift(id, shiftId) {
+        if (!isOwned(id) || !shifts.hasShift(shiftId)) {
+            return { ok: false, error: 'unknown' };
+        }
+        const now = Date.now();
+        let error = null;
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            if (progress.shift === shiftId) {
+                error = 'same';
+                return false;
+            }
+            settleShift(id, progress, now);
+            progress.shift = shiftId;
+            progress.shiftStart = now;
+            return true;
+        }));
+        if (error === null) {
+            global.gameEvents.emit('employee.shiftChanged', { employee: id, shift: shiftId });
+        }
+        return { ok: error === null, error };
+    }
+
+    // Покупает и сразу применяет расходник. Возвращает { ok, error: 'unknown' | 'rested' | 'money' | 'credits' | null }
+    function useSupply(id, supplyId) {
+        const supply = shifts.SUPPLIES[supplyId];
+        if (!isOwned(id) || !supply) {
+            return { ok: false, error: 'unknown' };
+        }
+        const now = Date.now();
+        const balanceKey = supply.currency === 'money' ? 'balance' : 'credits';
+        let error = null;
+        global.gameState.transaction((tx) => updateProgress(tx, id, (progress) => {
+            settleShift(id, progress, now);
+            if (supply.fatigue && progress.fatigue <= 0) {
+                error = 'rested';
+                return false;
+            }
+            const balance = tx.get(balanceKey);
+            if (global.bigNumber.cmp(balance, supply.cost) < 0) {
+                error = supply.currency;
+                return false;
+            }
+            tx.set(balanceKey, global.bigNumber.sub(balance, supply.cost));
+            if (supply.fatigue) {
+                progress.fatigue = Math.max(0, progress.fatigue + supply.fatigue);
+            }
+            if (supply.boostHours) {
+                progress.boostUntil = Math.max(now, progress.boostUntil || 0) + supply.boostHours * shifts.HOUR_MS;
+            }
+            return true;
+        }));
+        if (error === null) {
+            global.gameEvents.emit('employee.supplied', { employee: id, supply: supplyId });
+        }
+        return { ok: error === null, error };
+    }
+
+    // Фиксирует усталость всех сотрудников перед сменой назначений
+    function settleAll(tx, now) {
+        ids().forEach((id) => updateProgress(tx, id, (progress) => settleShift(id, progress, now)));
+    }
+
+    // Бонусы сотрудника на уровне level: income — к доходу здания, trait — особый бонус на его здании.
+    // Звёзды и перки берутся из текущего прогресса
+    function getBonuses(id, level) {
+        const definition = byId[id];
+        if (!definition) {
+            return { income: 0, trait: 0 };
+        }
+        const progress = getProgress(id);
+        const current = level || progress.level;
+        const scale = 1 + (current - 1) * LEVEL_STEP;
+        return {
+            income: (RARITY_INCOME[progress.stars] || 0) * scale + perkValue(id, current, 'income'),
+            trait: definition.trait.value * scale * (1 + perkValue(id, current, 'traitScale'))
+        };
+    }
+
+    // === Назначения: hiredEmployees = { id сотрудника: id здания } ===
+
+    function getAssignments() {
+        return global.gameState.get(ASSIGNMENTS_KEY) || {};
+    }
+
+    function getAssignedBuilding(id) {
+        return getAssignments()[id] || null;
+    }
+
+    // Сотрудник, работающий в здании, или null
+    function getAssigned(buildingId) {
+        const assignments = getAssignments();
+        return ids().find((id) => assignments[id] === buildingId) || null;
+    }
+
+    // Назначает сотрудника в здание; прежний сотрудник этого здания освобождается
+    function assign(id, buildingId) {
+        if (!isOwned(id) || !global.buildingRegistry.has(buildingId)) {
+            return false;
+        }
+        const now = Date.now();
+        accrueWork(now);
+        const assignments = { ...getAssignments() };
+        Object.keys(assignments).forEach((other) => {
+            if (assignments[other] === buildingId) {
+                delete assignments[other];
+            }
+        });
+        assignments[id] = buildingId;
+        global.gameState.transaction((tx) => {
+            settleAll(tx, now);
+            tx.set(ASSIGNMENTS_KEY, assignments);
+            // Смена начинается с момента назначения
+            updateProgress(tx, id, (progress) => {
+                progress.shiftStart = now;
+            });
+        });
+        accrueWork(now);
+        global.gameEvents.emit('employee.hired', { employee: id, building: buildingId });
+        return true;
+    }
+
+    // Снимает сотрудника со здания. Возвращает id снятого сотрудника или null.
+    function unassign(buildingId) {
+        const current = getAssigned(buildingId);
+        if (!current) {
+            return null;
+        }
+        const now = Date.now();
+        accrueWork(now);
+        const assignments = { ...getAssignments() };
+        delete assignments[current];
+        global.gameState.transaction((tx) => {
+            settleAll(tx, now);
+            tx.set(ASSIGNMENTS_KEY, assignments);
+        });
+        accrueWork(now);
+        return current;
+    }
+
+    // === Эффекты на здание ===
+
+    // Суммарный бонус здания по статистике stat от назначенного сотрудника с учётом усталости и смены.
+    // from/to — период, за который нужен средний бонус
+    function getBuildingBonus(buildingId, stat, from, to) {
+        const id = getAssigned(buildingId);
+        if (!id) {
+            return 0;
+        }
+        const bonuses = getBonuses(id);
+        const trait = byId[id].trait;
+        let total = stat === 'income' ? bonuses.income : 0;
+        if (trait.building === buildingId && trait.stat === stat) {
+            total += bonuses.trait;
+        }
+        return total > 0 ? total * getEfficiency(id, from, to) : 0;
+    }
+
+    // Без периода — множитель на текущий момент, с периодом from–to — средний за него
+    function getIncomeMultiplier(buildingId, from, to) {
+        return 1 + getBuildingBonus(buildingId, 'income', from, to);
+    }
+
+    // Множитель выработки звена (бумага завода, посетители библиотеки)
+    function getOutputMultiplier(buildingId) {
+        return 1 + getBuildingBonus(buildingId, 'output');
+    }
+
+    // Длительность тиража или рейса с учётом сотрудника здания, в минутах
+    function applySpeed(buildingId, minutes) {
+        const bonus = getBuildingBonus(buildingId, 'speed');
+        return bonus > 0 ? Math.max(1, Math.round(minutes / (1 + bonus))) : minutes;
+    }
+
+    // Строка эффекта для карточек: «+15% дохода · Бегущая почта: быстрее доставка +25% (Почта)»
+    function describeBonuses(id, level) {
+        const definition = byId[id];
+        if (!definition) {
+            return '';
+        }
+        const bonuses = getBonuses(id, level);
+        const percent = (value) => `+${Math.round(value * 100)}%`;
+        return `${percent(bonuses.income)} дохода · ${definition.trait.title} ${percent(bonuses.trait)} (${global.buildingRegistry.getName(definition.trait.building)})`;
+    }
+
+    // Строка смены для карточек: «На смене до 14:00 · усталость 48% · бонус 76%»
+    function describeShift(id) {
+        const status = getShiftStatus(id);
+        if (!status) {
+            return '';
+        }
+        const until = Number.isFinite(status.until)
+            ? ` до ${new Date(status.until).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        const phase = status.boosted ? '⚡ На смене' : status.onShift ? 'На смене' : 'Отдыхает';
+        return `${phase}${until} · усталость ${status.fatigue}% · бонус ${Math.round(status.efficiency * 100)}%`;
+    }
+
+    accrueWork(Date.now());
+    setInterval(() => accrueWork(Date.now()), WORK_TICK_MS);
+
+    global.employeeRoster = {
+        MAX_LEVEL,
+        MAX_STARS,
+        WORK_XP_PER_HOUR,
+        list,
+        ids,
+        get,
+        has,
+        getName,
+        xpToNextLevel,
+        getLevelCap,
+        getProgress,
+        setProgress,
+        addXP,
+        isAtCap,
+        getPerks,
+        getTrainingCost,
+        train,
+        getStarUpgrade,
+        upgradeStars,
+        isOwned,
+        grant,
+        addCards,
+        accrueWork,
+        SHIFTS: shifts.SHIFTS,
+        SUPPLIES: shifts.SUPPLIES,
+        getShiftStatus,
+        getEfficiency,
+        setShift,
+        useSupply,
+        describeShift,
+        getBonuses,
+        getAssignedBuilding,
+        getAssigned,
+        assign,
+        unassign,
+        getIncomeMultiplier,
+        getOutputMultiplier,
+        applySpeed,
+        describeBonuses
+    };
+})(window);
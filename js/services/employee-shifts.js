@@ -0,0 +1,108 @@
+(function initEmployeeShifts(global) {
+    'use strict';
+
+    // Смены и усталость сотрудников. Модуль без состояния: по снимку
+    // { fatigue, at, shift, shiftStart, boostUntil, working } считает, как усталость меняется со временем.
+    // Снимок меняется только по действиям игрока (назначение, смена графика, расходники), поэтому
+    // между ними ход смен однозначен и продолжается без игры (employeeRoster хранит снимок в прогрессе).
+
+    const HOUR_MS = 60 * 60 * 1000;
+    const MAX_FATIGUE = 100;
+    // Усталость за час на смене и восстановление за час отдыха (или пока сотрудник не назначен)
+    const FATIGUE_PER_HOUR = 8;
+    const REST_PER_HOUR = 20;
+    // При полной усталости бонус сотрудника падает на MAX_PENALTY
+    const MAX_PENALTY = 0.5;
+
+    // Графики: workHours на смене, затем restHours отдыха по кругу от shiftStart
+    const SHIFTS = {
+        day: { name: 'Смена 8/4', workHours: 8, restHours: 4 },
+        short: { name: 'Смена 4/4', workHours: 4, restHours: 4 },
+        full: { name: 'Без отдыха', workHours: 1, restHours: 0 },
+        off: { name: 'Выходной', workHours: 0, restHours: 1 }
+    };
+    const DEFAULT_SHIFT = 'day';
+
+    // Расходники покупаются и сразу применяются к сотруднику. Под энергетиком сотрудник
+    // работает в полную силу и не устаёт
+    const SUPPLIES = {
+        coffee: { name: 'Кофе', icon: '☕', currency: 'money', cost: 15000, fatigue: -40 },
+        energy: { name: 'Энергетик', icon: '⚡', currency: 'credits', cost: 10, boostHours: 4 }
+    };
+
+    function hasShift(id) {
+        return Object.prototype.hasOwnProperty.call(SHIFTS, id);
+    }
+
+    function getEfficiency(fatigue) {
+        return 1 - Math.min(MAX_FATIGUE, Math.max(0, fatigue)) / MAX_FATIGUE * MAX_PENALTY;
+    }
+
+    // На смене ли сотрудник в момент time и когда это изменится: { onShift, until }
+    function phaseAt(state, time) {
+        const plan = SHIFTS[state.shift] || SHIFTS[DEFAULT_SHIFT];
+        if (!state.working || plan.workHours === 0) {
+            return { onShift: false, until: Infinity };
+        }
+        if (plan.restHours === 0) {
+            return { onShift: true, until: Infinity };
+        }
+        const workMs = plan.workHours * HOUR_MS;
+        const cycleMs = workMs + plan.restHours * HOUR_MS;
+        const start = typeof state.shiftStart === 'number' ? state.shiftStart : state.at;
+        const position = (((time - start) % cycleMs) + cycleMs) % cycleMs;
+        return position < workMs
+            ? { onShift: true, until: time + workMs - position }
+            : { onShift: false, until: time + cycleMs - position };
+    }
+
+    // Проходит время от from до to. Возвращает { fatigue, workHours, effectiveHours }:
+    // effectiveHours — часы на смене, взвешенные по эффективности (для дохода за период)
+    function simulate(state, from, to) {
+        let fatigue = Math.min(MAX_FATIGUE, Math.max(0, state.fatigue || 0));
+        let workHours = 0;
+        let effectiveHours = 0;
+        let time = from;
+        while (time < to) {
+            const phase = phaseAt(state, time);
+            const boosted = phase.onShift && typeof state.boostUntil === 'number' && time < state.boostUntil;
+            const end = Math.min(to, phase.until, boosted ? state.boostUntil : Infinity);
+            const hours = (end - time) / HOUR_MS;
+            if (!phase.onShift) {
+                fatigue = Math.max(0, fatigue - REST_PER_HOUR * hours);
+            } else if (boosted) {
+                effectiveHours += hours;
+                workHours += hours;
+            } else {
+                // Эффективность линейна по усталости: среднее по отрезку до и после упора в максимум
+                const untilFull = (MAX_FATIGUE - fatigue) / FATIGUE_PER_HOUR;
+                if (hours > untilFull) {
+                    effectiveHours += untilFull * getEfficiency((fatigue + MAX_FATIGUE) / 2)
+                        + (hours - untilFull) * getEfficiency(MAX_FATIGUE);
+                    fatigue = MAX_FATIGUE;
+                } else {
+                    const next = fatigue + FATIGUE_PER_HOUR * hours;
+                    effectiveHours += hours * getEfficiency((fatigue + next) / 2);
+                    fatigue = next;
+                }
+                workHours += hours;
+            }
+            time = end;
+        }
+        return { fatigue, workHours, effectiveHours };
+    }
+
+    global.employeeShifts = {
+        HOUR_MS,
+        MAX_FATIGUE,
+        FATIGUE_PER_HOUR,
+        REST_PER_HOUR,
+        SHIFTS,
+        DEFAULT_SHIFT,
+        SUPPLIES,
+        hasShift,
+        getEfficiency,
+        phaseAt,
+        simulate
+    };
+})(window);
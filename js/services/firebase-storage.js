@@ -18,6 +18,57 @@
     const auth = global.firebase.auth();
     const db = global.firebase.firestore();
     const FieldValue = global.firebase.firestore.FieldValue;
+    // Без SDK функций серверная проверка экономики идёт только триггером на запись
+    const functions = global.firebase.functions ? global.firebase.functions() : null;
+
+    // Локальная проверка синхронизации: ?emulator=1 (или window.firebaseEmulator) подключает Firebase Emulator Suite
+    const emulator = global.firebaseEmulator
+        || (new URLSearchParams(global.location.search).has('emulator')
+            ? { host: 'localhost', firestorePort: 8080, authPort: 9099, functionsPort: 5001 }
+            : null);
+    if (emulator) {
+        db.useEmulator(emulator.host, emulator.firestorePort);
+        auth.useEmulator(`http://${emulator.host}:${emulator.authPort}`);
+        if (functions && emulator.functionsPort) {
+            functions.useEmulator(emulator.host, emulator.functionsPort);
+        }
+    }
+
+    // Служебные данные синхронизации живут только на этом устройстве и в облако не уходят:
+    // id устройства и версии ключей на момент последней синхронизации
+    const SYNC_META_KEY = 'cloud.sync';
+    const LOCAL_ONLY_KEYS = new Set([SYNC_META_KEY]);
+
+    // Неизменяемые копии сохранения в players/{uid}/snapshots.
+    //   every — не чаще одного раза за интервал (0 — всегда), keep — сколько копий этого типа хранить
+    const SNAPSHOT_POLICY = {
+        hourly: { every: 60 * 60 * 1000, keep: 24 },
+        daily: { every: 24 * 60 * 60 * 1000, keep: 14 },
+        prestige: { every: 0, keep: 10 },
+        purchase: { every: 10 * 60 * 1000, keep: 10 },
+        manual: { every: 0, keep: 10 },
+        restore: { every: 0, keep: 5 }
+    };
+    const SNAPSHOT_CHECK_MS = 5 * 60 * 1000;
+    // Идентификаторы игрока, язык и время последнего визита при восстановлении не откатываются
+    const RESTORE_KEEP_KEYS = new Set(['uniqueUserId', 'userId', 'userID', 'dev_user_id', 'profile.username', 'language', 'lastSeenAt']);
+
+    // Ключи, которые сервер сверяет с возможным доходом (functions/index.js); проверка не чаще раза в минуту
+    const ECONOMY_KEYS = new Set(['balance', 'credits', 'buildingsData']);
+    const ECONOMY_CHECK_MS = 60 * 1000;
+
+    // Открытая часть профиля для списка друзей: publicProfiles/{uid} может читать любой вошедший игрок,
+    // а пишет только сервер из проверенных значений (functions/index.js).
+    // Firestore принимает не больше 30 значений в запросе 'in'
+    const PUBLIC_PROFILE_BATCH = 30;
+
+    // Базовый URL для API (совместимо с Live Server на 5500 и PHP на 8001)
+    const API_BASE = global.API_BASE
+        || (global.location.port === '5500' ? 'http://127.0.0.1:8001/' : './');
+
+    // Повтор неудачной записи или входа: 1 с, 2 с, 4 с … не дольше минуты
+    const RETRY_BASE_MS = 1000;
+    const RETRY_MAX_MS = 60000;
 
     const original = {
         setItem: Storage.prototype.setItem,
@@ -36,16 +87,158 @@
         syncedKeys: new Set(),
         unsubscribe: null,
         derivedUpdates: {},
-        derivedSignatures: {}
+        derivedSignatures: {},
+        deviceId: null,
+        versions: {},
+        dirty: {},
+        unsavedOutbox: new Set(),
+        conflict: null,
+        freshDevice: false,
+        flushing: false,
+        retryTimer: null,
+        retryDelay: 0,
+        connected: false,
+        status: 'pending',
+        snapshotTimes: {},
+        uid: null,
+        linkingFrom: null,
+        economyTimer: null,
+        economyCheckedAt: 0
     };
 
-    const BUILDING_KEYS = ['library', 'factory', 'storage', 'print'];
-    const BUILDING_LABELS = {
-        library: 'Библиотека',
-        factory: 'Завод',
-        storage: 'Почта',
-        print: 'Типография'
-    };
+    function loadSyncMeta() {
+        let meta = null;
+        try {
+            meta = JSON.parse(original.getItem.call(global.localStorage, SYNC_META_KEY));
+        } catch (error) {
+            console.warn('[cloud-storage] Cannot parse sync meta', error);
+        }
+        const source = isObject(meta) ? meta : {};
+        state.freshDevice = !isObject(meta);
+        state.deviceId = source.deviceId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        state.versions = isObject(source.versions) ? source.versions : {};
+        state.snapshotTimes = isObject(source.snapshots) ? source.snapshots : {};
+        state.uid = source.uid || null;
+        saveSyncMeta();
+    }
+
+    function saveSyncMeta() {
+        original.setItem.call(global.localStorage, SYNC_META_KEY, JSON.stringify({
+            deviceId: state.deviceId,
+            uid: state.uid,
+            versions: state.versions,
+            snapshots: state.snapshotTimes
+        }));
+    }
+
+    // Несинхронизированные ключи (state.dirty) дублируются в IndexedDB, чтобы пережить закрытие игры
+    function persistOutbox() {
+        if (!state.unsavedOutbox.size || !global.cloudOutbox.isAvailable()) {
+            return;
+        }
+        const entries = Array.from(state.unsavedOutbox)
+            .filter((key) => Object.prototype.hasOwnProperty.call(state.dirty, key))
+            .map((key) => ({
+                key,
+                value: Object.prototype.hasOwnProperty.call(state.pendingWrites, key) ? state.pendingWrites[key] : readLocal(key),
+                ts: state.dirty[key]
+            }));
+        state.unsavedOutbox.clear();
+        global.cloudOutbox.put(entries).catch((error) => {
+            console.warn('[cloud-storage] Cannot persist outbox', error);
+        });
+    }
+
+    function removeFromOutbox(entries) {
+        if (!entries.length || !global.cloudOutbox.isAvailable()) {
+            return;
+        }
+        global.cloudOutbox.remove(entries).catch((error) => {
+            console.warn('[cloud-storage] Cannot trim outbox', error);
+        });
+    }
+
+    // Записи, не дошедшие до облака в прошлых сессиях, возвращаются в очередь
+    async function loadOutbox() {
+        if (!global.cloudOutbox.isAvailable()) {
+            console.warn('[cloud-storage] IndexedDB unavailable, offline writes will not survive a restart');
+            return;
+        }
+        try {
+            const entries = await global.cloudOutbox.loadAll();
+            entries.forEach((entry) => {
+                if (Object.prototype.hasOwnProperty.call(state.dirty, entry.key)) {
+                    return;
+                }
+                state.dirty[entry.key] = entry.ts;
+                state.pendingWrites[entry.key] = entry.value;
+                registerKey(entry.key);
+            });
+        } catch (error) {
+            console.warn('[cloud-storage] Cannot read outbox', error);
+        }
+    }
+
+    // Локальная правка ключа отменяется в пользу облака
+    function dropLocalChange(key) {
+        if (Object.prototype.hasOwnProperty.call(state.dirty, key)) {
+            removeFromOutbox([{ key, ts: state.dirty[key] }]);
+        }
+        delete state.dirty[key];
+        delete state.pendingWrites[key];
+        state.unsavedOutbox.delete(key);
+    }
+
+    // Статус для индикатора: synced, pending, offline, error
+    function setSyncStatus(status) {
+        if (state.status === status) {
+            return;
+        }
+        state.status = status;
+        document.dispatchEvent(new CustomEvent('cloud-sync-status', { detail: { status } }));
+    }
+
+    function hasQueuedWrites() {
+        return state.pendingClear
+            || Object.keys(state.pendingWrites).length > 0
+            || Object.keys(state.derivedUpdates).length > 0;
+    }
+
+    function isOfflineError(error) {
+        return global.navigator.onLine === false
+            || Boolean(error && (error.code === 'unavailable' || error.code === 'auth/network-request-failed'));
+    }
+
+    function scheduleRetry(error, action) {
+        state.retryDelay = Math.min(RETRY_MAX_MS, state.retryDelay ? state.retryDelay * 2 : RETRY_BASE_MS);
+        const delay = Math.round(state.retryDelay * (0.8 + Math.random() * 0.4));
+        setSyncStatus(isOfflineError(error) ? 'offline' : 'error');
+        clearTimeout(state.retryTimer);
+        state.retryTimer = setTimeout(() => {
+            state.retryTimer = null;
+            action();
+        }, delay);
+    }
+
+    function isLocallyChanged(key) {
+        return Object.prototype.hasOwnProperty.call(state.pendingWrites, key)
+            || Object.prototype.hasOwnProperty.call(state.dirty, key);
+    }
+
+    function readLocal(key) {
+        return original.getItem.call(global.localStorage, key);
+    }
+
+    function writeLocal(key, value) {
+        if (value === null || value === undefined) {
+            delete state.cache[key];
+            original.removeItem.call(global.localStorage, key);
+            return;
+        }
+        state.cache[key] = value;
+        registerKey(key);
+        original.setItem.call(global.localStorage, key, value);
+    }
 
     function registerKey(key) {
         if (typeof key === 'string') {
@@ -75,8 +268,9 @@
             }
         }
 
+        const buildingIds = global.buildingRegistry.ids();
         const summary = {
-            label: '0/4',
+            label: `0/${buildingIds.length}`,
             totalOwned: 0,
             owned: [],
             upgraded: [],
@@ -84,7 +278,7 @@
             updatedAt: Date.now()
         };
 
-        BUILDING_KEYS.forEach((key) => {
+        buildingIds.forEach((key) => {
             const data = isObject(parsed[key]) ? parsed[key] : null;
             if (data && data.isOwned) {
                 summary.totalOwned += 1;
@@ -95,7 +289,7 @@
                 if (hasUpgrade) {
                     summary.upgraded.push({
                         id: key,
-                        name: data.name || BUILDING_LABELS[key] || key,
+                        name: data.name || global.buildingRegistry.getName(key),
                         level
                     });
                 }
@@ -104,10 +298,53 @@
             }
         });
 
-        summary.label = `${summary.totalOwned}/${BUILDING_KEYS.length}`;
+        summary.label = `${summary.totalOwned}/${buildingIds.length}`;
         return summary;
     }
 
+    // Краткая сводка перерождений для облака (перья, число перерождений, уровни бонусов)
+    function computePrestigeSummary(rawValue) {
+        let parsed = {};
+        if (rawValue) {
+            try {
+                parsed = typeof rawValue === 'string' ? JSON.parse(rawValue) : rawValue;
+            } catch (error) {
+                console.warn('[cloud-storage] Cannot parse prestige', error);
+                parsed = {};
+            }
+        }
+        return {
+            rebirths: parseInt(parsed.rebirths, 10) || 0,
+            points: parseInt(parsed.points, 10) || 0,
+            totalEarned: parseInt(parsed.totalEarned, 10) || 0,
+            upgrades: isObject(parsed.upgrades) ? parsed.upgrades : {}
+        };
+    }
+
+    // Сводка достижений для облака: открытые ступени и счётчики, которые читают другие функции
+    function computeAchievementsSummary(rawValue) {
+        let parsed = {};
+        if (rawValue) {
+            try {
+                parsed = typeof rawValue === 'string' ? JSON.parse(rawValue) : rawValue;
+            } catch (error) {
+                console.warn('[cloud-storage] Cannot parse achievements', error);
+                parsed = {};
+            }
+        }
+        const tiers = isObject(parsed.tiers) ? parsed.tiers : {};
+        const stats = isObject(parsed.stats) ? parsed.stats : {};
+        const normalizedStats = {};
+        Object.keys(stats).forEach((key) => {
+            normalizedStats[key] = Number(stats[key]) || 0;
+        });
+        return {
+            tiers,
+            unlocked: Object.values(tiers).reduce((sum, tier) => sum + (parseInt(tier, 10) || 0), 0),
+            stats: normalizedStats
+        };
+    }
+
     function stageDerivedUpdate(path, value) {
         const signature = JSON.stringify(value);
         if (state.derivedSignatures[path] === signature) {
@@ -125,6 +362,14 @@
             stageDerivedUpdate('buildingsSummary', summary);
             break;
         }
+        case 'prestige': {
+            stageDerivedUpdate('prestigeSummary', computePrestigeSummary(value));
+            break;
+        }
+        case 'achievements': {
+            stageDerivedUpdate('achievementsSummary', computeAchievementsSummary(value));
+            break;
+        }
         case 'profile.username': {
             stageDerivedUpdate('profile.username', value || '');
             break;
@@ -146,6 +391,12 @@
         if (docData.buildingsSummary) {
             state.derivedSignatures.buildingsSummary = JSON.stringify(docData.buildingsSummary);
         }
+        if (docData.prestigeSummary) {
+            state.derivedSignatures.prestigeSummary = JSON.stringify(docData.prestigeSummary);
+        }
+        if (docData.achievementsSummary) {
+            state.derivedSignatures.achievementsSummary = JSON.stringify(docData.achievementsSummary);
+        }
         if (docData.profile) {
             if (Object.prototype.hasOwnProperty.call(docData.profile, 'username')) {
                 state.derivedSignatures['profile.username'] = JSON.stringify(docData.profile.username || '');
@@ -160,6 +411,12 @@
         if (!state.derivedSignatures.buildingsSummary) {
             handleDerivedKey('buildingsData', state.cache.buildingsData || null);
         }
+        if (!state.derivedSignatures.prestigeSummary && state.cache.prestige) {
+            handleDerivedKey('prestige', state.cache.prestige);
+        }
+        if (!state.derivedSignatures.achievementsSummary && state.cache.achievements) {
+            handleDerivedKey('achievements', state.cache.achievements);
+        }
         if (!state.derivedSignatures['profile.username'] && state.cache['profile.username']) {
             handleDerivedKey('profile.username', state.cache['profile.username']);
         }
@@ -169,9 +426,11 @@
     }
 
     function queueWrite(key, value) {
-        if (key == null) {
+        if (key == null || LOCAL_ONLY_KEYS.has(key)) {
             return;
         }
+        state.dirty[key] = Date.now();
+        state.unsavedOutbox.add(key);
         state.pendingWrites[key] = value;
         registerKey(key);
         handleDerivedKey(key, value);
@@ -179,64 +438,317 @@
     }
 
     function scheduleFlush() {
-        if (state.writeTimer) {
+        if (state.status === 'synced') {
+            setSyncStatus('pending');
+        }
+        // Во время паузы после ошибки новые записи ждут повтора
+        if (state.writeTimer || state.retryTimer) {
             return;
         }
         state.writeTimer = setTimeout(flushWrites, 400);
     }
 
+    // Раскладывает локальные записи против текущего облачного документа.
+    // Ключ, который с нашей последней синхронизации менял кто-то ещё (версия в облаке выше),
+    // сливается по правилам saveMerge; если слить нельзя — попадает в conflicts.
+    function planWrites(remoteDoc, writes) {
+        const remoteData = remoteDoc.data || {};
+        const remoteVersions = remoteDoc.versions || {};
+        const remoteTs = (remoteDoc.meta && remoteDoc.meta.lastClientTs) || 0;
+        const plan = { data: {}, versions: {}, merged: {}, conflicts: [], remoteDoc };
+        Object.entries(writes).forEach(([key, value]) => {
+            const remoteVersion = remoteVersions[key] || 0;
+            const baseVersion = state.versions[key] || 0;
+            const remoteValue = Object.prototype.hasOwnProperty.call(remoteData, key) ? remoteData[key] : null;
+            let next = value;
+            if (remoteVersion > baseVersion && isServerCorrection(remoteDoc, key, remoteVersion)) {
+                // Значение исправлено проверкой экономики: оно главнее локальной правки
+                plan.merged[key] = remoteValue;
+                plan.versions[key] = remoteVersion;
+                return;
+            }
+            if (remoteVersion > baseVersion && remoteValue !== value) {
+                const resolved = global.saveMerge.resolve(key, value, remoteValue, {
+                    localTs: state.dirty[key] || Date.now(),
+                    remoteTs
+                });
+                if (!resolved.ok) {
+                    plan.conflicts.push(key);
+                    return;
+                }
+                next = resolved.value;
+                if (next !== value) {
+                    plan.merged[key] = next;
+                }
+            }
+            plan.data[key] = next === null ? FieldValue.delete() : next;
+            plan.versions[key] = Math.max(remoteVersion, baseVersion) + 1;
+        });
+        // Экономические ключи идут одним сохранением: при конфликте ни один из них не уходит в облако,
+        // пока игрок не выберет, какое сохранение оставить
+        if (plan.conflicts.length) {
+            Object.keys(plan.data).filter((key) => global.saveMerge.isUnsafe(key)).forEach((key) => {
+                delete plan.data[key];
+                delete plan.versions[key];
+                delete plan.merged[key];
+                plan.conflicts.push(key);
+            });
+        }
+        return plan;
+    }
+
+    function isServerCorrection(remoteDoc, key, version) {
+        const corrections = (remoteDoc.economy && remoteDoc.economy.corrections) || {};
+        return Boolean(version) && corrections[key] === version;
+    }
+
+    // Вложенный объект для set({ merge: true }): точки в ключах данных не превращаются в пути
+    function buildPayload(plan, clearAll, derived) {
+        const payload = {
+            meta: {
+                updatedAt: FieldValue.serverTimestamp(),
+                lastClientTs: Date.now(),
+                deviceId: state.deviceId,
+                version: currentSaveVersion()
+            },
+            data: { ...plan.data },
+            versions: { ...plan.versions }
+        };
+        if (clearAll) {
+            Object.keys((plan.remoteDoc && plan.remoteDoc.data) || {}).forEach((key) => {
+                if (!Object.prototype.hasOwnProperty.call(payload.data, key)) {
+                    payload.data[key] = FieldValue.delete();
+                }
+            });
+        }
+        Object.entries(derived).forEach(([path, value]) => {
+            const parts = path.split('.');
+            let target = payload;
+            parts.slice(0, -1).forEach((part) => {
+                target[part] = isObject(target[part]) ? target[part] : {};
+                target = target[part];
+            });
+            target[parts[parts.length - 1]] = value;
+        });
+        return payload;
+    }
+
     async function flushWrites() {
         state.writeTimer = null;
-        const hasUpdates = state.pendingClear
-            || Object.keys(state.pendingWrites).length > 0
-            || Object.keys(state.derivedUpdates).length > 0;
-        if (!hasUpdates) {
+        persistOutbox();
+        // Пока игрок не выбрал сохранение, записи копятся локально
+        if (state.conflict || state.flushing || !hasQueuedWrites()) {
+            return;
+        }
+        if (global.navigator.onLine === false) {
+            setSyncStatus('offline');
             return;
         }
+        state.flushing = true;
         await readyPromise;
-        if (!state.docRef) {
+        try {
+            await sendQueuedWrites();
+        } finally {
+            state.flushing = false;
+        }
+        if (hasQueuedWrites() && !state.conflict) {
+            scheduleFlush();
+        }
+    }
+
+    async function sendQueuedWrites() {
+        if (!state.docRef || !hasQueuedWrites()) {
             return;
         }
+        const writes = state.pendingWrites;
+        const sentTs = {};
+        Object.keys(writes).forEach((key) => {
+            sentTs[key] = state.dirty[key];
+        });
+        const derived = state.derivedUpdates;
+        const clearAll = state.pendingClear;
+        state.pendingWrites = {};
+        state.derivedUpdates = {};
+        state.pendingClear = false;
 
-        const payload = { meta: { updatedAt: FieldValue.serverTimestamp(), lastClientTs: Date.now() } };
-        if (state.pendingClear) {
-            state.syncedKeys.forEach((key) => {
-                payload[`data.${key}`] = FieldValue.delete();
+        let plan;
+        try {
+            plan = await db.runTransaction(async (tx) => {
+                const snapshot = await tx.get(state.docRef);
+                const attempt = planWrites(snapshot.data() || {}, writes);
+                tx.set(state.docRef, buildPayload(attempt, clearAll, derived), { merge: true });
+                return attempt;
             });
-            state.pendingClear = false;
+        } catch (err) {
+            console.error('[cloud-storage] Failed to write data', err);
+            state.pendingWrites = { ...writes, ...state.pendingWrites };
+            state.derivedUpdates = { ...derived, ...state.derivedUpdates };
+            state.pendingClear = state.pendingClear || clearAll;
+            scheduleRetry(err, flushWrites);
+            return;
+        }
+        state.retryDelay = 0;
+        applyPlan(plan, writes, sentTs);
+        setSyncStatus(hasQueuedWrites() ? 'pending' : 'synced');
+        if (Object.keys(plan.data).some((key) => ECONOMY_KEYS.has(key))) {
+            scheduleEconomyCheck();
         }
+    }
 
-        Object.entries(state.pendingWrites).forEach(([key, value]) => {
-            payload[`data.${key}`] = value === null ? FieldValue.delete() : value;
+    // Серверная проверка экономики: ответ сразу содержит исправленные значения
+    function scheduleEconomyCheck() {
+        if (!functions || state.economyTimer) {
+            return;
+        }
+        const delay = Math.max(0, state.economyCheckedAt + ECONOMY_CHECK_MS - Date.now());
+        state.economyTimer = setTimeout(() => {
+            state.economyTimer = null;
+            state.economyCheckedAt = Date.now();
+            functions.httpsCallable('validateEconomy')()
+                .then((result) => applyServerCorrections(result.data || {}))
+                .catch((error) => console.warn('[cloud-storage] Economy check failed', error));
+        }, delay);
+    }
+
+    // Сервер обрезал невозможный прирост: принимаем его значения вместо локальных
+    function applyServerCorrections(result) {
+        const corrections = result.corrections || {};
+        const versions = result.versions || {};
+        const keys = Object.keys(corrections).filter((key) => (versions[key] || 0) > (state.versions[key] || 0));
+        if (!keys.length) {
+            return;
+        }
+        keys.forEach((key) => {
+            dropLocalChange(key);
+            state.versions[key] = versions[key];
+            writeLocal(key, corrections[key]);
         });
-        state.pendingWrites = {};
+        saveSyncMeta();
+        notifyGameState(keys);
+        reportCorrection(keys, result.reasons);
+    }
+
+    function reportCorrection(keys, reasons) {
+        console.warn(`[cloud-storage] Server corrected ${keys.join(', ')}: ${(reasons || []).join(', ')}`);
+        if (global.showToast) {
+            global.showToast('Прогресс исправлен по данным сервера', 3000);
+        }
+    }
 
-        Object.entries(state.derivedUpdates).forEach(([path, value]) => {
-            payload[path] = value;
+    function applyPlan(plan, writes, sentTs) {
+        const changedKeys = [];
+        removeFromOutbox(Object.keys(plan.versions).map((key) => ({ key, ts: sentTs[key] })));
+        Object.entries(plan.versions).forEach(([key, version]) => {
+            state.versions[key] = version;
+            // Ключ могли снова изменить, пока шла транзакция: тогда он остаётся несинхронизированным
+            if (Object.prototype.hasOwnProperty.call(state.pendingWrites, key)) {
+                return;
+            }
+            delete state.dirty[key];
+            if (Object.prototype.hasOwnProperty.call(plan.merged, key)) {
+                writeLocal(key, plan.merged[key]);
+                changedKeys.push(key);
+            }
         });
-        state.derivedUpdates = {};
+        saveSyncMeta();
+        notifyGameState(changedKeys);
+        if (plan.conflicts.length) {
+            plan.conflicts.forEach((key) => {
+                if (!Object.prototype.hasOwnProperty.call(state.pendingWrites, key)) {
+                    state.pendingWrites[key] = writes[key];
+                }
+            });
+            openConflict(plan.remoteDoc, plan.conflicts);
+        }
+    }
 
-        state.docRef.set(payload, { merge: true }).catch((err) => {
-            console.error('[cloud-storage] Failed to write data', err);
+    // Экономические ключи разошлись: игрок оставляет одно из сохранений целиком
+    function openConflict(remoteDoc, keys) {
+        const remoteData = remoteDoc.data || {};
+        const remoteVersions = remoteDoc.versions || {};
+        state.conflict = { keys };
+        console.warn('[cloud-storage] Save conflict on keys:', keys.join(', '));
+        const localData = {};
+        ['balance', 'playerLevel', 'buildingsData'].forEach((key) => {
+            localData[key] = readLocal(key);
+        });
+        global.saveMerge.showConflictDialog(localData, remoteData, {
+            localTs: Date.now(),
+            remoteTs: remoteDoc.meta && remoteDoc.meta.lastClientTs
+        }).then((choice) => {
+            const unsafeKeys = new Set(Object.keys(remoteData).concat(Object.keys(state.cache))
+                .filter((key) => global.saveMerge.isUnsafe(key)));
+            const changedKeys = [];
+            unsafeKeys.forEach((key) => {
+                state.versions[key] = remoteVersions[key] || 0;
+                if (choice === 'local') {
+                    // Версия догнала облако: следующая запись перезапишет его без конфликта
+                    state.pendingWrites[key] = readLocal(key);
+                    state.dirty[key] = Date.now();
+                    state.unsavedOutbox.add(key);
+                    return;
+                }
+                const remoteValue = Object.prototype.hasOwnProperty.call(remoteData, key) ? remoteData[key] : null;
+                dropLocalChange(key);
+                if (readLocal(key) !== remoteValue) {
+                    writeLocal(key, remoteValue);
+                    changedKeys.push(key);
+                }
+            });
+            state.conflict = null;
+            saveSyncMeta();
+            notifyGameState(changedKeys);
+            scheduleFlush();
         });
     }
 
-    function hydrateFromRemote(remoteData) {
+    function notifyGameState(keys) {
+        if (keys.length && global.gameState) {
+            global.gameState.reload(keys);
+        }
+    }
+
+    function currentSaveVersion() {
+        return global.saveMigrations ? global.saveMigrations.CURRENT_VERSION : 1;
+    }
+
+    // Облачные данные могли быть записаны старым клиентом: прогоняем их через миграции
+    function migrateHydrated(remoteData) {
+        if (!global.saveMigrations) {
+            return;
+        }
+        const versionKey = global.saveMigrations.VERSION_KEY;
+        if (!Object.prototype.hasOwnProperty.call(remoteData, versionKey)) {
+            state.cache[versionKey] = '1';
+            original.setItem.call(global.localStorage, versionKey, '1');
+        }
+        global.saveMigrations.run();
+    }
+
+    // Ключи, изменённые здесь с последней синхронизации, не затираем: их сверит flushWrites
+    function hydrateFromRemote(remoteData, remoteVersions) {
         if (!remoteData) {
             return;
         }
+        const hydratedKeys = [];
         Object.entries(remoteData).forEach(([key, value]) => {
-            registerKey(key);
-            state.cache[key] = value;
-            original.setItem.call(global.localStorage, key, value);
+            if (LOCAL_ONLY_KEYS.has(key) || isLocallyChanged(key)) {
+                return;
+            }
+            writeLocal(key, value);
+            state.versions[key] = remoteVersions[key] || 0;
+            hydratedKeys.push(key);
         });
+        saveSyncMeta();
+        migrateHydrated(remoteData);
+        notifyGameState(hydratedKeys);
     }
 
     function exportLocal() {
         const snapshot = {};
         for (let i = 0; i < global.localStorage.length; i += 1) {
             const key = original.key.call(global.localStorage, i);
-            if (key == null) {
+            if (key == null || LOCAL_ONLY_KEYS.has(key)) {
                 continue;
             }
             const value = original.getItem.call(global.localStorage, key);
@@ -289,40 +801,73 @@
             });
             state.syncedKeys.clear();
             handleDerivedKey('buildingsData', null);
+            handleDerivedKey('prestige', null);
+            handleDerivedKey('achievements', null);
             handleDerivedKey('profile.username', '');
             handleDerivedKey('uniqueUserId', null);
             scheduleFlush();
-            return original.clear.apply(this, arguments);
+            const result = original.clear.apply(this, arguments);
+            saveSyncMeta();
+            return result;
         };
     }
 
     async function initDocReference(uid) {
         const docRef = db.collection('players').doc(uid);
         state.docRef = docRef;
+        // Версии ключей и расписание копий относятся к документу прежнего аккаунта
+        if (state.uid && state.uid !== uid) {
+            state.versions = {};
+            state.snapshotTimes = {};
+        }
+        state.uid = uid;
+        saveSyncMeta();
 
         const snapshot = await docRef.get();
         if (snapshot.exists) {
             const docData = snapshot.data() || {};
-            hydrateFromRemote(docData.data || {});
+            if (state.linkingFrom) {
+                // Первая привязка к Telegram, а у аккаунта уже есть сохранение: весь локальный прогресс
+                // сверяется с ним по правилам слияния (экономика — через диалог выбора)
+                const local = exportLocal();
+                Object.keys(local).forEach((key) => {
+                    state.pendingWrites[key] = local[key];
+                    state.dirty[key] = state.dirty[key] || Date.now();
+                    state.unsavedOutbox.add(key);
+                });
+            } else if (state.freshDevice) {
+                // Устройство без истории синхронизации принимает облачное сохранение как есть
+                Object.keys(docData.data || {}).forEach(dropLocalChange);
+            }
+            hydrateFromRemote(docData.data || {}, docData.versions || {});
             primeDerivedFromRemote(docData);
+            scheduleFlush();
         } else {
             const bootstrap = exportLocal();
+            const versions = {};
+            Object.keys(bootstrap).forEach((key) => {
+                versions[key] = 1;
+            });
             const summary = computeBuildingsSummary(bootstrap.buildingsData || null);
             const username = bootstrap['profile.username'] || '';
             const publicUserId = bootstrap.uniqueUserId ? parseInt(bootstrap.uniqueUserId, 10) || bootstrap.uniqueUserId : null;
-            docRef.set({
+            await docRef.set({
                 data: bootstrap,
+                versions,
                 meta: {
                     createdAt: FieldValue.serverTimestamp(),
-                    version: 1,
-                    lastClientTs: Date.now()
+                    version: currentSaveVersion(),
+                    lastClientTs: Date.now(),
+                    deviceId: state.deviceId
                 },
                 profile: {
                     username,
                     publicUserId
                 },
                 buildingsSummary: summary
-            }).catch((err) => console.error('[cloud-storage] Initial document write failed', err));
+            });
+            state.versions = versions;
+            saveSyncMeta();
             state.derivedSignatures.buildingsSummary = JSON.stringify(summary);
             state.derivedSignatures['profile.username'] = JSON.stringify(username);
             state.derivedSignatures['profile.publicUserId'] = JSON.stringify(publicUserId);
@@ -334,28 +879,131 @@
         }
         state.unsubscribe = docRef.onSnapshot((snap) => {
             const remote = snap.data();
-            if (!remote || !remote.data) {
+            if (!remote || !remote.data || snap.metadata.hasPendingWrites) {
                 return;
             }
+            const remoteVersions = remote.versions || {};
+            const changedKeys = [];
+            const correctedKeys = [];
+            let needsMerge = false;
             Object.entries(remote.data).forEach(([key, value]) => {
+                const remoteVersion = remoteVersions[key] || 0;
+                if (LOCAL_ONLY_KEYS.has(key) || (remoteVersion && remoteVersion <= (state.versions[key] || 0))) {
+                    return;
+                }
+                if (isServerCorrection(remote, key, remoteVersion)) {
+                    dropLocalChange(key);
+                    correctedKeys.push(key);
+                } else if (isLocallyChanged(key)) {
+                    // Локальная правка ещё не ушла в облако: сверим её при записи, а не затрём
+                    needsMerge = true;
+                    return;
+                }
+                state.versions[key] = remoteVersion;
                 if (state.cache[key] === value) {
                     return;
                 }
-                state.cache[key] = value;
-                registerKey(key);
-                original.setItem.call(global.localStorage, key, value);
+                writeLocal(key, value);
+                changedKeys.push(key);
             });
+            saveSyncMeta();
+            if (needsMerge) {
+                scheduleFlush();
+            }
+            if (changedKeys.length) {
+                migrateHydrated(remote.data);
+            }
+            notifyGameState(changedKeys);
+            if (correctedKeys.length) {
+                reportCorrection(correctedKeys, remote.economy.flags && remote.economy.flags.lastReasons);
+            }
             primeDerivedFromRemote(remote);
             ensureDerivedFromCache();
         });
     }
 
+    function getTelegramInitData() {
+        return global.telegramAuth.getInitData();
+    }
+
+    function getTelegramUserId() {
+        const user = global.telegramAuth.getTelegramUser();
+        return user ? user.id : null;
+    }
+
+    // Сохранённая сессия Firebase восстанавливается асинхронно: ждём первого ответа auth
+    function waitForAuthState() {
+        return new Promise((resolve) => {
+            const unsubscribe = auth.onAuthStateChanged((user) => {
+                unsubscribe();
+                resolve(user);
+            });
+        });
+    }
+
+    // Сервер проверяет подпись initData и выдаёт custom token для uid tg_<telegram id>
+    async function requestTelegramToken(initData) {
+        const body = new URLSearchParams();
+        body.append('initData', initData);
+        const response = await fetch(`${API_BASE}api/firebase_custom_token.php`, { method: 'POST', body });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`[cloud-storage] Telegram token rejected: ${result.error}`);
+        }
+        return result;
+    }
+
+    // Проверенная экономика анонимного сохранения переходит в аккаунт Telegram (functions/index.js).
+    // Вызывается до первой записи в новый документ, иначе сервер начнёт его проверку с нуля
+    async function linkAnonymousSave(anonymousToken) {
+        if (!functions) {
+            return;
+        }
+        try {
+            await functions.httpsCallable('linkAnonymousSave')({ anonymousToken });
+        } catch (error) {
+            console.warn('[cloud-storage] Cannot link anonymous save', error);
+        }
+    }
+
+    // Вход: в Telegram — под проверенным Telegram-аккаунтом, чтобы сохранение было одно на всех
+    // устройствах; вне Telegram или если сервер недоступен — анонимно, как раньше
+    async function signIn() {
+        const current = await waitForAuthState();
+        const initData = getTelegramInitData();
+        if (!initData) {
+            return current || (await auth.signInAnonymously()).user;
+        }
+        if (current && current.uid === `tg_${getTelegramUserId()}`) {
+            return current;
+        }
+        try {
+            const { token } = await requestTelegramToken(initData);
+            // Токен анонимного аккаунта берём до смены входа: им сервер подтверждает, что сохранение наше
+            const anonymousToken = current && current.isAnonymous ? await current.getIdToken() : null;
+            const user = (await auth.signInWithCustomToken(token)).user;
+            if (anonymousToken) {
+                await linkAnonymousSave(anonymousToken);
+                state.linkingFrom = current.uid;
+            }
+            return user;
+        } catch (error) {
+            console.warn('[cloud-storage] Telegram sign-in failed, using anonymous account', error);
+            state.linkingFrom = null;
+            return current || (await auth.signInAnonymously()).user;
+        }
+    }
+
     async function initFirebase() {
         try {
-            const credential = await auth.signInAnonymously();
-            const uid = credential.user.uid;
+            const user = await signIn();
+            const uid = user.uid;
             global.cloudStorageUid = uid;
             await initDocReference(uid);
+            if (state.linkingFrom) {
+                stageDerivedUpdate('profile.telegramId', getTelegramUserId());
+                state.linkingFrom = null;
+            }
             document.dispatchEvent(new CustomEvent('cloud-storage-ready', { detail: { uid } }));
             return uid;
         } catch (error) {
@@ -364,13 +1012,199 @@
         }
     }
 
+    function snapshotsRef() {
+        return state.docRef.collection('snapshots');
+    }
+
+    // Сохраняет копию текущего состояния. Данные снимаются сразу, до ожидания сети,
+    // поэтому копия «перед покупкой» содержит состояние именно до неё.
+    // Возвращает id копии или null, если копию этого типа делали недавно.
+    async function takeSnapshot(reason) {
+        const policy = SNAPSHOT_POLICY[reason];
+        if (!policy) {
+            throw new Error(`[cloud-storage] Unknown snapshot reason "${reason}"`);
+        }
+        const now = Date.now();
+        if (policy.every && now - (state.snapshotTimes[reason] || 0) < policy.every) {
+            return null;
+        }
+        state.snapshotTimes[reason] = now;
+        saveSyncMeta();
+        if (global.gameState) {
+            global.gameState.flush();
+        }
+        const data = exportLocal();
+        await readyPromise;
+        const ref = await snapshotsRef().add({
+            reason,
+            clientTs: now,
+            createdAt: FieldValue.serverTimestamp(),
+            deviceId: state.deviceId,
+            saveVersion: currentSaveVersion(),
+            summary: global.saveMerge.summarize(data),
+            data
+        });
+        pruneSnapshots(reason).catch((error) => {
+            console.warn('[cloud-storage] Cannot prune snapshots', error);
+        });
+        return ref.id;
+    }
+
+    // Старые копии сверх лимита удаляем; сортируем на клиенте, чтобы не требовать составной индекс
+    async function pruneSnapshots(reason) {
+        const result = await snapshotsRef().where('reason', '==', reason).get();
+        const docs = result.docs.slice().sort((a, b) => (b.data().clientTs || 0) - (a.data().clientTs || 0));
+        await Promise.all(docs.slice(SNAPSHOT_POLICY[reason].keep).map((doc) => doc.ref.delete()));
+    }
+
+    // Краткий список копий для экрана восстановления, новые сверху
+    async function listSnapshots(limit = 50) {
+        await readyPromise;
+        const result = await snapshotsRef().orderBy('clientTs', 'desc').limit(limit).get();
+        return result.docs.map((doc) => {
+            const entry = doc.data();
+            const summary = entry.summary || {};
+            return {
+                id: doc.id,
+                reason: entry.reason,
+                createdAt: entry.clientTs,
+                deviceId: entry.deviceId,
+                balance: summary.balance || 0,
+                level: summary.level || 1,
+                buildings: summary.buildings || []
+            };
+        });
+    }
+
+    // Открытые профили друзей по их Telegram id: { telegramId: профиль }
+    async function getFriendProfiles(telegramIds) {
+        await readyPromise;
+        const ids = Array.from(new Set(telegramIds.map(String)));
+        const profiles = {};
+        for (let i = 0; i < ids.length; i += PUBLIC_PROFILE_BATCH) {
+            const uids = ids.slice(i, i + PUBLIC_PROFILE_BATCH).map((id) => `tg_${id}`);
+            const result = await db.collection('publicProfiles')
+                .where(global.firebase.firestore.FieldPath.documentId(), 'in', uids)
+                .get();
+            result.forEach((doc) => {
+                profiles[doc.id.slice('tg_'.length)] = doc.data();
+            });
+        }
+        return profiles;
+    }
+
+    // Заменяет текущее сохранение копией. Перед этим текущее состояние тоже сохраняется копией,
+    // так что восстановление можно отменить. После восстановления игру нужно перезагрузить.
+    async function restoreSnapshot(id) {
+        await readyPromise;
+        const snapshot = await snapshotsRef().doc(id).get();
+        if (!snapshot.exists) {
+            throw new Error(`[cloud-storage] Snapshot ${id} not found`);
+        }
+        const data = snapshot.data().data || {};
+        await takeSnapshot('restore');
+        if (global.gameState) {
+            global.gameState.flush();
+        }
+        const changedKeys = [];
+        Object.keys(exportLocal()).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(data, key) && !RESTORE_KEEP_KEYS.has(key)) {
+                global.localStorage.removeItem(key);
+                changedKeys.push(key);
+            }
+        });
+        Object.entries(data).forEach(([key, value]) => {
+            if (!RESTORE_KEEP_KEYS.has(key) && !LOCAL_ONLY_KEYS.has(key)) {
+                global.localStorage.setItem(key, value);
+                changedKeys.push(key);
+            }
+        });
+        if (global.saveMigrations) {
+            global.saveMigrations.run();
+        }
+        notifyGameState(changedKeys);
+        persistOutbox();
+        await flushWrites();
+        return { id, restoredKeys: changedKeys.length };
+    }
+
+    function checkScheduledSnapshots() {
+        takeSnapshot('daily')
+            .then((id) => {
+                if (!id) {
+                    return takeSnapshot('hourly');
+                }
+                // Ежедневная копия заодно считается ежечасной
+                state.snapshotTimes.hourly = Date.now();
+                saveSyncMeta();
+                return id;
+            })
+            .catch((error) => console.warn('[cloud-storage] Scheduled snapshot failed', error));
+    }
+
+    // Вход и первая загрузка повторяются с паузой, пока не получится; ready ждёт успешного подключения
+    let resolveReady = null;
+    const readyPromise = new Promise((resolve) => {
+        resolveReady = resolve;
+    });
+
+    async function connect() {
+        if (global.navigator.onLine === false) {
+            setSyncStatus('offline');
+            return;
+        }
+        try {
+            const uid = await initFirebase();
+            state.retryDelay = 0;
+            state.connected = true;
+            setSyncStatus(hasQueuedWrites() ? 'pending' : 'synced');
+            resolveReady(uid);
+            checkScheduledSnapshots();
+        } catch (error) {
+            scheduleRetry(error, connect);
+        }
+    }
+
+    // Сеть вернулась: не ждём окончания паузы, сразу подключаемся и отправляем очередь
+    global.addEventListener('online', () => {
+        clearTimeout(state.retryTimer);
+        state.retryTimer = null;
+        state.retryDelay = 0;
+        if (state.connected) {
+            flushWrites();
+        } else {
+            connect();
+        }
+    });
+    global.addEventListener('offline', () => setSyncStatus('offline'));
+    // Перед закрытием вкладки сохраняем очередь, даже если таймер записи ещё не сработал
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            persistOutbox();
+        }
+    });
+
+    loadSyncMeta();
     wrapStoragePrototypes();
-    const readyPromise = initFirebase();
+    loadOutbox().then(connect);
+    setInterval(() => {
+        if (state.connected) {
+            checkScheduledSnapshots();
+        }
+    }, SNAPSHOT_CHECK_MS);
     global.cloudStorage = {
         ready: readyPromise,
         flush: flushWrites,
+        getSyncStatus: () => state.status,
+        takeSnapshot,
+        listSnapshots,
+        restoreSnapshot,
         exportLocalState: exportLocal,
-        getCache: () => ({ ...state.cache })
+        getCache: () => ({ ...state.cache }),
+        getDeviceId: () => state.deviceId,
+        getFriendProfiles,
+        isLinkedToTelegram: () => Boolean(state.uid && state.uid.indexOf('tg_') === 0),
+        hasConflict: () => Boolean(state.conflict)
     };
 })(window);
 
@@ -0,0 +1,56 @@
+(function initGameEvents(global) {
+    'use strict';
+
+    // Шина игровых событий: игровой код сообщает, что произошло, подписчики (задания и т.п.)
+    // реагируют сами, без опроса состояния по таймеру.
+    //
+    // События и их данные:
+    //   balance.changed    { value }                       — баланс изменился (из gameState, значение bigNumber)
+    //   building.bought    { building }
+    //   building.upgraded  { building, level }
+    //   worker.hired       { building, workers }
+    //   profit.collected   { building, amount }            — игрок забрал накопленную прибыль здания
+    //   employee.hired     { employee, building }          — персонаж назначен в здание
+    //   print.completed    { books, magazines, offline }
+    //   delivery.completed { books, magazines, offline }   — товар выложен на полки библиотеки
+    //   prestige.rebirth   { rebirths, earned }
+    //   revenue.earned     { amount, offline }             — выручка библиотеки зачислена в баланс
+    //   crate.opened       { type }
+    //   character.pulled   { tier, employee, isNew, cards, guaranteed } — призыв персонажа из сейфа
+    //   referrals.updated  { count }                       — сервер сообщил число приглашённых друзей
+    const listeners = {};
+
+    function on(event, listener) {
+        if (!listeners[event]) {
+            listeners[event] = [];
+        }
+        listeners[event].push(listener);
+        return () => off(event, listener);
+    }
+
+    function off(event, listener) {
+        if (listeners[event]) {
+            listeners[event] = listeners[event].filter((entry) => entry !== listener);
+        }
+    }
+
+    function emit(event, payload) {
+        const data = payload || {};
+        const targets = (listeners[event] || []).concat(listeners['*'] || []);
+        targets.forEach((listener) => {
+            try {
+                listener(data, event);
+            } catch (error) {
+                console.error(`[game-events] Listener for ${event} failed`, error);
+            }
+        });
+    }
+
+    global.gameState.subscribe('balance', (value) => emit('balance.changed', { value }));
+
+    global.gameEvents = {
+        on,
+        off,
+        emit
+    };
+})(window);
@@ -0,0 +1,302 @@
+(function initGameState(global) {
+    'use strict';
+
+    // Схема известных ключей: тип определяет, как значение читается/пишется в localStorage.
+    // big — число масштаба idle-игры (js/services/big-number.js): обычное число или { m, e }
+    const SCHEMA = {
+        balance: { type: 'big', default: 100 },
+        credits: { type: 'int', default: 0 },
+        stars: { type: 'int', default: 0 },
+        refs: { type: 'int', default: 0 },
+        playerLevel: { type: 'int', default: 1 },
+        playerXP: { type: 'int', default: 0 },
+        buildingsData: { type: 'json', default: null },
+        hiredEmployees: { type: 'json', default: () => ({}) },
+        employees: { type: 'json', default: () => ({}) },
+        gacha: { type: 'json', default: null },
+        shop: { type: 'json', default: null },
+        printState: { type: 'json', default: null },
+        delivery_queue: { type: 'json', default: () => [] },
+        orders: { type: 'json', default: () => [] },
+        messages: { type: 'json', default: () => [] },
+        stor_up: { type: 'int', default: 0 },
+        stor_books: { type: 'int', default: 0 },
+        stor_mags: { type: 'int', default: 0 },
+        production: { type: 'json', default: null },
+        prestige: { type: 'json', default: null },
+        quests: { type: 'json', default: null },
+        achievements: { type: 'json', default: null },
+        saveVersion: { type: 'int', default: 1 },
+        lastSeenAt: { type: 'int', default: 0 }
+    };
+
+    // Семейства динамических ключей (флаги партнёрских заданий)
+    const PATTERNS = [
+        { test: /^partner_task_(completed|claimed)_/, type: 'flag', default: false }
+    ];
+
+    const RAW_FIELD = { type: 'string', default: null };
+
+    const state = {
+        cache: {},
+        pending: new Set(),
+        flushScheduled: false,
+        listeners: {},
+        activeTx: null
+    };
+
+    function fieldFor(key) {
+        if (Object.prototype.hasOwnProperty.call(SCHEMA, key)) {
+            return SCHEMA[key];
+        }
+        const pattern = PATTERNS.find((entry) => entry.test.test(key));
+        return pattern || RAW_FIELD;
+    }
+
+    function defaultFor(field) {
+        return typeof field.default === 'function' ? field.default() : field.default;
+    }
+
+    function clone(value) {
+        return value === null || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    function decode(key, raw) {
+        const field = fieldFor(key);
+        if (raw === null || raw === undefined) {
+            return defaultFor(field);
+        }
+        switch (field.type) {
+        case 'float': {
+            const value = parseFloat(raw);
+            return Number.isFinite(value) ? value : defaultFor(field);
+        }
+        case 'int': {
+            const value = parseInt(raw, 10);
+            return Number.isFinite(value) ? value : defaultFor(field);
+        }
+        case 'big':
+            try {
+                return global.bigNumber.from(raw);
+            } catch (error) {
+                return defaultFor(field);
+            }
+        case 'flag':
+            return raw === 'true';
+        case 'json':
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                console.warn(`[game-state] Cannot parse ${key}`, error);
+                return defaultFor(field);
+            }
+        default:
+            return raw;
+        }
+    }
+
+    function encode(key, value) {
+        const field = fieldFor(key);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        switch (field.type) {
+        case 'float':
+        case 'int': {
+            // Цена в общей валютной логике может прийти как значение bigNumber
+            const number = typeof value === 'object' ? global.bigNumber.toNumber(value) : Number(value);
+            if (!Number.isFinite(number)) {
+                throw new TypeError(`[game-state] Invalid number for "${key}": ${value}`);
+            }
+            return String(field.type === 'int' ? Math.trunc(number) : number);
+        }
+        case 'big':
+            try {
+                return global.bigNumber.serialize(value);
+            } catch (error) {
+                throw new TypeError(`[game-state] Invalid number for "${key}": ${JSON.stringify(value)}`);
+            }
+        case 'flag':
+            return value === true || value === 'true' ? 'true' : 'false';
+        case 'json':
+            return JSON.stringify(value);
+        default:
+            return String(value);
+        }
+    }
+
+    function readEncoded(key) {
+        if (!Object.prototype.hasOwnProperty.call(state.cache, key)) {
+            state.cache[key] = global.localStorage.getItem(key);
+        }
+        return state.cache[key];
+    }
+
+    function get(key) {
+        if (state.activeTx && Object.prototype.hasOwnProperty.call(state.activeTx.draft, key)) {
+            return decode(key, state.activeTx.draft[key]);
+        }
+        return decode(key, readEncoded(key));
+    }
+
+    function notify(changes) {
+        changes.forEach(({ key, value, previous }) => {
+            const targets = (state.listeners[key] || []).concat(state.listeners['*'] || []);
+            targets.forEach((listener) => {
+                try {
+                    listener(clone(value), key, previous);
+                } catch (error) {
+                    console.error(`[game-state] Listener for ${key} failed`, error);
+                }
+            });
+        });
+    }
+
+    function scheduleFlush() {
+        if (state.flushScheduled) {
+            return;
+        }
+        state.flushScheduled = true;
+        Promise.resolve().then(flush);
+    }
+
+    function flush() {
+        state.flushScheduled = false;
+        const keys = Array.from(state.pending);
+        state.pending.clear();
+        keys.forEach((key) => {
+            const encoded = state.cache[key];
+            if (encoded === null || encoded === undefined) {
+                global.localStorage.removeItem(key);
+            } else {
+                global.localStorage.setItem(key, encoded);
+            }
+        });
+    }
+
+    // Применяет набор закодированных значений к кэшу и планирует одну запись в хранилище
+    function commit(draft) {
+        const changes = [];
+        Object.keys(draft).forEach((key) => {
+            const previousRaw = readEncoded(key);
+            if (previousRaw === draft[key]) {
+                return;
+            }
+            const previous = decode(key, previousRaw);
+            state.cache[key] = draft[key];
+            state.pending.add(key);
+            changes.push({ key, value: decode(key, draft[key]), previous });
+        });
+        if (changes.length) {
+            scheduleFlush();
+            notify(changes);
+        }
+        return changes.length > 0;
+    }
+
+    function set(key, value) {
+        const encoded = encode(key, value);
+        if (state.activeTx) {
+            state.activeTx.draft[key] = encoded;
+            return;
+        }
+        commit({ [key]: encoded });
+    }
+
+    function remove(key) {
+        set(key, null);
+    }
+
+    // Все изменения внутри fn применяются вместе либо не применяются вовсе.
+    // fn может вернуть false, чтобы отменить транзакцию без ошибки.
+    function transaction(fn) {
+        if (state.activeTx) {
+            return fn(txApi) !== false;
+        }
+        state.activeTx = { draft: {} };
+        let result;
+        let draft;
+        try {
+            result = fn(txApi);
+            draft = state.activeTx.draft;
+        } finally {
+            state.activeTx = null;
+        }
+        if (result === false) {
+            return false;
+        }
+        commit(draft);
+        return true;
+    }
+
+    function update(key, updater) {
+        return transaction((tx) => {
+            const current = tx.get(key);
+            const next = updater(current);
+            if (next === false) {
+                return false;
+            }
+            tx.set(key, next === undefined ? current : next);
+            return true;
+        });
+    }
+
+    const txApi = {
+        get: (key) => clone(get(key)),
+        set,
+        remove
+    };
+
+    function subscribe(key, listener) {
+        if (!state.listeners[key]) {
+            state.listeners[key] = [];
+        }
+        state.listeners[key].push(listener);
+        return () => {
+            state.listeners[key] = state.listeners[key].filter((entry) => entry !== listener);
+        };
+    }
+
+    // Сбрасывает кэш для ключей, изменённых в обход стора (облако, другая вкладка)
+    function reload(keys) {
+        const list = keys ? [].concat(keys) : Object.keys(state.cache);
+        const changes = [];
+        list.forEach((key) => {
+            if (state.pending.has(key)) {
+                return;
+            }
+            const hadValue = Object.prototype.hasOwnProperty.call(state.cache, key);
+            const previousRaw = state.cache[key];
+            delete state.cache[key];
+            const nextRaw = readEncoded(key);
+            if (hadValue && previousRaw !== nextRaw) {
+                changes.push({ key, value: decode(key, nextRaw), previous: decode(key, previousRaw) });
+            }
+        });
+        notify(changes);
+    }
+
+    global.addEventListener('storage', (event) => {
+        if (event.storageArea === global.localStorage) {
+            reload(event.key ? [event.key] : null);
+        }
+    });
+    global.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flush();
+        }
+    });
+
+    global.gameState = {
+        get: (key) => clone(get(key)),
+        set,
+        remove,
+        update,
+        transaction,
+        subscribe,
+        reload,
+        flush,
+        schema: SCHEMA
+    };
+})(window);
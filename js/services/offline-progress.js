@@ -0,0 +1,398 @@
+(function initOfflineProgress(global) {
+    'use strict';
+
+    const HOUR_MS = 60 * 60 * 1000;
+    const LAST_SEEN_KEY = 'lastSeenAt';
+    const HEARTBEAT_MS = 30 * 1000;
+    const MIN_REPORT_MS = 5 * 60 * 1000;
+
+    const CONFIG = {
+        // Сколько часов пассивного дохода начисляется за одно отсутствие
+        capHours: 8,
+        workerBonus: 0.2,
+        storageBaseCapacity: 1000,
+        storagePerUpgrade: 500
+    };
+
+    // Результат и длительность одного тиража (производственный модуль типографии в реестре зданий)
+    const PRINT_MODULE = (global.buildingRegistry.findByProduction('print') || { production: {} }).production;
+    const PRINT_OUTPUT = Object.assign({ books: 0, magazines: 0 }, PRINT_MODULE.output);
+    const PRINT_DURATION_MINUTES = PRINT_MODULE.durationMinutes || 30;
+
+    let lastReport = null;
+
+    // type — id здания в реестре: по нему учитывается назначенный сотрудник (employeeRoster).
+    // from/to — период начисления: бонус сотрудника усредняется по его сменам и усталости за период
+    function getHourlyIncome(building, type, from, to) {
+        if (!building || !building.isOwned) {
+            return 0;
+        }
+        const workers = typeof building.workers === 'number' ? building.workers : 0;
+        const income = typeof building.income === 'number' ? building.income : 0;
+        const employee = type ? global.employeeRoster.getIncomeMultiplier(type, from, to) : 1;
+        return income * (1 + workers * CONFIG.workerBonus) * employee * global.prestige.getIncomeMultiplier();
+    }
+
+    // Прибыль здания на момент now без изменения данных
+    function calculateBuildingProfit(building, now, type) {
+        if (!building || !building.isOwned || !building.lastCollectTime) {
+            return 0;
+        }
+        const hours = Math.max(0, now - building.lastCollectTime) / HOUR_MS;
+        return Math.floor((building.accumulatedProfit || 0) + getHourlyIncome(building, type, building.lastCollectTime, now) * hours);
+    }
+
+    // Переносит доход до момента now в accumulatedProfit. Время после accrueUntil не оплачивается.
+    function accrueBuilding(building, now, accrueUntil, type) {
+        if (!building || !building.isOwned || !building.lastCollectTime) {
+            return 0;
+        }
+        const end = typeof accrueUntil === 'number' ? Math.min(now, accrueUntil) : now;
+        const hours = Math.max(0, end - building.lastCollectTime) / HOUR_MS;
+        const earned = getHourlyIncome(building, type, building.lastCollectTime, end) * hours;
+        building.accumulatedProfit = (building.accumulatedProfit || 0) + earned;
+        building.lastCollectTime = now;
+        return earned;
+    }
+
+    function getStorageCapacity(upgrades) {
+        return CONFIG.storageBaseCapacity + (upgrades || 0) * CONFIG.storagePerUpgrade;
+    }
+
+    // Детерминированная симуляция отсутствия: одинаковый снимок и now дают одинаковый результат.
+    // Пассивный доход и производственная цепочка ограничены capHours; уже оплаченные тиражи
+    // и доставки завершаются всегда. Между событиями (конец тиража, прибытие доставки) цепочка
+    // продвигается непрерывно, поэтому полки пополняются в тот момент, когда доставка бы пришла.
+    function simulate(snapshot, now) {
+        const chain = global.productionChain;
+        const result = {
+            buildingsData: snapshot.buildingsData ? JSON.parse(JSON.stringify(snapshot.buildingsData)) : null,
+            printState: snapshot.printState ? { ...snapshot.printState } : null,
+            deliveryQueue: (snapshot.deliveryQueue || []).map((order) => ({ ...order })),
+            books: snapshot.books || 0,
+            magazines: snapshot.magazines || 0,
+            balance: global.bigNumber.from(snapshot.balance || 0),
+            production: Object.assign({}, snapshot.production)
+        };
+        const elapsed = Math.max(0, now - snapshot.lastSeenAt);
+        const capMs = CONFIG.capHours * HOUR_MS;
+        const report = {
+            awayMs: elapsed,
+            capped: elapsed > capMs,
+            capHours: CONFIG.capHours,
+            buildings: [],
+            print: null,
+            deliveries: [],
+            production: { paperMade: 0, sold: 0, lent: 0, revenue: 0 },
+            totalMoney: 0
+        };
+        const accrueUntil = snapshot.lastSeenAt + capMs;
+
+        if (result.buildingsData) {
+            Object.keys(result.buildingsData).forEach((type) => {
+                const earned = accrueBuilding(result.buildingsData[type], now, accrueUntil, type);
+                if (earned > 0) {
+                    report.buildings.push({ type, name: global.buildingRegistry.getName(type), profit: Math.floor(earned) });
+                }
+            });
+        }
+
+        const events = [];
+        const print = result.printState;
+        if (print && print.isPrinting && print.printStartTime) {
+            const finishAt = print.printStartTime + (print.printTotalTime || PRINT_DURATION_MINUTES) * 60 * 1000;
+            if (finishAt <= now) {
+                events.push({ at: finishAt, apply: () => finishPrint(print) });
+            }
+        }
+        result.deliveryQueue = result.deliveryQueue.filter((order) => {
+            const arriveAt = order.startTime + order.duration;
+            if (arriveAt > now) {
+                return true;
+            }
+            events.push({ at: arriveAt, apply: () => finishDelivery(order) });
+            return false;
+        });
+        events.sort((a, b) => a.at - b.at);
+
+        function finishPrint(state) {
+            const capacity = getStorageCapacity(snapshot.storageUpgrades);
+            const freeForBooks = Math.max(0, capacity - result.books - result.magazines);
+            const books = Math.min(PRINT_OUTPUT.books, freeForBooks);
+            const magazines = Math.min(PRINT_OUTPUT.magazines, freeForBooks - books);
+            result.books += books;
+            result.magazines += magazines;
+            result.printState = { ...state, isPrinting: false, printStartTime: null, isExpedited: false };
+            report.print = {
+                books,
+                magazines,
+                lost: (PRINT_OUTPUT.books - books) + (PRINT_OUTPUT.magazines - magazines)
+            };
+        }
+
+        function finishDelivery(order) {
+            const received = chain.receiveDelivery(result.production, result.buildingsData, order);
+            result.production = received.state;
+            result.books += received.returned.books;
+            result.magazines += received.returned.magazines;
+            report.deliveries.push({
+                id: order.id,
+                books: received.placed.books,
+                magazines: received.placed.magazines,
+                returned: received.returned.books + received.returned.magazines
+            });
+        }
+
+        // Цепочка без отметки времени начинает отсчёт с момента ухода
+        let cursor = result.production.lastTickAt || snapshot.lastSeenAt;
+        function advanceChain(to) {
+            const until = Math.min(to, accrueUntil);
+            if (until <= cursor) {
+                return;
+            }
+            const step = chain.advance(result.production, result.buildingsData, cursor, until);
+            result.production = step.state;
+            Object.keys(report.production).forEach((key) => {
+                report.production[key] += step.outcome[key];
+            });
+            cursor = until;
+        }
+
+        events.forEach((event) => {
+            advanceChain(event.at);
+            event.apply();
+        });
+        advanceChain(now);
+        result.production.lastTickAt = now;
+        result.balance = global.bigNumber.add(result.balance, report.production.revenue);
+
+        report.totalMoney = report.buildings.reduce((sum, entry) => sum + entry.profit, 0)
+            + report.production.revenue;
+        return { result, report };
+    }
+
+    function readSnapshot(lastSeenAt) {
+        return {
+            lastSeenAt,
+            buildingsData: global.gameState.get('buildingsData'),
+            printState: global.gameState.get('printState'),
+            deliveryQueue: global.gameState.get('delivery_queue'),
+            books: global.gameState.get('stor_books'),
+            magazines: global.gameState.get('stor_mags'),
+            storageUpgrades: global.gameState.get('stor_up'),
+            balance: global.gameState.get('balance'),
+            production: global.gameState.get('production')
+        };
+    }
+
+    function catchUp(now) {
+        const lastSeenAt = global.gameState.get(LAST_SEEN_KEY);
+        if (!lastSeenAt) {
+            global.gameState.set(LAST_SEEN_KEY, now);
+            return null;
+        }
+        const { result, report } = simulate(readSnapshot(lastSeenAt), now);
+        global.gameState.transaction((tx) => {
+            if (result.buildingsData) {
+                tx.set('buildingsData', result.buildingsData);
+            }
+            tx.set('printState', result.printState);
+            tx.set('delivery_queue', result.deliveryQueue);
+            tx.set('stor_books', result.books);
+            tx.set('stor_mags', result.magazines);
+            tx.set('balance', result.balance);
+            tx.set('production', result.production);
+            tx.set(LAST_SEEN_KEY, now);
+        });
+        // Завершённые за время отсутствия тиражи и рейсы засчитываются как обычные события
+        if (report.print) {
+            global.gameEvents.emit('print.completed', { books: report.print.books, magazines: report.print.magazines, offline: true });
+        }
+        report.deliveries.forEach((entry) => {
+            global.gameEvents.emit('delivery.completed', { books: entry.books, magazines: entry.magazines, offline: true });
+        });
+        if (report.production.revenue > 0) {
+            global.gameEvents.emit('revenue.earned', { amount: report.production.revenue, offline: true });
+        }
+        return report;
+    }
+
+    function heartbeat() {
+        global.gameState.set(LAST_SEEN_KEY, Date.now());
+    }
+
+    function hasSomethingToReport(report) {
+        return report
+            && report.awayMs >= MIN_REPORT_MS
+            && (report.totalMoney > 0 || report.print || report.deliveries.length > 0 || report.production.paperMade > 0);
+    }
+
+    function formatAway(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        if (hours >= 24) {
+            return `${Math.floor(hours / 24)} д. ${hours % 24} ч.`;
+        }
+        if (hours > 0) {
+            return `${hours} ч. ${minutes % 60} мин.`;
+        }
+        return `${minutes} мин.`;
+    }
+
+    function formatMoney(amount) {
+        return global.bigNumber.format(amount);
+    }
+
+    function translate(key, fallback) {
+        return typeof global.t === 'function' ? global.t(key) : fallback;
+    }
+
+    function showReport(report) {
+        if (!hasSomethingToReport(report) || document.getElementById('offline-report-overlay')) {
+            return;
+        }
+        const rowStyle = 'display:flex;justify-content:space-between;align-items:center;gap:8px;margin:6px 0;padding:8px 12px;background:rgba(255,255,255,0.1);border-radius:8px;border:1px solid rgba(255,255,255,0.2);font-size:14px;color:#fff;';
+        let rowsHTML = report.buildings.map((entry) => `
+            <div style="${rowStyle}">
+                <span>${entry.name}</span>
+                <span style="font-weight:700;">+${formatMoney(entry.profit)} <img src="assets/svg/money-icon.svg" style="width:14px;height:14px;vertical-align:middle;" alt="money"></span>
+            </div>`).join('');
+        if (report.print) {
+            const lostText = report.print.lost > 0
+                ? `<div style="font-size:11px;color:#ffab91;margin-top:2px;">Не поместилось в хранилище: ${report.print.lost}</div>`
+                : '';
+            rowsHTML += `
+            <div style="${rowStyle}flex-direction:column;align-items:stretch;">
+                <div style="display:flex;justify-content:space-between;"><span>🖨️ Тираж напечатан</span><span style="font-weight:700;">${report.print.books} книг, ${report.print.magazines} журналов</span></div>
+                ${lostText}
+            </div>`;
+        }
+        if (report.deliveries.length) {
+            const placed = report.deliveries.reduce((sum, entry) => sum + entry.books + entry.magazines, 0);
+            const returned = report.deliveries.reduce((sum, entry) => sum + entry.returned, 0);
+            const returnedText = returned > 0
+                ? `<div style="font-size:11px;color:#ffab91;margin-top:2px;">Не поместилось на полки и вернулось в хранилище: ${returned}</div>`
+                : '';
+            rowsHTML += `
+            <div style="${rowStyle}flex-direction:column;align-items:stretch;">
+                <div style="display:flex;justify-content:space-between;"><span>📦 Доставок завершено: ${report.deliveries.length}</span><span style="font-weight:700;">${placed} шт. на полки</span></div>
+                ${returnedText}
+            </div>`;
+        }
+        const production = report.production;
+        if (production.paperMade > 0) {
+            rowsHTML += `
+            <div style="${rowStyle}">
+                <span>🏭 Бумаги сделано</span>
+                <span style="font-weight:700;">${production.paperMade}</span>
+            </div>`;
+        }
+        if (production.revenue > 0) {
+            rowsHTML += `
+            <div style="${rowStyle}flex-direction:column;align-items:stretch;">
+                <div style="display:flex;justify-content:space-between;"><span>📚 Выручка библиотеки</span><span style="font-weight:700;">+${formatMoney(production.revenue)} <img src="assets/svg/money-icon.svg" style="width:14px;height:14px;vertical-align:middle;" alt="money"></span></div>
+                <div style="font-size:11px;color:rgba(255,255,255,0.7);margin-top:2px;">Продано журналов: ${production.sold}, выдано книг: ${production.lent}</div>
+            </div>`;
+        }
+        const capText = report.capped
+            ? `<div style="font-size:11px;color:rgba(255,255,255,0.7);margin-bottom:8px;">Доход зданий и производство учтены за первые ${report.capHours} ч.</div>`
+            : '';
+
+        const overlay = document.createElement('div');
+        overlay.id = 'offline-report-overlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:10050;';
+        overlay.innerHTML = `
+            <div style="
+                background: linear-gradient(135deg, #2d6a4f 0%, #1b4332 100%);
+                padding: 24px 24px;
+                border-radius: 16px;
+                text-align: center;
+                animation: purchasePop 0.5s ease-out;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+                border: 2px solid rgba(255,255,255,0.1);
+                max-width: 340px;
+                width: 90%;
+            ">
+                <h3 style="margin:0 0 6px;font-size:22px;font-weight:700;color:#fff;text-shadow:0 2px 4px rgba(0,0,0,0.3);">
+                    ${translate('welcome_back', 'С ВОЗВРАЩЕНИЕМ!')}
+                </h3>
+                <div style="font-size:12px;color:rgba(255,255,255,0.8);margin-bottom:4px;">Вас не было ${formatAway(report.awayMs)}</div>
+                ${capText}
+                <div style="font-size:13px;color:#fff;margin:8px 0;">${translate('offline_earnings', 'В твоё отсутствие заработок составил:')}</div>
+                <div style="margin-bottom:12px;">${rowsHTML}</div>
+                <div style="font-size:18px;font-weight:700;color:#fff;margin-bottom:16px;">
+                    +${formatMoney(report.totalMoney)} <img src="assets/svg/money-icon.svg" style="width:18px;height:18px;vertical-align:middle;" alt="money">
+                </div>
+                <button id="offline-report-ok" style="
+                    background: linear-gradient(135deg, #4caf50 0%, #45a049 100%);
+                    border: none;
+                    border-radius: 12px;
+                    color: #fff;
+                    font-size: 16px;
+                    font-weight: 600;
+                    padding: 12px 32px;
+                    cursor: pointer;
+                    box-shadow: 0 4px 12px rgba(76,175,80,0.3);
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                ">${translate('collect', 'ПОЛУЧИТЬ')}</button>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        overlay.querySelector('#offline-report-ok').onclick = () => {
+            overlay.remove();
+            if (global.updateProfitIndicators) {
+                global.updateProfitIndicators();
+            }
+        };
+    }
+
+    // Показываем отчёт после экрана загрузки, чтобы он не прятался под ним
+    function scheduleReport(report) {
+        if (!hasSomethingToReport(report)) {
+            return;
+        }
+        document.addEventListener('DOMContentLoaded', () => {
+            const loader = global.GameLoader;
+            if (!loader || typeof loader.hide !== 'function') {
+                showReport(report);
+                return;
+            }
+            const originalHide = loader.hide;
+            loader.hide = function hideAndReport() {
+                const value = originalHide.apply(this, arguments);
+                loader.hide = originalHide;
+                setTimeout(() => showReport(report), 300);
+                return value;
+            };
+        });
+    }
+
+    function configure(options) {
+        Object.assign(CONFIG, options || {});
+        return { ...CONFIG };
+    }
+
+    lastReport = catchUp(Date.now());
+    scheduleReport(lastReport);
+
+    setInterval(heartbeat, HEARTBEAT_MS);
+    global.addEventListener('pagehide', heartbeat);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            heartbeat();
+        }
+    });
+
+    global.offlineProgress = {
+        PRINT_OUTPUT,
+        configure,
+        simulate,
+        getHourlyIncome,
+        calculateBuildingProfit,
+        accrueBuilding,
+        getStorageCapacity,
+        getLastReport: () => lastReport,
+        showReport
+    };
+})(window);
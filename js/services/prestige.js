@@ -0,0 +1,382 @@
+(function initPrestige(global) {
+    'use strict';
+
+    // Перерождение: когда все здания куплены и улучшены до максимума, игрок сбрасывает здания,
+    // баланс и хранилище и получает золотые перья — постоянную валюту для глобальных бонусов.
+    // Уровень игрока, сотрудники и задания при перерождении сохраняются.
+    const STATE_KEY = 'prestige';
+
+    const CONFIG = {
+        basePoints: 5,
+        // +1 перо за каждую ступень баланса по корню: 100k → 1, 400k → 2, 900k → 3…
+        balanceStep: 100000,
+        levelsPerPoint: 10
+    };
+
+    // Постоянные бонусы. Стоимость уровня = cost.base * cost.growth^уровень
+    const UPGRADES = [
+        {
+            id: 'income',
+            icon: '💰',
+            title: 'Доход зданий',
+            description: '+10% к доходу всех зданий за уровень',
+            cost: { base: 1, growth: 2 },
+            maxLevel: 20,
+            effect: 0.1
+        },
+        {
+            id: 'speed',
+            icon: '⚡',
+            title: 'Быстрая печать и доставка',
+            description: '−10% времени тиража и рейса почты за уровень',
+            cost: { base: 2, growth: 2 },
+            maxLevel: 5,
+            effect: 0.1
+        },
+        {
+            id: 'workers',
+            icon: '👷',
+            title: 'Дополнительный работник',
+            description: '+1 место для работника в каждом здании за уровень',
+            cost: { base: 3, growth: 3 },
+            maxLevel: 3,
+            effect: 1
+        }
+    ];
+
+    const upgradesById = {};
+    UPGRADES.forEach((upgrade) => {
+        upgradesById[upgrade.id] = upgrade;
+    });
+
+    function createEmptyState() {
+        return {
+            points: 0,
+            totalEarned: 0,
+            rebirths: 0,
+            upgrades: {},
+            lastRebirthAt: null
+        };
+    }
+
+    function normalize(state) {
+        const next = Object.assign(createEmptyState(), state || {});
+        next.upgrades = Object.assign({}, next.upgrades);
+        return next;
+    }
+
+    function getState() {
+        return normalize(global.gameState.get(STATE_KEY));
+    }
+
+    function getUpgradeLevel(id, state) {
+        const source = state || getState();
+        return source.upgrades[id] || 0;
+    }
+
+    // Стоимость следующего уровня бонуса или null на максимуме
+    function getUpgradeCost(id, state) {
+        const upgrade = upgradesById[id];
+        if (!upgrade) {
+            return null;
+        }
+        const level = getUpgradeLevel(id, state);
+        if (level >= upgrade.maxLevel) {
+            return null;
+        }
+        return Math.round(upgrade.cost.base * Math.pow(upgrade.cost.growth, level));
+    }
+
+    function getIncomeMultiplier() {
+        return 1 + getUpgradeLevel('income') * upgradesById.income.effect;
+    }
+
+    function getSpeedFactor() {
+        return Math.max(0.1, 1 - getUpgradeLevel('speed') * upgradesById.speed.effect);
+    }
+
+    // Длительность тиража или рейса с учётом бонуса скорости, в минутах
+    function applySpeed(minutes) {
+        return Math.max(1, Math.round(minutes * getSpeedFactor()));
+    }
+
+    function getExtraWorkerSlots(state) {
+        return getUpgradeLevel('workers', state) * upgradesById.workers.effect;
+    }
+
+    function getWorkerSlots(buildingId, state) {
+        const definition = global.buildingRegistry.get(buildingId);
+        return definition ? definition.workers.slots + getExtraWorkerSlots(state) : 0;
+    }
+
+    // Прогресс к перерождению: каждое здание из реестра куплено и на максимальном уровне
+    function getRequirements(buildingsData) {
+        const data = buildingsData || global.gameState.get('buildingsData') || {};
+        const buildings = global.buildingRegistry.list().map((definition) => {
+            const building = data[definition.id];
+            return {
+                id: definition.id,
+                name: definition.name,
+                icon: definition.icon,
+                isOwned: Boolean(building && building.isOwned),
+                level: building ? building.level || 1 : 1,
+                maxLevel: definition.upgrade.maxLevel,
+                done: Boolean(building && building.isOwned && global.buildingRegistry.isMaxLevel(definition.id, building))
+            };
+        });
+        return {
+            ready: buildings.every((entry) => entry.done),
+            buildings
+        };
+    }
+
+    function previewPoints() {
+        const big = global.bigNumber;
+        // Баланс может быть больше 1e308: доля ограничена, чтобы перья остались конечным числом
+        const steps = big.toNumber(big.div(big.max(0, global.gameState.get('balance')), CONFIG.balanceStep));
+        const playerLevel = global.gameState.get('playerLevel');
+        return CONFIG.basePoints
+            + Math.floor(Math.sqrt(Math.min(steps, Number.MAX_VALUE)))
+            + Math.floor(playerLevel / CONFIG.levelsPerPoint);
+    }
+
+    // Сбрасывает прогресс и начисляет перья. Возвращает число полученных перьев или 0.
+    function rebirth() {
+        let earned = 0;
+        // Перерождение сбрасывает прогресс: сначала облачная копия, чтобы его можно было вернуть
+        if (getRequirements(global.gameState.get('buildingsData')).ready && global.cloudStorage) {
+            global.cloudStorage.takeSnapshot('prestige').catch((error) => {
+                console.warn('[prestige] Snapshot before rebirth failed', error);
+            });
+        }
+        const applied = global.gameState.transaction((tx) => {
+            if (!getRequirements(tx.get('buildingsData')).ready) {
+                return false;
+            }
+            earned = previewPoints();
+            const state = normalize(tx.get(STATE_KEY));
+            state.points += earned;
+            state.totalEarned += earned;
+            state.rebirths += 1;
+            state.lastRebirthAt = Date.now();
+
+            const buildings = global.buildingRegistry.createDefaultBuildingsData();
+            Object.keys(buildings).forEach((id) => {
+                buildings[id].maxWorkers = getWorkerSlots(id, state);
+            });
+
+            tx.set(STATE_KEY, state);
+            tx.set('buildingsData', buildings);
+            tx.set('balance', global.gameState.schema.balance.default);
+            tx.set('stor_books', 0);
+            tx.set('stor_mags', 0);
+            tx.set('stor_up', 0);
+            tx.remove('printState');
+            tx.set('delivery_queue', []);
+            tx.remove('production');
+            return true;
+        });
+        if (!applied) {
+            return 0;
+        }
+        const rebirths = getState().rebirths;
+        global.gameEvents.emit('prestige.rebirth', { rebirths, earned });
+        return earned;
+    }
+
+    // Покупает уровень бонуса за перья. Места для работников сразу добавляются всем зданиям.
+    function buyUpgrade(id) {
+        return global.gameState.transaction((tx) => {
+            const state = normalize(tx.get(STATE_KEY));
+            const cost = getUpgradeCost(id, state);
+            if (cost === null || state.points < cost) {
+                return false;
+            }
+            state.points -= cost;
+            state.upgrades[id] = getUpgradeLevel(id, state) + 1;
+            tx.set(STATE_KEY, state);
+
+            if (id === 'workers') {
+                const buildings = tx.get('buildingsData');
+                if (buildings) {
+                    Object.keys(buildings).forEach((buildingId) => {
+                        if (global.buildingRegistry.has(buildingId)) {
+                            buildings[buildingId].maxWorkers = getWorkerSlots(buildingId, state);
+                        }
+                    });
+                    tx.set('buildingsData', buildings);
+                }
+            }
+            return true;
+        });
+    }
+
+    function notify(message, type) {
+        if (typeof global.showNotification === 'function') {
+            global.showNotification(message, type);
+        }
+    }
+
+    function renderRequirements(requirements) {
+        return requirements.buildings.map((entry) => {
+            const status = entry.isOwned ? `Ур. ${entry.level}/${entry.maxLevel}` : 'Не куплено';
+            return `
+                <div style="display:flex;justify-content:space-between;align-items:center;font-size:11px;padding:4px 0;color:${entry.done ? '#4caf50' : 'rgba(255,255,255,0.7)'};">
+                    <span>${entry.done ? '✓' : '○'} ${entry.icon} ${entry.name}</span>
+                    <span>${status}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function renderUpgrade(upgrade, state) {
+        const level = getUpgradeLevel(upgrade.id, state);
+        const cost = getUpgradeCost(upgrade.id, state);
+        const canBuy = cost !== null && state.points >= cost;
+        const buttonText = cost === null ? 'Макс.' : `${cost} ✒️`;
+        return `
+            <div style="background:rgba(255,255,255,0.06);border-radius:12px;padding:10px;border:1px solid rgba(255,255,255,0.1);display:flex;align-items:center;gap:10px;">
+                <div style="font-size:22px;">${upgrade.icon}</div>
+                <div style="flex:1;">
+                    <div style="font-size:12px;font-weight:700;color:#fff;">${upgrade.title} <span style="color:rgba(255,255,255,0.6);font-weight:400;">${level}/${upgrade.maxLevel}</span></div>
+                    <div style="font-size:10px;color:rgba(255,255,255,0.6);">${upgrade.description}</div>
+                </div>
+                <button data-prestige-upgrade="${upgrade.id}" ${canBuy ? '' : 'disabled'} style="background:${canBuy ? '#fff' : 'rgba(255,255,255,0.2)'};color:${canBuy ? '#000' : 'rgba(255,255,255,0.6)'};border:none;border-radius:16px;padding:6px 10px;font-size:11px;font-weight:600;cursor:${canBuy ? 'pointer' : 'not-allowed'};white-space:nowrap;">${buttonText}</button>
+            </div>
+        `;
+    }
+
+    function renderPanelBody() {
+        const state = getState();
+        const requirements = getRequirements();
+        const points = previewPoints();
+        const incomeBonus = Math.round((getIncomeMultiplier() - 1) * 100);
+        const speedBonus = Math.round((1 - getSpeedFactor()) * 100);
+        return `
+            <div style="display:flex;gap:8px;margin-bottom:12px;">
+                <div style="flex:1;background:rgba(255,255,255,0.06);border-radius:12px;padding:8px;text-align:center;">
+                    <div style="font-size:10px;color:rgba(255,255,255,0.6);">Золотые перья</div>
+                    <div style="font-size:18px;font-weight:700;color:#ffd54f;">✒️ ${state.points}</div>
+                </div>
+                <div style="flex:1;background:rgba(255,255,255,0.06);border-radius:12px;padding:8px;text-align:center;">
+                    <div style="font-size:10px;color:rgba(255,255,255,0.6);">Перерождений</div>
+                    <div style="font-size:18px;font-weight:700;color:#fff;">${state.rebirths}</div>
+                </div>
+            </div>
+            <div style="font-size:10px;color:rgba(255,255,255,0.7);margin-bottom:12px;text-align:center;">
+                Доход +${incomeBonus}% · Печать и доставка −${speedBonus}% · Работники +${getExtraWorkerSlots(state)}
+            </div>
+            <div style="background:rgba(255,255,255,0.04);border-radius:12px;padding:10px;margin-bottom:12px;border:1px solid rgba(255,255,255,0.1);">
+                <div style="font-size:12px;font-weight:700;color:#fff;margin-bottom:4px;">Условия перерождения</div>
+                ${renderRequirements(requirements)}
+                <div style="font-size:10px;color:rgba(255,255,255,0.6);margin-top:6px;">Сбрасываются здания, баланс и хранилище. Уровень, сотрудники и задания остаются.</div>
+            </div>
+            <button id="prestige-rebirth-btn" ${requirements.ready ? '' : 'disabled'} style="width:100%;background:${requirements.ready ? 'linear-gradient(135deg,#ffd54f 0%,#ffb300 100%)' : 'rgba(255,255,255,0.15)'};border:none;border-radius:12px;padding:10px;color:${requirements.ready ? '#000' : 'rgba(255,255,255,0.6)'};font-size:13px;font-weight:700;cursor:${requirements.ready ? 'pointer' : 'not-allowed'};margin-bottom:14px;">
+                Переродиться: +${points} ✒️
+            </button>
+            <div style="font-size:12px;font-weight:700;color:#fff;margin-bottom:8px;">Постоянные бонусы</div>
+            <div style="display:flex;flex-direction:column;gap:8px;">
+                ${UPGRADES.map((upgrade) => renderUpgrade(upgrade, state)).join('')}
+            </div>
+        `;
+    }
+
+    function bindPanel(overlay) {
+        const rebirthBtn = overlay.querySelector('#prestige-rebirth-btn');
+        if (rebirthBtn) {
+            rebirthBtn.onclick = () => {
+                if (!confirm('⚠️ Здания, баланс и хранилище будут сброшены. Переродиться?')) {
+                    return;
+                }
+                const earned = rebirth();
+                if (!earned) {
+                    notify('❌ Все здания должны быть куплены и улучшены до максимума!', 'error');
+                    return;
+                }
+                notify(`✒️ Перерождение! Получено золотых перьев: ${earned}`, 'success');
+                // Здания, печать и доставка держат состояние в памяти — перезапускаем игру с новым сейвом
+                setTimeout(() => {
+                    global.location.reload();
+                }, 1000);
+            };
+        }
+        overlay.querySelectorAll('[data-prestige-upgrade]').forEach((button) => {
+            button.onclick = () => {
+                const upgrade = upgradesById[button.getAttribute('data-prestige-upgrade')];
+                if (buyUpgrade(upgrade.id)) {
+                    notify(`${upgrade.icon} ${upgrade.title}: уровень ${getUpgradeLevel(upgrade.id)}`, 'success');
+                } else {
+                    notify('❌ Недостаточно золотых перьев!', 'error');
+                }
+            };
+        });
+    }
+
+    function openPanel() {
+        closePanel();
+        const overlay = document.createElement('div');
+        overlay.id = 'prestige-overlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2100;font-family:\'Segoe UI\',Arial,sans-serif;';
+        overlay.innerHTML = `
+            <div style="width:90%;max-width:380px;max-height:80vh;overflow-y:auto;background:linear-gradient(135deg,rgba(20,20,20,0.95) 0%,rgba(40,40,40,0.95) 100%);border-radius:20px;padding:16px;border:1px solid rgba(255,255,255,0.1);box-shadow:0 25px 50px rgba(0,0,0,0.6);position:relative;">
+                <button id="prestige-close" style="position:absolute;top:12px;right:12px;background:rgba(255,255,255,0.1);border:none;color:#fff;font-size:14px;cursor:pointer;width:28px;height:28px;border-radius:6px;">✕</button>
+                <div style="font-size:17px;font-weight:600;color:#fff;margin-bottom:4px;">Перерождение</div>
+                <div style="font-size:11px;color:rgba(255,255,255,0.6);margin-bottom:12px;">Начните заново с постоянными бонусами</div>
+                <div id="prestige-body">${renderPanelBody()}</div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        overlay.querySelector('#prestige-close').onclick = closePanel;
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                closePanel();
+            }
+        });
+        bindPanel(overlay);
+    }
+
+    function closePanel() {
+        const overlay = document.getElementById('prestige-overlay');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+
+    function refreshOpenPanel() {
+        const overlay = document.getElementById('prestige-overlay');
+        const body = document.getElementById('prestige-body');
+        if (overlay && body) {
+            body.innerHTML = renderPanelBody();
+            bindPanel(overlay);
+        }
+    }
+
+    ['prestige', 'buildingsData', 'balance'].forEach((key) => {
+        global.gameState.subscribe(key, refreshOpenPanel);
+    });
+
+    function configure(options) {
+        Object.assign(CONFIG, options || {});
+        return { ...CONFIG };
+    }
+
+    global.prestige = {
+        STATE_KEY,
+        UPGRADES,
+        configure,
+        getState,
+        getUpgradeLevel,
+        getUpgradeCost,
+        getIncomeMultiplier,
+        getSpeedFactor,
+        applySpeed,
+        getWorkerSlots,
+        getRequirements,
+        previewPoints,
+        rebirth,
+        buyUpgrade,
+        openPanel,
+        closePanel
+    };
+    global.openPrestigePanel = openPanel;
+})(window);
@@ -0,0 +1,558 @@
+(function initProductionChain(global) {
+    'use strict';
+
+    // Производственная цепочка: завод делает бумагу → типография печатает из неё книги и журналы
+    // в хранилище → почта везёт их на полки библиотеки → библиотека продаёт журналы и даёт книги напрокат.
+    // Параметры звеньев лежат в production-модулях реестра зданий, состояние буферов — в ключе production.
+    const STATE_KEY = 'production';
+    const HOUR_MS = 60 * 60 * 1000;
+    const TICK_MS = 15 * 1000;
+    // Даже без целых изменений сохраняем остатки не реже, чем раз в этот интервал
+    const IDLE_SAVE_MS = 5 * 60 * 1000;
+    // Разрыв между тиками больше этого считаем сном устройства и не оплачиваем
+    const MAX_TICK_GAP_MS = 8 * HOUR_MS;
+    const WORKER_BONUS = 0.2;
+
+    const LINKS = [
+        { module: 'paper', icon: '🏭', title: 'Бумага' },
+        { module: 'print', icon: '🖨️', title: 'Печать' },
+        { module: 'delivery', icon: '📮', title: 'Доставка' },
+        { module: 'shelves', icon: '📚', title: 'Продажи и прокат' }
+    ];
+
+    const STATUS_TEXT = {
+        locked: 'Здание не куплено',
+        working: 'Работает',
+        idle: 'Простаивает',
+        starved: 'Нет сырья',
+        blocked: 'Выход заполнен'
+    };
+
+    const STATUS_COLORS = {
+        locked: 'rgba(255,255,255,0.4)',
+        working: '#4caf50',
+        idle: '#ffc107',
+        starved: '#ff7043',
+        blocked: '#ff7043'
+    };
+
+    function createEmptyState() {
+        return {
+            paper: 0,
+            paperCarry: 0,
+            shelfBooks: 0,
+            shelfMags: 0,
+            bookWear: 0,
+            customerCarry: 0,
+            revenueTotal: 0,
+            lastTickAt: 0
+        };
+    }
+
+    function normalize(state) {
+        return Object.assign(createEmptyState(), state || {});
+    }
+
+    function getState() {
+        return normalize(global.gameState.get(STATE_KEY));
+    }
+
+    function getModule(module) {
+        const definition = global.buildingRegistry.findByProduction(module);
+        return definition ? { id: definition.id, config: definition.production } : null;
+    }
+
+    function levelOf(building) {
+        return building && building.level ? building.level : 1;
+    }
+
+    // Множитель скорости звена: уровень здания и работники
+    function speedFactor(building, config) {
+        const workers = building && typeof building.workers === 'number' ? building.workers : 0;
+        return (1 + (levelOf(building) - 1) * (config.perLevel || 0)) * (1 + workers * WORKER_BONUS);
+    }
+
+    // Пропускная способность и ёмкость звеньев при текущих уровнях зданий.
+    // Всё измеряется в изделиях (1 изделие = paperPerItem бумаги) в час.
+    function getLinkStats(buildingsData) {
+        const data = buildingsData || {};
+        const stats = {};
+
+        const paper = getModule('paper');
+        if (paper) {
+            const building = data[paper.id];
+            const perHour = paper.config.perHour * speedFactor(building, paper.config) * global.employeeRoster.getOutputMultiplier(paper.id);
+            stats.paper = {
+                building: paper.id,
+                active: Boolean(building && building.isOwned),
+                perHour,
+                capacity: paper.config.buffer + (levelOf(building) - 1) * paper.config.bufferPerLevel
+            };
+        }
+
+        const print = getModule('print');
+        if (print) {
+            const building = data[print.id];
+            const durationMinutes = global.employeeRoster.applySpeed(print.id, global.prestige.applySpeed(print.config.durationMinutes));
+            const output = print.config.output || { books: 0, magazines: 0 };
+            const itemsPerRun = (output.books || 0) + (output.magazines || 0);
+            const paperPerRun = itemsPerRun * (print.config.paperPerItem || 0);
+            stats.print = {
+                building: print.id,
+                active: Boolean(building && building.isOwned),
+                itemsPerRun,
+                paperPerRun,
+                durationMinutes,
+                perHour: itemsPerRun * 60 / durationMinutes
+            };
+        }
+
+        const delivery = getModule('delivery');
+        if (delivery) {
+            const building = data[delivery.id];
+            const tripCapacity = delivery.config.tripCapacity + (levelOf(building) - 1) * delivery.config.tripPerLevel;
+            const durationMinutes = global.employeeRoster.applySpeed(delivery.id, global.prestige.applySpeed(delivery.config.durationMinutes));
+            stats.delivery = {
+                building: delivery.id,
+                active: Boolean(building && building.isOwned),
+                tripCapacity,
+                durationMinutes,
+                perHour: tripCapacity * 60 / durationMinutes
+            };
+        }
+
+        const shelves = getModule('shelves');
+        if (shelves) {
+            const building = data[shelves.id];
+            const config = shelves.config;
+            const customersPerHour = config.customersPerHour * speedFactor(building, config) * global.employeeRoster.getOutputMultiplier(shelves.id);
+            stats.shelves = {
+                building: shelves.id,
+                active: Boolean(building && building.isOwned),
+                capacity: config.shelf + (levelOf(building) - 1) * config.shelfPerLevel,
+                customersPerHour,
+                // Половина посетителей покупает журнал, половина берёт книгу, книга служит lendsPerBook выдач
+                perHour: customersPerHour * (0.5 + 0.5 / config.lendsPerBook),
+                magazinePrice: config.magazinePrice,
+                lendFee: config.lendFee,
+                lendsPerBook: config.lendsPerBook
+            };
+        }
+
+        return stats;
+    }
+
+    // Выручка библиотеки за одно изделие при полном износе книги
+    function getItemValue(type, buildingsData) {
+        const shelves = getLinkStats(buildingsData).shelves;
+        if (!shelves) {
+            return 0;
+        }
+        return type === 'books' ? shelves.lendFee * shelves.lendsPerBook : shelves.magazinePrice;
+    }
+
+    // Чистая функция: продвигает завод и библиотеку на отрезке [from, to].
+    // Печать и доставка — дискретные события, их применяют вызывающие.
+    function advance(state, buildingsData, from, to) {
+        const next = normalize(state);
+        const outcome = { paperMade: 0, sold: 0, lent: 0, worn: 0, revenue: 0 };
+        const hours = Math.max(0, to - from) / HOUR_MS;
+        if (hours <= 0) {
+            return { state: next, outcome };
+        }
+        const stats = getLinkStats(buildingsData);
+
+        if (stats.paper && stats.paper.active) {
+            const raw = stats.paper.perHour * hours + next.paperCarry;
+            const made = Math.floor(raw);
+            const room = Math.max(0, stats.paper.capacity - next.paper);
+            outcome.paperMade = Math.min(made, room);
+            next.paper += outcome.paperMade;
+            // Когда склад бумаги полон, завод стоит и остаток не копится
+            next.paperCarry = made > room ? 0 : raw - made;
+        }
+
+        if (stats.shelves && stats.shelves.active) {
+            const raw = stats.shelves.customersPerHour * hours + next.customerCarry;
+            const customers = Math.floor(raw);
+            const lendsAvailable = next.shelfBooks * stats.shelves.lendsPerBook - next.bookWear;
+            let sold = Math.min(next.shelfMags, Math.ceil(customers / 2));
+            const lent = Math.min(lendsAvailable, customers - sold);
+            sold = Math.min(next.shelfMags, customers - lent);
+
+            next.shelfMags -= sold;
+            next.bookWear += lent;
+            const worn = Math.floor(next.bookWear / stats.shelves.lendsPerBook);
+            next.shelfBooks -= worn;
+            next.bookWear -= worn * stats.shelves.lendsPerBook;
+            // Не обслуженные посетители уходят
+            next.customerCarry = sold + lent < customers ? 0 : raw - customers;
+
+            outcome.sold = sold;
+            outcome.lent = lent;
+            outcome.worn = worn;
+            outcome.revenue = sold * stats.shelves.magazinePrice + lent * stats.shelves.lendFee;
+            next.revenueTotal += outcome.revenue;
+        }
+
+        return { state: next, outcome };
+    }
+
+    function getShelfCapacity(buildingsData) {
+        const shelves = getLinkStats(buildingsData).shelves;
+        return shelves ? shelves.capacity : 0;
+    }
+
+    function countInTransit(deliveryQueue) {
+        return (deliveryQueue || []).reduce((sum, order) => sum + (order.books || 0) + (order.magazines || 0), 0);
+    }
+
+    // Свободное место на полках с учётом того, что уже едет
+    function getShelfFree(state, buildingsData, deliveryQueue) {
+        const current = normalize(state);
+        return Math.max(0, getShelfCapacity(buildingsData) - current.shelfBooks - current.shelfMags - countInTransit(deliveryQueue));
+    }
+
+    // Раскладывает доставку по полкам. Всё, что не поместилось, возвращается в хранилище.
+    function receiveDelivery(state, buildingsData, order) {
+        const next = normalize(state);
+        let free = Math.max(0, getShelfCapacity(buildingsData) - next.shelfBooks - next.shelfMags);
+        const books = Math.min(order.books || 0, free);
+        free -= books;
+        const magazines = Math.min(order.magazines || 0, free);
+        next.shelfBooks += books;
+        next.shelfMags += magazines;
+        return {
+            state: next,
+            placed: { books, magazines },
+            returned: { books: (order.books || 0) - books, magazines: (order.magazines || 0) - magazines }
+        };
+    }
+
+    // Списывает бумагу под тираж. Возвращает false, если бумаги не хватает.
+    function consumePaper(amount) {
+        return global.gameState.update(STATE_KEY, (stored) => {
+            const state = normalize(stored);
+            if (state.paper < amount) {
+                return false;
+            }
+            state.paper -= amount;
+            return state;
+        });
+    }
+
+    function getPaperPerRun() {
+        const print = getLinkStats(null).print;
+        return print ? print.paperPerRun : 0;
+    }
+
+    // Доставка по прибытии: сначала догоняем библиотеку до текущего момента, потом выкладываем товар
+    function deliver(order, now) {
+        const at = typeof now === 'number' ? now : Date.now();
+        let placed = null;
+        let returned = null;
+        let revenue = 0;
+        global.gameState.transaction((tx) => {
+            const buildingsData = tx.get('buildingsData');
+            const caughtUp = catchUpState(getState(), buildingsData, at, tx);
+            revenue = caughtUp.revenue;
+            const received = receiveDelivery(caughtUp.state, buildingsData, order);
+            placed = received.placed;
+            returned = received.returned;
+            tx.set(STATE_KEY, received.state);
+            if (returned.books || returned.magazines) {
+                tx.set('stor_books', tx.get('stor_books') + returned.books);
+                tx.set('stor_mags', tx.get('stor_mags') + returned.magazines);
+            }
+        });
+        syncStorageGlobals();
+        if (revenue > 0) {
+            global.gameEvents.emit('revenue.earned', { amount: revenue, offline: false });
+        }
+        return { placed, returned };
+    }
+
+    // Продвигает состояние до момента now и зачисляет выручку в баланс внутри транзакции tx
+    function catchUpState(state, buildingsData, now, tx) {
+        if (!state.lastTickAt) {
+            return { state: Object.assign(state, { lastTickAt: now }), revenue: 0 };
+        }
+        const from = Math.max(state.lastTickAt, now - MAX_TICK_GAP_MS);
+        const { state: next, outcome } = advance(state, buildingsData, from, now);
+        next.lastTickAt = now;
+        if (outcome.revenue > 0) {
+            tx.set('balance', global.bigNumber.add(tx.get('balance'), outcome.revenue));
+        }
+        return { state: next, revenue: outcome.revenue };
+    }
+
+    // main.js держит хранилище в своих переменных; после изменений в обход него обновляем их
+    function syncStorageGlobals() {
+        const books = global.gameState.get('stor_books');
+        const magazines = global.gameState.get('stor_mags');
+        global.storedBooks = books;
+        global.storedMags = magazines;
+        if (typeof global.syncStorageFromState === 'function') {
+            global.syncStorageFromState();
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+        const state = getState();
+        if (!state.lastTickAt) {
+            global.gameState.set(STATE_KEY, Object.assign(state, { lastTickAt: now }));
+            return;
+        }
+        const from = Math.max(state.lastTickAt, now - MAX_TICK_GAP_MS);
+        const { state: next, outcome } = advance(state, global.gameState.get('buildingsData'), from, now);
+        // Без целых изменений не пишем: остаток накопится к следующему тику от того же lastTickAt
+        if (!outcome.paperMade && !outcome.sold && !outcome.lent && now - state.lastTickAt < IDLE_SAVE_MS) {
+            return;
+        }
+        next.lastTickAt = now;
+        global.gameState.transaction((tx) => {
+            tx.set(STATE_KEY, next);
+            if (outcome.revenue > 0) {
+                tx.set('balance', global.bigNumber.add(tx.get('balance'), outcome.revenue));
+            }
+        });
+        if (outcome.revenue > 0) {
+            global.gameEvents.emit('revenue.earned', { amount: outcome.revenue, offline: false });
+        }
+        refreshOpenPanel();
+    }
+
+    // Состояние каждого звена и узкое место цепочки
+    function analyze() {
+        const buildingsData = global.gameState.get('buildingsData') || {};
+        const state = getState();
+        const stats = getLinkStats(buildingsData);
+        const books = global.gameState.get('stor_books');
+        const magazines = global.gameState.get('stor_mags');
+        const warehouseCapacity = global.offlineProgress
+            ? global.offlineProgress.getStorageCapacity(global.gameState.get('stor_up'))
+            : 1000;
+        const printState = global.gameState.get('printState');
+        const deliveryQueue = global.gameState.get('delivery_queue') || [];
+        const isPrinting = Boolean(printState && printState.isPrinting);
+        const inTransit = countInTransit(deliveryQueue);
+        const shelfFree = getShelfFree(state, buildingsData, deliveryQueue);
+        const links = [];
+
+        if (stats.paper) {
+            let status = 'working';
+            if (!stats.paper.active) {
+                status = 'locked';
+            } else if (state.paper >= stats.paper.capacity) {
+                status = 'blocked';
+            }
+            links.push({
+                module: 'paper',
+                building: stats.paper.building,
+                perHour: stats.paper.perHour,
+                buffer: { label: 'Склад бумаги', value: state.paper, capacity: stats.paper.capacity },
+                status,
+                hint: status === 'blocked' ? 'Склад бумаги полон — запустите печать' : ''
+            });
+        }
+
+        if (stats.print) {
+            let status = isPrinting ? 'working' : 'idle';
+            let hint = '';
+            if (!stats.print.active) {
+                status = 'locked';
+            } else if (!isPrinting && state.paper < stats.print.paperPerRun) {
+                status = 'starved';
+                hint = `Нужно ${stats.print.paperPerRun} бумаги на тираж, есть ${state.paper}`;
+            } else if (warehouseCapacity - books - magazines < stats.print.itemsPerRun) {
+                status = 'blocked';
+                hint = 'В хранилище нет места под новый тираж';
+            }
+            links.push({
+                module: 'print',
+                building: stats.print.building,
+                perHour: stats.print.perHour,
+                buffer: { label: 'Хранилище', value: books + magazines, capacity: warehouseCapacity },
+                status,
+                hint
+            });
+        }
+
+        if (stats.delivery) {
+            let status = deliveryQueue.length ? 'working' : 'idle';
+            let hint = '';
+            if (!stats.delivery.active) {
+                status = 'locked';
+            } else if (!deliveryQueue.length && books + magazines === 0) {
+                status = 'starved';
+                hint = 'В хранилище нечего отправлять';
+            } else if (!deliveryQueue.length && shelfFree === 0) {
+                status = 'blocked';
+                hint = 'Полки библиотеки заполнены';
+            }
+            links.push({
+                module: 'delivery',
+                building: stats.delivery.building,
+                perHour: stats.delivery.perHour,
+                buffer: { label: 'В пути', value: inTransit, capacity: stats.delivery.tripCapacity },
+                status,
+                hint
+            });
+        }
+
+        if (stats.shelves) {
+            let status = 'working';
+            let hint = '';
+            if (!stats.shelves.active) {
+                status = 'locked';
+            } else if (state.shelfBooks + state.shelfMags === 0) {
+                status = 'starved';
+                hint = 'Полки пусты — отправьте доставку';
+            }
+            links.push({
+                module: 'shelves',
+                building: stats.shelves.building,
+                perHour: stats.shelves.perHour,
+                buffer: { label: 'Полки', value: state.shelfBooks + state.shelfMags, capacity: stats.shelves.capacity },
+                status,
+                hint
+            });
+        }
+
+        // Узкое место — активное звено с наименьшей пропускной способностью
+        const active = links.filter((link) => link.status !== 'locked');
+        const bottleneck = active.length
+            ? active.reduce((min, link) => (link.perHour < min.perHour ? link : min)).module
+            : null;
+
+        return { links, bottleneck, state, stats };
+    }
+
+    function formatRate(perHour) {
+        return `${Math.round(perHour)}/ч`;
+    }
+
+    function linkMeta(module) {
+        return LINKS.find((link) => link.module === module) || { icon: '🏢', title: module };
+    }
+
+    function renderLinkCard(link, isBottleneck) {
+        const meta = linkMeta(link.module);
+        const pct = link.buffer.capacity > 0 ? Math.min(100, (link.buffer.value / link.buffer.capacity) * 100) : 0;
+        const color = STATUS_COLORS[link.status];
+        return `
+            <div style="background:rgba(255,255,255,0.06);border-radius:12px;padding:10px;border:1px solid ${isBottleneck ? '#ff7043' : 'rgba(255,255,255,0.1)'};">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">
+                    <span style="font-size:13px;font-weight:700;color:#fff;">${meta.icon} ${meta.title}</span>
+                    <span style="font-size:11px;color:rgba(255,255,255,0.8);">${formatRate(link.perHour)}</span>
+                </div>
+                <div style="display:flex;justify-content:space-between;font-size:10px;color:rgba(255,255,255,0.7);margin-bottom:4px;">
+                    <span>${link.buffer.label}</span>
+                    <span>${link.buffer.value} / ${link.buffer.capacity}</span>
+                </div>
+                <div style="height:6px;background:rgba(255,255,255,0.1);border-radius:3px;overflow:hidden;margin-bottom:6px;">
+                    <div style="height:100%;width:${pct}%;background:${color};border-radius:3px;"></div>
+                </div>
+                <div style="display:flex;justify-content:space-between;align-items:center;font-size:10px;">
+                    <span style="color:${color};font-weight:600;">${STATUS_TEXT[link.status]}</span>
+                    ${isBottleneck ? '<span style="color:#ff7043;font-weight:700;">⚠️ Узкое место</span>' : ''}
+                </div>
+                ${link.hint ? `<div style="font-size:10px;color:rgba(255,255,255,0.6);margin-top:4px;">${link.hint}</div>` : ''}
+            </div>
+        `;
+    }
+
+    function renderPanelBody() {
+        const { links, bottleneck, state } = analyze();
+        const arrow = '<div style="text-align:center;color:rgba(255,255,255,0.4);font-size:12px;line-height:1;">▼</div>';
+        return `
+            ${links.map((link) => renderLinkCard(link, link.module === bottleneck)).join(arrow)}
+            <div style="display:flex;justify-content:space-between;font-size:11px;color:rgba(255,255,255,0.7);margin-top:10px;">
+                <span>На полках: ${state.shelfBooks} книг, ${state.shelfMags} журналов</span>
+            </div>
+            <div style="display:flex;justify-content:space-between;font-size:11px;color:rgba(255,255,255,0.7);margin-top:4px;">
+                <span>Выручка библиотеки за всё время</span>
+                <span style="color:#fff;font-weight:600;">${global.bigNumber.format(state.revenueTotal)}$</span>
+            </div>
+        `;
+    }
+
+    function openPanel() {
+        closePanel();
+        const overlay = document.createElement('div');
+        overlay.id = 'production-chain-overlay';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2100;font-family:\'Segoe UI\',Arial,sans-serif;';
+        overlay.innerHTML = `
+            <div style="width:90%;max-width:360px;max-height:80vh;overflow-y:auto;background:linear-gradient(135deg,rgba(20,20,20,0.95) 0%,rgba(40,40,40,0.95) 100%);border-radius:20px;padding:16px;border:1px solid rgba(255,255,255,0.1);box-shadow:0 25px 50px rgba(0,0,0,0.6);position:relative;">
+                <button id="production-chain-close" style="position:absolute;top:12px;right:12px;background:rgba(255,255,255,0.1);border:none;color:#fff;font-size:14px;cursor:pointer;width:28px;height:28px;border-radius:6px;">✕</button>
+                <div style="font-size:17px;font-weight:600;color:#fff;margin-bottom:4px;">Производственная цепочка</div>
+                <div style="font-size:11px;color:rgba(255,255,255,0.6);margin-bottom:12px;">Бумага → печать → доставка → библиотека</div>
+                <div id="production-chain-body">${renderPanelBody()}</div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        overlay.querySelector('#production-chain-close').onclick = closePanel;
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                closePanel();
+            }
+        });
+    }
+
+    function closePanel() {
+        const overlay = document.getElementById('production-chain-overlay');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+
+    function refreshOpenPanel() {
+        const body = document.getElementById('production-chain-body');
+        if (body) {
+            body.innerHTML = renderPanelBody();
+        }
+    }
+
+    // Краткая карточка звена в панели здания с переходом к полной цепочке
+    function attachToBuildingPanel(panel, buildingType) {
+        const { links, bottleneck } = analyze();
+        const link = links.find((entry) => entry.building === buildingType);
+        if (!link || !panel) {
+            return;
+        }
+        const container = panel.querySelector('.building-panel-container') || panel.firstElementChild || panel;
+        const card = document.createElement('div');
+        card.className = 'production-chain-card';
+        card.style.cssText = 'width:100%;margin-bottom:12px;cursor:pointer;';
+        card.innerHTML = `
+            ${renderLinkCard(link, link.module === bottleneck)}
+            <div style="text-align:right;font-size:10px;color:rgba(255,255,255,0.6);margin-top:4px;">Вся цепочка ›</div>
+        `;
+        card.addEventListener('click', openPanel);
+        container.appendChild(card);
+    }
+
+    global.gameState.subscribe(STATE_KEY, refreshOpenPanel);
+    setInterval(tick, TICK_MS);
+
+    global.productionChain = {
+        STATE_KEY,
+        getState,
+        getLinkStats,
+        getItemValue,
+        advance,
+        receiveDelivery,
+        deliver,
+        consumePaper,
+        getPaperPerRun,
+        getShelfFree,
+        countInTransit,
+        analyze,
+        tick,
+        openPanel,
+        closePanel,
+        attachToBuildingPanel
+    };
+    global.openProductionChainPanel = openPanel;
+})(window);
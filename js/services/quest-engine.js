@@ -0,0 +1,632 @@
+(function initQuestEngine(global) {
+    'use strict';
+
+    // Задания описываются данными. Движок слушает игровые события (js/services/game-events.js),
+    // считает прогресс и хранит его в ключе "quests". Новое задание — новая запись в QUESTS
+    // (разовые) или в POOLS (ежедневные и еженедельные, меняются по часовому поясу игрока).
+    //
+    // Поля описания:
+    //   id, title, description — ключ и тексты для панели заданий
+    //   trigger   — событие, которое двигает прогресс:
+    //               event — имя события;
+    //               where — необязательный фильтр по полям события ({ employee: 'redjy' });
+    //               mode  — 'count' (+1 за событие, по умолчанию), 'sum' (+ значение поля field)
+    //                       или 'max' (наибольшее значение поля field)
+    //   target    — сколько нужно набрать
+    //   requires  — задания, которые должны быть выполнены раньше; до этого задание закрыто
+    //   reward    — награда при получении: { money }
+    const QUESTS = [
+        {
+            id: 'task_earn_100',
+            title: 'Заработать 100$',
+            description: 'Накопите 100 долларов для получения награды',
+            trigger: { event: 'balance.changed', mode: 'max', field: 'value' },
+            target: 100,
+            reward: { money: 5000 }
+        },
+        {
+            id: 'task_earn_300',
+            title: 'Заработать 300$',
+            description: 'Накопите 300 долларов для получения награды',
+            trigger: { event: 'balance.changed', mode: 'max', field: 'value' },
+            target: 300,
+            requires: ['task_earn_100'],
+            reward: { money: 15000 }
+        },
+        {
+            id: 'task_hire_reggi',
+            title: 'Нанять Реджи',
+            description: 'Наймите персонажа Реджи в свою команду',
+            trigger: { event: 'employee.hired', where: { employee: 'redjy' } },
+            target: 1,
+            reward: { money: 10000 }
+        },
+        {
+            id: 'task_deliver_magazines',
+            title: 'Доставить журналы в библиотеку',
+            description: 'Доставьте журналы в библиотеку для получения награды',
+            trigger: { event: 'delivery.completed', mode: 'sum', field: 'magazines' },
+            target: 1,
+            reward: { money: 3000 }
+        },
+        {
+            id: 'task_print_book',
+            title: 'Напечатать книгу',
+            description: 'Создайте и напечатайте свою первую книгу',
+            trigger: { event: 'print.completed', mode: 'sum', field: 'books' },
+            target: 1,
+            reward: { money: 10000 }
+        },
+        {
+            id: 'task_earn_500',
+            title: 'Заработать 500$',
+            description: 'Накопите 500 долларов для получения награды',
+            trigger: { event: 'balance.changed', mode: 'max', field: 'value' },
+            target: 500,
+            requires: ['task_earn_300'],
+            reward: { money: 20000 }
+        },
+        {
+            id: 'task_upgrade_library_3',
+            title: 'Улучшить библиотеку до 3 уровня',
+            description: 'Улучшите библиотеку, чтобы она приносила больше дохода',
+            trigger: { event: 'building.upgraded', mode: 'max', field: 'level', where: { building: 'library' } },
+            target: 3,
+            reward: { money: 15000 }
+        },
+        {
+            id: 'task_first_rebirth',
+            title: 'Совершить перерождение',
+            description: 'Улучшите все здания до максимума и переродитесь',
+            trigger: { event: 'prestige.rebirth' },
+            target: 1,
+            reward: { money: 50000 }
+        }
+    ];
+
+    // Ротация: каждый период из пула выбирается size заданий. Выбор детерминирован
+    // (зерно игрока + ключ периода), поэтому перезагрузка не меняет набор.
+    const POOLS = {
+        daily: {
+            title: 'Ежедневные задания',
+            size: 3,
+            quests: [
+                {
+                    id: 'daily_print',
+                    title: 'Запустить тираж',
+                    description: 'Напечатайте тираж в типографии',
+                    trigger: { event: 'print.completed' },
+                    target: 1,
+                    reward: { money: 3000 }
+                },
+                {
+                    id: 'daily_deliver_books',
+                    title: 'Доставить 50 книг',
+                    description: 'Выложите книги на полки библиотеки',
+                    trigger: { event: 'delivery.completed', mode: 'sum', field: 'books' },
+                    target: 50,
+                    reward: { money: 4000 }
+                },
+                {
+                    id: 'daily_deliver_magazines',
+                    title: 'Доставить 50 журналов',
+                    description: 'Выложите журналы на полки библиотеки',
+                    trigger: { event: 'delivery.completed', mode: 'sum', field: 'magazines' },
+                    target: 50,
+                    reward: { money: 4000 }
+                },
+                {
+                    id: 'daily_upgrade',
+                    title: 'Улучшить здание',
+                    description: 'Улучшите любое здание',
+                    trigger: { event: 'building.upgraded' },
+                    target: 1,
+                    reward: { money: 5000 }
+                },
+                {
+                    id: 'daily_worker',
+                    title: 'Нанять работника',
+                    description: 'Наймите работника в любое здание',
+                    trigger: { event: 'worker.hired' },
+                    target: 1,
+                    reward: { money: 3000 }
+                },
+                {
+                    id: 'daily_collect',
+                    title: 'Собрать 10K дохода',
+                    description: 'Забирайте прибыль со зданий',
+                    trigger: { event: 'profit.collected', mode: 'sum', field: 'amount' },
+                    target: 10000,
+                    reward: { money: 4000 }
+                }
+            ]
+        },
+        weekly: {
+            title: 'Еженедельные задания',
+            size: 2,
+            quests: [
+                {
+                    id: 'weekly_print',
+                    title: 'Напечатать 10 тиражей',
+                    description: 'Запускайте типографию всю неделю',
+                    trigger: { event: 'print.completed' },
+                    target: 10,
+                    reward: { money: 30000 }
+                },
+                {
+                    id: 'weekly_deliver',
+                    title: 'Доставить 500 книг',
+                    description: 'Наполняйте полки библиотеки книгами',
+                    trigger: { event: 'delivery.completed', mode: 'sum', field: 'books' },
+                    target: 500,
+                    reward: { money: 30000 }
+                },
+                {
+                    id: 'weekly_upgrade',
+                    title: 'Улучшить здания 5 раз',
+                    description: 'Вкладывайте доход в улучшения',
+                    trigger: { event: 'building.upgraded' },
+                    target: 5,
+                    reward: { money: 40000 }
+                },
+                {
+                    id: 'weekly_collect',
+                    title: 'Собрать 200K дохода',
+                    description: 'Забирайте прибыль со зданий всю неделю',
+                    trigger: { event: 'profit.collected', mode: 'sum', field: 'amount' },
+                    target: 200000,
+                    reward: { money: 50000 }
+                }
+            ]
+        }
+    };
+
+    // Серия ежедневных входов: награда растёт до последнего элемента и дальше не меняется
+    const STREAK_REWARDS = [2000, 3000, 5000, 7500, 10000, 15000, 25000];
+    // Больше заморозок игрок держать не может; продаются в магазине (товар streak-freeze в shop-catalog.js)
+    const MAX_STREAK_FREEZES = 2;
+
+    // Новый день начинается в 04:00 по часовому поясу игрока: ночная сессия относится к прошедшему дню
+    const RESET_HOUR = 4;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const STATE_KEY = 'quests';
+    const MODES = ['count', 'sum', 'max'];
+
+    // Как выдаётся каждый тип награды; вызывается внутри транзакции получения
+    const REWARDS = {
+        money: (tx, amount) => tx.set('balance', global.bigNumber.add(tx.get('balance'), amount))
+    };
+
+    const byId = {};
+    function registerQuest(quest, period) {
+        if (byId[quest.id]) {
+            throw new Error(`[quest-engine] Duplicate quest id "${quest.id}"`);
+        }
+        if (!MODES.includes(quest.trigger.mode || 'count')) {
+            throw new Error(`[quest-engine] Unknown trigger mode for "${quest.id}"`);
+        }
+        Object.keys(quest.reward).forEach((type) => {
+            if (!REWARDS[type]) {
+                throw new Error(`[quest-engine] Unknown reward "${type}" for "${quest.id}"`);
+            }
+        });
+        byId[quest.id] = { ...quest, period };
+    }
+    QUESTS.forEach((quest) => registerQuest(quest, 'once'));
+    Object.keys(POOLS).forEach((period) => {
+        POOLS[period].quests.forEach((quest) => registerQuest(quest, period));
+    });
+    QUESTS.forEach((quest) => {
+        (quest.requires || []).forEach((id) => {
+            if (!byId[id]) {
+                throw new Error(`[quest-engine] Quest "${quest.id}" requires unknown "${id}"`);
+            }
+        });
+    });
+
+    function createBucket(key) {
+        return { key: key || null, ids: [], progress: {}, completed: {}, claimed: {} };
+    }
+
+    function normalize(raw) {
+        const source = raw || {};
+        const rotation = source.rotation || {};
+        const state = {
+            progress: { ...(source.progress || {}) },
+            completed: { ...(source.completed || {}) },
+            claimed: { ...(source.claimed || {}) },
+            rotation: {
+                timezone: rotation.timezone || getDeviceTimezone(),
+                seed: rotation.seed || Math.random().toString(36).slice(2, 10)
+            },
+            streak: {
+                count: 0,
+                best: 0,
+                lastDay: null,
+                rewardDay: null,
+                freezes: 0,
+                ...(source.streak || {})
+            }
+        };
+        Object.keys(POOLS).forEach((period) => {
+            const bucket = rotation[period] || {};
+            state.rotation[period] = { ...createBucket(bucket.key), ...bucket };
+        });
+        return state;
+    }
+
+    function getState() {
+        return normalize(global.gameState.get(STATE_KEY));
+    }
+
+    // === ПЕРИОДЫ И ЧАСОВОЙ ПОЯС ===
+
+    function getDeviceTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    // Дата "YYYY-MM-DD" игрового дня в часовом поясе игрока. Пояс запоминается в сейве
+    // при первом запуске, чтобы смена пояса на устройстве не сдвигала сброс.
+    function getDayKey(now, timezone) {
+        const shifted = new Date(now - RESET_HOUR * 60 * 60 * 1000);
+        try {
+            return new Intl.DateTimeFormat('en-CA', {
+                timeZone: timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }).format(shifted);
+        } catch (error) {
+            console.warn(`[quest-engine] Unknown timezone "${timezone}", falling back to UTC`);
+            return shifted.toISOString().slice(0, 10);
+        }
+    }
+
+    function dayKeyToTime(dayKey) {
+        return Date.parse(`${dayKey}T00:00:00Z`);
+    }
+
+    function daysBetween(fromKey, toKey) {
+        return Math.round((dayKeyToTime(toKey) - dayKeyToTime(fromKey)) / DAY_MS);
+    }
+
+    // Неделя начинается с понедельника; ключ — дата понедельника
+    function getWeekKey(dayKey) {
+        const date = new Date(dayKeyToTime(dayKey));
+        const sinceMonday = (date.getUTCDay() + 6) % 7;
+        return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function getPeriodKey(period, now, timezone) {
+        const dayKey = getDayKey(now, timezone);
+        return period === 'weekly' ? getWeekKey(dayKey) : dayKey;
+    }
+
+    // Миллисекунды до следующего сброса периода (для таймера в панели)
+    function getTimeUntilReset(period, now = Date.now()) {
+        const timezone = getState().rotation.timezone;
+        const current = getPeriodKey(period, now, timezone);
+        // Ищем первый час, в котором ключ периода меняется; с запасом на неделю
+        let step = now - (now % (60 * 60 * 1000)) + 60 * 60 * 1000;
+        const limit = now + 8 * DAY_MS;
+        while (step < limit && getPeriodKey(period, step, timezone) === current) {
+            step += 60 * 60 * 1000;
+        }
+        return Math.max(0, step - now);
+    }
+
+    // Детерминированная выборка по зерну ротации (seeded-random.js)
+    function pickQuests(period, seed, key) {
+        const ids = POOLS[period].quests.map((quest) => quest.id);
+        return global.seededRandom.shuffle(ids, `${seed}:${period}:${key}`).slice(0, POOLS[period].size);
+    }
+
+    // Серия растёт при входе в новый день. Пропущенные дни покрываются заморозками,
+    // если их хватает на все пропуски; иначе серия начинается заново.
+    function touchStreak(streak, today) {
+        if (streak.lastDay === today) {
+            return false;
+        }
+        if (!streak.lastDay) {
+            streak.count = 1;
+        } else {
+            const missed = daysBetween(streak.lastDay, today) - 1;
+            if (missed < 0) {
+                // Часы устройства ушли назад: день не засчитываем повторно
+                return false;
+            }
+            if (missed === 0) {
+                streak.count += 1;
+            } else if (streak.freezes >= missed) {
+                streak.freezes -= missed;
+                streak.count += 1;
+            } else {
+                streak.count = 1;
+            }
+        }
+        streak.lastDay = today;
+        streak.best = Math.max(streak.best, streak.count);
+        return true;
+    }
+
+    // Обновляет наборы ротации и серию под текущее время. Возвращает true, если что-то изменилось.
+    function rotate(state, now) {
+        let changed = false;
+        Object.keys(POOLS).forEach((period) => {
+            const key = getPeriodKey(period, now, state.rotation.timezone);
+            if (state.rotation[period].key !== key) {
+                const bucket = createBucket(key);
+                bucket.ids = pickQuests(period, state.rotation.seed, key);
+                state.rotation[period] = bucket;
+                changed = true;
+            }
+        });
+        if (touchStreak(state.streak, getDayKey(now, state.rotation.timezone))) {
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Проверяет смену периода; пишет в сейв, только если она произошла
+    function refresh(now = Date.now()) {
+        let rotated = false;
+        global.gameState.update(STATE_KEY, (raw) => {
+            const state = normalize(raw);
+            rotated = rotate(state, now) || !raw || !raw.rotation;
+            return rotated ? state : false;
+        });
+        return rotated;
+    }
+
+    // === ПРОГРЕСС ===
+
+    // Хранилище прогресса задания: разовые задания лежат в корне состояния, ротационные — в своём периоде
+    function getBucket(quest, state) {
+        return quest.period === 'once' ? state : state.rotation[quest.period];
+    }
+
+    // Активные задания в порядке описания: сначала разовые, затем наборы текущих периодов
+    function getActiveQuests(state) {
+        const active = QUESTS.map((quest) => byId[quest.id]);
+        Object.keys(POOLS).forEach((period) => {
+            state.rotation[period].ids.forEach((id) => {
+                if (byId[id]) {
+                    active.push(byId[id]);
+                }
+            });
+        });
+        return active;
+    }
+
+    function isUnlocked(quest, state) {
+        return (quest.requires || []).every((id) => Boolean(state.completed[id]));
+    }
+
+    function matches(where, payload) {
+        return Object.keys(where || {}).every((field) => payload[field] === where[field]);
+    }
+
+    function nextProgress(quest, current, payload) {
+        const mode = quest.trigger.mode || 'count';
+        if (mode === 'count') {
+            return current + 1;
+        }
+        // Баланс приходит большим числом; цели заданий малы, точности числа хватает
+        const value = global.bigNumber.toNumber(payload[quest.trigger.field]) || 0;
+        return mode === 'max' ? Math.max(current, value) : current + value;
+    }
+
+    // Применяет событие ко всем подходящим заданиям. Задания идут в порядке описания,
+    // поэтому выполненное задание сразу открывает следующие за ним в том же событии.
+    function handleEvent(payload, event, onlyModes) {
+        const completedNow = [];
+        global.gameState.update(STATE_KEY, (raw) => {
+            const state = normalize(raw);
+            // Событие после полуночи засчитывается уже в новый набор
+            let changed = rotate(state, Date.now());
+            getActiveQuests(state).forEach((quest) => {
+                const mode = quest.trigger.mode || 'count';
+                const bucket = getBucket(quest, state);
+                if (quest.trigger.event !== event
+                    || (onlyModes && !onlyModes.includes(mode))
+                    || bucket.completed[quest.id]
+                    || !isUnlocked(quest, state)
+                    || !matches(quest.trigger.where, payload)) {
+                    return;
+                }
+                const current = bucket.progress[quest.id] || 0;
+                const next = Math.min(quest.target, nextProgress(quest, current, payload));
+                if (next === current) {
+                    return;
+                }
+                bucket.progress[quest.id] = next;
+                changed = true;
+                if (next >= quest.target) {
+                    bucket.completed[quest.id] = Date.now();
+                    completedNow.push(quest);
+                }
+            });
+            return changed ? state : false;
+        });
+        completedNow.forEach((quest) => {
+            if (global.showNotification) {
+                global.showNotification(`🎯 Задание выполнено: ${quest.title}`, 'success');
+            }
+        });
+    }
+
+    // Прогресс заданий 'max' восстанавливается из текущего состояния игры:
+    // баланс и уровни зданий могли измениться до загрузки движка или в облаке
+    function syncFromState() {
+        const onlyMax = ['max'];
+        handleEvent({ value: global.gameState.get('balance') }, 'balance.changed', onlyMax);
+        const buildings = global.gameState.get('buildingsData') || {};
+        Object.keys(buildings).forEach((building) => {
+            if (buildings[building] && buildings[building].isOwned) {
+                handleEvent({ building, level: buildings[building].level || 1 }, 'building.upgraded', onlyMax);
+            }
+        });
+    }
+
+    function getStatus(quest, state) {
+        const bucket = getBucket(quest, state);
+        if (bucket.claimed[quest.id]) {
+            return 'claimed';
+        }
+        if (bucket.completed[quest.id]) {
+            return 'completed';
+        }
+        return isUnlocked(quest, state) ? 'pending' : 'locked';
+    }
+
+    // Активные задания в виде для панели: период (once/daily/weekly), прогресс, цель
+    // и статус locked/pending/completed/claimed
+    function list() {
+        const state = getState();
+        return getActiveQuests(state).map((quest) => {
+            const bucket = getBucket(quest, state);
+            return {
+                id: quest.id,
+                period: quest.period,
+                title: quest.title,
+                description: quest.description,
+                reward: { ...quest.reward },
+                target: quest.target,
+                progress: bucket.completed[quest.id] ? quest.target : (bucket.progress[quest.id] || 0),
+                status: getStatus(quest, state)
+            };
+        });
+    }
+
+    function get(id) {
+        return list().find((quest) => quest.id === id) || null;
+    }
+
+    // Отметка о получении и награда применяются одной транзакцией
+    function claim(id) {
+        const quest = byId[id];
+        if (!quest) {
+            return false;
+        }
+        return global.gameState.transaction((tx) => {
+            const state = normalize(tx.get(STATE_KEY));
+            const bucket = getBucket(quest, state);
+            if (!bucket.completed[id] || bucket.claimed[id]) {
+                return false;
+            }
+            bucket.claimed[id] = Date.now();
+            tx.set(STATE_KEY, state);
+            Object.entries(quest.reward).forEach(([type, amount]) => REWARDS[type](tx, amount));
+            return true;
+        });
+    }
+
+    // Для отладки: засчитывает активное задание без события
+    function complete(id) {
+        const quest = byId[id];
+        if (!quest) {
+            return false;
+        }
+        return global.gameState.update(STATE_KEY, (raw) => {
+            const state = normalize(raw);
+            const bucket = getBucket(quest, state);
+            if (bucket.completed[id] || (quest.period !== 'once' && !bucket.ids.includes(id))) {
+                return false;
+            }
+            bucket.progress[id] = quest.target;
+            bucket.completed[id] = Date.now();
+            return state;
+        });
+    }
+
+    function reset() {
+        global.gameState.remove(STATE_KEY);
+        refresh();
+    }
+
+    // === СЕРИЯ ВХОДОВ ===
+
+    function getStreakReward(count) {
+        const index = Math.min(Math.max(count, 1), STREAK_REWARDS.length) - 1;
+        return STREAK_REWARDS[index];
+    }
+
+    function getStreak() {
+        const state = getState();
+        const today = getDayKey(Date.now(), state.rotation.timezone);
+        const { streak } = state;
+        return {
+            count: streak.count,
+            best: streak.best,
+            freezes: streak.freezes,
+            maxFreezes: MAX_STREAK_FREEZES,
+            reward: getStreakReward(streak.count),
+            nextReward: getStreakReward(streak.count + 1),
+            canClaim: streak.lastDay === today && streak.rewardDay !== today
+        };
+    }
+
+    // Награда за серию выдаётся раз в игровой день
+    function claimStreakReward() {
+        let amount = 0;
+        const applied = global.gameState.transaction((tx) => {
+            const state = normalize(tx.get(STATE_KEY));
+            rotate(state, Date.now());
+            const today = getDayKey(Date.now(), state.rotation.timezone);
+            if (state.streak.rewardDay === today) {
+                return false;
+            }
+            amount = getStreakReward(state.streak.count);
+            state.streak.rewardDay = today;
+            tx.set(STATE_KEY, state);
+            REWARDS.money(tx, amount);
+            return true;
+        });
+        return applied ? amount : 0;
+    }
+
+    // Выдача заморозок серии внутри транзакции покупки; false — больше не помещается.
+    // Заморозка сгорает за каждый пропущенный день
+    function addStreakFreezes(tx, amount) {
+        const state = normalize(tx.get(STATE_KEY));
+        if (state.streak.freezes + amount > MAX_STREAK_FREEZES) {
+            return false;
+        }
+        state.streak.freezes += amount;
+        tx.set(STATE_KEY, state);
+        return true;
+    }
+
+    const triggerEvents = new Set(Object.values(byId).map((quest) => quest.trigger.event));
+    triggerEvents.forEach((event) => {
+        global.gameEvents.on(event, (payload) => handleEvent(payload, event));
+    });
+    refresh();
+    syncFromState();
+    // Смена дня во время открытой игры: проверяем часы раз в минуту, сейв трогаем только при смене
+    setInterval(refresh, 60 * 1000);
+
+    global.questEngine = {
+        STATE_KEY,
+        QUESTS,
+        POOLS,
+        MAX_STREAK_FREEZES,
+        list,
+        get,
+        claim,
+        complete,
+        reset,
+        refresh,
+        getState,
+        getTimeUntilReset,
+        getStreak,
+        claimStreakReward,
+        addStreakFreezes,
+        syncFromState
+    };
+})(window);
@@ -0,0 +1,214 @@
+(function initSaveMerge(global) {
+    'use strict';
+
+    // Правила слияния сохранений, когда один ключ изменили два устройства.
+    // Работают с сырыми строками из localStorage: облачный слой вызывает их до загрузки gameState.
+    //   max    — монотонные счётчики: берём большее
+    //   union  — достижения и партнёрские задания: объединяем, у обеих сторон ничего не пропадает
+    //   latest — настройки: побеждает более поздняя запись (по lastClientTs)
+    //   ask    — экономика: слить безопасно нельзя, игрок выбирает сохранение целиком.
+    //            Здания и сотрудники куплены за баланс (и сбрасываются перерождением), поэтому
+    //            идут вместе с ним: иначе покупку с одного устройства можно сохранить при балансе другого
+    const RULES = {
+        playerLevel: 'max',
+        playerXP: 'max',
+        refs: 'max',
+        saveVersion: 'max',
+        lastSeenAt: 'max',
+        achievements: 'union',
+        balance: 'ask',
+        buildingsData: 'ask',
+        employees: 'ask',
+        hiredEmployees: 'ask',
+        credits: 'ask',
+        stars: 'ask',
+        stor_up: 'ask',
+        stor_books: 'ask',
+        stor_mags: 'ask',
+        printState: 'ask',
+        delivery_queue: 'ask',
+        orders: 'ask',
+        production: 'ask',
+        prestige: 'ask',
+        quests: 'ask',
+        gacha: 'ask',
+        shop: 'ask'
+    };
+
+    const PATTERN_RULES = [
+        { test: /^partner_task_(completed|claimed)_/, rule: 'union' }
+    ];
+
+    // Ключи без правила — настройки и служебные флаги интерфейса
+    const DEFAULT_RULE = 'latest';
+
+    function ruleFor(key) {
+        if (Object.prototype.hasOwnProperty.call(RULES, key)) {
+            return RULES[key];
+        }
+        const pattern = PATTERN_RULES.find((entry) => entry.test.test(key));
+        return pattern ? pattern.rule : DEFAULT_RULE;
+    }
+
+    function isUnsafe(key) {
+        return ruleFor(key) === 'ask';
+    }
+
+    function parseJSON(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function isObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    function mergeAchievements(local, remote) {
+        const stats = { ...(remote.stats || {}) };
+        Object.entries(local.stats || {}).forEach(([stat, value]) => {
+            stats[stat] = Math.max(Number(stats[stat]) || 0, Number(value) || 0);
+        });
+        const tiers = { ...(remote.tiers || {}) };
+        Object.entries(local.tiers || {}).forEach(([id, tier]) => {
+            tiers[id] = Math.max(Number(tiers[id]) || 0, Number(tier) || 0);
+        });
+        const unlockedAt = { ...(remote.unlockedAt || {}) };
+        Object.entries(local.unlockedAt || {}).forEach(([id, at]) => {
+            unlockedAt[id] = unlockedAt[id] ? Math.min(unlockedAt[id], at) : at;
+        });
+        return { stats, tiers, unlockedAt };
+    }
+
+    function union(key, localRaw, remoteRaw) {
+        if (/^partner_task_/.test(key)) {
+            return localRaw === 'true' || remoteRaw === 'true' ? 'true' : 'false';
+        }
+        const local = parseJSON(localRaw);
+        const remote = parseJSON(remoteRaw);
+        if (!isObject(local) || !isObject(remote)) {
+            return null;
+        }
+        if (key === 'achievements') {
+            return JSON.stringify(mergeAchievements(local, remote));
+        }
+        return JSON.stringify({ ...remote, ...local });
+    }
+
+    // Возвращает { ok: true, value } со слитым значением или { ok: false }, если решать игроку.
+    // context: { localTs, remoteTs } — время локальной записи и lastClientTs облака
+    function resolve(key, localRaw, remoteRaw, context) {
+        if (localRaw === remoteRaw) {
+            return { ok: true, value: localRaw };
+        }
+        const rule = ruleFor(key);
+        if (rule === 'ask') {
+            return { ok: false };
+        }
+        if (localRaw === null || remoteRaw === null) {
+            // Удаление на одной из сторон: для настроек решает время, иначе сохраняем то, что есть
+            if (rule === 'latest') {
+                return { ok: true, value: context.localTs >= context.remoteTs ? localRaw : remoteRaw };
+            }
+            return { ok: true, value: localRaw === null ? remoteRaw : localRaw };
+        }
+        if (rule === 'max') {
+            const local = parseFloat(localRaw);
+            const remote = parseFloat(remoteRaw);
+            if (!Number.isFinite(local) || !Number.isFinite(remote)) {
+                return { ok: false };
+            }
+            return { ok: true, value: local >= remote ? localRaw : remoteRaw };
+        }
+        if (rule === 'union') {
+            const merged = union(key, localRaw, remoteRaw);
+            return merged === null ? { ok: false } : { ok: true, value: merged };
+        }
+        return { ok: true, value: context.localTs >= context.remoteTs ? localRaw : remoteRaw };
+    }
+
+    // Краткое описание сохранения для диалога выбора
+    function summarize(data) {
+        const buildings = parseJSON(data.buildingsData) || {};
+        const owned = Object.keys(buildings).filter((id) => buildings[id] && buildings[id].isOwned);
+        return {
+            // Баланс хранится строкой bigNumber ("1.5e400"): parseFloat дал бы Infinity
+            balance: /^-?\d+(\.\d+)?(e\+?\d+)?$/i.test(data.balance || '') ? data.balance : '0',
+            level: parseInt(data.playerLevel, 10) || 1,
+            buildings: owned.map((id) => ({
+                name: global.buildingRegistry.getName(id),
+                level: parseInt(buildings[id].level, 10) || 1
+            }))
+        };
+    }
+
+    function renderSaveCard(title, summary, savedAt, buttonId, color) {
+        const buildingsHTML = summary.buildings.length
+            ? summary.buildings.map((entry) => `<div style="display:flex;justify-content:space-between;"><span>${entry.name}</span><span>ур. ${entry.level}</span></div>`).join('')
+            : '<div style="opacity:.7;">Нет зданий</div>';
+        return `
+            <div style="flex:1;min-width:0;background:rgba(255,255,255,0.08);border:1px solid rgba(255,255,255,0.2);border-radius:12px;padding:10px;text-align:left;color:#fff;font-size:12px;">
+                <div style="font-size:14px;font-weight:700;margin-bottom:2px;">${title}</div>
+                <div style="font-size:10px;opacity:.7;margin-bottom:8px;">${savedAt ? new Date(savedAt).toLocaleString() : '—'}</div>
+                <div style="display:flex;justify-content:space-between;margin-bottom:4px;"><span>Баланс</span><span style="font-weight:700;">${global.bigNumber.format(summary.balance)}$</span></div>
+                <div style="display:flex;justify-content:space-between;margin-bottom:6px;"><span>Уровень</span><span style="font-weight:700;">${summary.level}</span></div>
+                <div style="font-size:11px;line-height:1.5;margin-bottom:10px;">${buildingsHTML}</div>
+                <button id="${buttonId}" style="width:100%;background:${color};border:none;border-radius:10px;color:#fff;font-size:13px;font-weight:600;padding:8px;cursor:pointer;">Оставить</button>
+            </div>
+        `;
+    }
+
+    // Показывает оба сохранения и возвращает Promise с выбором игрока: 'local' или 'cloud'
+    function showConflictDialog(localData, remoteData, options) {
+        const settings = options || {};
+        return new Promise((resolvePromise) => {
+            const existing = document.getElementById('save-conflict-overlay');
+            if (existing) {
+                existing.remove();
+            }
+            const overlay = document.createElement('div');
+            overlay.id = 'save-conflict-overlay';
+            overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:10100;';
+            overlay.innerHTML = `
+                <div style="
+                    background: linear-gradient(135deg, #1e1e2f 0%, #12121c 100%);
+                    padding: 20px;
+                    border-radius: 16px;
+                    text-align: center;
+                    box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                    border: 2px solid rgba(255,255,255,0.1);
+                    max-width: 380px;
+                    width: 92%;
+                ">
+                    <h3 style="margin:0 0 6px;font-size:18px;font-weight:700;color:#fff;">Игра открыта на другом устройстве</h3>
+                    <div style="font-size:12px;color:rgba(255,255,255,0.8);margin-bottom:14px;">Сохранения разошлись. Выберите, какое оставить — второе будет заменено.</div>
+                    <div style="display:flex;gap:10px;">
+                        ${renderSaveCard('Это устройство', summarize(localData), settings.localTs, 'save-conflict-local', '#4caf50')}
+                        ${renderSaveCard('Облако', summarize(remoteData), settings.remoteTs, 'save-conflict-cloud', '#1976d2')}
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(overlay);
+            const choose = (choice) => {
+                overlay.remove();
+                resolvePromise(choice);
+            };
+            overlay.querySelector('#save-conflict-local').onclick = () => choose('local');
+            overlay.querySelector('#save-conflict-cloud').onclick = () => choose('cloud');
+        });
+    }
+
+    global.saveMerge = {
+        RULES,
+        ruleFor,
+        isUnsafe,
+        resolve,
+        summarize,
+        showConflictDialog
+    };
+})(window);
@@ -0,0 +1,286 @@
+(function initSaveMigrations(global) {
+    'use strict';
+
+    const VERSION_KEY = 'saveVersion';
+
+    // Значения по умолчанию для зданий берутся из реестра зданий
+    function getDefaultBuildingsData() {
+        return global.buildingRegistry.createDefaultBuildingsData();
+    }
+
+    // Упорядоченный список миграций. Сейв без saveVersion считается версией 1.
+    // Новую миграцию добавляем в конец с version = предыдущая + 1; существующие не меняем.
+    const MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Дополняем buildingsData недостающими зданиями и полями, переносим данные шаблонов зданий',
+            migrate(ctx) {
+                const defaults = getDefaultBuildingsData();
+                const buildings = ctx.readJSON('buildingsData', null);
+                if (!buildings) {
+                    return;
+                }
+                const templateKeys = {
+                    library: 'libraryData',
+                    factory: 'factoryData',
+                    storage: 'storageData',
+                    print: 'printData'
+                };
+                Object.keys(defaults).forEach((type) => {
+                    const template = ctx.readJSON(templateKeys[type], null);
+                    const current = buildings[type] || {};
+                    const source = template && template.isOwned && !current.isOwned ? template : current;
+                    buildings[type] = { ...defaults[type], ...source };
+                    if (buildings[type].isOwned && !buildings[type].lastCollectTime) {
+                        buildings[type].lastCollectTime = Date.now();
+                    }
+                });
+                ctx.writeJSON('buildingsData', buildings);
+            }
+        },
+        {
+            version: 3,
+            description: 'Переносим старые флаги factoryBuilt/statueBuilt в buildingsData',
+            migrate(ctx) {
+                const buildings = ctx.readJSON('buildingsData', null);
+                if (!buildings) {
+                    return;
+                }
+                const legacyFlags = { factory: 'factoryBuilt', storage: 'statueBuilt' };
+                Object.entries(legacyFlags).forEach(([type, flag]) => {
+                    if (ctx.read(flag) === '1' && buildings[type] && !buildings[type].isOwned) {
+                        buildings[type].isOwned = true;
+                        buildings[type].lastCollectTime = Date.now();
+                        buildings[type].accumulatedProfit = 0;
+                    }
+                });
+                ctx.writeJSON('buildingsData', buildings);
+            }
+        },
+        {
+            version: 4,
+            description: 'Переносим флаги заданий task_completed_/task_claimed_ и has* в состояние движка заданий',
+            migrate(ctx) {
+                // Флаги событий, по которым старая проверка заданий отмечала выполнение
+                const legacyEvents = {
+                    task_hire_reggi: 'hasReggi',
+                    task_deliver_magazines: 'hasDeliveredMagazines',
+                    task_print_book: 'hasPrintedBook'
+                };
+                const ids = [
+                    'task_earn_100', 'task_earn_300', 'task_earn_500', 'task_hire_reggi',
+                    'task_deliver_magazines', 'task_print_book', 'task_first_rebirth'
+                ];
+                const quests = ctx.readJSON('quests', null) || { progress: {}, completed: {}, claimed: {} };
+                const now = Date.now();
+                ids.forEach((id) => {
+                    const completed = ctx.read(`task_completed_${id}`) === 'true'
+                        || (legacyEvents[id] && ctx.read(legacyEvents[id]) === 'true');
+                    const claimed = ctx.read(`task_claimed_${id}`) === 'true';
+                    if (completed || claimed) {
+                        quests.completed[id] = quests.completed[id] || now;
+                    }
+                    if (claimed) {
+                        quests.claimed[id] = quests.claimed[id] || now;
+                    }
+                    ctx.remove(`task_completed_${id}`);
+                    ctx.remove(`task_claimed_${id}`);
+                });
+                Object.values(legacyEvents).forEach((flag) => ctx.remove(flag));
+                ['earn_100', 'earn_300', 'earn_500'].forEach((id) => ctx.remove(`task_progress_${id}`));
+                ctx.remove('gameTasksRewardsClaimed');
+                ctx.writeJSON('quests', quests);
+            }
+        },
+        {
+            version: 5,
+            description: 'Переносим назначения emp_map (по именам) в hiredEmployees, убираем демо-уровни employee_*_level',
+            migrate(ctx) {
+                // Имена из старого оверлея назначения → id каталога сотрудников (js/services/employee-roster.js).
+                // Спайки в каталог не вошёл — его назначение снимается
+                const legacyNames = { 'Гринни': 'grinni', 'Перпи': 'purpe', 'Реджи': 'redjy', 'Блуми': 'blumy' };
+                const assignments = ctx.readJSON('emp_map', null);
+                if (assignments) {
+                    const hired = ctx.readJSON('hiredEmployees', null) || {};
+                    const busy = new Set(Object.values(hired));
+                    Object.entries(assignments).forEach(([building, name]) => {
+                        const id = legacyNames[name];
+                        if (id && !hired[id] && !busy.has(building)) {
+                            hired[id] = building;
+                            busy.add(building);
+                        }
+                    });
+                    ctx.writeJSON('hiredEmployees', hired);
+                    ctx.remove('emp_map');
+                }
+                // Уровни выставлялись для демонстрации (initEmployeeLevels) и на доход не влияли;
+                // настоящий прогресс сотрудников начинается с 1 уровня в ключе employees
+                ['bloomi', 'reggi', 'spikes', 'grinni', 'perpi'].forEach((key) => ctx.remove(`employee_${key}_level`));
+            }
+        },
+        {
+            version: 6,
+            description: 'Открываем всех сотрудников в существующих сейвах: до призыва их можно было нанимать свободно',
+            migrate(ctx) {
+                // Новый игрок (без зданий) начинает со стартовым сотрудником и открывает остальных призывом
+                if (!ctx.readJSON('buildingsData', null)) {
+                    return;
+                }
+                const employees = ctx.readJSON('employees', null) || {};
+                ['grinni', 'purpe', 'redjy', 'blumy'].forEach((id) => {
+                    employees[id] = { ...employees[id], owned: true };
+                });
+                ctx.writeJSON('employees', employees);
+            }
+        }
+    ];
+
+    const CURRENT_VERSION = MIGRATIONS.length
+        ? MIGRATIONS[MIGRATIONS.length - 1].version
+        : 1;
+
+    function parseVersion(raw) {
+        const stored = parseInt(raw, 10);
+        return Number.isFinite(stored) && stored > 0 ? stored : 1;
+    }
+
+    function getVersion() {
+        return parseVersion(global.localStorage.getItem(VERSION_KEY));
+    }
+
+    // storage — localStorage или объект с тем же getItem/setItem/removeItem (сохранение в памяти)
+    function createContext(changedKeys, storage = global.localStorage) {
+        return {
+            read: (key) => storage.getItem(key),
+            write: (key, value) => {
+                changedKeys.add(key);
+                storage.setItem(key, value);
+            },
+            remove: (key) => {
+                changedKeys.add(key);
+                storage.removeItem(key);
+            },
+            readJSON: (key, fallback) => {
+                const raw = storage.getItem(key);
+                if (raw === null || raw === undefined) {
+                    return fallback;
+                }
+                try {
+                    return JSON.parse(raw);
+                } catch (error) {
+                    console.warn(`[save-migrations] Cannot parse ${key}`, error);
+                    return fallback;
+                }
+            },
+            writeJSON: (key, value) => {
+                changedKeys.add(key);
+                storage.setItem(key, JSON.stringify(value));
+            }
+        };
+    }
+
+    // Не версионный шаг: здания, появившиеся в реестре после создания сейва, добавляются
+    // со значениями по умолчанию. Так новое здание не требует отдельной миграции.
+    function fillRegisteredBuildings(ctx) {
+        const buildings = ctx.readJSON('buildingsData', null);
+        if (!buildings) {
+            return;
+        }
+        const missing = global.buildingRegistry.ids().filter((id) => !buildings[id]);
+        if (!missing.length) {
+            return;
+        }
+        missing.forEach((id) => {
+            buildings[id] = global.buildingRegistry.createDefaultState(id);
+        });
+        ctx.writeJSON('buildingsData', buildings);
+    }
+
+    // Общий проход миграций от версии from; возвращает версию, до которой удалось дойти
+    function applyMigrations(ctx, from, applied) {
+        let version = from;
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version) {
+                continue;
+            }
+            try {
+                migration.migrate(ctx);
+            } catch (error) {
+                console.error(`[save-migrations] Migration to v${migration.version} failed`, error);
+                break;
+            }
+            version = migration.version;
+            applied.push(migration.version);
+        }
+        if (version === CURRENT_VERSION) {
+            fillRegisteredBuildings(ctx);
+        }
+        return version;
+    }
+
+    // Мигрирует сохранение в памяти (например, импортированное из файла), не трогая localStorage.
+    // Бросает ошибку, если сохранение новее поддерживаемого или миграция не прошла.
+    function migrateData(data) {
+        const storage = { ...data };
+        const memory = {
+            getItem: (key) => (Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null),
+            setItem: (key, value) => {
+                storage[key] = String(value);
+            },
+            removeItem: (key) => {
+                delete storage[key];
+            }
+        };
+        const from = parseVersion(memory.getItem(VERSION_KEY));
+        if (from > CURRENT_VERSION) {
+            throw new Error(`[save-migrations] Save version ${from} is newer than supported ${CURRENT_VERSION}`);
+        }
+        const applied = [];
+        const version = applyMigrations(createContext(new Set(), memory), from, applied);
+        if (version !== CURRENT_VERSION) {
+            throw new Error(`[save-migrations] Save stopped at version ${version}`);
+        }
+        memory.setItem(VERSION_KEY, String(version));
+        return { data: storage, from, to: version, applied };
+    }
+
+    // Прогоняет все миграции новее сохранённой версии. Ошибка в миграции останавливает
+    // цепочку: версия остаётся на последней успешной, чтобы повторить попытку при следующем запуске.
+    function run() {
+        if (global.gameState) {
+            global.gameState.flush();
+        }
+        const from = getVersion();
+        const changedKeys = new Set();
+        const applied = [];
+        let version = from;
+
+        if (from > CURRENT_VERSION) {
+            console.warn(`[save-migrations] Save version ${from} is newer than supported ${CURRENT_VERSION}`);
+            return { from, to: from, applied };
+        }
+
+        const ctx = createContext(changedKeys);
+        version = applyMigrations(ctx, from, applied);
+
+        if (version !== from || global.localStorage.getItem(VERSION_KEY) === null) {
+            global.localStorage.setItem(VERSION_KEY, String(version));
+            changedKeys.add(VERSION_KEY);
+        }
+        if (changedKeys.size && global.gameState) {
+            global.gameState.reload(Array.from(changedKeys));
+        }
+        return { from, to: version, applied };
+    }
+
+    global.saveMigrations = {
+        CURRENT_VERSION,
+        VERSION_KEY,
+        run,
+        migrateData,
+        getVersion,
+        getDefaultBuildingsData
+    };
+
+    run();
+})(window);
@@ -0,0 +1,305 @@
+(function initSaveTransfer(global) {
+    'use strict';
+
+    // Перенос сохранения без облака: экспорт в код или файл и импорт обратно.
+    // Формат кода: BOOKE<версия формата>.<сжатие>.<данные base64url>.<подпись base64url>
+    //   сжатие: z — deflate-raw, j — без сжатия (браузер без CompressionStream)
+    // Подпись ловит повреждённые и вручную отредактированные коды. Ключ лежит в клиенте,
+    // поэтому это проверка целостности, а не защита от читов.
+    const FORMAT = 'BOOKE';
+    const FORMAT_VERSION = 1;
+    const SIGNING_KEY = 'booke-coin/save-transfer/v1';
+    const FILE_EXTENSION = '.booke';
+    const CLOUD_FLUSH_TIMEOUT_MS = 3000;
+
+    // Служебные ключи, которые не переносятся между устройствами
+    const LOCAL_ONLY_KEYS = new Set(['cloud.sync']);
+    // Ключи устройства: при импорте остаются текущими. lastSeenAt не берём из файла,
+    // иначе время с момента экспорта засчиталось бы как офлайн-доход.
+    const PRESERVED_KEYS = new Set(['uniqueUserId', 'userId', 'userID', 'dev_user_id', 'profile.username', 'language', 'lastSeenAt']);
+
+    function isSupported() {
+        return Boolean(global.crypto && global.crypto.subtle && global.TextEncoder);
+    }
+
+    function collectState() {
+        if (global.gameState) {
+            global.gameState.flush();
+        }
+        if (global.cloudStorage) {
+            return global.cloudStorage.exportLocalState();
+        }
+        const data = {};
+        for (let i = 0; i < global.localStorage.length; i += 1) {
+            const key = global.localStorage.key(i);
+            if (key != null && !LOCAL_ONLY_KEYS.has(key)) {
+                data[key] = global.localStorage.getItem(key);
+            }
+        }
+        return data;
+    }
+
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        const CHUNK = 0x8000;
+        for (let i = 0; i < bytes.length; i += CHUNK) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+        }
+        return global.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = global.atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    async function pipe(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    async function sign(text) {
+        const encoder = new TextEncoder();
+        const key = await global.crypto.subtle.importKey('raw', encoder.encode(SIGNING_KEY), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await global.crypto.subtle.sign('HMAC', key, encoder.encode(text));
+        return bytesToBase64Url(new Uint8Array(signature));
+    }
+
+    // Собирает текущее сохранение в подписанный код
+    async function exportCode() {
+        if (!isSupported()) {
+            throw new Error('[save-transfer] Web Crypto is not available');
+        }
+        const envelope = {
+            saveVersion: global.saveMigrations ? global.saveMigrations.getVersion() : 1,
+            exportedAt: Date.now(),
+            data: collectState()
+        };
+        let bytes = new TextEncoder().encode(JSON.stringify(envelope));
+        let compression = 'j';
+        if (global.CompressionStream) {
+            bytes = await pipe(bytes, new CompressionStream('deflate-raw'));
+            compression = 'z';
+        }
+        const body = `${FORMAT}${FORMAT_VERSION}.${compression}.${bytesToBase64Url(bytes)}`;
+        return `${body}.${await sign(body)}`;
+    }
+
+    async function exportFile() {
+        const code = await exportCode();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+        link.download = `booke-save-${new Date().toISOString().slice(0, 10)}${FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return code;
+    }
+
+    // Ошибка импорта с текстом для игрока
+    function importError(message) {
+        const error = new Error(message);
+        error.userMessage = message;
+        return error;
+    }
+
+    // Проверяет код и возвращает { saveVersion, exportedAt, data } с уже мигрированными данными
+    async function parseCode(code) {
+        if (!isSupported()) {
+            throw importError('Браузер не поддерживает перенос сохранений');
+        }
+        const parts = String(code || '').replace(/\s+/g, '').split('.');
+        const match = parts.length === 4 ? /^BOOKE(\d+)$/.exec(parts[0]) : null;
+        if (!match) {
+            throw importError('Это не код сохранения Booke');
+        }
+        if (Number(match[1]) > FORMAT_VERSION) {
+            throw importError('Код создан более новой версией игры — обновите игру');
+        }
+        const body = parts.slice(0, 3).join('.');
+        if (await sign(body) !== parts[3]) {
+            throw importError('Код повреждён или изменён');
+        }
+
+        let envelope = null;
+        try {
+            let bytes = base64UrlToBytes(parts[2]);
+            if (parts[1] === 'z') {
+                if (!global.DecompressionStream) {
+                    throw importError('Браузер не умеет распаковывать этот код');
+                }
+                bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+            } else if (parts[1] !== 'j') {
+                throw importError('Неизвестный формат сжатия');
+            }
+            envelope = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw error.userMessage ? error : importError('Не удалось прочитать код сохранения');
+        }
+
+        const data = envelope && envelope.data;
+        const valid = data && typeof data === 'object' && !Array.isArray(data)
+            && Object.values(data).every((value) => typeof value === 'string');
+        if (!valid || !Number.isFinite(envelope.saveVersion)) {
+            throw importError('Код сохранения повреждён');
+        }
+        if (global.saveMigrations && envelope.saveVersion > global.saveMigrations.CURRENT_VERSION) {
+            throw importError('Сохранение из более новой версии игры — обновите игру');
+        }
+
+        let migrated = { ...data };
+        LOCAL_ONLY_KEYS.forEach((key) => delete migrated[key]);
+        if (global.saveMigrations) {
+            try {
+                migrated = global.saveMigrations.migrateData(migrated).data;
+            } catch (error) {
+                console.error('[save-transfer] Migration failed', error);
+                throw importError('Не удалось обновить сохранение до текущей версии');
+            }
+        }
+        return { saveVersion: envelope.saveVersion, exportedAt: envelope.exportedAt, data: migrated };
+    }
+
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result));
+            reader.onerror = () => reject(importError('Не удалось прочитать файл'));
+            reader.readAsText(file);
+        });
+    }
+
+    // Что изменится при импорте: сводка «сейчас → из кода» и число затронутых ключей
+    function diff(currentData, importedData) {
+        const keys = new Set([...Object.keys(currentData), ...Object.keys(importedData)]);
+        let changed = 0;
+        keys.forEach((key) => {
+            if (!PRESERVED_KEYS.has(key) && !LOCAL_ONLY_KEYS.has(key) && currentData[key] !== importedData[key]) {
+                changed += 1;
+            }
+        });
+        const current = global.saveMerge.summarize(currentData);
+        const imported = global.saveMerge.summarize(importedData);
+        return {
+            rows: [
+                { label: 'Баланс', from: `${global.bigNumber.format(current.balance)}$`, to: `${global.bigNumber.format(imported.balance)}$` },
+                { label: 'Кредиты', from: parseInt(currentData.credits, 10) || 0, to: parseInt(importedData.credits, 10) || 0 },
+                { label: 'Уровень', from: current.level, to: imported.level },
+                { label: 'Зданий', from: current.buildings.length, to: imported.buildings.length }
+            ],
+            changed
+        };
+    }
+
+    // Показывает сравнение и возвращает Promise<boolean> — подтвердил ли игрок замену
+    function showPreview(parsed) {
+        const preview = diff(collectState(), parsed.data);
+        return new Promise((resolvePromise) => {
+            const existing = document.getElementById('save-transfer-overlay');
+            if (existing) {
+                existing.remove();
+            }
+            const rowsHTML = preview.rows.map((row) => {
+                const color = String(row.from) === String(row.to) ? 'rgba(255,255,255,0.9)' : '#ffd54f';
+                return `
+                    <div style="display:flex;justify-content:space-between;gap:8px;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.08);">
+                        <span style="opacity:.8;">${row.label}</span>
+                        <span>${row.from} → <span style="font-weight:700;color:${color};">${row.to}</span></span>
+                    </div>
+                `;
+            }).join('');
+            const overlay = document.createElement('div');
+            overlay.id = 'save-transfer-overlay';
+            overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:10100;';
+            overlay.innerHTML = `
+                <div style="
+                    background: linear-gradient(135deg, #1e1e2f 0%, #12121c 100%);
+                    padding: 20px;
+                    border-radius: 16px;
+                    text-align: center;
+                    box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                    border: 2px solid rgba(255,255,255,0.1);
+                    max-width: 340px;
+                    width: 92%;
+                    color: #fff;
+                ">
+                    <h3 style="margin:0 0 6px;font-size:18px;font-weight:700;">Заменить сохранение?</h3>
+                    <div style="font-size:11px;opacity:.7;margin-bottom:12px;">Экспорт от ${parsed.exportedAt ? new Date(parsed.exportedAt).toLocaleString(global.bigNumber.getLocale()) : '—'}</div>
+                    <div style="text-align:left;font-size:12px;margin-bottom:8px;">${rowsHTML}</div>
+                    <div style="font-size:11px;opacity:.7;margin-bottom:14px;">Изменится записей: ${preview.changed}. Текущий прогресс будет потерян.</div>
+                    <div style="display:flex;gap:10px;">
+                        <button id="save-transfer-cancel" style="flex:1;background:rgba(255,255,255,0.1);border:1px solid rgba(255,255,255,0.2);border-radius:10px;color:#fff;font-size:13px;font-weight:600;padding:8px;cursor:pointer;">Отмена</button>
+                        <button id="save-transfer-confirm" style="flex:1;background:#e53935;border:none;border-radius:10px;color:#fff;font-size:13px;font-weight:600;padding:8px;cursor:pointer;">Заменить</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(overlay);
+            const choose = (confirmed) => {
+                overlay.remove();
+                resolvePromise(confirmed);
+            };
+            overlay.querySelector('#save-transfer-cancel').onclick = () => choose(false);
+            overlay.querySelector('#save-transfer-confirm').onclick = () => choose(true);
+        });
+    }
+
+    // Заменяет локальное сохранение импортированным. Если облако подключено,
+    // записи уйдут туда обычным путём через localStorage.
+    function applyImport(parsed) {
+        if (global.gameState) {
+            global.gameState.flush();
+        }
+        const changedKeys = [];
+        Object.keys(collectState()).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(parsed.data, key) && !PRESERVED_KEYS.has(key)) {
+                global.localStorage.removeItem(key);
+                changedKeys.push(key);
+            }
+        });
+        Object.entries(parsed.data).forEach(([key, value]) => {
+            if (!PRESERVED_KEYS.has(key) && !LOCAL_ONLY_KEYS.has(key)) {
+                global.localStorage.setItem(key, value);
+                changedKeys.push(key);
+            }
+        });
+        if (changedKeys.length && global.gameState) {
+            global.gameState.reload(changedKeys);
+        }
+        return changedKeys.length;
+    }
+
+    // Полный импорт: проверка, сравнение, подтверждение. Возвращает true, если сохранение заменено
+    async function importCode(code) {
+        const parsed = await parseCode(code);
+        if (!(await showPreview(parsed))) {
+            return false;
+        }
+        applyImport(parsed);
+        if (global.cloudStorage) {
+            // Без сети не ждём облако: очередь записей сохранена и уйдёт после перезапуска
+            const flush = global.cloudStorage.flush().catch((error) => console.warn('[save-transfer] Cloud flush failed', error));
+            await Promise.race([flush, new Promise((resolve) => setTimeout(resolve, CLOUD_FLUSH_TIMEOUT_MS))]);
+        }
+        return true;
+    }
+
+    async function importFile(file) {
+        return importCode(await readFile(file));
+    }
+
+    global.saveTransfer = {
+        FILE_EXTENSION,
+        isSupported,
+        exportCode,
+        exportFile,
+        parseCode,
+        importCode,
+        importFile
+    };
+})(window);
@@ -0,0 +1,44 @@
+(function initSeededRandom(global) {
+    'use strict';
+
+    // Детерминированные случайные числа: одно и то же зерно даёт ту же последовательность
+    // на любом устройстве. Зерно — строка, хешируется FNV-1a, генератор — mulberry32.
+    // Используется для выборки заданий (quest-engine.js) и скидок дня (shop-catalog.js).
+
+    function hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Генератор чисел [0, 1) для строки зерна
+    function create(seed) {
+        let value = hashString(seed);
+        return () => {
+            value = (value + 0x6D2B79F5) >>> 0;
+            let t = value;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Перемешанная копия массива (Фишер — Йейтс)
+    function shuffle(items, seed) {
+        const random = create(seed);
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    global.seededRandom = {
+        create,
+        shuffle
+    };
+})(window);
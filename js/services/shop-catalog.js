@@ -0,0 +1,276 @@
+(function initShopCatalog(global) {
+    'use strict';
+
+    // Каталог магазина: товары, цены, валюты, редкость, лимиты на игрока и окна доступности.
+    // Покупка любого товара идёт через purchase(): проверки, списание и награды в одной транзакции.
+    //
+    // Товар: { id, section, name, rarity, image | icon, price: { currency: 'money' | 'credits', amount },
+    //   grant: { money, credits, xp, cards: { employee, amount }, summon, crate, streakFreezes },
+    //   limit?: { count, period: 'day' | 'week' | 'ever' }, available?: { from, to }, requires?: { playerLevel },
+    //   hidden?, deal?, description? }
+    // money и credits в grant — число или диапазон [min, max]; summon — сейф призыва персонажа
+    // (character-gacha.js), crate — тип для события crate.opened, streakFreezes — заморозки серии
+    // входов (quest-engine.js). icon — эмодзи вместо картинки, description — подпись в витрине,
+    // hidden — нет в витрине, deal: false — не попадает в скидки дня.
+    //
+    // Состояние в ключе shop: { purchases: { [лимит]: { period, count } } }
+    const STATE_KEY = 'shop';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const CATALOG = [
+        { id: 'coins-case', section: 'coins', name: 'Чемоданчик монет', rarity: 1, image: 'assets/svg/chests/chest-1.svg',
+            price: { currency: 'money', amount: 30000 }, grant: { credits: 50 } },
+        { id: 'coins-box', section: 'coins', name: 'Кейс монет', rarity: 3, image: 'assets/svg/chests/chest-2.svg',
+            price: { currency: 'money', amount: 300000 }, grant: { credits: 100 } },
+        { id: 'coins-diplomat', section: 'coins', name: 'Дипломат монет', rarity: 4, image: 'assets/svg/chests/chest-3.svg',
+            price: { currency: 'credits', amount: 300 }, grant: { credits: 200 }, deal: false },
+
+        { id: 'safe-simple', section: 'safes', name: 'Простой сейф', rarity: 1, image: 'assets/svg/safes/safe-common.svg',
+            price: { currency: 'money', amount: 30000 },
+            grant: { money: [15000, 30000], credits: [75, 150], xp: 10, summon: 'simple', crate: 'simple' } },
+        { id: 'safe-huge', section: 'safes', name: 'Огромный сейф', rarity: 2, image: 'assets/svg/safes/safe-gold.svg',
+            price: { currency: 'money', amount: 300000 },
+            grant: { money: [15000, 30000], credits: [75, 150], xp: 10, summon: 'huge', crate: 'huge' } },
+        { id: 'safe-giant', section: 'safes', name: 'Гигантский сейф', rarity: 3, image: 'assets/svg/safes/safe-mystic.svg',
+            price: { currency: 'credits', amount: 300 },
+            grant: { money: [15000, 30000], credits: [75, 150], xp: 10, summon: 'giant', crate: 'giant' } },
+
+        // Наборы: деньги по редкости и карточки сотрудника для повышения звёзд (employeeRoster.upgradeStars)
+        { id: 'set-grinni', section: 'sets', name: 'Набор Гринни', rarity: 1, image: 'assets/svg/characters/character-1.svg',
+            price: { currency: 'money', amount: 500 }, grant: { money: [750, 1125], xp: 5, cards: { employee: 'grinni', amount: 1 } } },
+        { id: 'set-redjy', section: 'sets', name: 'Набор Рэджи', rarity: 2, image: 'assets/svg/characters/character-2.svg',
+            price: { currency: 'money', amount: 1000 }, grant: { money: [2000, 3000], xp: 10, cards: { employee: 'redjy', amount: 2 } } },
+        { id: 'set-purpe', section: 'sets', name: 'Набор Пёрпи', rarity: 3, image: 'assets/svg/characters/character-3.svg',
+            price: { currency: 'money', amount: 2000 }, grant: { money: [5000, 7500], xp: 15, cards: { employee: 'purpe', amount: 3 } } },
+
+        // Усиления: заморозка сохраняет серию ежедневных входов при пропуске дня
+        { id: 'streak-freeze', section: 'boosts', name: 'Заморозка серии', rarity: 2, icon: '❄️', deal: false,
+            description: 'Сохраняет серию ежедневных входов, если вы пропустили день',
+            price: { currency: 'credits', amount: 100 }, limit: { count: 2, period: 'week' }, grant: { streakFreezes: 1 } },
+
+        // Ящики за RBC — вне витрины, открываются из наград и событий
+        { id: 'crate-free', section: 'crates', name: 'Бесплатный ящик', rarity: 1, hidden: true, deal: false,
+            price: { currency: 'credits', amount: 0 }, requires: { playerLevel: 4 }, limit: { count: 1, period: 'day' },
+            grant: { money: [50, 120], xp: 10, crate: 'free' } },
+        { id: 'crate-gold', section: 'crates', name: 'Золотой ящик', rarity: 2, hidden: true,
+            price: { currency: 'credits', amount: 30 }, grant: { money: [400, 800], credits: [2, 5], xp: 10, crate: 'gold' } },
+        { id: 'crate-mystic', section: 'crates', name: 'Мистический ящик', rarity: 3, hidden: true,
+            price: { currency: 'credits', amount: 150 }, grant: { money: [1500, 3000], credits: [8, 15], xp: 10, crate: 'mystic' } },
+        { id: 'crate-legendary', section: 'crates', name: 'Легендарный ящик', rarity: 4, hidden: true,
+            price: { currency: 'credits', amount: 500 }, grant: { money: [5000, 10000], credits: [25, 50], xp: 10, crate: 'legendary' } },
+        { id: 'crate-divine', section: 'crates', name: 'Божественный ящик', rarity: 5, hidden: true,
+            price: { currency: 'credits', amount: 1000 }, grant: { money: [15000, 30000], credits: [75, 150], xp: 10, crate: 'divine' } }
+    ];
+
+    // Скидки дня: size товаров витрины со скидками по порядку, каждую можно купить раз в день.
+    // Набор зависит только от игрока и даты (UTC), поэтому одинаков на всех его устройствах
+    const DAILY_DEALS = {
+        size: 3,
+        discounts: [0.15, 0.25, 0.4]
+    };
+
+    const CURRENCY_KEYS = { money: 'balance', credits: 'credits' };
+
+    const byId = {};
+    CATALOG.forEach((item) => {
+        if (byId[item.id]) {
+            throw new Error(`[shop-catalog] Duplicate item id "${item.id}"`);
+        }
+        if (!CURRENCY_KEYS[item.price.currency]) {
+            throw new Error(`[shop-catalog] Unknown currency "${item.price.currency}" for "${item.id}"`);
+        }
+        byId[item.id] = item;
+    });
+
+    function get(id) {
+        return byId[id] || null;
+    }
+
+    function getState() {
+        const raw = global.gameState.get(STATE_KEY) || {};
+        return { purchases: raw.purchases && typeof raw.purchases === 'object' ? raw.purchases : {} };
+    }
+
+    function getDayKey(now) {
+        return new Date(now).toISOString().slice(0, 10);
+    }
+
+    // Ключ периода лимита: дата дня, понедельник недели или 'ever'
+    function getPeriodKey(period, now) {
+        if (period === 'day') {
+            return getDayKey(now);
+        }
+        if (period === 'week') {
+            const date = new Date(Date.parse(`${getDayKey(now)}T00:00:00Z`));
+            return getDayKey(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+        }
+        return 'ever';
+    }
+
+    // Окно доступности: from/to — даты ISO, to не включительно
+    function isAvailable(item, now = Date.now()) {
+        if (!item || !item.available) {
+            return Boolean(item);
+        }
+        const from = item.available.from ? Date.parse(item.available.from) : -Infinity;
+        const to = item.available.to ? Date.parse(item.available.to) : Infinity;
+        return now >= from && now < to;
+    }
+
+    // Товары витрины раздела, доступные сейчас
+    function list(section, now = Date.now()) {
+        return CATALOG.filter((item) => item.section === section && !item.hidden && isAvailable(item, now));
+    }
+
+    function countPurchases(state, key, period, now) {
+        const entry = state.purchases[key];
+        return entry && entry.period === getPeriodKey(period, now) ? entry.count : 0;
+    }
+
+    // Сколько ещё можно купить в текущем периоде; Infinity — без лимита
+    function getRemaining(id, now = Date.now()) {
+        const item = byId[id];
+        if (!item || !item.limit) {
+            return Infinity;
+        }
+        return Math.max(0, item.limit.count - countPurchases(getState(), id, item.limit.period, now));
+    }
+
+    function dealKey(id) {
+        return `deal:${id}`;
+    }
+
+    // Скидки дня игрока: [{ item, discount, price, bought }]
+    function getDailyDeals(now = Date.now()) {
+        const pool = CATALOG.filter((item) => !item.hidden && item.deal !== false && isAvailable(item, now));
+        const state = getState();
+        return global.seededRandom.shuffle(pool, `${global.telegramAuth.getUserId()}:${getDayKey(now)}`).slice(0, DAILY_DEALS.size).map((item, index) => {
+            const discount = DAILY_DEALS.discounts[index] || 0;
+            return {
+                item,
+                discount,
+                price: getPrice(item, discount),
+                bought: countPurchases(state, dealKey(item.id), 'day', now) > 0
+            };
+        });
+    }
+
+    // Мс до смены скидок (полночь UTC)
+    function getTimeUntilDealsReset(now = Date.now()) {
+        return DAY_MS - (now % DAY_MS);
+    }
+
+    function getPrice(item, discount) {
+        return { currency: item.price.currency, amount: Math.round(item.price.amount * (1 - (discount || 0))) };
+    }
+
+    function roll(value, random) {
+        if (Array.isArray(value)) {
+            const [min, max] = value;
+            return Math.floor(random() * (max - min + 1)) + min;
+        }
+        return value || 0;
+    }
+
+    function recordPurchase(purchases, key, period, now) {
+        const periodKey = getPeriodKey(period, now);
+        const entry = purchases[key];
+        purchases[key] = { period: periodKey, count: entry && entry.period === periodKey ? entry.count + 1 : 1 };
+    }
+
+    // Покупка товара id. options.deal — по скидке дня. Деньги и RBC (цена и награда) проходят в одной
+    // транзакции; карточки, призыв и события — после неё. Опыт возвращается в rewards.xp и начисляется
+    // вызывающим кодом (addXP в main.js). Возвращает { ok, error, item, price, rewards }, где
+    // error: 'unknown' | 'unavailable' | 'limit' | 'level' | 'deal' | 'money' | 'credits' | 'max' | null
+    // ('max' — у игрока уже максимум заморозок серии),
+    // rewards: { money, credits, xp, streakFreezes, cards: { employee, amount }, character }
+    function purchase(id, options = {}, random = Math.random) {
+        const item = byId[id];
+        const now = Date.now();
+        if (!item) {
+            return { ok: false, error: 'unknown' };
+        }
+        let price = item.price;
+        if (options.deal) {
+            const deal = getDailyDeals(now).find((entry) => entry.item.id === id);
+            if (!deal) {
+                return { ok: false, error: 'unavailable', item };
+            }
+            if (deal.bought) {
+                return { ok: false, error: 'deal', item };
+            }
+            price = deal.price;
+        }
+        if (!isAvailable(item, now)) {
+            return { ok: false, error: 'unavailable', item };
+        }
+        if (item.requires && item.requires.playerLevel && global.gameState.get('playerLevel') < item.requires.playerLevel) {
+            return { ok: false, error: 'level', item };
+        }
+        if (getRemaining(id, now) <= 0) {
+            return { ok: false, error: 'limit', item };
+        }
+
+        const grant = item.grant || {};
+        const rewards = { money: roll(grant.money, random), credits: roll(grant.credits, random), xp: grant.xp || 0,
+            streakFreezes: grant.streakFreezes || 0 };
+        let error = null;
+        global.gameState.transaction((tx) => {
+            const priceKey = CURRENCY_KEYS[price.currency];
+            if (global.bigNumber.cmp(tx.get(priceKey), price.amount) < 0) {
+                error = price.currency;
+                return false;
+            }
+            tx.set(priceKey, global.bigNumber.sub(tx.get(priceKey), price.amount));
+            if (rewards.money) {
+                tx.set('balance', global.bigNumber.add(tx.get('balance'), rewards.money));
+            }
+            if (rewards.credits) {
+                tx.set('credits', tx.get('credits') + rewards.credits);
+            }
+            if (grant.streakFreezes && !global.questEngine.addStreakFreezes(tx, grant.streakFreezes)) {
+                error = 'max';
+                return false;
+            }
+            const purchases = { ...getState().purchases };
+            if (item.limit) {
+                recordPurchase(purchases, id, item.limit.period, now);
+            }
+            if (options.deal) {
+                recordPurchase(purchases, dealKey(id), 'day', now);
+            }
+            tx.set(STATE_KEY, { purchases });
+            return true;
+        });
+        if (error) {
+            return { ok: false, error, item, price };
+        }
+
+        if (grant.cards) {
+            global.employeeRoster.addCards(grant.cards.employee, grant.cards.amount);
+            rewards.cards = { ...grant.cards };
+        }
+        if (grant.summon) {
+            rewards.character = global.characterGacha.pull(grant.summon);
+        }
+        if (grant.crate) {
+            global.gameEvents.emit('crate.opened', { type: grant.crate });
+        }
+        global.gameEvents.emit('shop.purchased', { item: id, currency: price.currency, amount: price.amount, deal: Boolean(options.deal) });
+        return { ok: true, error: null, item, price, rewards };
+    }
+
+    global.shopCatalog = {
+        STATE_KEY,
+        CATALOG,
+        DAILY_DEALS,
+        get,
+        list,
+        isAvailable,
+        getPrice,
+        getRemaining,
+        getDailyDeals,
+        getTimeUntilDealsReset,
+        purchase
+    };
+})(window);
@@ -0,0 +1,70 @@
+(function initSyncStatus(global) {
+    'use strict';
+
+    // Индикатор облачного сохранения в углу экрана. Статус приходит от firebase-storage.js
+    // событием cloud-sync-status; без облака индикатор не показывается.
+    const STATUSES = {
+        synced: { icon: '☁️', text: 'Сохранено', color: 'rgba(76,175,80,0.85)' },
+        pending: { icon: '⏳', text: 'Сохранение…', color: 'rgba(255,193,7,0.85)' },
+        offline: { icon: '📴', text: 'Нет сети — сохраним позже', color: 'rgba(120,120,120,0.9)' },
+        error: { icon: '⚠️', text: 'Ошибка синхронизации, повторяем', color: 'rgba(244,67,54,0.9)' }
+    };
+    // Статус «сохранено» виден недолго, остальные — пока не сменятся
+    const SYNCED_VISIBLE_MS = 2000;
+
+    let hideTimer = null;
+
+    function getIndicator() {
+        let indicator = document.getElementById('sync-status-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'sync-status-indicator';
+            indicator.style.cssText = `
+                position: fixed;
+                left: 8px;
+                bottom: 8px;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 3px 8px;
+                border-radius: 10px;
+                font-size: 10px;
+                font-weight: 600;
+                color: #fff;
+                z-index: 1400;
+                pointer-events: none;
+                transition: opacity 0.3s ease;
+            `;
+            document.body.appendChild(indicator);
+        }
+        return indicator;
+    }
+
+    function render(status) {
+        const config = STATUSES[status];
+        if (!config || !document.body) {
+            return;
+        }
+        const indicator = getIndicator();
+        indicator.innerHTML = `<span>${config.icon}</span><span>${config.text}</span>`;
+        indicator.style.background = config.color;
+        indicator.style.opacity = '1';
+        clearTimeout(hideTimer);
+        if (status === 'synced') {
+            hideTimer = setTimeout(() => {
+                indicator.style.opacity = '0';
+            }, SYNCED_VISIBLE_MS);
+        }
+    }
+
+    document.addEventListener('cloud-sync-status', (event) => render(event.detail.status));
+    document.addEventListener('DOMContentLoaded', () => {
+        if (global.cloudStorage) {
+            render(global.cloudStorage.getSyncStatus());
+        }
+    });
+
+    global.syncStatus = {
+        render
+    };
+})(window);
@@ -0,0 +1,75 @@
+(function initTelegramAuth(global) {
+    'use strict';
+
+    // Кто играет: Telegram-пользователь мини-приложения или локальный dev-пользователь вне Telegram.
+    // Серверу отправляется сырой initData — он проверяет подпись и берёт id из него
+    // (api/telegram_init_data.php). Вне Telegram уходит devUserId, который сервер принимает
+    // только в режиме разработки (TELEGRAM_DEV_MODE=1).
+    const DEV_USER_KEY = 'dev_user_id';
+
+    function getWebApp() {
+        return global.Telegram && global.Telegram.WebApp ? global.Telegram.WebApp : null;
+    }
+
+    function getInitData() {
+        const webApp = getWebApp();
+        return webApp && webApp.initData ? webApp.initData : '';
+    }
+
+    // Профиль из initDataUnsafe — только для отображения, сервер ему не доверяет
+    function getTelegramUser() {
+        const webApp = getWebApp();
+        return webApp && webApp.initDataUnsafe && webApp.initDataUnsafe.user ? webApp.initDataUnsafe.user : null;
+    }
+
+    function getStartParam() {
+        const webApp = getWebApp();
+        return webApp && webApp.initDataUnsafe && webApp.initDataUnsafe.start_param
+            ? webApp.initDataUnsafe.start_param
+            : '';
+    }
+
+    function isTelegram() {
+        return Boolean(getInitData() && getTelegramUser());
+    }
+
+    function getDevUserId() {
+        let id = global.localStorage.getItem(DEV_USER_KEY);
+        if (!id) {
+            id = String(Math.floor(Math.random() * 1000000000));
+            global.localStorage.setItem(DEV_USER_KEY, id);
+        }
+        return id;
+    }
+
+    // Telegram id, а вне Telegram — dev id для локальной отладки
+    function getUserId() {
+        const user = getTelegramUser();
+        return user ? String(user.id) : getDevUserId();
+    }
+
+    // Параметры авторизации для запроса к api/: тело POST или строка GET-запроса
+    function authParams(extra) {
+        const params = new URLSearchParams();
+        if (isTelegram()) {
+            params.append('initData', getInitData());
+        } else {
+            params.append('devUserId', getDevUserId());
+        }
+        Object.entries(extra || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+        return params;
+    }
+
+    global.telegramAuth = {
+        isTelegram,
+        getInitData,
+        getTelegramUser,
+        getStartParam,
+        getUserId,
+        authParams
+    };
+})(window);
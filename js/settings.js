@@ -348,8 +348,16 @@ function t(key) {
 function changeLanguage(lang) {
     currentLanguage = lang;
     localStorage.setItem('language', lang);
+    // Разделители разрядов и дробной части зависят от языка
+    bigNumber.setLanguage(lang);
     updateLanguageUI();
     updateAllTexts();
+    if (typeof renderBalance === 'function') {
+        renderBalance(getBalance());
+    }
+    if (typeof window.refreshStatistics === 'function') {
+        window.refreshStatistics();
+    }
 }
 
 // Обновление UI выбора языка
@@ -541,6 +549,140 @@ function updateTasks() {
     }
 }
 
+// Подписи причин создания резервной копии
+const BACKUP_REASON_LABELS = {
+    hourly: 'Ежечасная',
+    daily: 'Ежедневная',
+    prestige: 'Перед перерождением',
+    purchase: 'Перед крупной покупкой',
+    manual: 'Создана вручную',
+    restore: 'Перед восстановлением'
+};
+
+// Список облачных копий сохранения с кнопкой восстановления
+async function renderBackupsList() {
+    const list = document.getElementById('backups-list');
+    if (!list) return;
+    if (!window.cloudStorage) {
+        list.innerHTML = '<div style="text-align:center;font-size:12px;color:rgba(255,255,255,0.7);">Облачное сохранение недоступно</div>';
+        return;
+    }
+    list.innerHTML = '<div style="text-align:center;font-size:12px;color:rgba(255,255,255,0.7);">Загрузка…</div>';
+    let snapshots = [];
+    try {
+        snapshots = await window.cloudStorage.listSnapshots();
+    } catch (error) {
+        console.error('Failed to load snapshots', error);
+        list.innerHTML = '<div style="text-align:center;font-size:12px;color:#ff8a80;">Не удалось загрузить копии. Проверьте подключение.</div>';
+        return;
+    }
+    if (!snapshots.length) {
+        list.innerHTML = '<div style="text-align:center;font-size:12px;color:rgba(255,255,255,0.7);">Копий пока нет</div>';
+        return;
+    }
+    list.innerHTML = snapshots.map((snapshot) => `
+        <div style="display:flex;align-items:center;gap:8px;padding:8px;margin-bottom:6px;background:rgba(255,255,255,0.05);border-radius:12px;border:1px solid rgba(255,255,255,0.1);">
+            <div style="flex:1;min-width:0;text-align:left;">
+                <div style="font-size:12px;font-weight:700;color:#fff;">${new Date(snapshot.createdAt).toLocaleString(window.bigNumber.getLocale())}</div>
+                <div style="font-size:10px;color:rgba(255,255,255,0.6);margin-bottom:2px;">${BACKUP_REASON_LABELS[snapshot.reason] || snapshot.reason}</div>
+                <div style="font-size:11px;color:rgba(255,255,255,0.9);">💰 ${window.bigNumber.format(snapshot.balance)} · ⭐ ур. ${snapshot.level} · 🏢 ${snapshot.buildings.length}</div>
+            </div>
+            <button class="backup-restore-btn" data-snapshot-id="${snapshot.id}" style="background:#1976d2;border:none;border-radius:10px;color:#fff;font-size:11px;font-weight:600;padding:6px 10px;cursor:pointer;">Восстановить</button>
+        </div>
+    `).join('');
+    list.querySelectorAll('.backup-restore-btn').forEach((button) => {
+        button.addEventListener('click', () => restoreBackup(button.getAttribute('data-snapshot-id'), button));
+    });
+}
+
+async function restoreBackup(id, button) {
+    if (!confirm('Восстановить эту копию? Текущий прогресс будет заменён (перед этим он тоже сохранится копией).')) {
+        return;
+    }
+    button.disabled = true;
+    button.textContent = '…';
+    try {
+        await window.cloudStorage.restoreSnapshot(id);
+    } catch (error) {
+        console.error('Failed to restore snapshot', error);
+        alert('Не удалось восстановить копию. Попробуйте позже.');
+        button.disabled = false;
+        button.textContent = 'Восстановить';
+        return;
+    }
+    // Игровые модули держат состояние в памяти — перезапускаем игру с восстановленным сохранением
+    window.location.reload();
+}
+
+async function createManualBackup(button) {
+    if (!window.cloudStorage) return;
+    button.disabled = true;
+    try {
+        await window.cloudStorage.takeSnapshot('manual');
+        if (window.showToast) window.showToast('Копия сохранена');
+    } catch (error) {
+        console.error('Failed to create snapshot', error);
+        alert('Не удалось создать копию. Проверьте подключение.');
+    }
+    button.disabled = false;
+    renderBackupsList();
+}
+
+// Перенос сохранения: ошибки показываем под полем кода
+function setTransferStatus(message) {
+    const status = document.getElementById('transfer-status');
+    if (status) status.textContent = message || '';
+}
+
+async function exportSaveFile(button) {
+    button.disabled = true;
+    setTransferStatus('');
+    try {
+        await window.saveTransfer.exportFile();
+    } catch (error) {
+        console.error('Failed to export save', error);
+        setTransferStatus('Не удалось создать файл сохранения');
+    }
+    button.disabled = false;
+}
+
+async function copySaveCode(button) {
+    button.disabled = true;
+    setTransferStatus('');
+    try {
+        const code = await window.saveTransfer.exportCode();
+        const field = document.getElementById('transfer-code');
+        try {
+            await navigator.clipboard.writeText(code);
+            if (window.showToast) window.showToast('Код сохранения скопирован');
+        } catch (error) {
+            // Буфер обмена недоступен (например, в WebView) — оставляем код в поле для ручного копирования
+            field.value = code;
+            field.select();
+        }
+    } catch (error) {
+        console.error('Failed to export save', error);
+        setTransferStatus('Не удалось создать код сохранения');
+    }
+    button.disabled = false;
+}
+
+// importer — функция, запускающая импорт; после замены сохранения перезапускаем игру
+async function importSave(importer) {
+    setTransferStatus('');
+    let imported = false;
+    try {
+        imported = await importer();
+    } catch (error) {
+        console.error('Failed to import save', error);
+        setTransferStatus(error.userMessage || 'Не удалось импортировать сохранение');
+        return;
+    }
+    if (imported) {
+        window.location.reload();
+    }
+}
+
 // Генерация UserID
 function generateUserID() {
     const storedID = localStorage.getItem('userID');
@@ -615,6 +757,79 @@ function initSettings() {
         });
     }
     
+    // Обработчики для панели переноса сохранения
+    const settingsTransfer = document.getElementById('settings-transfer');
+    if (settingsTransfer) {
+        settingsTransfer.addEventListener('click', () => {
+            setTransferStatus(window.saveTransfer && window.saveTransfer.isSupported() ? '' : 'Браузер не поддерживает перенос сохранений');
+            document.getElementById('transfer-panel').style.display = 'flex';
+        });
+    }
+    
+    ['transfer-close', 'transfer-back'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => {
+                document.getElementById('transfer-panel').style.display = 'none';
+            });
+        }
+    });
+    
+    const transferExportFile = document.getElementById('transfer-export-file');
+    if (transferExportFile) {
+        transferExportFile.addEventListener('click', () => exportSaveFile(transferExportFile));
+    }
+    
+    const transferExportCode = document.getElementById('transfer-export-code');
+    if (transferExportCode) {
+        transferExportCode.addEventListener('click', () => copySaveCode(transferExportCode));
+    }
+    
+    const transferImportCode = document.getElementById('transfer-import-code');
+    if (transferImportCode) {
+        transferImportCode.addEventListener('click', () => {
+            const code = document.getElementById('transfer-code').value;
+            importSave(() => window.saveTransfer.importCode(code));
+        });
+    }
+    
+    const transferFileInput = document.getElementById('transfer-file-input');
+    const transferImportFile = document.getElementById('transfer-import-file');
+    if (transferFileInput && transferImportFile) {
+        transferImportFile.addEventListener('click', () => transferFileInput.click());
+        transferFileInput.addEventListener('change', () => {
+            const file = transferFileInput.files[0];
+            // Сбрасываем выбор, чтобы повторно выбранный тот же файл снова вызвал change
+            transferFileInput.value = '';
+            if (file) {
+                importSave(() => window.saveTransfer.importFile(file));
+            }
+        });
+    }
+    
+    // Обработчики для панели резервных копий
+    const settingsBackups = document.getElementById('settings-backups');
+    if (settingsBackups) {
+        settingsBackups.addEventListener('click', () => {
+            document.getElementById('backups-panel').style.display = 'flex';
+            renderBackupsList();
+        });
+    }
+    
+    ['backups-close', 'backups-back'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => {
+                document.getElementById('backups-panel').style.display = 'none';
+            });
+        }
+    });
+    
+    const backupsCreate = document.getElementById('backups-create');
+    if (backupsCreate) {
+        backupsCreate.addEventListener('click', () => createManualBackup(backupsCreate));
+    }
+    
     // Обработчики для панели языка
     const languageClose = document.getElementById('language-close');
     if (languageClose) {
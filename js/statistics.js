@@ -1,35 +1,22 @@
 // Система управления статистикой с реальными данными
-function getRealStatisticsData() {
-    // Получаем данные зданий из localStorage
-    const buildingsData = JSON.parse(localStorage.getItem('buildingsData') || '{}');
-
-    // Эффективный доход в час = базовый доход * (1 + 0.2 * кол-во работников)
-    const getHourlyIncome = (b) => {
-        if (!b || !b.isOwned) return 0;
-        const workers = typeof b.workers === 'number' ? b.workers : 0;
-        const baseIncome = typeof b.income === 'number' ? b.income : 0;
-        return baseIncome * (1 + workers * 0.2);
-    };
 
-    const libraryIncomePerHour = getHourlyIncome(buildingsData && buildingsData.library);
-    const factoryIncomePerHour = getHourlyIncome(buildingsData && buildingsData.factory);
-    const storageIncomePerHour = getHourlyIncome(buildingsData && buildingsData.storage);
-    const printIncomePerHour = getHourlyIncome(buildingsData && buildingsData.print);
+// Доход каждого здания из реестра в день: [{ definition, perDay }]
+function getBuildingIncomeRows(buildingsData) {
+    // Эффективный доход в час = базовый доход * (1 + 0.2 * кол-во работников) * бонус сотрудника
+    const getHourlyIncome = offlineProgress.getHourlyIncome;
+    return buildingRegistry.list().map(definition => ({
+        definition,
+        perDay: getHourlyIncome(buildingsData && buildingsData[definition.id], definition.id) * 24
+    }));
+}
 
-    // Переводим в доход в секунду для совместимости с остальной логикой файла
-    const libraryIncomePerSec = libraryIncomePerHour / 3600;
-    const factoryIncomePerSec = factoryIncomePerHour / 3600;
-    const storageIncomePerSec = storageIncomePerHour / 3600;
-    const printIncomePerSec = printIncomePerHour / 3600;
-    
-    // Рассчитываем доходы в день (24 часа * 3600 секунд)
-    const libraryIncomePerDay = libraryIncomePerSec * 24 * 3600;
-    const factoryIncomePerDay = factoryIncomePerSec * 24 * 3600;
-    const storageIncomePerDay = storageIncomePerSec * 24 * 3600;
-    const printIncomePerDay = printIncomePerSec * 24 * 3600;
+function getRealStatisticsData() {
+    // Получаем данные зданий из стора
+    const buildingsData = gameState.get('buildingsData') || {};
+    const incomeRows = getBuildingIncomeRows(buildingsData);
     
     // Общий доход
-    const totalIncomePerDay = libraryIncomePerDay + factoryIncomePerDay + storageIncomePerDay + printIncomePerDay;
+    const totalIncomePerDay = incomeRows.reduce((sum, row) => sum + row.perDay, 0);
     
     // Рассчитываем расходы (примерные значения)
     const salaryExpenses = Math.floor(totalIncomePerDay * 0.3); // 30% на зарплаты
@@ -41,76 +28,46 @@ function getRealStatisticsData() {
     // Чистая прибыль
     const netProfit = totalIncomePerDay - totalExpenses;
     
-    // Функция для форматирования чисел
-    const formatNumber = window.formatNumber || ((num) => {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
-        return Math.round(num).toString();
-    });
-    
     return {
         income: {
             title: "Суммарный ежедневный доход",
-            total: formatNumber(totalIncomePerDay),
-            items: [
-                {
-                    name: "Библиотека",
-                    value: `${formatNumber(libraryIncomePerDay)}/день`,
-                    percentage: `${totalIncomePerDay > 0 ? Math.round((libraryIncomePerDay / totalIncomePerDay) * 100) : 0}% от общего`,
-                    color: "#4caf50",
-                    gradient: "linear-gradient(180deg, #4caf50, #45a049)"
-                },
-                {
-                    name: "Завод",
-                    value: `${formatNumber(factoryIncomePerDay)}/день`,
-                    percentage: `${totalIncomePerDay > 0 ? Math.round((factoryIncomePerDay / totalIncomePerDay) * 100) : 0}% от общего`,
-                    color: "#2196f3",
-                    gradient: "linear-gradient(180deg, #2196f3, #1976d2)"
-                },
-                {
-                    name: "Почта",
-                    value: `${formatNumber(storageIncomePerDay)}/день`,
-                    percentage: `${totalIncomePerDay > 0 ? Math.round((storageIncomePerDay / totalIncomePerDay) * 100) : 0}% от общего`,
-                    color: "#ff9800",
-                    gradient: "linear-gradient(180deg, #ff9800, #f57c00)"
-                },
-                {
-                    name: "Типография",
-                    value: `${formatNumber(printIncomePerDay)}/день`,
-                    percentage: `${totalIncomePerDay > 0 ? Math.round((printIncomePerDay / totalIncomePerDay) * 100) : 0}% от общего`,
-                    color: "#9c27b0",
-                    gradient: "linear-gradient(180deg, #9c27b0, #7b1fa2)"
-                }
-            ]
+            total: bigNumber.format(totalIncomePerDay),
+            items: incomeRows.map(row => ({
+                name: row.definition.name,
+                value: `${bigNumber.format(row.perDay)}/день`,
+                percentage: `${totalIncomePerDay > 0 ? Math.round((row.perDay / totalIncomePerDay) * 100) : 0}% от общего`,
+                color: row.definition.stats.color,
+                gradient: row.definition.stats.gradient
+            }))
         },
         expenses: {
             title: "Суммарные ежедневные расходы",
-            total: formatNumber(totalExpenses),
+            total: bigNumber.format(totalExpenses),
             items: [
                 {
                     name: "Зарплаты",
-                    value: `${formatNumber(salaryExpenses)}/день`,
+                    value: `${bigNumber.format(salaryExpenses)}/день`,
                     percentage: `${totalExpenses > 0 ? Math.round((salaryExpenses / totalExpenses) * 100) : 0}% от общего`,
                     color: "#f44336",
                     gradient: "linear-gradient(180deg, #f44336, #d32f2f)"
                 },
                 {
                     name: "Коммунальные",
-                    value: `${formatNumber(utilityExpenses)}/день`,
+                    value: `${bigNumber.format(utilityExpenses)}/день`,
                     percentage: `${totalExpenses > 0 ? Math.round((utilityExpenses / totalExpenses) * 100) : 0}% от общего`,
                     color: "#ff5722",
                     gradient: "linear-gradient(180deg, #ff5722, #e64a19)"
                 },
                 {
                     name: "Налоги",
-                    value: `${formatNumber(taxExpenses)}/день`,
+                    value: `${bigNumber.format(taxExpenses)}/день`,
                     percentage: `${totalExpenses > 0 ? Math.round((taxExpenses / totalExpenses) * 100) : 0}% от общего`,
                     color: "#e91e63",
                     gradient: "linear-gradient(180deg, #e91e63, #c2185b)"
                 },
                 {
                     name: "Прочие",
-                    value: `${formatNumber(otherExpenses)}/день`,
+                    value: `${bigNumber.format(otherExpenses)}/день`,
                     percentage: `${totalExpenses > 0 ? Math.round((otherExpenses / totalExpenses) * 100) : 0}% от общего`,
                     color: "#ad1457",
                     gradient: "linear-gradient(180deg, #ad1457, #880e4f)"
@@ -119,41 +76,40 @@ function getRealStatisticsData() {
         },
         balance: {
             title: "Чистая прибыль",
-            total: formatNumber(netProfit),
-            items: [
-                {
-                    name: "Библиотека",
-                    value: `+${formatNumber(libraryIncomePerDay - (libraryIncomePerDay * 0.3))}/день`,
-                    percentage: `${netProfit > 0 ? Math.round(((libraryIncomePerDay - (libraryIncomePerDay * 0.3)) / netProfit) * 100) : 0}% от общего`,
-                    color: "#4caf50",
-                    gradient: "linear-gradient(180deg, #4caf50, #45a049)"
-                },
-                {
-                    name: "Завод",
-                    value: `+${formatNumber(factoryIncomePerDay - (factoryIncomePerDay * 0.3))}/день`,
-                    percentage: `${netProfit > 0 ? Math.round(((factoryIncomePerDay - (factoryIncomePerDay * 0.3)) / netProfit) * 100) : 0}% от общего`,
-                    color: "#2196f3",
-                    gradient: "linear-gradient(180deg, #2196f3, #1976d2)"
-                },
-                {
-                    name: "Почта",
-                    value: `+${formatNumber(storageIncomePerDay - (storageIncomePerDay * 0.3))}/день`,
-                    percentage: `${netProfit > 0 ? Math.round(((storageIncomePerDay - (storageIncomePerDay * 0.3)) / netProfit) * 100) : 0}% от общего`,
-                    color: "#ff9800",
-                    gradient: "linear-gradient(180deg, #ff9800, #f57c00)"
-                },
-                {
-                    name: "Типография",
-                    value: `+${formatNumber(printIncomePerDay - (printIncomePerDay * 0.3))}/день`,
-                    percentage: `${netProfit > 0 ? Math.round(((printIncomePerDay - (printIncomePerDay * 0.3)) / netProfit) * 100) : 0}% от общего`,
-                    color: "#9c27b0",
-                    gradient: "linear-gradient(180deg, #9c27b0, #7b1fa2)"
-                }
-            ]
+            total: bigNumber.format(netProfit),
+            items: incomeRows.map(row => {
+                const net = row.perDay - (row.perDay * 0.3);
+                return {
+                    name: row.definition.name,
+                    value: `+${bigNumber.format(net)}/день`,
+                    percentage: `${netProfit > 0 ? Math.round((net / netProfit) * 100) : 0}% от общего`,
+                    color: row.definition.stats.color,
+                    gradient: row.definition.stats.gradient
+                };
+            })
         }
     };
 }
 
+// Подгоняет число строк статистики под число строк данных: недостающие копируются с первой
+function ensureStatItems(count) {
+    const container = document.querySelector('#statistics-panel .income-breakdown');
+    if (!container) {
+        return Array.from(document.querySelectorAll('.stat-item'));
+    }
+    let items = Array.from(container.querySelectorAll('.stat-item'));
+    if (!items.length) {
+        return items;
+    }
+    while (items.length < count) {
+        const clone = items[0].cloneNode(true);
+        container.appendChild(clone);
+        items.push(clone);
+    }
+    items.slice(count).forEach(item => item.remove());
+    return items.slice(0, count);
+}
+
 // Функция для переключения категории статистики
 function switchStatisticsCategory(category) {
     const realData = getRealStatisticsData();
@@ -177,7 +133,7 @@ function switchStatisticsCategory(category) {
     }
 
     // Обновляем элементы статистики
-    const statItems = document.querySelectorAll('.stat-item');
+    const statItems = ensureStatItems(data.items.length);
     statItems.forEach((item, index) => {
         const itemData = data.items[index];
         if (itemData) {
@@ -379,44 +335,24 @@ function updateStatistics() {
     }
 
     // Собираем актуальные данные зданий
-    const buildingsData = JSON.parse(localStorage.getItem('buildingsData') || '{}');
-
-    const getHourlyIncome = (b) => {
-        if (!b || !b.isOwned) return 0;
-        const workers = typeof b.workers === 'number' ? b.workers : 0;
-        const baseIncome = typeof b.income === 'number' ? b.income : 0;
-        return baseIncome * (1 + workers * 0.2);
-    };
-
-    const libraryIncomePerHour = getHourlyIncome(buildingsData && buildingsData.library);
-    const factoryIncomePerHour = getHourlyIncome(buildingsData && buildingsData.factory);
-    const storageIncomePerHour = getHourlyIncome(buildingsData && buildingsData.storage);
-
-    // Переводим в секунды
-    const libraryIncomePerSec = libraryIncomePerHour / 3600;
-    const factoryIncomePerSec = factoryIncomePerHour / 3600;
-    const storageIncomePerSec = storageIncomePerHour / 3600;
-
-    const totalDailyIncome = (libraryIncomePerSec + factoryIncomePerSec + storageIncomePerSec + printIncomePerSec) * 3600 * 24;
-    
-    // Функция для форматирования чисел
-    const formatNumber = window.formatNumber || ((num) => {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
-        return Math.round(num).toString();
-    });
+    const buildingsData = gameState.get('buildingsData') || {};
+    const incomeRows = getBuildingIncomeRows(buildingsData);
+    const totalDailyIncome = incomeRows.reduce((sum, row) => sum + row.perDay, 0);
     
     // Обновляем общий доход
     const totalIncomeEl = document.querySelector('#statistics-panel .stat-total');
     if (totalIncomeEl) {
         const span = totalIncomeEl.querySelector('span');
         if (span) {
-            span.textContent = formatNumber(totalDailyIncome);
+            span.textContent = bigNumber.format(totalDailyIncome);
         }
     }
     
     // Обновляем детальную статистику по направлениям
-    updateIncomeBreakdown(libraryIncomePerSec, factoryIncomePerSec, storageIncomePerSec, statueIncomePerSec, totalDailyIncome);
+    updateIncomeBreakdown(incomeRows, totalDailyIncome);
+    
+    // Обновляем карточку перерождения
+    updatePrestigeSummary();
     
     // Дополнительная синхронизация после обновления статистики
     setTimeout(() => {
@@ -427,68 +363,41 @@ function updateStatistics() {
 }
 
 // Функция для обновления детальной статистики по направлениям
-function updateIncomeBreakdown(libraryIncomePerSec, factoryIncomePerSec, storageIncomePerSec, printIncomePerSec, totalDailyIncome) {
-    const formatNumber = window.formatNumber || ((num) => {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
-        return Math.round(num).toString();
-    });
-    
-    // Рассчитываем доходы в день
-    const libraryIncomePerDay = libraryIncomePerSec * 24 * 3600;
-    const factoryIncomePerDay = factoryIncomePerSec * 24 * 3600;
-    const storageIncomePerDay = storageIncomePerSec * 24 * 3600;
-    const printIncomePerDay = printIncomePerSec * 24 * 3600;
-    
-    // Обновляем элементы статистики
-    const statItems = document.querySelectorAll('.stat-item');
-    
-    // Библиотека
-    if (statItems[0]) {
-        const valueElement = statItems[0].querySelector('.stat-value');
-        const percentageElement = statItems[0].querySelector('.stat-percentage');
-        if (valueElement) {
-            valueElement.textContent = `${formatNumber(libraryIncomePerDay)}/день`;
-        }
-        if (percentageElement) {
-            percentageElement.textContent = `${totalDailyIncome > 0 ? Math.round((libraryIncomePerDay / totalDailyIncome) * 100) : 0}% от общего`;
-        }
-    }
-    
-    // Завод
-    if (statItems[1]) {
-        const valueElement = statItems[1].querySelector('.stat-value');
-        const percentageElement = statItems[1].querySelector('.stat-percentage');
-        if (valueElement) {
-            valueElement.textContent = `${formatNumber(factoryIncomePerDay)}/день`;
+function updateIncomeBreakdown(incomeRows, totalDailyIncome) {
+    // Одна строка на каждое здание из реестра
+    const statItems = ensureStatItems(incomeRows.length);
+    incomeRows.forEach((row, index) => {
+        const item = statItems[index];
+        if (!item) {
+            return;
         }
-        if (percentageElement) {
-            percentageElement.textContent = `${totalDailyIncome > 0 ? Math.round((factoryIncomePerDay / totalDailyIncome) * 100) : 0}% от общего`;
+        const nameElement = item.querySelector('.stat-name');
+        if (nameElement) {
+            nameElement.textContent = row.definition.name;
         }
-    }
-    
-    // Почта
-    if (statItems[2]) {
-        const valueElement = statItems[2].querySelector('.stat-value');
-        const percentageElement = statItems[2].querySelector('.stat-percentage');
+        const valueElement = item.querySelector('.stat-value');
         if (valueElement) {
-            valueElement.textContent = `${formatNumber(storageIncomePerDay)}/день`;
+            valueElement.textContent = `${bigNumber.format(row.perDay)}/день`;
         }
+        const percentageElement = item.querySelector('.stat-percentage');
         if (percentageElement) {
-            percentageElement.textContent = `${totalDailyIncome > 0 ? Math.round((storageIncomePerDay / totalDailyIncome) * 100) : 0}% от общего`;
+            percentageElement.textContent = `${totalDailyIncome > 0 ? Math.round((row.perDay / totalDailyIncome) * 100) : 0}% от общего`;
         }
+    });
+}
+
+// Функция для обновления карточки перерождения
+function updatePrestigeSummary() {
+    const state = prestige.getState();
+    const pointsElement = document.querySelector('#stats-prestige-card .prestige-points');
+    if (pointsElement) {
+        pointsElement.textContent = state.points;
     }
-    
-    // Типография
-    if (statItems[3]) {
-        const valueElement = statItems[3].querySelector('.stat-value');
-        const percentageElement = statItems[3].querySelector('.stat-percentage');
-        if (valueElement) {
-            valueElement.textContent = `${formatNumber(printIncomePerDay)}/день`;
-        }
-        if (percentageElement) {
-            percentageElement.textContent = `${totalDailyIncome > 0 ? Math.round((printIncomePerDay / totalDailyIncome) * 100) : 0}% от общего`;
-        }
+    const summaryElement = document.querySelector('#stats-prestige-card .prestige-summary');
+    if (summaryElement) {
+        const incomeBonus = Math.round((prestige.getIncomeMultiplier() - 1) * 100);
+        const readyText = prestige.getRequirements().ready ? ' · Можно переродиться!' : '';
+        summaryElement.textContent = `Перерождений: ${state.rebirths} · Доход +${incomeBonus}%${readyText}`;
     }
 }
 
@@ -527,23 +436,17 @@ window.addEventListener('storage', function(e) {
     }
 });
 
-// Добавляем дополнительный слушатель для изменений в текущей вкладке
-let lastPlayerLevel = localStorage.getItem('playerLevel') || '1';
-let lastPlayerXP = localStorage.getItem('playerXP') || '0';
+// Бонусы перерождения меняют доход зданий
+gameState.subscribe('prestige', refreshStatistics);
 
-setInterval(() => {
-    const currentPlayerLevel = localStorage.getItem('playerLevel') || '1';
-    const currentPlayerXP = localStorage.getItem('playerXP') || '0';
-    
-    if (currentPlayerLevel !== lastPlayerLevel || currentPlayerXP !== lastPlayerXP) {
-        lastPlayerLevel = currentPlayerLevel;
-        lastPlayerXP = currentPlayerXP;
-        
+// Слушатель изменений уровня и опыта в текущей вкладке
+['playerLevel', 'playerXP'].forEach(key => {
+    gameState.subscribe(key, () => {
         if (window.syncLevelAndXP) {
             window.syncLevelAndXP();
         }
-    }
-}, 1000);
+    });
+});
 
 // Инициализация при загрузке DOM
 document.addEventListener('DOMContentLoaded', () => {